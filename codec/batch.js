@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { compress, compressCollection, decompress } = require('./index');
+const { readContainer } = require('./container');
+const { isHeldOut } = require('./deflate');
+const { TRAIT_DIRS } = require('./compose');
+const { verifySVG, logVerification } = require('./verify');
+const { diffSVGs, summarizeDiff, logDiff, traitReport, logTraitReport } = require('./structure');
+
+// Command line options of the compress scripts, in pixels: `--max-deviation
+// N` lets each path use the coarsest grid within N of its geometry, and
+// `--simplify N` drops path nodes and refits curves within N
+const PIXEL_OPTIONS = {
+  '--max-deviation': 'maxDeviation',
+  '--simplify': 'simplify'
+};
+
+// File a collection template is written to, next to the variant blobs
+const TEMPLATE_FILE = 'template.bin';
+
+// Read the compress script options from command line arguments; `--entropy`
+// entropy codes each payload and `--deflate` deflates text payloads against
+// a preset dictionary
+function parseCompressOptions(args) {
+  const options = {};
+  if (args.includes('--entropy')) options.entropy = true;
+  if (args.includes('--deflate')) options.deflate = true;
+
+  for (const flag in PIXEL_OPTIONS) {
+    const index = args.indexOf(flag);
+    if (index === -1) continue;
+
+    const value = Number(args[index + 1]);
+    if (!(value > 0)) {
+      throw new Error(`${flag} expects a positive number of pixels`);
+    }
+    options[PIXEL_OPTIONS[flag]] = value;
+  }
+
+  return options;
+}
+
+// Compress every SVG in inputDir into base64 .bin files in outputDir; options
+// are passed to the trait codec. With the simplify option each file is also
+// compressed without it, to report the bytes simplification saved, and with
+// the deflate option each is compressed without deflate to report the bytes
+// it saved. Deflate savings are also totalled over the files held out of
+// dictionary training, since the trained files shrink more than a new file
+// would. With `collection` the files are compressed as variants of one
+// template, written to TEMPLATE_FILE, and each is compared with compressing
+// it on its own.
+function processSVGs({ traitType, inputDir, outputDir, summaryFile = 'compression_summary.json', filter = () => true, options, collection = false }) {
+  if (!fs.existsSync(inputDir)) {
+    console.error(`ERROR: ${inputDir} does not exist!`);
+    return;
+  }
+
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
+
+  const svgFiles = fs.readdirSync(inputDir).filter(file => file.endsWith('.svg') && filter(file));
+  console.log(`Found ${svgFiles.length} SVG files in ${inputDir}`);
+
+  const results = {};
+  const simplifying = Boolean(options && options.simplify);
+  let simplificationSaved = 0;
+  const deflating = Boolean(options && options.deflate);
+  let deflateSaved = 0;
+  let heldOutSaved = 0;
+  let heldOutFiles = 0;
+
+  // Collection mode compresses every file up front, against one template
+  let templated = null;
+  let separateSize = 0;
+  if (collection) {
+    const svgContents = svgFiles.map(file => fs.readFileSync(path.join(inputDir, file), 'utf8'));
+    templated = compressCollection(svgContents, traitType, options);
+    fs.writeFileSync(path.join(outputDir, TEMPLATE_FILE), templated.template);
+    console.log(`Template written to ${TEMPLATE_FILE}: ${templated.template.length} bytes`);
+  }
+
+  svgFiles.forEach((file, i) => {
+    try {
+      const svgContent = fs.readFileSync(path.join(inputDir, file), 'utf8');
+
+      // What the codec could not encode as given, reported with the stats
+      const warnings = [];
+      const compressed = templated ? templated.variants[i] : compress(svgContent, traitType, { ...options, warnings });
+      const outputPath = path.join(outputDir, file.replace('.svg', '.bin'));
+
+      // Write compressed data
+      fs.writeFileSync(outputPath, compressed);
+
+      // Log compression stats
+      const originalSize = svgContent.length;
+      const compressedSize = compressed.length;
+      const ratio = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
+      results[file] = {
+        original: originalSize,
+        compressed: compressedSize,
+        ratio: `${ratio}%`
+      };
+
+      let note = '';
+      const separate = templated ? compress(svgContent, traitType, { ...options, warnings }) : compressed;
+      if (templated) {
+        results[file].separate = separate.length;
+        separateSize += separate.length;
+        note += `, ${separate.length} bytes on its own`;
+      }
+      if (simplifying) {
+        const unsimplified = compress(svgContent, traitType, { ...options, simplify: undefined });
+        const saved = unsimplified.length - separate.length;
+        results[file].simplificationSaved = saved;
+        simplificationSaved += saved;
+        note += `, ${saved} bytes saved by simplification`;
+      }
+      if (deflating) {
+        const undeflated = compress(svgContent, traitType, { ...options, deflate: false });
+        const saved = undeflated.length - separate.length;
+        results[file].deflateSaved = saved;
+        deflateSaved += saved;
+        if (isHeldOut(file)) {
+          heldOutSaved += saved;
+          heldOutFiles++;
+        }
+        note += `, ${saved} bytes saved by deflate`;
+      }
+      console.log(`Compressed ${file}: ${originalSize} → ${compressedSize} bytes (${ratio}% reduction${note})`);
+      if (warnings.length > 0) {
+        results[file].warnings = warnings;
+        warnings.forEach(warning => console.log(`  ${warning}`));
+      }
+    } catch (error) {
+      console.error(`Error compressing ${file}:`, error);
+      results[file] = {
+        error: error.message
+      };
+    }
+  });
+
+  // Write compression summary
+  fs.writeFileSync(path.join(outputDir, summaryFile), JSON.stringify(results, null, 2));
+  console.log(`\nCompression summary written to ${summaryFile}`);
+  if (simplifying) {
+    console.log(`Simplification saved ${simplificationSaved} bytes across ${svgFiles.length} files`);
+  }
+  if (deflating) {
+    console.log(`Deflate saved ${deflateSaved} bytes across ${svgFiles.length} files, ` +
+      `${heldOutSaved} bytes across the ${heldOutFiles} files held out of dictionary training`);
+  }
+  if (templated) {
+    const collectionSize = templated.template.length + templated.variants.reduce((sum, variant) => sum + variant.length, 0);
+    console.log(`Template and variants: ${collectionSize} bytes, compressed separately: ${separateSize} bytes`);
+  }
+
+  return results;
+}
+
+// Decompress every .bin in compressedDir into SVG files in outputDir, the
+// variants of a collection against the TEMPLATE_FILE next to them.
+// With `verify` (true or verifySVG options) each file is rendered against its
+// original as soon as it is decoded and the pixel metrics go into the summary.
+// With `diff` each file is also compared element by element and a per-trait
+// structure report is written next to the summary.
+function processCompressedFiles({ traitType, inputDir, compressedDir, outputDir, summaryFile = 'decompression_summary.json', verify = false, diff = false }) {
+  if (!fs.existsSync(compressedDir)) {
+    console.error(`ERROR: ${compressedDir} does not exist!`);
+    return;
+  }
+
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
+
+  // A collection template is read once and passed with every variant
+  const templatePath = path.join(compressedDir, TEMPLATE_FILE);
+  const template = fs.existsSync(templatePath) ? fs.readFileSync(templatePath, 'utf8') : undefined;
+  if (template) console.log(`Decoding variants against ${TEMPLATE_FILE}`);
+
+  const binFiles = fs.readdirSync(compressedDir).filter(file => file.endsWith('.bin') && file !== TEMPLATE_FILE);
+  console.log(`Found ${binFiles.length} bin files in ${compressedDir}`);
+
+  const results = {};
+  const structures = {};
+  let verified = 0;
+  let failed = 0;
+
+  for (const file of binFiles) {
+    try {
+      const compressedData = fs.readFileSync(path.join(compressedDir, file), 'utf8');
+      console.log(`Processing ${file}, compressed size: ${compressedData.length} bytes`);
+
+      const decompressed = decompress(compressedData, traitType, { template });
+      const outputPath = path.join(outputDir, file.replace('.bin', '.svg'));
+      fs.writeFileSync(outputPath, decompressed);
+      console.log(`Decompressed ${file} to ${outputPath}`);
+
+      results[file] = {
+        decompressed: true,
+        size: decompressed.length
+      };
+
+      // Verify against original if available
+      const originalFile = path.join(inputDir, file.replace('.bin', '.svg'));
+      if (!fs.existsSync(originalFile)) {
+        console.log(`No original file found for ${file}`);
+      } else {
+        const original = fs.readFileSync(originalFile, 'utf8');
+
+        if (verify) {
+          const verification = verifySVG(original, decompressed, verify === true ? {} : verify);
+          logVerification(file, verification);
+          results[file].verification = verification;
+          verified++;
+          if (!verification.passed) failed++;
+        }
+
+        if (diff) {
+          const structure = diffSVGs(original, decompressed);
+          logDiff(file, structure);
+          results[file].structure = summarizeDiff(structure);
+          structures[file] = structure;
+        }
+      }
+    } catch (error) {
+      console.error(`Error processing ${file}:`, error);
+      results[file] = {
+        decompressed: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Write results summary
+  fs.writeFileSync(path.join(outputDir, summaryFile), JSON.stringify(results, null, 2));
+  console.log(`\nDecompression summary written to ${summaryFile}`);
+  if (verify) {
+    console.log(`Verified ${verified} files against their originals, ${failed} failed`);
+  }
+
+  if (diff) {
+    const report = { ...traitReport(traitType, structures), details: structures };
+    const reportFile = `${traitType}_structure_report.json`;
+    logTraitReport(report);
+    fs.writeFileSync(path.join(outputDir, reportFile), JSON.stringify(report, null, 2));
+    console.log(`Structure report written to ${reportFile}`);
+  }
+
+  return results;
+}
+
+// Re-encode every blob under compressedDir (or those whose file name passes
+// the filter) with the current trait codecs and collect the payloads by trait
+function collectPayloads(compressedDir, filter = () => true) {
+  const payloads = {};
+
+  for (const traitType in TRAIT_DIRS) {
+    const dir = path.join(compressedDir, TRAIT_DIRS[traitType]);
+    if (!fs.existsSync(dir)) continue;
+
+    payloads[traitType] = [];
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.bin') && filter(name))) {
+      const svgString = decompress(fs.readFileSync(path.join(dir, file), 'utf8'), traitType);
+      const blob = Buffer.from(compress(svgString, traitType), 'base64');
+      payloads[traitType].push(readContainer(blob).payload);
+    }
+  }
+
+  return payloads;
+}
+
+module.exports = {
+  TEMPLATE_FILE,
+  collectPayloads,
+  parseCompressOptions,
+  processSVGs,
+  processCompressedFiles
+};
@@ -0,0 +1,92 @@
+// Bit-level writer and reader for streams that pack values tighter than the
+// byte-aligned varints. Values are written most significant bit first, and a
+// stream always ends on a byte boundary (padded with zero bits).
+
+// Widest value a single write or read handles
+const MAX_WIDTH = 31;
+
+// Check a bit width before writing or reading with it
+function checkWidth(width) {
+  if (!Number.isInteger(width) || width < 0 || width > MAX_WIDTH) {
+    throw new Error(`Bit width must be a whole number from 0 to ${MAX_WIDTH}, got ${width}`);
+  }
+}
+
+// Bits needed to write a non-negative value
+function bitWidth(value) {
+  let width = 0;
+  while (value >= 2 ** width) width++;
+  return width;
+}
+
+// Zigzag a signed value into a non-negative one without 32-bit overflow
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+// Undo zigzag
+function unzigzag(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// Writer that collects bits into a buffer
+function createBitWriter() {
+  const bytes = [];
+  let current = 0;
+  let filled = 0;
+
+  const write = (value, width) => {
+    checkWidth(width);
+    if (!(value >= 0 && value < 2 ** width)) {
+      throw new Error(`Value ${value} does not fit in ${width} bits`);
+    }
+
+    for (let bit = width - 1; bit >= 0; bit--) {
+      current = current << 1 | (value >>> bit & 1);
+      if (++filled === 8) {
+        bytes.push(current);
+        current = 0;
+        filled = 0;
+      }
+    }
+  };
+
+  return {
+    write,
+    writeSigned: (value, width) => write(zigzag(value), width),
+    finish: () => Buffer.from(filled ? bytes.concat(current << 8 - filled) : bytes)
+  };
+}
+
+// Reader over the bits of a buffer from a byte offset
+function createBitReader(buffer, offset) {
+  let position = offset * 8;
+
+  const read = width => {
+    checkWidth(width);
+    if (position + width > buffer.length * 8) {
+      throw new Error(`Buffer overflow when reading ${width} bits at offset ${Math.floor(position / 8)}`);
+    }
+
+    let value = 0;
+    for (let i = 0; i < width; i++, position++) {
+      value = value * 2 + (buffer[position >> 3] >> 7 - (position & 7) & 1);
+    }
+    return value;
+  };
+
+  return {
+    read,
+    readSigned: width => unzigzag(read(width)),
+    // Whole bytes consumed since the offset, counting the padded last byte
+    bytesRead: () => Math.ceil(position / 8) - offset
+  };
+}
+
+module.exports = {
+  MAX_WIDTH,
+  bitWidth,
+  zigzag,
+  createBitWriter,
+  createBitReader
+};
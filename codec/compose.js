@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { XMLSerializer } = require('xmldom');
+const { TARGET_SIZE } = require('./encoding');
+const { decompress } = require('./index');
+const { INHERITED, NOT_INHERITED, parseSVGDocument, childElements, findElements } = require('./svg');
+const { multiply, parseTransform, viewportMatrix, isIdentity, formatMatrix } = require('./transform');
+const { mergeDefs } = require('./defs');
+
+// Character composer: decodes one blob per trait layer and stacks them into
+// a single TARGET_SIZE x TARGET_SIZE SVG. Each layer becomes a <g> carrying
+// its viewBox mapping and optional transform; its defs move into one shared
+// <defs> with IDs prefixed by the trait type so layers can't collide, and
+// filters and gradients that several layers define alike are kept once.
+
+// Layers bottom to top
+const LAYER_ORDER = ['bg', 'color', 'phil', 'spikes', 'nose', 'top'];
+
+// Directory under compressed/ holding each trait's blobs
+const TRAIT_DIRS = {
+  bg: 'bgTraits',
+  color: 'colorTraits',
+  phil: 'philTraits',
+  spikes: 'spikesTrait',
+  nose: 'noseTrait',
+  top: 'top'
+};
+
+// Read the blob of a trait ID (the number in `<trait>-<id>.bin`)
+function loadTraitBlob(compressedDir, traitType, id) {
+  if (!TRAIT_DIRS[traitType]) {
+    throw new Error(`Unknown trait type: ${traitType} (expected one of ${LAYER_ORDER.join(', ')})`);
+  }
+
+  const file = path.join(compressedDir, TRAIT_DIRS[traitType], `${traitType}-${id}.bin`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${traitType} trait ${id} (looked for ${file})`);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+// Normalize a layer spec (a blob, or { data, transform })
+function layerSpec(traitType, layer) {
+  const spec = typeof layer === 'string' ? { data: layer } : layer;
+  if (!spec || typeof spec.data !== 'string') {
+    throw new Error(`Layer ${traitType} needs a base64 blob`);
+  }
+  return spec;
+}
+
+// Compose trait layers into one SVG string. `layers` maps trait types to a
+// base64 blob, or to { data, transform } where transform is an SVG transform
+// list applied to the layer on the TARGET_SIZE canvas. Layers are stacked in
+// `order`, bottom first; traits without a layer are skipped.
+function composeCharacter(layers, { order = LAYER_ORDER } = {}) {
+  for (const traitType of Object.keys(layers)) {
+    if (!order.includes(traitType)) {
+      throw new Error(`Layer ${traitType} is not in the layer order (${order.join(', ')})`);
+    }
+  }
+
+  const root = parseSVGDocument(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${TARGET_SIZE}" height="${TARGET_SIZE}" viewBox="0 0 ${TARGET_SIZE} ${TARGET_SIZE}"><defs/></svg>`
+  );
+  const doc = root.ownerDocument;
+  const defs = childElements(root)[0];
+
+  for (const traitType of order) {
+    if (!layers[traitType]) continue;
+    const { data, transform } = layerSpec(traitType, layers[traitType]);
+
+    const layerRoot = parseSVGDocument(decompress(data, traitType, { idPrefix: `${traitType}-` }));
+
+    // Hoist definitions into the shared <defs>
+    for (const layerDefs of findElements(layerRoot, 'defs')) {
+      childElements(layerDefs).forEach(child => defs.appendChild(doc.importNode(child, true)));
+      layerDefs.parentNode.removeChild(layerDefs);
+    }
+
+    // The layer group maps the layer's viewBox onto the canvas, then applies
+    // the layer transform, and keeps the paint the layer root set
+    const group = doc.createElementNS(root.namespaceURI, 'g');
+    group.setAttribute('id', `layer-${traitType}`);
+
+    const matrix = multiply(
+      parseTransform(transform),
+      viewportMatrix(layerRoot, TARGET_SIZE, TARGET_SIZE).matrix
+    );
+    if (!isIdentity(matrix)) group.setAttribute('transform', formatMatrix(matrix));
+
+    for (const name of INHERITED.concat(NOT_INHERITED, 'style')) {
+      if (layerRoot.hasAttribute(name)) {
+        group.setAttribute(name, layerRoot.getAttribute(name));
+      }
+    }
+
+    childElements(layerRoot).forEach(child => group.appendChild(doc.importNode(child, true)));
+    root.appendChild(group);
+  }
+
+  mergeDefs(defs);
+  if (!childElements(defs).length) root.removeChild(defs);
+
+  return new XMLSerializer().serializeToString(root);
+}
+
+module.exports = {
+  LAYER_ORDER,
+  TRAIT_DIRS,
+  loadTraitBlob,
+  composeCharacter
+};
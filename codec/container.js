@@ -0,0 +1,201 @@
+const { encodeVarInt, decodeVarInt } = require('./encoding');
+const { CURRENT_TABLE_SET, encodeEntropy, decodeEntropy } = require('./entropy');
+const { CURRENT_DICTIONARY_SET, hasDictionary, deflatePayload, inflatePayload } = require('./deflate');
+
+// Container layout:
+// - 1 byte magic (0xCF), never a legacy version byte
+// - 1 byte trait kind ID, with ENTROPY_BIT set when the payload is entropy
+//   coded (see entropy.js) or DEFLATE_BIT when it is deflated against a
+//   preset dictionary (see deflate.js)
+// - 1 byte trait format version
+// - varint deflate dictionary set ID, only with DEFLATE_BIT
+// - varint payload length
+// - payload (trait element records)
+const MAGIC = 0xCF;
+
+// Trait kind flags of entropy coded and deflated payloads
+const ENTROPY_BIT = 0x80;
+const DEFLATE_BIT = 0x40;
+
+// Trait kind IDs written in the header
+const TRAIT_IDS = {
+  phil: 0x01,
+  bg: 0x02,
+  nose: 0x03,
+  spikes: 0x04,
+  top: 0x05,
+  color: 0x06
+};
+
+// Reverse lookup of trait kind IDs
+const TRAIT_NAMES = {};
+for (const name in TRAIT_IDS) {
+  TRAIT_NAMES[TRAIT_IDS[name]] = name;
+}
+
+// Check whether a buffer starts with a container header
+function isContainer(buffer) {
+  return buffer.length > 0 && buffer[0] === MAGIC;
+}
+
+// Code a plain payload: `coding` is null for none, or the method
+// ('entropy' or 'deflate') and the table or dictionary set to code it with
+function codePayload(payload, traitType, coding) {
+  if (!coding) return payload;
+  return coding.method === 'entropy'
+    ? encodeEntropy(payload, traitType, coding.set)
+    : deflatePayload(payload, traitType, coding.set);
+}
+
+// Decode a payload coded by codePayload
+function decodePayload(bytes, traitType, coding) {
+  if (!coding) return bytes;
+  return coding.method === 'entropy'
+    ? decodeEntropy(bytes, traitType)
+    : inflatePayload(bytes, traitType, coding.set);
+}
+
+// Wrap a trait payload in a container header, coded exactly as given (see
+// codePayload)
+function writeCodedContainer(traitType, version, payload, coding = null) {
+  if (!TRAIT_IDS[traitType]) {
+    throw new Error(`Unknown trait type: ${traitType}`);
+  }
+
+  let kind = TRAIT_IDS[traitType];
+  const header = [];
+  if (coding && coding.method === 'entropy') {
+    kind |= ENTROPY_BIT;
+  } else if (coding) {
+    kind |= DEFLATE_BIT;
+    header.push(encodeVarInt(coding.set));
+  }
+
+  const coded = codePayload(payload, traitType, coding);
+  return Buffer.concat([
+    Buffer.from([MAGIC, kind, version]),
+    ...header,
+    encodeVarInt(coded.length),
+    coded
+  ]);
+}
+
+// Wrap a trait payload in a container header. With `entropy` the payload is
+// entropy coded and with `deflate` it is deflated (for traits that have a
+// dictionary); the shortest of the requested codings and the plain payload
+// is written.
+function writeContainer(traitType, version, payload, { entropy = false, deflate = false } = {}) {
+  const codings = [null];
+  if (entropy) codings.push({ method: 'entropy', set: CURRENT_TABLE_SET });
+  if (deflate && hasDictionary(traitType)) codings.push({ method: 'deflate', set: CURRENT_DICTIONARY_SET });
+
+  return codings
+    .map(coding => writeCodedContainer(traitType, version, payload, coding))
+    .reduce((shortest, candidate) => candidate.length < shortest.length ? candidate : shortest);
+}
+
+// Rewrite a container blob with its payload coded as requested (see
+// writeContainer)
+function recodeContainer(buffer, codings) {
+  const { traitType, version, payload } = readContainer(buffer);
+  return writeContainer(traitType, version, payload, codings);
+}
+
+// Parse a container header and slice out its payload. The coding it was
+// stored with comes back as `coding` (see codePayload), so the blob can be
+// written again byte for byte.
+function readContainer(buffer) {
+  if (buffer.length < 4) {
+    throw new Error('Invalid compressed data: too short');
+  }
+
+  if (buffer[0] !== MAGIC) {
+    throw new Error(`Invalid compressed data: bad magic byte 0x${buffer[0].toString(16)}`);
+  }
+
+  const traitType = TRAIT_NAMES[buffer[1] & ~(ENTROPY_BIT | DEFLATE_BIT)];
+  if (!traitType) {
+    throw new Error(`Invalid compressed data: unknown trait kind ${buffer[1]}`);
+  }
+
+  const entropy = (buffer[1] & ENTROPY_BIT) !== 0;
+  const deflate = (buffer[1] & DEFLATE_BIT) !== 0;
+  if (entropy && deflate) {
+    throw new Error('Invalid compressed data: payload cannot be both entropy coded and deflated');
+  }
+
+  const version = buffer[2];
+  let offset = 3;
+  let coding = null;
+  if (deflate) {
+    const { value, bytesRead } = decodeVarInt(buffer, offset);
+    coding = { method: 'deflate', set: value };
+    offset += bytesRead;
+  }
+
+  const { value: payloadLength, bytesRead } = decodeVarInt(buffer, offset);
+  const payloadOffset = offset + bytesRead;
+
+  if (buffer.length !== payloadOffset + payloadLength) {
+    throw new Error(`Invalid compressed data: header declares ${payloadLength} payload bytes, found ${buffer.length - payloadOffset}`);
+  }
+
+  // Entropy coded payloads start with their table set ID
+  const coded = buffer.slice(payloadOffset);
+  if (entropy) {
+    coding = { method: 'entropy', set: decodeVarInt(coded, 0).value };
+  }
+
+  // Coded payloads are decoded here, so trait decoders always read the plain
+  // records
+  return {
+    traitType,
+    version,
+    coding,
+    payload: decodePayload(coded, traitType, coding)
+  };
+}
+
+// Unwrap a blob for one trait decoder, rejecting blobs of any other trait.
+// Legacy blobs ([version, elementCount] header) are accepted only when their
+// version byte is one this trait has written before.
+function unpackTrait(buffer, traitType, { formatVersion, legacyVersions }) {
+  if (isContainer(buffer)) {
+    const container = readContainer(buffer);
+
+    if (container.traitType !== traitType) {
+      throw new Error(`Expected a ${traitType} blob, got a ${container.traitType} blob`);
+    }
+
+    if (container.version > formatVersion) {
+      throw new Error(`Unsupported ${traitType} format version ${container.version} (latest is ${formatVersion})`);
+    }
+
+    return {
+      version: container.version,
+      payload: container.payload
+    };
+  }
+
+  if (buffer.length < 2 || !legacyVersions.includes(buffer[0])) {
+    throw new Error(`Not a ${traitType} blob: missing container header and unknown legacy version ${buffer[0]}`);
+  }
+
+  return {
+    version: buffer[0],
+    payload: buffer.slice(2)
+  };
+}
+
+module.exports = {
+  MAGIC,
+  TRAIT_IDS,
+  isContainer,
+  codePayload,
+  decodePayload,
+  writeCodedContainer,
+  writeContainer,
+  recodeContainer,
+  readContainer,
+  unpackTrait
+};
@@ -0,0 +1,145 @@
+const path = require('path');
+const zlib = require('zlib');
+
+// Preset-dictionary deflate of trait payloads that still carry text: top
+// keeps raw path data, filter parameters and text strings, and color falls
+// back to whole SVG documents. Payloads are deflated (raw deflate, no zlib
+// wrapper) against a dictionary of the strings those traits keep repeating,
+// so even a short payload finds its text in the dictionary.
+//
+// Dictionaries are trained on the corpus (see train-deflate.js) and stored by
+// ID in deflateDictionaries.json. A third of the corpus files, picked by a
+// hash of their names, is held out of training: the savings on those files
+// are what a new file can expect, and a trait whose held-out files barely
+// shrink gets no dictionary. A blob records the ID of the dictionary set in
+// its header, so a released set must never change: retraining adds a new ID,
+// and the highest ID is the one new blobs use.
+const DICTIONARY_SETS = require('./deflateDictionaries.json');
+
+// Dictionary set written into new blobs (0 until a set is trained)
+const CURRENT_DICTIONARY_SET = Math.max(0, ...Object.keys(DICTIONARY_SETS).map(Number));
+
+// Traits dictionaries are trained for
+const TEXT_TRAITS = ['top', 'color'];
+
+// Dictionary size and the length of the substrings it is built from
+const DICTIONARY_SIZE = 4096;
+const SAMPLE_LENGTH = 12;
+
+// One in HOLD_OUT files is kept out of training
+const HOLD_OUT = 3;
+
+// Share of the held-out bytes a dictionary must save to be kept
+const MIN_SAVING = 0.05;
+
+// Whether a corpus file is held out of dictionary training. Only the name
+// without its extension counts, so an SVG and its blob fall on the same side.
+function isHeldOut(file) {
+  const name = path.parse(file).name;
+  let hash = 0x811c9dc5; // FNV-1a
+  for (const byte of Buffer.from(name, 'utf8')) {
+    hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+  }
+  return hash % HOLD_OUT === 0;
+}
+
+// Build a preset dictionary from training payloads: the longest runs that
+// recur across payloads, highest scoring last (deflate reaches the end of the
+// dictionary with the shortest distances)
+function trainDictionary(payloads, size = DICTIONARY_SIZE) {
+  // Payloads each substring of SAMPLE_LENGTH bytes occurs in
+  const documents = new Map();
+  payloads.forEach((payload, index) => {
+    const text = payload.toString('latin1');
+    for (let i = 0; i + SAMPLE_LENGTH <= text.length; i++) {
+      const sample = text.slice(i, i + SAMPLE_LENGTH);
+      if (!documents.has(sample)) documents.set(sample, new Set());
+      documents.get(sample).add(index);
+    }
+  });
+
+  // Runs of overlapping samples that recur, scored by length and the fewest
+  // payloads any of their samples is found in
+  const runs = new Map();
+  for (const payload of payloads) {
+    const text = payload.toString('latin1');
+    let start = -1;
+    let count = Infinity;
+    for (let i = 0; i + SAMPLE_LENGTH <= text.length + 1; i++) {
+      const recurs = i + SAMPLE_LENGTH <= text.length && documents.get(text.slice(i, i + SAMPLE_LENGTH)).size > 1;
+      if (recurs) {
+        if (start === -1) start = i;
+        count = Math.min(count, documents.get(text.slice(i, i + SAMPLE_LENGTH)).size);
+      } else if (start !== -1) {
+        const run = text.slice(start, i - 1 + SAMPLE_LENGTH);
+        runs.set(run, Math.max(runs.get(run) || 0, count * run.length));
+        start = -1;
+        count = Infinity;
+      }
+    }
+  }
+
+  const chosen = [];
+  let length = 0;
+  for (const [run] of [...runs].sort((a, b) => b[1] - a[1])) {
+    if (length + run.length > size) continue;
+    if (chosen.some(kept => kept.includes(run))) continue;
+    chosen.push(run);
+    length += run.length;
+  }
+
+  return Buffer.from(chosen.reverse().join(''), 'latin1');
+}
+
+const dictionaryCache = {};
+
+// Whether a dictionary set has a dictionary for a trait
+function hasDictionary(traitType, dictionarySet = CURRENT_DICTIONARY_SET) {
+  return Boolean(DICTIONARY_SETS[dictionarySet] && DICTIONARY_SETS[dictionarySet][traitType]);
+}
+
+// Dictionary of a trait in a dictionary set
+function getDictionary(dictionarySet, traitType) {
+  const key = `${dictionarySet}:${traitType}`;
+  if (dictionaryCache[key]) return dictionaryCache[key];
+
+  if (!DICTIONARY_SETS[dictionarySet]) {
+    throw new Error(`Unknown deflate dictionary set ${dictionarySet} (latest is ${CURRENT_DICTIONARY_SET})`);
+  }
+  if (!DICTIONARY_SETS[dictionarySet][traitType]) {
+    throw new Error(`Deflate dictionary set ${dictionarySet} has no ${traitType} dictionary`);
+  }
+
+  dictionaryCache[key] = Buffer.from(DICTIONARY_SETS[dictionarySet][traitType], 'base64');
+  return dictionaryCache[key];
+}
+
+// Deflate a trait payload against the dictionary of a set
+function deflatePayload(payload, traitType, dictionarySet = CURRENT_DICTIONARY_SET) {
+  return zlib.deflateRawSync(payload, {
+    level: zlib.constants.Z_BEST_COMPRESSION,
+    dictionary: getDictionary(dictionarySet, traitType)
+  });
+}
+
+// Inflate a payload deflated against the dictionary of a set
+function inflatePayload(buffer, traitType, dictionarySet) {
+  const dictionary = getDictionary(dictionarySet, traitType);
+  try {
+    return zlib.inflateRawSync(buffer, { dictionary });
+  } catch (error) {
+    throw new Error(`Invalid deflated payload: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CURRENT_DICTIONARY_SET,
+  DICTIONARY_SETS,
+  TEXT_TRAITS,
+  MIN_SAVING,
+  isHeldOut,
+  trainDictionary,
+  hasDictionary,
+  deflatePayload,
+  inflatePayload
+};
@@ -0,0 +1,119 @@
+const { childElements, tagName } = require('./svg');
+
+// ID handling for decoded traits that share one document: prefixing a
+// trait's IDs so they can't collide, and merging definitions that turned out
+// identical across traits
+
+// Definitions the merge pass compares
+const MERGEABLE = ['filter', 'linearGradient', 'radialGradient'];
+
+const URL_REFERENCE = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g;
+
+// Prefix every ID in decoded SVG markup, along with the url(#id) and href
+// references to it. Works on the markup text so output without a prefix is
+// left byte for byte as the decoder wrote it.
+function prefixIds(svgString, prefix) {
+  if (!prefix) return svgString;
+
+  const ids = new Set();
+  for (const match of svgString.matchAll(/\sid\s*=\s*(["'])(.*?)\1/g)) {
+    ids.add(match[2]);
+  }
+  if (ids.size === 0) return svgString;
+
+  const rename = id => ids.has(id) ? `${prefix}${id}` : id;
+
+  return svgString
+    .replace(/(\sid\s*=\s*)(["'])(.*?)\2/g, (match, name, quote, id) => `${name}${quote}${rename(id)}${quote}`)
+    .replace(/(\s(?:xlink:)?href\s*=\s*)(["'])#(.*?)\2/g, (match, name, quote, id) => `${name}${quote}#${rename(id)}${quote}`)
+    .replace(URL_REFERENCE, (match, quote, id) => `url(${quote}#${rename(id)}${quote})`);
+}
+
+// Point url(#id) and href references under an element at renamed IDs
+function rewriteReferences(el, rename) {
+  for (let i = 0; i < el.attributes.length; i++) {
+    const attribute = el.attributes[i];
+    let value = attribute.value;
+
+    if ((attribute.name === 'href' || attribute.name === 'xlink:href') && value.startsWith('#')) {
+      value = `#${rename(value.slice(1))}`;
+    } else if (attribute.name !== 'id') {
+      value = value.replace(URL_REFERENCE, (match, quote, id) => `url(${quote}#${rename(id)}${quote})`);
+    }
+
+    if (value !== attribute.value) el.setAttribute(attribute.name, value);
+  }
+  childElements(el).forEach(child => rewriteReferences(child, rename));
+}
+
+// Markup-independent key of a definition: tag, attributes other than its ID
+// in name order, then its children and text, so attribute order and
+// whitespace don't keep identical definitions apart
+function structuralKey(el) {
+  const attributes = [];
+  for (let i = 0; i < el.attributes.length; i++) {
+    const { name, value } = el.attributes[i];
+    if (name !== 'id') attributes.push(`${name}=${JSON.stringify(value.trim())}`);
+  }
+  attributes.sort();
+
+  const children = [];
+  for (let node = el.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1) {
+      children.push(structuralKey(node));
+    } else if ((node.nodeType === 3 || node.nodeType === 4) && node.data.trim()) {
+      children.push(JSON.stringify(node.data.trim()));
+    }
+  }
+
+  return `<${tagName(el)} ${attributes.join(' ')}>${children.join('')}</>`;
+}
+
+// Drop filters and gradients in a shared <defs> that repeat an earlier one,
+// pointing every reference in the document at the one kept. Repeats until
+// nothing changes, since gradients that href merged templates only become
+// identical once their hrefs are rewritten. Returns a map of removed IDs to
+// the IDs now used in their place.
+function mergeDefs(defs) {
+  let root = defs;
+  while (root.parentNode && root.parentNode.nodeType === 1) root = root.parentNode;
+
+  const merged = new Map();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const kept = new Map();
+    const renames = new Map();
+
+    for (const el of childElements(defs)) {
+      const id = el.getAttribute('id');
+      if (!id || !MERGEABLE.includes(tagName(el))) continue;
+
+      const key = structuralKey(el);
+      if (kept.has(key)) {
+        renames.set(id, kept.get(key));
+        defs.removeChild(el);
+      } else {
+        kept.set(key, id);
+      }
+    }
+
+    if (renames.size > 0) {
+      rewriteReferences(root, id => renames.get(id) || id);
+      for (const [from, to] of merged) {
+        if (renames.has(to)) merged.set(from, renames.get(to));
+      }
+      renames.forEach((to, from) => merged.set(from, to));
+      changed = true;
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  prefixIds,
+  rewriteReferences,
+  mergeDefs
+};
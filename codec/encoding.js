@@ -0,0 +1,216 @@
+const { parseColor } = require('./svg');
+
+// Binary primitives shared by every trait codec
+
+// Default canvas size for all traits
+const TARGET_SIZE = 420;
+
+// Encode variable-length integer
+function encodeVarInt(num) {
+  if (num === 0) return Buffer.from([0]);
+
+  const bytes = [];
+  while (num >= 128) {
+    bytes.push((num & 0x7F) | 0x80);
+    num >>>= 7;
+  }
+  bytes.push(num);
+  return Buffer.from(bytes);
+}
+
+// Zigzag encoding for signed values
+function encodeSignedVarInt(num) {
+  const zigzag = (num << 1) ^ (num >> 31);
+  return encodeVarInt(zigzag);
+}
+
+// Decode variable-length integer
+function decodeVarInt(buffer, offset) {
+  let result = 0;
+  let shift = 0;
+  let currentByte;
+  let bytesRead = 0;
+
+  do {
+    if (offset + bytesRead >= buffer.length) {
+      throw new Error(`Buffer overflow when reading varint at offset ${offset}`);
+    }
+
+    currentByte = buffer[offset + bytesRead];
+    result |= (currentByte & 0x7F) << shift;
+    shift += 7;
+    bytesRead++;
+  } while (currentByte & 0x80);
+
+  return {
+    value: result,
+    bytesRead: bytesRead
+  };
+}
+
+// Decode signed integers from zigzag encoding
+function decodeSignedVarInt(buffer, offset) {
+  const { value, bytesRead } = decodeVarInt(buffer, offset);
+  // Convert from zigzag encoding back to signed
+  const decoded = (value >>> 1) ^ (-(value & 1));
+  return {
+    value: decoded,
+    bytesRead: bytesRead
+  };
+}
+
+// Read a string of specified length from buffer
+function readString(buffer, offset, length) {
+  let str = '';
+  for (let i = 0; i < length && offset + i < buffer.length; i++) {
+    str += String.fromCharCode(buffer[offset + i]);
+  }
+  return str;
+}
+
+// Encode a length-prefixed string
+function encodeString(str) {
+  const bytes = Buffer.from(str);
+  return Buffer.concat([encodeVarInt(bytes.length), bytes]);
+}
+
+// Decode a length-prefixed string
+function decodeString(buffer, offset) {
+  const { value: length, bytesRead: lengthBytes } = decodeVarInt(buffer, offset);
+  return {
+    value: readString(buffer, offset + lengthBytes, length),
+    bytesRead: lengthBytes + length
+  };
+}
+
+// Convert a color string (hex, rgb() or named) to hex
+function rgbToHex(color) {
+  if (!color || color === 'none') return 'none';
+
+  const rgb = parseColor(color);
+  if (!rgb) return '000000'; // Default to black
+
+  return rgb.map(c => Math.min(255, Math.max(0, Math.round(c))).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Encode color against a trait color dictionary
+function encodeColor(color, colorDict) {
+  if (!color || color === 'none') return Buffer.from([0]);
+
+  const hex = rgbToHex(color);
+
+  // Use dictionary value if available
+  if (colorDict[hex]) {
+    return Buffer.from([colorDict[hex]]);
+  }
+
+  // Otherwise encode as RGB bytes
+  return Buffer.from([
+    254, // Full color marker
+    parseInt(hex.substring(0, 2), 16),
+    parseInt(hex.substring(2, 4), 16),
+    parseInt(hex.substring(4, 6), 16)
+  ]);
+}
+
+// Decode color from compact representation
+function decodeColor(buffer, offset, colorDict) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading color at offset ${offset}`);
+  }
+
+  const colorCode = buffer[offset];
+
+  // Check if it's a dictionary color
+  if (colorCode < 254 && colorDict[colorCode] !== undefined) {
+    return {
+      color: colorCode === 0 ? 'none' : `#${colorDict[colorCode]}`,
+      bytesRead: 1
+    };
+  }
+
+  // Check if it's a full RGB color
+  if (colorCode === 254) {
+    if (offset + 3 >= buffer.length) {
+      throw new Error(`Buffer overflow when reading RGB color at offset ${offset}`);
+    }
+
+    const r = buffer[offset + 1].toString(16).padStart(2, '0');
+    const g = buffer[offset + 2].toString(16).padStart(2, '0');
+    const b = buffer[offset + 3].toString(16).padStart(2, '0');
+
+    return {
+      color: `#${r}${g}${b}`.toUpperCase(),
+      bytesRead: 4
+    };
+  }
+
+  throw new Error(`Unknown color encoding: ${colorCode} at offset ${offset}`);
+}
+
+// Extract SVG metadata from a parsed <svg> root element
+function extractSVGMetadata(root) {
+  const viewBox = root.getAttribute('viewBox').trim();
+
+  const metadata = {
+    viewBox: `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`, // Default
+    width: TARGET_SIZE,
+    height: TARGET_SIZE
+  };
+
+  if (viewBox) {
+    metadata.viewBox = viewBox;
+    const parts = viewBox.split(/[\s,]+/).map(parseFloat);
+    if (parts.length === 4) {
+      metadata.width = parts[2];
+      metadata.height = parts[3];
+    }
+  }
+
+  return metadata;
+}
+
+// Compress SVG metadata (viewBox record)
+function compressMetadata(viewBox) {
+  const viewBoxBuffer = Buffer.from(viewBox);
+  return Buffer.concat([
+    Buffer.from([0x00]), // Metadata marker
+    encodeVarInt(viewBoxBuffer.length),
+    viewBoxBuffer
+  ]);
+}
+
+// Decompress SVG metadata (viewBox record)
+function decompressMetadata(buffer, offset) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode viewBox length
+  const { value: viewBoxLength, bytesRead: vbLengthBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += vbLengthBytes;
+
+  // Decode viewBox string
+  const viewBox = readString(buffer, currentOffset, viewBoxLength);
+  currentOffset += viewBoxLength;
+
+  return {
+    viewBox: viewBox,
+    bytesRead: currentOffset - offset
+  };
+}
+
+module.exports = {
+  TARGET_SIZE,
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  readString,
+  encodeString,
+  decodeString,
+  rgbToHex,
+  encodeColor,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+};
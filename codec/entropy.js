@@ -0,0 +1,158 @@
+const { encodeVarInt, decodeVarInt } = require('./encoding');
+
+// Entropy coding of trait payloads. The record encoders still write their
+// byte-aligned varints and markers; this stage codes the finished payload
+// byte by byte with rANS against a static frequency table of its trait, so a
+// payload decodes back to the exact bytes the record decoders read.
+//
+// Tables are trained on the corpus (see train-entropy.js) and stored by ID in
+// entropyTables.json. A blob records the ID of the table set it was coded
+// with, so a released table set must never change: retraining adds a new ID,
+// and the highest ID is the one new blobs use.
+//
+// Coded payload layout:
+// - varint table set ID
+// - varint decoded payload length
+// - rANS stream: 4 byte big-endian final state, then renormalization bytes
+const TABLE_SETS = require('./entropyTables.json');
+
+// Table set written into new blobs (0 until a set is trained)
+const CURRENT_TABLE_SET = Math.max(0, ...Object.keys(TABLE_SETS).map(Number));
+
+// Frequencies of a table add up to 1 << PROB_BITS
+const PROB_BITS = 12;
+const PROB_SCALE = 1 << PROB_BITS;
+
+// rANS state stays within [RANS_LOW, RANS_LOW << 8) between symbols
+const RANS_LOW = 1 << 23;
+
+// Scale symbol counts to frequencies that add up to PROB_SCALE, keeping every
+// byte value codable
+function normalizeCounts(counts) {
+  const smoothed = Array.from({ length: 256 }, (_, symbol) => (counts[symbol] || 0) + 1);
+  const total = smoothed.reduce((sum, count) => sum + count, 0);
+  const freqs = smoothed.map(count => Math.max(1, Math.floor(count * PROB_SCALE / total)));
+
+  // Hand the rounding error to the most frequent symbol
+  const error = PROB_SCALE - freqs.reduce((sum, freq) => sum + freq, 0);
+  const largest = freqs.indexOf(Math.max(...freqs));
+  freqs[largest] += error;
+  return freqs;
+}
+
+// Count the byte values of a trait's training payloads into a table
+function trainTable(payloads) {
+  const counts = new Array(256).fill(0);
+  for (const payload of payloads) {
+    for (const byte of payload) counts[byte]++;
+  }
+  return normalizeCounts(counts);
+}
+
+const tableCache = {};
+
+// Coding tables of a trait in a table set: frequencies, cumulative starts and
+// the symbol of every slot
+function getTable(tableSet, traitType) {
+  const key = `${tableSet}:${traitType}`;
+  if (tableCache[key]) return tableCache[key];
+
+  if (!TABLE_SETS[tableSet]) {
+    throw new Error(`Unknown entropy table set ${tableSet} (latest is ${CURRENT_TABLE_SET})`);
+  }
+  const freqs = TABLE_SETS[tableSet][traitType];
+  if (!freqs) {
+    throw new Error(`Entropy table set ${tableSet} has no ${traitType} table`);
+  }
+
+  const starts = new Array(256);
+  const symbols = new Uint8Array(PROB_SCALE);
+  let start = 0;
+  freqs.forEach((freq, symbol) => {
+    starts[symbol] = start;
+    symbols.fill(symbol, start, start + freq);
+    start += freq;
+  });
+  if (start !== PROB_SCALE) {
+    throw new Error(`Entropy table ${tableSet}:${traitType} adds up to ${start}, expected ${PROB_SCALE}`);
+  }
+
+  tableCache[key] = { freqs, starts, symbols };
+  return tableCache[key];
+}
+
+// Entropy code a trait payload
+function encodeEntropy(payload, traitType, tableSet = CURRENT_TABLE_SET) {
+  const { freqs, starts } = getTable(tableSet, traitType);
+
+  // rANS codes back to front, so the decoder reads symbols in order
+  const output = [];
+  let state = RANS_LOW;
+  for (let i = payload.length - 1; i >= 0; i--) {
+    const symbol = payload[i];
+    const freq = freqs[symbol];
+
+    const limit = (RANS_LOW / PROB_SCALE) * 256 * freq;
+    while (state >= limit) {
+      output.push(state & 0xFF);
+      state = Math.floor(state / 256);
+    }
+    state = Math.floor(state / freq) * PROB_SCALE + (state % freq) + starts[symbol];
+  }
+  for (let i = 0; i < 4; i++) {
+    output.push(state & 0xFF);
+    state = Math.floor(state / 256);
+  }
+
+  return Buffer.concat([
+    encodeVarInt(tableSet),
+    encodeVarInt(payload.length),
+    Buffer.from(output.reverse())
+  ]);
+}
+
+// Decode an entropy coded trait payload
+function decodeEntropy(buffer, traitType) {
+  let offset = 0;
+  const { value: tableSet, bytesRead: tableBytes } = decodeVarInt(buffer, offset);
+  offset += tableBytes;
+  const { value: length, bytesRead: lengthBytes } = decodeVarInt(buffer, offset);
+  offset += lengthBytes;
+
+  const { freqs, starts, symbols } = getTable(tableSet, traitType);
+
+  if (offset + 4 > buffer.length) {
+    throw new Error('Invalid entropy coded payload: missing rANS state');
+  }
+  let state = buffer.readUInt32BE(offset);
+  offset += 4;
+
+  const payload = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    const slot = state % PROB_SCALE;
+    const symbol = symbols[slot];
+    payload[i] = symbol;
+
+    state = freqs[symbol] * Math.floor(state / PROB_SCALE) + slot - starts[symbol];
+    while (state < RANS_LOW) {
+      if (offset >= buffer.length) {
+        throw new Error(`Invalid entropy coded payload: stream ends after ${i + 1} of ${length} bytes`);
+      }
+      state = state * 256 + buffer[offset++];
+    }
+  }
+
+  if (state !== RANS_LOW || offset !== buffer.length) {
+    throw new Error('Invalid entropy coded payload: stream does not end where its length says');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  CURRENT_TABLE_SET,
+  TABLE_SETS,
+  trainTable,
+  encodeEntropy,
+  decodeEntropy
+};
@@ -0,0 +1,322 @@
+const {
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  encodeString,
+  decodeString
+} = require('./encoding');
+const { childElements, tagName } = require('./svg');
+
+// Generic filter graph codec: a <filter> element and everything inside it
+// (primitives, their children such as feMergeNode, feFunc* and animations)
+// as a tree of elements with typed attribute values. Tags, attribute names
+// and keywords that appear in the tables below take one byte; anything else
+// is stored as text, so new primitives and attributes still round-trip.
+//
+// Element: tag code, attribute count, attributes, child count, children
+// Attribute: name code, value kind byte, value
+// Unknown tags and attribute names: UNLISTED code followed by the string
+
+// Element tags by code
+const TAGS = [
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA',
+  'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+  'feTurbulence', 'animate', 'set', 'animateTransform'
+];
+
+// Attribute names by code
+const ATTRIBUTES = [
+  'id', 'x', 'y', 'width', 'height', 'filterUnits', 'primitiveUnits', 'color-interpolation-filters',
+  'in', 'in2', 'result', 'type', 'values', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4',
+  'stdDeviation', 'edgeMode', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'scale',
+  'xChannelSelector', 'yChannelSelector', 'dx', 'dy', 'flood-color', 'flood-opacity', 'radius',
+  'order', 'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY', 'preserveAlpha',
+  'surfaceScale', 'diffuseConstant', 'specularConstant', 'specularExponent', 'kernelUnitLength',
+  'lighting-color', 'azimuth', 'elevation', 'z', 'pointsAtX', 'pointsAtY', 'pointsAtZ',
+  'limitingConeAngle', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent', 'offset',
+  'href', 'xlink:href', 'preserveAspectRatio', 'attributeName', 'keyTimes', 'keySplines', 'dur',
+  'begin', 'end', 'repeatCount', 'from', 'to', 'by', 'calcMode', 'fill'
+];
+
+// Keyword attribute values by code
+const KEYWORDS = [
+  'SourceGraphic', 'SourceAlpha', 'BackgroundImage', 'BackgroundAlpha', 'FillPaint', 'StrokePaint',
+  'matrix', 'saturate', 'hueRotate', 'luminanceToAlpha', 'identity', 'table', 'discrete', 'linear',
+  'gamma', 'fractalNoise', 'turbulence', 'stitch', 'noStitch', 'R', 'G', 'B', 'A',
+  'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity',
+  'over', 'in', 'out', 'atop', 'xor', 'arithmetic', 'duplicate', 'wrap', 'none', 'erode', 'dilate',
+  'userSpaceOnUse', 'objectBoundingBox', 'auto', 'sRGB', 'linearRGB', 'indefinite', 'freeze',
+  'remove', 'true', 'false'
+];
+
+// Code of a tag or attribute name missing from its table
+const UNLISTED = 0xFF;
+
+// Attribute value kinds, in the low bits of the kind byte
+const KIND_MASK = 0x03;
+const VALUE_STRING = 0;
+const VALUE_KEYWORD = 1;
+const VALUE_RESULT = 2; // Index into the result names defined so far
+const VALUE_NUMBERS = 3;
+
+// Number lists keep their decimals and list style in the rest of the kind
+// byte; a single number has no count
+const DECIMALS_SHIFT = 2;
+const DECIMALS_MASK = 0x07;
+const PERCENT_BIT = 0x20;
+const SEMICOLON_BIT = 0x40;
+const SINGLE_BIT = 0x80;
+
+// Most decimals kept for numbers; values that need more are stored as text
+const MAX_DECIMALS = 6;
+
+// Largest scaled number the signed varint helpers carry
+const MAX_SCALED = 2 ** 30;
+
+// Attributes that name the output of an earlier primitive
+const REFERENCE_ATTRIBUTES = new Set(['in', 'in2']);
+
+// Attributes whose values are names, kept as text even when they look like
+// numbers ("007" or "1e3" would not come back as written)
+const NAME_ATTRIBUTES = new Set(['id', 'result', 'href', 'xlink:href']);
+
+const NUMBER = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?$/;
+
+// Fewest decimals (up to MAX_DECIMALS) that represent every number exactly,
+// or -1 when some number needs more
+function listDecimals(numbers) {
+  for (let decimals = 0; decimals <= MAX_DECIMALS; decimals++) {
+    const factor = 10 ** decimals;
+    const exact = numbers.every(value => {
+      const scaled = Math.round(value * factor);
+      return Math.abs(scaled) < MAX_SCALED && Math.abs(scaled / factor - value) < 1e-9;
+    });
+    if (exact) return decimals;
+  }
+  return -1;
+}
+
+// Encode a number list value ("4", "0.02 0.03", "50%", "0; 0.2; 1"), or
+// return null when the value isn't one
+function encodeNumbers(value) {
+  const text = value.trim();
+  const semicolon = text.includes(';');
+  const tokens = text.split(semicolon ? /\s*;\s*/ : /[\s,]+/);
+
+  const percent = tokens.every(token => token.endsWith('%'));
+  const numbers = tokens.map(token => percent ? token.slice(0, -1) : token);
+  if (!numbers.every(token => NUMBER.test(token))) return null;
+
+  const values = numbers.map(Number);
+  const decimals = listDecimals(values);
+  if (decimals === -1) return null;
+
+  const single = values.length === 1;
+  const kind = VALUE_NUMBERS | (decimals << DECIMALS_SHIFT) |
+    (percent ? PERCENT_BIT : 0) | (semicolon ? SEMICOLON_BIT : 0) | (single ? SINGLE_BIT : 0);
+
+  return Buffer.concat([
+    Buffer.from([kind]),
+    single ? Buffer.alloc(0) : encodeVarInt(values.length),
+    ...values.map(number => encodeSignedVarInt(Math.round(number * 10 ** decimals)))
+  ]);
+}
+
+// Encode an attribute value with the most compact kind that keeps it
+function encodeValue(name, value, results) {
+  if (REFERENCE_ATTRIBUTES.has(name) && results.includes(value)) {
+    return Buffer.concat([Buffer.from([VALUE_RESULT]), encodeVarInt(results.indexOf(value))]);
+  }
+
+  const keyword = KEYWORDS.indexOf(value);
+  if (keyword !== -1) {
+    return Buffer.from([VALUE_KEYWORD, keyword]);
+  }
+
+  // Names stay text; result names are also referenced by index later
+  const numbers = NAME_ATTRIBUTES.has(name) ? null : encodeNumbers(value);
+  if (numbers) return numbers;
+
+  return Buffer.concat([Buffer.from([VALUE_STRING]), encodeString(value)]);
+}
+
+// Encode a tag or attribute name as its table code, or UNLISTED and the string
+function encodeName(name, table) {
+  const code = table.indexOf(name);
+  return code === -1
+    ? Buffer.concat([Buffer.from([UNLISTED]), encodeString(name)])
+    : Buffer.from([code]);
+}
+
+// Attributes of an element in document order, without namespace declarations
+function elementAttributes(el) {
+  const attributes = [];
+  for (let i = 0; i < el.attributes.length; i++) {
+    const { name, value } = el.attributes[i];
+    if (name !== 'xmlns' && !name.startsWith('xmlns:')) attributes.push({ name, value });
+  }
+  return attributes;
+}
+
+// Encode an element and its subtree. `results` collects the result names
+// defined so far, in document order.
+function encodeElement(el, results) {
+  const attributes = elementAttributes(el);
+  const children = childElements(el);
+
+  const parts = [encodeName(tagName(el), TAGS), encodeVarInt(attributes.length)];
+
+  for (const { name, value } of attributes) {
+    parts.push(encodeName(name, ATTRIBUTES), encodeValue(name, value, results));
+    if (name === 'result') results.push(value);
+  }
+
+  parts.push(encodeVarInt(children.length));
+  for (const child of children) {
+    parts.push(encodeElement(child, results));
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Encode a <filter> element with its whole primitive graph
+function encodeFilter(filter) {
+  if (tagName(filter) !== 'filter') {
+    throw new Error(`Expected a <filter> element, got <${tagName(filter)}>`);
+  }
+  return encodeElement(filter, []);
+}
+
+// Escape text for use inside a double-quoted attribute value
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+// Decode a tag or attribute name
+function decodeName(buffer, offset, table, what) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading filter ${what} at offset ${offset}`);
+  }
+
+  if (buffer[offset] === UNLISTED) {
+    const { value, bytesRead } = decodeString(buffer, offset + 1);
+    return { name: value, bytesRead: 1 + bytesRead };
+  }
+
+  const name = table[buffer[offset]];
+  if (name === undefined) {
+    throw new Error(`Invalid filter ${what} code ${buffer[offset]} at offset ${offset}`);
+  }
+  return { name, bytesRead: 1 };
+}
+
+// Decode an attribute value
+function decodeValue(buffer, offset, results) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading filter attribute value at offset ${offset}`);
+  }
+
+  let currentOffset = offset + 1;
+  const read = decode => {
+    const { value, bytesRead } = decode(buffer, currentOffset);
+    currentOffset += bytesRead;
+    return value;
+  };
+
+  const kind = buffer[offset];
+  let value;
+  switch (kind & KIND_MASK) {
+    case VALUE_STRING:
+      value = read(decodeString);
+      break;
+
+    case VALUE_KEYWORD:
+      value = KEYWORDS[buffer[currentOffset++]];
+      if (value === undefined) {
+        throw new Error(`Invalid filter keyword code ${buffer[currentOffset - 1]} at offset ${currentOffset - 1}`);
+      }
+      break;
+
+    case VALUE_RESULT: {
+      const index = read(decodeVarInt);
+      if (index >= results.length) {
+        throw new Error(`Filter result reference ${index} at offset ${offset} names no earlier result`);
+      }
+      value = results[index];
+      break;
+    }
+
+    default: { // VALUE_NUMBERS
+      const decimals = (kind >> DECIMALS_SHIFT) & DECIMALS_MASK;
+      const count = kind & SINGLE_BIT ? 1 : read(decodeVarInt);
+      const numbers = [];
+      for (let i = 0; i < count; i++) {
+        const number = read(decodeSignedVarInt) / 10 ** decimals;
+        numbers.push(String(Number(number.toFixed(decimals))) + (kind & PERCENT_BIT ? '%' : ''));
+      }
+      value = numbers.join(kind & SEMICOLON_BIT ? '; ' : ' ');
+      break;
+    }
+  }
+
+  return { value, bytesRead: currentOffset - offset };
+}
+
+// Decode an element and its subtree into markup
+function decodeElement(buffer, offset, results) {
+  let currentOffset = offset;
+  const read = decode => {
+    const result = decode(buffer, currentOffset);
+    currentOffset += result.bytesRead;
+    return result;
+  };
+
+  const { name: tag } = read((b, o) => decodeName(b, o, TAGS, 'tag'));
+  const { value: attributeCount } = read(decodeVarInt);
+
+  const attributes = {};
+  let markup = `<${tag}`;
+  for (let i = 0; i < attributeCount; i++) {
+    const { name } = read((b, o) => decodeName(b, o, ATTRIBUTES, 'attribute'));
+    const { value } = read((b, o) => decodeValue(b, o, results));
+    if (name === 'result') results.push(value);
+    attributes[name] = value;
+    markup += ` ${name}="${escapeAttribute(value)}"`;
+  }
+
+  const { value: childCount } = read(decodeVarInt);
+  if (childCount === 0) {
+    markup += '/>';
+  } else {
+    markup += '>';
+    for (let i = 0; i < childCount; i++) {
+      markup += read((b, o) => decodeElement(b, o, results)).element;
+    }
+    markup += `</${tag}>`;
+  }
+
+  return {
+    element: markup,
+    attributes,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decode a filter graph into <filter> markup
+function decodeFilter(buffer, offset) {
+  const { element, attributes, bytesRead } = decodeElement(buffer, offset, []);
+  return {
+    element,
+    id: attributes.id || null,
+    bytesRead
+  };
+}
+
+module.exports = {
+  encodeFilter,
+  decodeFilter
+};
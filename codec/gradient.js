@@ -0,0 +1,319 @@
+const {
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  encodeString,
+  decodeString,
+  encodeColor,
+  decodeColor
+} = require('./encoding');
+const { childElements, tagName, readDeclarations, parseOpacity, urlReference } = require('./svg');
+const { parseTransform, isIdentity, encodeMatrix, decodeMatrix, formatMatrix } = require('./transform');
+
+// Shared gradient codec. A blob stores its gradients once, as a table, and
+// paints refer to them by position in that table instead of by ID text.
+//
+// Table: gradient count, then per gradient
+//   flags byte (FLAGS below), ID string, href table index (HREF_BIT),
+//   geometry, matrix (TRANSFORM_BIT), stop count, stops
+// Geometry: presence mask, percent mask, decimals byte, then one scaled
+//   signed varint per present attribute (only the mask when none are set)
+// Stop: offset x OFFSET_SCALE shifted left by one, with the low bit set when
+//   a stop-opacity x 1000 follows, then the stop color
+
+const RADIAL_BIT = 0x01;
+const TRANSFORM_BIT = 0x02;
+const HREF_BIT = 0x04;
+const UNITS_SHIFT = 3; // 2 bits: index into UNITS
+const SPREAD_SHIFT = 5; // 2 bits: index into SPREAD_METHODS
+const XLINK_BIT = 0x80; // The href was written as xlink:href
+
+// Absent attributes take code 0, so inherited values stay inherited
+const UNITS = [null, 'objectBoundingBox', 'userSpaceOnUse'];
+const SPREAD_METHODS = [null, 'pad', 'reflect', 'repeat'];
+
+// Geometry attributes per gradient type, in mask bit order
+const GEOMETRY = {
+  linearGradient: ['x1', 'y1', 'x2', 'y2'],
+  radialGradient: ['cx', 'cy', 'r', 'fx', 'fy', 'fr']
+};
+
+// Most decimals kept for geometry values
+const MAX_DECIMALS = 6;
+
+// Largest scaled value the signed varint helpers carry
+const MAX_SCALED = 2 ** 30;
+
+// Stop offsets are kept to 1/OFFSET_SCALE of the gradient vector
+const OFFSET_SCALE = 10000;
+
+// Color code of a gradient reference (254 is full RGB, lower codes the palette)
+const GRADIENT_CODE = 255;
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// All gradients of a document in document order
+function findGradients(root) {
+  const found = [];
+  for (const el of childElements(root)) {
+    if (GEOMETRY[tagName(el)]) found.push(el);
+    found.push(...findGradients(el));
+  }
+  return found;
+}
+
+// Fewest decimals that keep every value exact, else the most that still fit
+function geometryDecimals(values) {
+  let fitting = 0;
+  for (let decimals = 0; decimals <= MAX_DECIMALS; decimals++) {
+    const factor = 10 ** decimals;
+    if (!values.every(value => Math.abs(value * factor) < MAX_SCALED)) break;
+    fitting = decimals;
+    if (values.every(value => Math.abs(Math.round(value * factor) / factor - value) < 1e-9)) break;
+  }
+  return fitting;
+}
+
+// Encode the geometry attributes a gradient sets
+function encodeGeometry(gradient, names) {
+  let presence = 0;
+  let percents = 0;
+  const values = [];
+
+  names.forEach((name, bit) => {
+    const text = gradient.getAttribute(name).trim();
+    const value = parseFloat(text);
+    if (!text || isNaN(value)) return;
+
+    presence |= 1 << bit;
+    if (text.endsWith('%')) percents |= 1 << bit;
+    values.push(value);
+  });
+
+  if (!presence) return Buffer.from([0]);
+
+  const decimals = geometryDecimals(values);
+  return Buffer.concat([
+    Buffer.from([presence, percents, decimals]),
+    ...values.map(value => encodeSignedVarInt(Math.round(value * 10 ** decimals)))
+  ]);
+}
+
+// Decode geometry attributes into markup
+function decodeGeometry(buffer, offset, names) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading gradient geometry at offset ${offset}`);
+  }
+
+  const presence = buffer[offset];
+  if (!presence) return { markup: '', bytesRead: 1 };
+
+  const percents = buffer[offset + 1];
+  const decimals = buffer[offset + 2];
+  let currentOffset = offset + 3;
+  let markup = '';
+
+  names.forEach((name, bit) => {
+    if (!(presence & (1 << bit))) return;
+
+    const { value, bytesRead } = decodeSignedVarInt(buffer, currentOffset);
+    currentOffset += bytesRead;
+
+    const number = Number((value / 10 ** decimals).toFixed(decimals));
+    markup += ` ${name}="${number}${percents & (1 << bit) ? '%' : ''}"`;
+  });
+
+  return { markup, bytesRead: currentOffset - offset };
+}
+
+// Offset of a stop as a fraction of the gradient vector, clamped like SVG does
+function stopOffset(stop) {
+  const text = (stop.getAttribute('offset') || '0').trim();
+  const value = parseFloat(text) || 0;
+  return Math.min(1, Math.max(0, text.endsWith('%') ? value / 100 : value));
+}
+
+// Encode the stops of a gradient
+function encodeStops(gradient, palette) {
+  const stops = childElements(gradient).filter(child => tagName(child) === 'stop');
+  const parts = [encodeVarInt(stops.length)];
+
+  for (const stop of stops) {
+    const declarations = readDeclarations(stop);
+    const offset = Math.round(stopOffset(stop) * OFFSET_SCALE);
+    const hasOpacity = declarations['stop-opacity'] !== undefined &&
+      parseOpacity(declarations['stop-opacity']) !== 1;
+
+    parts.push(encodeVarInt(offset * 2 + (hasOpacity ? 1 : 0)));
+    if (hasOpacity) {
+      parts.push(encodeVarInt(Math.round(parseOpacity(declarations['stop-opacity']) * 1000)));
+    }
+    parts.push(encodeColor(declarations['stop-color'] || '#000000', palette.codes));
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Decode gradient stops into markup
+function decodeStops(buffer, offset, palette) {
+  let currentOffset = offset;
+  const read = decode => {
+    const result = decode(buffer, currentOffset);
+    currentOffset += result.bytesRead;
+    return result;
+  };
+
+  const { value: stopCount } = read(decodeVarInt);
+  let markup = '';
+
+  for (let i = 0; i < stopCount; i++) {
+    const { value: packed } = read(decodeVarInt);
+    const percent = Number(((packed >> 1) / OFFSET_SCALE * 100).toFixed(2));
+    const opacity = packed & 1 ? read(decodeVarInt).value / 1000 : null;
+    const { color } = read((b, o) => decodeColor(b, o, palette.lookup));
+
+    markup += `<stop offset="${percent}%" stop-color="${color}"`;
+    if (opacity !== null) markup += ` stop-opacity="${opacity}"`;
+    markup += '/>';
+  }
+
+  return { markup, bytesRead: currentOffset - offset };
+}
+
+// Encode gradients as a table. Returns the encoded table and the gradient
+// IDs in table order, which paint references index into.
+function encodeGradients(gradients, palette) {
+  const ids = gradients.map(gradient => gradient.getAttribute('id'));
+  const parts = [encodeVarInt(gradients.length)];
+
+  for (const gradient of gradients) {
+    const tag = tagName(gradient);
+    const units = UNITS.indexOf(gradient.getAttribute('gradientUnits').trim() || null);
+    const spread = SPREAD_METHODS.indexOf(gradient.getAttribute('spreadMethod').trim() || null);
+    const matrix = parseTransform(gradient.getAttribute('gradientTransform'));
+    const xlink = !gradient.hasAttribute('href') && gradient.hasAttribute('xlink:href');
+    const href = gradient.getAttribute(xlink ? 'xlink:href' : 'href').trim();
+
+    if (units === -1 || spread === -1) {
+      throw new Error(`Gradient ${gradient.getAttribute('id')} has an invalid gradientUnits or spreadMethod`);
+    }
+
+    let hrefIndex = -1;
+    if (href) {
+      hrefIndex = href.startsWith('#') ? ids.indexOf(href.slice(1)) : -1;
+      if (hrefIndex === -1) {
+        throw new Error(`Gradient ${gradient.getAttribute('id')} links to ${href}, which is not a gradient in this SVG`);
+      }
+    }
+
+    const flags = (tag === 'radialGradient' ? RADIAL_BIT : 0) |
+      (isIdentity(matrix) ? 0 : TRANSFORM_BIT) |
+      (hrefIndex !== -1 ? HREF_BIT : 0) |
+      (units << UNITS_SHIFT) |
+      (spread << SPREAD_SHIFT) |
+      (xlink ? XLINK_BIT : 0);
+
+    parts.push(Buffer.from([flags]), encodeString(gradient.getAttribute('id')));
+    if (hrefIndex !== -1) parts.push(encodeVarInt(hrefIndex));
+    parts.push(encodeGeometry(gradient, GEOMETRY[tag]));
+    if (!isIdentity(matrix)) parts.push(encodeMatrix(matrix));
+    parts.push(encodeStops(gradient, palette));
+  }
+
+  return { buffer: Buffer.concat(parts), ids };
+}
+
+// Decode a gradient table. Returns the gradient elements as markup (without
+// a <defs> wrapper) and the IDs in table order.
+function decodeGradients(buffer, offset, palette) {
+  let currentOffset = offset;
+  const read = decode => {
+    const result = decode(buffer, currentOffset);
+    currentOffset += result.bytesRead;
+    return result;
+  };
+
+  const { value: count } = read(decodeVarInt);
+  const records = [];
+
+  for (let i = 0; i < count; i++) {
+    if (currentOffset >= buffer.length) {
+      throw new Error(`Buffer overflow when reading gradient ${i} at offset ${currentOffset}`);
+    }
+    const flags = buffer[currentOffset++];
+    const tag = flags & RADIAL_BIT ? 'radialGradient' : 'linearGradient';
+    const { value: id } = read(decodeString);
+    const hrefIndex = flags & HREF_BIT ? read(decodeVarInt).value : -1;
+    const { markup: geometry } = read((b, o) => decodeGeometry(b, o, GEOMETRY[tag]));
+    const matrix = flags & TRANSFORM_BIT ? read(decodeMatrix).matrix : null;
+    const { markup: stops } = read((b, o) => decodeStops(b, o, palette));
+
+    records.push({ flags, tag, id, hrefIndex, geometry, matrix, stops });
+  }
+
+  const ids = records.map(record => record.id);
+  const elements = records.map(({ flags, tag, id, hrefIndex, geometry, matrix, stops }) => {
+    if (hrefIndex >= ids.length) {
+      throw new Error(`Gradient ${id} links to table entry ${hrefIndex} of ${ids.length}`);
+    }
+
+    let markup = `<${tag}`;
+    if (id) markup += ` id="${id}"`;
+    markup += geometry;
+
+    const units = UNITS[(flags >> UNITS_SHIFT) & 0x03];
+    const spread = SPREAD_METHODS[(flags >> SPREAD_SHIFT) & 0x03];
+    if (units) markup += ` gradientUnits="${units}"`;
+    if (spread) markup += ` spreadMethod="${spread}"`;
+    if (matrix) markup += ` gradientTransform="${formatMatrix(matrix)}"`;
+    if (hrefIndex !== -1) {
+      markup += flags & XLINK_BIT
+        ? ` xmlns:xlink="${XLINK_NS}" xlink:href="#${ids[hrefIndex]}"`
+        : ` href="#${ids[hrefIndex]}"`;
+    }
+
+    return stops ? `${markup}>${stops}</${tag}>` : `${markup}/>`;
+  });
+
+  return { elements, ids, bytesRead: currentOffset - offset };
+}
+
+// Encode a fill or stroke: a gradient reference as its table index, anything
+// else as a palette color
+function encodePaint(paint, palette, gradientIds) {
+  const gradientId = urlReference(paint);
+  if (gradientId) {
+    const index = gradientIds.indexOf(gradientId);
+    if (index === -1) {
+      throw new Error(`Paint references unknown gradient #${gradientId}`);
+    }
+    return Buffer.concat([Buffer.from([GRADIENT_CODE]), encodeVarInt(index)]);
+  }
+
+  return encodeColor(paint, palette.codes);
+}
+
+// Decode a paint written by encodePaint
+function decodePaint(buffer, offset, palette, gradientIds) {
+  if (buffer[offset] === GRADIENT_CODE) {
+    const { value: index, bytesRead } = decodeVarInt(buffer, offset + 1);
+    if (index >= gradientIds.length) {
+      throw new Error(`Gradient reference ${index} at offset ${offset} is outside the ${gradientIds.length} entry table`);
+    }
+    return {
+      color: `url(#${gradientIds[index]})`,
+      bytesRead: 1 + bytesRead
+    };
+  }
+
+  return decodeColor(buffer, offset, palette.lookup);
+}
+
+module.exports = {
+  findGradients,
+  encodeGradients,
+  decodeGradients,
+  encodePaint,
+  decodePaint
+};
@@ -0,0 +1,197 @@
+const { encodeVarInt, decodeVarInt, encodeString, decodeString } = require('./encoding');
+const { readDeclarations, parseOpacity, renderedElements, urlReference } = require('./svg');
+const { parseTransform, isIdentity, encodeMatrix, decodeMatrix, formatMatrix } = require('./transform');
+const { encodePaint, decodePaint } = require('./gradient');
+
+// Group tree of a trait: the <g> elements its drawn elements sit in, with
+// their transforms and the opacity, fill and filter they set, and the
+// transform of each drawn element. Trait records stay flat; the tree is one
+// extra record placing each element record (in record order) in a group.
+//
+// Record: group count, groups, placement count, placements
+// Group: parent (0 for the root, else group index + 1), flags byte, then
+//   the matrix, opacity x 1000, fill paint and filter reference its flags name
+// Filter reference: filter table index + 1, or 0 and the ID text
+// Placement: (group, as for parents) << 1 | has matrix, then the matrix
+
+const MATRIX_BIT = 0x01;
+const OPACITY_BIT = 0x02;
+const FILL_BIT = 0x04;
+const FILTER_BIT = 0x08;
+
+// Drawn elements as renderedElements lists them, but with opacity relative
+// to their group: group opacity is kept on the group itself when the tree
+// is encoded, so folding it into the elements too would apply it twice
+function localElements(root) {
+  const rootOpacity = parseOpacity(readDeclarations(root).opacity);
+  return renderedElements(root).map(item => ({
+    ...item,
+    opacity: rootOpacity * parseOpacity(item.style.opacity)
+  }));
+}
+
+// Group elements between an element and the root, outermost first
+function ancestorGroups(el, root) {
+  const groups = [];
+  for (let node = el.parentNode; node && node !== root; node = node.parentNode) {
+    groups.unshift(node);
+  }
+  return groups;
+}
+
+// Encode the group tree of the given elements, listed in the order their
+// records are written. Returns null when there are no groups or transforms
+// to keep. Fills index the gradient table and filters the filter IDs.
+function encodeGroups(root, items, { palette, gradientIds = [], filterIds = [] }) {
+  const groupEls = [];
+  const placements = items.map(({ el }) => {
+    let parent = 0;
+    for (const group of ancestorGroups(el, root)) {
+      if (!groupEls.includes(group)) groupEls.push(group);
+      parent = groupEls.indexOf(group) + 1;
+    }
+    return { parent, matrix: parseTransform(el.getAttribute('transform')) };
+  });
+
+  if (groupEls.length === 0 && placements.every(({ matrix }) => isIdentity(matrix))) {
+    return null;
+  }
+
+  const parts = [encodeVarInt(groupEls.length)];
+
+  for (const group of groupEls) {
+    const declarations = readDeclarations(group);
+    const matrix = parseTransform(group.getAttribute('transform'));
+    const filterId = urlReference(declarations.filter);
+
+    const flags = (isIdentity(matrix) ? 0 : MATRIX_BIT) |
+      (declarations.opacity !== undefined ? OPACITY_BIT : 0) |
+      (declarations.fill !== undefined ? FILL_BIT : 0) |
+      (filterId ? FILTER_BIT : 0);
+
+    const parentEl = group.parentNode;
+    parts.push(
+      encodeVarInt(parentEl === root ? 0 : groupEls.indexOf(parentEl) + 1),
+      Buffer.from([flags])
+    );
+    if (flags & MATRIX_BIT) parts.push(encodeMatrix(matrix));
+    if (flags & OPACITY_BIT) parts.push(encodeVarInt(Math.round(parseOpacity(declarations.opacity) * 1000)));
+    if (flags & FILL_BIT) parts.push(encodePaint(declarations.fill, palette, gradientIds));
+    if (flags & FILTER_BIT) {
+      const index = filterIds.indexOf(filterId);
+      parts.push(index === -1
+        ? Buffer.concat([encodeVarInt(0), encodeString(filterId)])
+        : encodeVarInt(index + 1));
+    }
+  }
+
+  parts.push(encodeVarInt(placements.length));
+  for (const { parent, matrix } of placements) {
+    const hasMatrix = !isIdentity(matrix);
+    parts.push(encodeVarInt(parent * 2 + (hasMatrix ? 1 : 0)));
+    if (hasMatrix) parts.push(encodeMatrix(matrix));
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Decode a group tree record into { groups, placements }
+function decodeGroups(buffer, offset, { palette, gradientIds = [], filterIds = [] }) {
+  let currentOffset = offset;
+  const read = decode => {
+    const result = decode(buffer, currentOffset);
+    currentOffset += result.bytesRead;
+    return result;
+  };
+
+  const { value: groupCount } = read(decodeVarInt);
+  const groups = [];
+
+  for (let i = 0; i < groupCount; i++) {
+    const { value: parent } = read(decodeVarInt);
+    if (parent > i) {
+      throw new Error(`Group ${i} names parent ${parent - 1}, which is not an earlier group`);
+    }
+    if (currentOffset >= buffer.length) {
+      throw new Error(`Buffer overflow when reading group flags at offset ${currentOffset}`);
+    }
+    const flags = buffer[currentOffset++];
+
+    let attributes = '';
+    if (flags & MATRIX_BIT) attributes += ` transform="${formatMatrix(read(decodeMatrix).matrix)}"`;
+    if (flags & OPACITY_BIT) attributes += ` opacity="${read(decodeVarInt).value / 1000}"`;
+    if (flags & FILL_BIT) attributes += ` fill="${read((b, o) => decodePaint(b, o, palette, gradientIds)).color}"`;
+    if (flags & FILTER_BIT) {
+      const { value: index } = read(decodeVarInt);
+      const filterId = index === 0 ? read(decodeString).value : filterIds[index - 1];
+      if (filterId === undefined) {
+        throw new Error(`Group ${i} references filter ${index - 1} of ${filterIds.length}`);
+      }
+      attributes += ` filter="url(#${filterId})"`;
+    }
+
+    groups.push({ parent: parent - 1, attributes });
+  }
+
+  const { value: placementCount } = read(decodeVarInt);
+  const placements = [];
+
+  for (let i = 0; i < placementCount; i++) {
+    const { value: packed } = read(decodeVarInt);
+    const group = (packed >> 1) - 1;
+    if (group >= groups.length) {
+      throw new Error(`Element ${i} is placed in group ${group} of ${groups.length}`);
+    }
+    const matrix = packed & 1 ? read(decodeMatrix).matrix : null;
+    placements.push({ group, matrix });
+  }
+
+  return { groups, placements, bytesRead: currentOffset - offset };
+}
+
+// Chain of group indexes from the root down to a group
+function groupPath(groups, index) {
+  const path = [];
+  for (let group = index; group !== -1; group = groups[group].parent) {
+    path.unshift(group);
+  }
+  return path;
+}
+
+// Nest element markup (in record order) into the decoded group tree. Groups
+// split in two when their elements aren't contiguous in record order.
+function renderGroups(markups, { groups, placements }) {
+  if (markups.length !== placements.length) {
+    throw new Error(`Group tree places ${placements.length} elements, but ${markups.length} decoded`);
+  }
+
+  let content = '';
+  let open = [];
+
+  markups.forEach((markup, i) => {
+    const { group, matrix } = placements[i];
+    const path = groupPath(groups, group);
+
+    // Close groups the element isn't in, then open the ones it is
+    let shared = 0;
+    while (shared < open.length && open[shared] === path[shared]) shared++;
+    content += '</g>'.repeat(open.length - shared);
+    for (const index of path.slice(shared)) {
+      content += `<g${groups[index].attributes}>`;
+    }
+    open = path;
+
+    content += matrix
+      ? markup.replace(/^<([\w:-]+)/, `<$1 transform="${formatMatrix(matrix)}"`)
+      : markup;
+  });
+
+  return content + '</g>'.repeat(open.length);
+}
+
+module.exports = {
+  localElements,
+  encodeGroups,
+  decodeGroups,
+  renderGroups
+};
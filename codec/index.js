@@ -0,0 +1,119 @@
+const phil = require('./traits/phil');
+const bg = require('./traits/bg');
+const nose = require('./traits/nose');
+const spikes = require('./traits/spikes');
+const top = require('./traits/top');
+const color = require('./traits/color');
+const { isContainer, readContainer, recodeContainer } = require('./container');
+const { prefixIds } = require('./defs');
+const { isPack, extractLayer } = require('./pack');
+
+// Trait codecs by trait type
+const TRAIT_CODECS = {
+  phil,
+  bg,
+  nose,
+  spikes,
+  top,
+  color
+};
+
+const TRAIT_TYPES = Object.keys(TRAIT_CODECS);
+
+// Look up the codec for a trait type
+function getCodec(traitType) {
+  const codec = TRAIT_CODECS[traitType];
+  if (!codec) {
+    throw new Error(`Unknown trait type: ${traitType} (expected one of ${TRAIT_TYPES.join(', ')})`);
+  }
+  return codec;
+}
+
+// Read the trait type from the container header, or guess it from the
+// version byte of a legacy blob
+function detectTraitType(buffer) {
+  if (isContainer(buffer)) {
+    return readContainer(buffer).traitType;
+  }
+
+  if (buffer.length < 2) {
+    throw new Error('Invalid compressed data: too short');
+  }
+
+  switch (buffer[0]) {
+    case 0x05:
+      return 'nose';
+    case 0x04:
+      return 'top';
+    case 0x01:
+      // Color blobs carry a format type byte and a uint32 length
+      if (buffer[1] === 0x01 && buffer.length >= 6 && buffer.readUInt32BE(2) === buffer.length - 6) {
+        return 'color';
+      }
+      return 'phil';
+    default:
+      // Version 3 is shared by bg, spikes and the no-glitch top format
+      throw new Error(`Cannot detect trait type for format version ${buffer[0]}, pass the trait type explicitly`);
+  }
+}
+
+// Compress an SVG string for the given trait type to base64. Options are
+// passed to the trait codec (e.g. pathPrecision, maxDeviation or simplify for
+// path traits, paletteId to encode against an older shared palette, starField
+// for a seeded bg star field). The entropy option entropy codes the payload
+// the codec wrote and the deflate option deflates it against the trait's
+// preset dictionary; whichever is shorter is kept. A warnings array collects
+// what the codec could not encode as given (invalid path data, color SVGs
+// stored as text); the codecs never print.
+function compress(svgString, traitType, options = {}) {
+  let buffer = getCodec(traitType).compressSVG(svgString, options);
+  if (options.entropy || options.deflate) buffer = recodeContainer(buffer, options);
+
+  // For blockchain compatibility, use base64 encoding
+  return buffer.toString('base64');
+}
+
+// Compress the variants of one character as a collection: a base64 template
+// blob of the parts they share and a base64 blob per variant that refers to
+// it. Only traits whose codec has a collection mode (phil) support this.
+function compressCollection(svgStrings, traitType, options = {}) {
+  const codec = getCodec(traitType);
+  if (!codec.compressCollection) {
+    throw new Error(`${traitType} has no collection mode`);
+  }
+
+  const { template, variants } = codec.compressCollection(svgStrings, options);
+  const encode = buffer => (options.entropy || options.deflate ? recodeContainer(buffer, options) : buffer).toString('base64');
+  return {
+    template: encode(template),
+    variants: variants.map(encode)
+  };
+}
+
+// Decompress a base64 blob (or one layer of a token pack) back to an SVG
+// string. An idPrefix option is prepended to every ID the decoded SVG
+// defines (and to the references to them), so several decoded traits can be
+// inlined into one document. Variants of a collection need the template
+// option, the base64 template blob they were compressed against.
+function decompress(compressedData, traitType, { idPrefix, template } = {}) {
+  let buffer = Buffer.from(compressedData, 'base64');
+
+  // Token packs hold several layers, so the trait type picks one out
+  if (isPack(buffer)) {
+    if (!traitType) {
+      throw new Error('Pass the trait type of the layer to decode from a token pack');
+    }
+    buffer = extractLayer(buffer, traitType);
+  }
+
+  const svgString = getCodec(traitType || detectTraitType(buffer)).decompressSVG(buffer, { template });
+  return prefixIds(svgString, idPrefix);
+}
+
+module.exports = {
+  TRAIT_TYPES,
+  compress,
+  compressCollection,
+  decompress,
+  detectTraitType
+};
@@ -0,0 +1,366 @@
+const { encodeVarInt, decodeVarInt, encodeString, decodeString, compressMetadata, decompressMetadata } = require('./encoding');
+const { TRAIT_IDS, isContainer, readContainer, writeCodedContainer, codePayload, decodePayload } = require('./container');
+const { encodePaletteId, getPalette } = require('./palette');
+const { decodeGradients } = require('./gradient');
+const { decodeFilter } = require('./filter');
+
+// Latest format version of each trait codec
+const FORMAT_VERSIONS = {
+  phil: require('./traits/phil').FORMAT_VERSION,
+  bg: require('./traits/bg').FORMAT_VERSION,
+  nose: require('./traits/nose').FORMAT_VERSION,
+  spikes: require('./traits/spikes').FORMAT_VERSION,
+  top: require('./traits/top').FORMAT_VERSION,
+  color: require('./traits/color').FORMAT_VERSION
+};
+
+// Token pack: every trait layer of one token in a single blob. The palette
+// ID, viewBox and definition records the layers have in common are stored
+// once, and an index of layer lengths lets one layer be cut out and rebuilt
+// into its own trait blob without decoding the others.
+//
+// Layout:
+// - 1 byte magic (0xCE), never a container magic or legacy version byte
+// - 1 byte pack version
+// - varint shared palette ID (0 for none)
+// - shared viewBox (length-prefixed string, empty for none)
+// - varint definition count, then each definition as varint length + bytes
+// - varint layer count, then the index: per layer the trait kind ID, trait
+//   format version, layer flags, varint deflate dictionary set ID (only with
+//   DEFLATED_BIT) and varint body length
+// - layer bodies, in index order
+//
+// A stripped layer body holds the palette ID and viewBox record unless the
+// shared ones stand in for them, then a varint count of definition
+// references (record marker + varint definition index) and the rest of the
+// trait payload. Other bodies hold the whole trait payload, or for legacy
+// blobs the whole blob.
+//
+// Layers whose blob was entropy coded or deflated keep that coding: the body
+// is coded the same way (an entropy coded body names its table set itself),
+// and the rebuilt blob is coded with it again, so unpacking gives back the
+// blob that was packed.
+const PACK_MAGIC = 0xCE;
+const PACK_VERSION = 0x02;
+
+// Layer flags
+const STRIPPED_BIT = 0x01;
+const SHARED_PALETTE_BIT = 0x02;
+const SHARED_VIEWBOX_BIT = 0x04;
+const LEGACY_BIT = 0x08;
+const ENTROPY_CODED_BIT = 0x10;
+const DEFLATED_BIT = 0x20;
+
+// Record markers of the definition records each trait writes right after its
+// viewBox record, and how to measure them
+const DEFS_RECORDS = {
+  bg: { 0x05: 'gradients' },
+  spikes: { 0x04: 'gradients' },
+  nose: { 0x03: 'filter' },
+  top: { 0x07: 'filter' }
+};
+
+const TRAIT_NAMES = {};
+for (const name in TRAIT_IDS) {
+  TRAIT_NAMES[TRAIT_IDS[name]] = name;
+}
+
+// Check whether a buffer starts with a pack header
+function isPack(buffer) {
+  return buffer.length > 0 && buffer[0] === PACK_MAGIC;
+}
+
+// Length of the definition record body at an offset
+function definitionLength(kind, payload, offset, palette) {
+  return kind === 'gradients'
+    ? decodeGradients(payload, offset, palette).bytesRead
+    : decodeFilter(payload, offset).bytesRead;
+}
+
+// Split a trait payload of the latest format into its palette ID, viewBox,
+// leading definition records and remaining records
+function splitPayload(traitType, payload) {
+  const { value: paletteId, bytesRead: paletteBytes } = decodeVarInt(payload, 0);
+  let offset = paletteBytes;
+
+  if (payload[offset] !== 0x00) {
+    throw new Error(`${traitType} payload has no viewBox record after its palette ID`);
+  }
+  const { viewBox, bytesRead: metadataBytes } = decompressMetadata(payload, offset);
+  offset += metadataBytes;
+
+  const palette = getPalette(paletteId);
+  const records = DEFS_RECORDS[traitType] || {};
+  const definitions = [];
+  while (offset < payload.length && records[payload[offset]]) {
+    const marker = payload[offset];
+    const length = definitionLength(records[marker], payload, offset + 1, palette);
+    definitions.push({ marker, bytes: payload.slice(offset + 1, offset + 1 + length) });
+    offset += 1 + length;
+  }
+
+  return {
+    paletteId,
+    viewBox,
+    definitions,
+    rest: payload.slice(offset)
+  };
+}
+
+// Most frequent value of a list, earliest first on ties
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+// Read a layer blob (base64 or Buffer) and work out how it can be stored
+function readLayer(traitType, blob) {
+  const buffer = Buffer.isBuffer(blob) ? blob : Buffer.from(blob, 'base64');
+
+  if (!isContainer(buffer)) {
+    return { traitType, version: 0, legacy: buffer };
+  }
+
+  const container = readContainer(buffer);
+  if (container.traitType !== traitType) {
+    throw new Error(`Layer ${traitType} holds a ${container.traitType} blob`);
+  }
+
+  // Only payloads of the latest format are known to start with a palette ID
+  // and viewBox record. Deflated payloads are kept whole, since their
+  // dictionary already matches the sections stripping would share.
+  const layer = { traitType, version: container.version, coding: container.coding, payload: container.payload };
+  const deflated = container.coding && container.coding.method === 'deflate';
+  if (traitType !== 'color' && !deflated && container.version === FORMAT_VERSIONS[traitType]) {
+    layer.split = splitPayload(traitType, container.payload);
+  }
+  return layer;
+}
+
+// Pack trait blobs into one token pack. `layers` maps trait types to a blob
+// (base64 string or Buffer). Layers are stored in key order.
+function packLayers(layers) {
+  const read = Object.keys(layers).map(traitType => {
+    if (!TRAIT_IDS[traitType]) {
+      throw new Error(`Unknown trait type: ${traitType}`);
+    }
+    return readLayer(traitType, layers[traitType]);
+  });
+
+  const split = read.filter(layer => layer.split).map(layer => layer.split);
+  const paletteId = split.length ? mostCommon(split.map(parts => parts.paletteId)) : 0;
+  const viewBox = split.length ? mostCommon(split.map(parts => parts.viewBox)) : '';
+
+  // Definitions are shared when their bytes match, whichever trait wrote them
+  const definitions = [];
+  const definitionIndex = new Map();
+  const definitionRef = bytes => {
+    const key = bytes.toString('hex');
+    if (!definitionIndex.has(key)) {
+      definitionIndex.set(key, definitions.length);
+      definitions.push(bytes);
+    }
+    return definitionIndex.get(key);
+  };
+
+  // Plain body of a layer, stripped of the shared sections when it can be
+  const strippedEntry = layer => {
+    if (!layer.split) {
+      return { layer, flags: 0, body: layer.payload };
+    }
+
+    const parts = layer.split;
+    let flags = STRIPPED_BIT;
+    const body = [];
+
+    if (parts.paletteId === paletteId) flags |= SHARED_PALETTE_BIT;
+    else body.push(encodePaletteId(parts.paletteId));
+
+    if (parts.viewBox === viewBox) flags |= SHARED_VIEWBOX_BIT;
+    else body.push(compressMetadata(parts.viewBox));
+
+    body.push(encodeVarInt(parts.definitions.length));
+    for (const { marker, bytes } of parts.definitions) {
+      body.push(Buffer.from([marker]), encodeVarInt(definitionRef(bytes)));
+    }
+    body.push(parts.rest);
+
+    return { layer, flags, body: Buffer.concat(body) };
+  };
+
+  const entries = read.map(layer => {
+    if (layer.legacy) {
+      return { layer, flags: LEGACY_BIT, body: layer.legacy };
+    }
+
+    const entry = strippedEntry(layer);
+    if (!layer.coding) return entry;
+    return {
+      layer,
+      flags: entry.flags | (layer.coding.method === 'entropy' ? ENTROPY_CODED_BIT : DEFLATED_BIT),
+      body: codePayload(entry.body, layer.traitType, layer.coding)
+    };
+  });
+
+  const header = [
+    Buffer.from([PACK_MAGIC, PACK_VERSION]),
+    encodeVarInt(paletteId),
+    encodeString(viewBox),
+    encodeVarInt(definitions.length)
+  ];
+  for (const bytes of definitions) {
+    header.push(encodeVarInt(bytes.length), bytes);
+  }
+
+  header.push(encodeVarInt(entries.length));
+  for (const { layer, flags, body } of entries) {
+    header.push(Buffer.from([TRAIT_IDS[layer.traitType], layer.version, flags]));
+    if (flags & DEFLATED_BIT) header.push(encodeVarInt(layer.coding.set));
+    header.push(encodeVarInt(body.length));
+  }
+
+  return Buffer.concat(header.concat(entries.map(entry => entry.body)));
+}
+
+// Read the shared sections and layer index of a pack. Layer offsets point
+// at their bodies in the pack buffer.
+function readPackIndex(buffer) {
+  if (!isPack(buffer)) {
+    throw new Error('Invalid pack: bad magic byte');
+  }
+  if (buffer.length < 2 || buffer[1] > PACK_VERSION) {
+    throw new Error(`Unsupported pack version ${buffer[1]} (latest is ${PACK_VERSION})`);
+  }
+
+  let offset = 2;
+  const read = decode => {
+    const result = decode(buffer, offset);
+    offset += result.bytesRead;
+    return result.value;
+  };
+
+  const paletteId = read(decodeVarInt);
+  const viewBox = read(decodeString);
+
+  const definitions = [];
+  const definitionCount = read(decodeVarInt);
+  for (let i = 0; i < definitionCount; i++) {
+    const length = read(decodeVarInt);
+    definitions.push(buffer.slice(offset, offset + length));
+    offset += length;
+  }
+
+  const layers = [];
+  const layerCount = read(decodeVarInt);
+  for (let i = 0; i < layerCount; i++) {
+    if (offset + 3 > buffer.length) {
+      throw new Error(`Invalid pack: index entry ${i} is truncated`);
+    }
+    const traitType = TRAIT_NAMES[buffer[offset]];
+    if (!traitType) {
+      throw new Error(`Invalid pack: unknown trait kind ${buffer[offset]}`);
+    }
+    const version = buffer[offset + 1];
+    const flags = buffer[offset + 2];
+    offset += 3;
+
+    let coding = null;
+    if (flags & ENTROPY_CODED_BIT) coding = { method: 'entropy' };
+    if (flags & DEFLATED_BIT) coding = { method: 'deflate', set: read(decodeVarInt) };
+    layers.push({ traitType, version, flags, coding, length: read(decodeVarInt) });
+  }
+
+  for (const layer of layers) {
+    layer.offset = offset;
+    offset += layer.length;
+  }
+  if (offset !== buffer.length) {
+    throw new Error(`Invalid pack: index covers ${offset} bytes, found ${buffer.length}`);
+  }
+
+  return { paletteId, viewBox, definitions, layers };
+}
+
+// Rebuild the trait blob of one indexed layer
+function rebuildLayer(buffer, index, layer) {
+  const stored = buffer.slice(layer.offset, layer.offset + layer.length);
+  if (layer.flags & LEGACY_BIT) return stored;
+
+  // Entropy coded bodies start with the table set the blob is coded with
+  let coding = layer.coding;
+  if (coding && coding.method === 'entropy') {
+    coding = { method: 'entropy', set: decodeVarInt(stored, 0).value };
+  }
+
+  const body = decodePayload(stored, layer.traitType, coding);
+  if (!(layer.flags & STRIPPED_BIT)) return writeCodedContainer(layer.traitType, layer.version, body, coding);
+
+  let offset = 0;
+  const parts = [];
+
+  if (layer.flags & SHARED_PALETTE_BIT) {
+    parts.push(encodePaletteId(index.paletteId));
+  } else {
+    const { bytesRead } = decodeVarInt(body, offset);
+    parts.push(body.slice(offset, offset + bytesRead));
+    offset += bytesRead;
+  }
+
+  if (layer.flags & SHARED_VIEWBOX_BIT) {
+    parts.push(compressMetadata(index.viewBox));
+  } else {
+    const { bytesRead } = decompressMetadata(body, offset);
+    parts.push(body.slice(offset, offset + bytesRead));
+    offset += bytesRead;
+  }
+
+  const { value: refCount, bytesRead: countBytes } = decodeVarInt(body, offset);
+  offset += countBytes;
+  for (let i = 0; i < refCount; i++) {
+    const marker = body[offset];
+    const { value: definition, bytesRead } = decodeVarInt(body, offset + 1);
+    offset += 1 + bytesRead;
+    if (definition >= index.definitions.length) {
+      throw new Error(`Layer ${layer.traitType} references definition ${definition} of ${index.definitions.length}`);
+    }
+    parts.push(Buffer.from([marker]), index.definitions[definition]);
+  }
+
+  parts.push(body.slice(offset));
+  return writeCodedContainer(layer.traitType, layer.version, Buffer.concat(parts), coding);
+}
+
+// Cut one trait layer out of a pack as a standalone trait blob
+function extractLayer(buffer, traitType) {
+  const index = readPackIndex(buffer);
+  const layer = index.layers.find(entry => entry.traitType === traitType);
+  if (!layer) {
+    throw new Error(`Pack has no ${traitType} layer (layers: ${index.layers.map(entry => entry.traitType).join(', ')})`);
+  }
+  return rebuildLayer(buffer, index, layer);
+}
+
+// Rebuild every layer of a pack, as trait type -> base64 blob
+function unpackLayers(buffer) {
+  const index = readPackIndex(buffer);
+  const layers = {};
+  for (const layer of index.layers) {
+    layers[layer.traitType] = rebuildLayer(buffer, index, layer).toString('base64');
+  }
+  return layers;
+}
+
+module.exports = {
+  PACK_MAGIC,
+  isPack,
+  packLayers,
+  readPackIndex,
+  extractLayer,
+  unpackLayers
+};
@@ -0,0 +1,174 @@
+const { encodeVarInt, decodeVarInt } = require('./encoding');
+
+// Shared color palettes by ID. A blob records the ID of the palette it was
+// encoded with, so a released palette must never change: to add colors, copy
+// the latest palette under a new ID, append to it and point
+// CURRENT_PALETTE_ID at it. The position of a color is its code; code 0 is
+// always 'none' and codes 254 (full RGB) and 255 (gradient reference) are
+// taken by the color encoding.
+const PALETTES = {
+  1: [
+    'none',   // transparent
+    '000000', // black
+    'FFFFFF', // white
+    '808080', // gray
+    'FF0000', // red
+    '00FF00', // green
+    '0000FF', // blue
+    'FFFF00', // yellow
+    '00FFFF', // cyan
+    'FF00FF', // magenta
+    'C0C0C0', // silver
+    'A0A0A0', // darker gray
+    'D0D0D0', // lighter gray
+    'FFA500', // orange
+    '800080', // purple
+    '00BFFF', // deep sky blue
+    // Neon colors (nose)
+    '7F00FF', // neon purple
+    'FF7F00', // neon orange
+    '7FFF00', // neon chartreuse
+    '00FF7F', // neon spring green
+    '007FFF', // neon azure
+    'FF007F', // neon pink
+    // Dark rustic colors (nose)
+    '503020', // dark brown
+    '642814', // rusty brown
+    '461E14', // deep reddish-brown
+    '3C3C32', // dark gray-brown
+    '5A2D23', // muted rust
+    '321E28', // dark plum
+    '463214', // olive brown
+    '283C1E', // forest green-brown
+    '55232D', // burgundy rust
+    '3C283C', // dark slate
+    // Blues (Phil)
+    '0D00FF', // deep blue
+    '5858FF', // medium blue
+    '00B7FF', // light blue
+    '66C9FF', // pale blue
+    '080055', // dark blue stroke
+    // Top trait colors
+    '785D06', // gold-brown
+    '4A8019', // green
+    'A09DF6', // lavender
+    '31B915', // bright green
+    // Galaxy colors (Bg)
+    'E8A852', // orange/gold core
+    '294D7A', // deep blue arms
+    'D67D3E', // rust orange arms
+    'A654AD', // purple arms
+    '66CCFF', // light blue stars
+    'FFDB99'  // pale yellow stars
+  ]
+};
+
+// Palette written into new blobs
+const CURRENT_PALETTE_ID = 1;
+
+// Per-trait dictionaries of blobs written before palette IDs (code = position)
+const TRAIT_PALETTES = {
+  nose: [
+    'none', '000000', 'FFFFFF', '808080', 'FF0000', '00FF00', '0000FF', 'FFFF00',
+    '00FFFF', 'FF00FF', '7F00FF', 'FF7F00', '7FFF00', '00FF7F', '007FFF', 'FF007F',
+    '503020', '642814', '461E14', '3C3C32', '5A2D23', '321E28', '463214', '283C1E',
+    '55232D', '3C283C'
+  ],
+  phil: [
+    'none', '000000', 'FFFFFF', '808080', '0D00FF', '5858FF', '00B7FF', '66C9FF',
+    'FF0000', '00FF00', '0000FF', 'FFFF00', '00FFFF', 'FF00FF', '080055'
+  ],
+  spikes: ['none', '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF'],
+  top: [
+    'none', '000000', 'FFFFFF', '808080', 'FF0000', '00FF00', '0000FF', 'FFFF00',
+    '00FFFF', 'FF00FF', 'C0C0C0', 'A0A0A0', 'D0D0D0', 'FFA500', '800080', '00BFFF',
+    '785D06', '4A8019', 'A09DF6', '31B915'
+  ],
+  bg: [
+    'none', '000000', 'FFFFFF', '808080', 'FF0000', '00FF00', '0000FF', 'FFFF00',
+    '00FFFF', 'FF00FF', 'C0C0C0', 'E8A852', '294D7A', 'D67D3E', 'A654AD', '66CCFF',
+    'FFDB99'
+  ]
+};
+
+// Build the encoder (hex -> code) and decoder (code -> hex) tables of a color list
+function buildPalette(id, colors) {
+  if (colors.length > 254) {
+    throw new Error(`Palette ${id} has ${colors.length} colors, codes stop at 253`);
+  }
+
+  const codes = {};
+  const lookup = {};
+  colors.forEach((hex, code) => {
+    if (codes[hex] !== undefined) {
+      throw new Error(`Palette ${id} lists ${hex} twice`);
+    }
+    codes[hex] = code;
+    lookup[code] = hex;
+  });
+
+  return { id, codes, lookup };
+}
+
+const paletteCache = {};
+
+// Palette registered under an ID
+function getPalette(id) {
+  if (!PALETTES[id]) {
+    throw new Error(`Unknown palette ID ${id} (latest is ${CURRENT_PALETTE_ID})`);
+  }
+  if (!paletteCache[id]) {
+    paletteCache[id] = buildPalette(id, PALETTES[id]);
+  }
+  return paletteCache[id];
+}
+
+// Dictionary a trait used before blobs recorded a palette ID
+function traitPalette(traitType) {
+  if (!TRAIT_PALETTES[traitType]) {
+    throw new Error(`No legacy palette for trait type: ${traitType}`);
+  }
+  const key = `trait:${traitType}`;
+  if (!paletteCache[key]) {
+    paletteCache[key] = buildPalette(null, TRAIT_PALETTES[traitType]);
+  }
+  return paletteCache[key];
+}
+
+// Encode a palette ID at the start of a trait payload
+function encodePaletteId(id = CURRENT_PALETTE_ID) {
+  getPalette(id); // Reject IDs a decoder could not look up
+  return encodeVarInt(id);
+}
+
+// Read the palette ID at the start of a trait payload and look the palette up
+function decodePalette(buffer, offset) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading palette ID at offset ${offset}`);
+  }
+
+  const { value: id, bytesRead } = decodeVarInt(buffer, offset);
+  return {
+    palette: getPalette(id),
+    bytesRead
+  };
+}
+
+// Palette of a trait payload: the one named by its leading palette ID, or the
+// trait's own dictionary for payloads written before palette IDs
+function readPayloadPalette(payload, traitType, hasPaletteId) {
+  if (!hasPaletteId) {
+    return { palette: traitPalette(traitType), bytesRead: 0 };
+  }
+  return decodePalette(payload, 0);
+}
+
+module.exports = {
+  PALETTES,
+  CURRENT_PALETTE_ID,
+  getPalette,
+  traitPalette,
+  encodePaletteId,
+  decodePalette,
+  readPayloadPalette
+};
@@ -0,0 +1,842 @@
+const {
+  encodeVarInt,
+  decodeVarInt,
+  encodeSignedVarInt,
+  decodeSignedVarInt
+} = require('./encoding');
+const { MAX_WIDTH, bitWidth, zigzag, createBitWriter, createBitReader } = require('./bits');
+const { PREDICT_DELTA, PREDICTION_MODES, predictSegments, restoreSegments } = require('./predict');
+
+// SVG path data tokenizer and numeric path codec shared by the trait codecs.
+//
+// parsePath follows the SVG path grammar: numbers may run together
+// ("1.5.5", "1-2"), arc flags are single characters that need no separator
+// ("a5 5 0 011 1"), and implicit repeated commands are split into one typed
+// segment each (extra moveto pairs become linetos). Every segment is
+// { command, values } with the command letter written explicitly.
+
+// Number of values each command takes
+const PARAM_COUNTS = {
+  M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+// Command letters in opcode order; z closes the path exactly like Z, so it
+// shares its opcode
+const OPCODES = 'MmLlHhVvCcSsQqTtAaZ';
+
+// Arc segments keep their large-arc and sweep flags in the opcode byte
+const LARGE_ARC_BIT = 0x20;
+const SWEEP_BIT = 0x40;
+const OPCODE_MASK = 0x1F;
+
+// Set when a varint count of further segments with the same opcode follows
+const RUN_BIT = 0x80;
+
+// Opcode (past the command letters) that switches the coordinate prediction
+// mode (see predict.js) for the segments after it; the mode byte follows
+const MODE_OPCODE = 0x1F;
+
+// Positions of the two flags in an arc's values
+const LARGE_ARC_INDEX = 3;
+const SWEEP_INDEX = 4;
+
+const WHITESPACE = ' \t\n\r\f';
+
+// Scanner over a path data string
+function createScanner(d) {
+  let position = 0;
+
+  const skipWhitespace = () => {
+    while (position < d.length && WHITESPACE.includes(d[position])) position++;
+  };
+
+  // Skip whitespace with at most one comma
+  const skipSeparator = () => {
+    skipWhitespace();
+    if (d[position] === ',') {
+      position++;
+      skipWhitespace();
+    }
+  };
+
+  const fail = message => {
+    throw new Error(`${message} at position ${position}`);
+  };
+
+  const readNumber = () => {
+    const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(position));
+    if (!match) fail('Expected a number');
+    position += match[0].length;
+    return parseFloat(match[0]);
+  };
+
+  const readFlag = () => {
+    const c = d[position];
+    if (c !== '0' && c !== '1') fail('Expected an arc flag (0 or 1)');
+    position++;
+    return c === '1' ? 1 : 0;
+  };
+
+  // Whether a number (or flag) starts at the current position
+  const atNumber = () => /^[-+.\d]/.test(d.slice(position, position + 1));
+
+  return {
+    skipWhitespace,
+    skipSeparator,
+    readNumber,
+    readFlag,
+    atNumber,
+    fail,
+    next: () => d[position++],
+    done: () => position >= d.length
+  };
+}
+
+// Read one segment's values for a command
+function readValues(scanner, command) {
+  const upper = command.toUpperCase();
+  const values = [];
+
+  for (let i = 0; i < PARAM_COUNTS[upper]; i++) {
+    if (i > 0) scanner.skipSeparator();
+    const isFlag = upper === 'A' && (i === LARGE_ARC_INDEX || i === SWEEP_INDEX);
+    values.push(isFlag ? scanner.readFlag() : scanner.readNumber());
+  }
+
+  return values;
+}
+
+// Parse path data into typed segments. Like a browser, parsing stops at the
+// first error and keeps the segments before it; the returned array then
+// carries the reason in its `error` property.
+function parsePath(d) {
+  const segments = [];
+  if (!d) return segments;
+
+  const scanner = createScanner(d);
+
+  try {
+    scanner.skipWhitespace();
+
+    while (!scanner.done()) {
+      const letter = scanner.next();
+      const upper = letter.toUpperCase();
+
+      if (!(upper in PARAM_COUNTS)) {
+        scanner.fail(`Unexpected character "${letter}"`);
+      }
+      if (segments.length === 0 && upper !== 'M') {
+        scanner.fail('Path data must start with a moveto');
+      }
+
+      if (upper === 'Z') {
+        segments.push({ command: 'Z', values: [] });
+        scanner.skipWhitespace();
+        continue;
+      }
+
+      // The first value set follows the command letter directly
+      scanner.skipWhitespace();
+      segments.push({ command: letter, values: readValues(scanner, letter) });
+
+      // Implicit repeats; extra moveto pairs are linetos
+      const repeat = upper === 'M' ? (letter === 'M' ? 'L' : 'l') : letter;
+      scanner.skipSeparator();
+      while (!scanner.done() && scanner.atNumber()) {
+        segments.push({ command: repeat, values: readValues(scanner, repeat) });
+        scanner.skipSeparator();
+      }
+    }
+  } catch (error) {
+    segments.error = error.message;
+  }
+
+  return segments;
+}
+
+// Format a number with at most `decimals` decimals and no trailing zeros
+function formatNumber(value, decimals) {
+  const text = value.toFixed(decimals);
+  const trimmed = text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+  return trimmed === '-0' ? '0' : trimmed;
+}
+
+// Write segments as canonical path data: every command letter explicit,
+// values separated by single spaces and rounded to `decimals`
+function serializePath(segments, decimals) {
+  return segments.map(({ command, values }) => {
+    if (values.length === 0) return command;
+    return command + values.map(value => formatNumber(value, decimals)).join(' ');
+  }).join('');
+}
+
+// Opcode byte of a segment (without the run bit)
+function segmentOpcode({ command, values }) {
+  let opcode = OPCODES.indexOf(command === 'z' ? 'Z' : command);
+  if (opcode === -1) {
+    throw new Error(`Unknown path command: ${command}`);
+  }
+
+  if (command.toUpperCase() === 'A') {
+    if (values[LARGE_ARC_INDEX]) opcode |= LARGE_ARC_BIT;
+    if (values[SWEEP_INDEX]) opcode |= SWEEP_BIT;
+  }
+
+  return opcode;
+}
+
+// Encode segments as runs of segments sharing an opcode byte, each followed by
+// its values quantized to 1/scale units. Arc flags travel in the opcode byte.
+// A prediction mode other than zero delta is written up front; the values
+// are then residuals from its predictions.
+function encodePath(segments, scale, mode = PREDICT_DELTA) {
+  const result = [encodeVarInt(segments.length)];
+  if (mode !== PREDICT_DELTA) {
+    result.push(Buffer.from([MODE_OPCODE, mode]));
+  }
+
+  for (let i = 0; i < segments.length;) {
+    const opcode = segmentOpcode(segments[i]);
+
+    let runLength = 1;
+    while (i + runLength < segments.length && segmentOpcode(segments[i + runLength]) === opcode) {
+      runLength++;
+    }
+
+    if (runLength > 1) {
+      result.push(Buffer.from([opcode | RUN_BIT]), encodeVarInt(runLength - 1));
+    } else {
+      result.push(Buffer.from([opcode]));
+    }
+
+    const isArc = segments[i].command.toUpperCase() === 'A';
+    for (const { values } of segments.slice(i, i + runLength)) {
+      values.forEach((value, j) => {
+        if (isArc && (j === LARGE_ARC_INDEX || j === SWEEP_INDEX)) return;
+        result.push(encodeSignedVarInt(Math.round(value * scale)));
+      });
+    }
+
+    i += runLength;
+  }
+
+  return Buffer.concat(result);
+}
+
+// Check a prediction mode read from a path stream
+function checkMode(mode, position) {
+  if (!PREDICTION_MODES.includes(mode)) {
+    throw new Error(`Unknown path prediction mode ${mode} ${position}`);
+  }
+  return mode;
+}
+
+// Decode segments written by encodePath, with the prediction mode each
+// segment's values were written under
+function decodePath(buffer, offset, scale) {
+  let currentOffset = offset;
+
+  const { value: segmentCount, bytesRead: countBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += countBytes;
+
+  const segments = [];
+  const modes = [];
+  let mode = PREDICT_DELTA;
+
+  while (segments.length < segmentCount) {
+    if (currentOffset >= buffer.length) {
+      throw new Error(`Buffer overflow when reading path segment ${segments.length} at offset ${currentOffset}`);
+    }
+
+    const opcode = buffer[currentOffset++];
+    if (opcode === MODE_OPCODE) {
+      if (currentOffset >= buffer.length) {
+        throw new Error(`Buffer overflow when reading path prediction mode at offset ${currentOffset}`);
+      }
+      mode = checkMode(buffer[currentOffset++], `at offset ${currentOffset - 1}`);
+      continue;
+    }
+
+    const command = OPCODES[opcode & OPCODE_MASK];
+    if (!command) {
+      throw new Error(`Unknown path opcode 0x${opcode.toString(16)} at offset ${currentOffset - 1}`);
+    }
+
+    let runLength = 1;
+    if (opcode & RUN_BIT) {
+      const { value, bytesRead } = decodeVarInt(buffer, currentOffset);
+      runLength += value;
+      currentOffset += bytesRead;
+    }
+    if (segments.length + runLength > segmentCount) {
+      throw new Error(`Path run at offset ${currentOffset} exceeds the ${segmentCount} declared segments`);
+    }
+
+    const isArc = command.toUpperCase() === 'A';
+
+    for (let i = 0; i < runLength; i++) {
+      const values = [];
+
+      for (let j = 0; j < PARAM_COUNTS[command.toUpperCase()]; j++) {
+        if (isArc && j === LARGE_ARC_INDEX) {
+          values.push(opcode & LARGE_ARC_BIT ? 1 : 0);
+        } else if (isArc && j === SWEEP_INDEX) {
+          values.push(opcode & SWEEP_BIT ? 1 : 0);
+        } else {
+          const { value, bytesRead } = decodeSignedVarInt(buffer, currentOffset);
+          values.push(value / scale);
+          currentOffset += bytesRead;
+        }
+      }
+
+      segments.push({ command, values });
+      modes.push(mode);
+    }
+  }
+
+  return {
+    segments,
+    modes,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Bit-packed path stream: every segment starts with a 5 bit opcode (its
+// command type in the high 4 bits, then a relative bit), arcs follow it with
+// their two flags as bits, and values are written as zigzag integers at a
+// bit width fixed for the whole path, so their count comes from the command.
+// The first segment (the opening moveto, far from the origin) has a width
+// of its own. The opcode PACKED_MODE_OPCODE followed by a 2 bit mode switches
+// the prediction mode, as MODE_OPCODE does in byte streams.
+//
+// Layout:
+// - varint segment count
+// - 5 bit width of the first segment's values, 5 bit width of the others
+// - the segments
+// - zero bits up to the next byte
+const PACKED_COMMANDS = 'MLHVCSQTAZ';
+const PACKED_WIDTH_BITS = 5;
+const PACKED_TYPE_BITS = 4;
+const PACKED_MODE_OPCODE = 0x1F;
+const PACKED_MODE_BITS = 2;
+
+// Values of a segment as a packed stream writes them (arc flags go separately)
+function packedValues({ command, values }) {
+  if (command.toUpperCase() !== 'A') return values;
+  return values.filter((value, i) => i !== LARGE_ARC_INDEX && i !== SWEEP_INDEX);
+}
+
+// Encode segments with whole-number values as a bit-packed path stream, or
+// return null when a value is too large for one
+function encodePackedPath(segments, mode = PREDICT_DELTA) {
+  const widths = [0, 0];
+  segments.forEach((segment, i) => {
+    for (const value of packedValues(segment)) {
+      widths[i === 0 ? 0 : 1] = Math.max(widths[i === 0 ? 0 : 1], bitWidth(zigzag(value)));
+    }
+  });
+  if (widths.some(width => width > MAX_WIDTH)) return null;
+
+  const writer = createBitWriter();
+  writer.write(widths[0], PACKED_WIDTH_BITS);
+  writer.write(widths[1], PACKED_WIDTH_BITS);
+  if (mode !== PREDICT_DELTA) {
+    writer.write(PACKED_MODE_OPCODE, PACKED_TYPE_BITS + 1);
+    writer.write(mode, PACKED_MODE_BITS);
+  }
+
+  segments.forEach((segment, i) => {
+    const { command, values } = segment;
+    const upper = command.toUpperCase();
+    const type = PACKED_COMMANDS.indexOf(upper);
+    if (type === -1) {
+      throw new Error(`Unknown path command: ${command}`);
+    }
+
+    const relative = upper !== 'Z' && command !== upper ? 1 : 0;
+    writer.write(type << 1 | relative, PACKED_TYPE_BITS + 1);
+    if (upper === 'A') {
+      writer.write(values[LARGE_ARC_INDEX] ? 1 : 0, 1);
+      writer.write(values[SWEEP_INDEX] ? 1 : 0, 1);
+    }
+
+    for (const value of packedValues(segment)) {
+      writer.writeSigned(value, widths[i === 0 ? 0 : 1]);
+    }
+  });
+
+  return Buffer.concat([encodeVarInt(segments.length), writer.finish()]);
+}
+
+// Decode a bit-packed path stream, dividing values by scale
+function decodePackedPath(buffer, offset, scale) {
+  const { value: segmentCount, bytesRead: countBytes } = decodeVarInt(buffer, offset);
+  const reader = createBitReader(buffer, offset + countBytes);
+  const widths = [reader.read(PACKED_WIDTH_BITS), reader.read(PACKED_WIDTH_BITS)];
+
+  const segments = [];
+  const modes = [];
+  let mode = PREDICT_DELTA;
+  for (let i = 0; i < segmentCount; i++) {
+    let opcode = reader.read(PACKED_TYPE_BITS + 1);
+    while (opcode === PACKED_MODE_OPCODE) {
+      mode = checkMode(reader.read(PACKED_MODE_BITS), `before segment ${i}`);
+      opcode = reader.read(PACKED_TYPE_BITS + 1);
+    }
+
+    const upper = PACKED_COMMANDS[opcode >> 1];
+    if (!upper) {
+      throw new Error(`Unknown packed path opcode ${opcode} in segment ${i}`);
+    }
+    const command = opcode & 1 ? upper.toLowerCase() : upper;
+
+    const flags = upper === 'A' ? [reader.read(1), reader.read(1)] : null;
+    const values = [];
+    for (let j = 0; j < PARAM_COUNTS[upper]; j++) {
+      if (flags && j === LARGE_ARC_INDEX) values.push(flags[0]);
+      else if (flags && j === SWEEP_INDEX) values.push(flags[1]);
+      else values.push(reader.readSigned(widths[i === 0 ? 0 : 1]) / scale);
+    }
+
+    segments.push({ command, values });
+    modes.push(mode);
+  }
+
+  return {
+    segments,
+    modes,
+    bytesRead: countBytes + reader.bytesRead()
+  };
+}
+
+// Grid scales (steps per user unit) a numeric path record can use, indexed
+// by the code written in the record. Codes 0-6 are whole decimals (10^code);
+// the others fill in the steps between them for adaptive quantization. Each
+// scale is 2^a * 5^b, so its grid values print exactly in decimal.
+const GRID_SCALES = [1, 10, 100, 1000, 10000, 100000, 1000000, 2, 4, 5, 20, 25, 40, 50, 200, 250, 500];
+
+// Set in a grid scale code when the record holds a bit-packed path stream
+const PACKED_BIT = 0x20;
+
+// Grid scales from coarsest to finest, the order the adaptive search tries them
+const SEARCH_SCALES = GRID_SCALES.slice().sort((a, b) => a - b);
+
+// Points sampled along each arc when measuring how far quantization moved it
+const ARC_SAMPLES = 16;
+
+// Samples taken along each outline edge when outlines drawn with different
+// segments are compared
+const OUTLINE_STEPS = 4;
+
+// Rewrite segments with absolute commands, tracking the current point and
+// the start of the current subpath
+function toAbsolute(segments) {
+  let x = 0, y = 0, startX = 0, startY = 0;
+
+  return segments.map(({ command, values }) => {
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    let absolute;
+
+    switch (upper) {
+      case 'Z':
+        x = startX;
+        y = startY;
+        return { command: 'Z', values: [] };
+      case 'H':
+        absolute = [relative ? x + values[0] : values[0]];
+        x = absolute[0];
+        return { command: 'H', values: absolute };
+      case 'V':
+        absolute = [relative ? y + values[0] : values[0]];
+        y = absolute[0];
+        return { command: 'V', values: absolute };
+      case 'A':
+        absolute = values.slice(0, 5).concat(relative ? [x + values[5], y + values[6]] : values.slice(5));
+        break;
+      default:
+        absolute = values.map((value, i) => relative ? value + (i % 2 ? y : x) : value);
+    }
+
+    x = absolute[absolute.length - 2];
+    y = absolute[absolute.length - 1];
+    if (upper === 'M') {
+      startX = x;
+      startY = y;
+    }
+
+    return { command: upper, values: absolute };
+  });
+}
+
+// Rewrite segments with relative commands, so every coordinate becomes a
+// delta from the current pen position
+function toRelative(segments) {
+  let x = 0, y = 0, startX = 0, startY = 0;
+
+  return toAbsolute(segments).map(({ command, values }) => {
+    let relative;
+
+    switch (command) {
+      case 'Z':
+        x = startX;
+        y = startY;
+        return { command: 'Z', values: [] };
+      case 'H':
+        relative = [values[0] - x];
+        x = values[0];
+        return { command: 'h', values: relative };
+      case 'V':
+        relative = [values[0] - y];
+        y = values[0];
+        return { command: 'v', values: relative };
+      case 'A':
+        relative = values.slice(0, 5).concat([values[5] - x, values[6] - y]);
+        break;
+      default:
+        relative = values.map((value, i) => value - (i % 2 ? y : x));
+    }
+
+    x = values[values.length - 2];
+    y = values[values.length - 1];
+    if (command === 'M') {
+      startX = x;
+      startY = y;
+    }
+
+    return { command: command.toLowerCase(), values: relative };
+  });
+}
+
+// Round every coordinate (not the arc flags) to whole 1/scale units
+function quantizeSegments(segments, scale) {
+  return segments.map(({ command, values }) => ({
+    command,
+    values: values.map((value, i) =>
+      command.toUpperCase() === 'A' && (i === LARGE_ARC_INDEX || i === SWEEP_INDEX) ?
+        value : Math.round(value * scale))
+  }));
+}
+
+// Decimals needed to print every value on a grid scale exactly (the grid
+// step 1/scale is a whole number of 10^-decimals units)
+function scaleDecimals(scale) {
+  let decimals = 0;
+  while (!Number.isInteger(10 ** decimals / scale)) decimals++;
+  return decimals;
+}
+
+// Center parametrization of an arc segment starting from (x1, y1) (SVG arc
+// implementation notes, endpoint to center conversion): center, radii
+// scaled up as the renderer does, rotation in radians, start angle and
+// signed angular extent. Null for arcs drawn as straight lines.
+function arcCenter(x1, y1, [rx, ry, rotation, largeArc, sweep, x2, y2]) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return null;
+
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+
+  // Scale radii up when they can't span the endpoints
+  const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  const denominator = rx * rx * py * py + ry * ry * px * px;
+  let factor = Math.sqrt(Math.max(0, numerator / denominator));
+  if (largeArc === sweep) factor = -factor;
+
+  const cxp = factor * rx * py / ry;
+  const cyp = -factor * ry * px / rx;
+
+  const angle = (ux, uy) => Math.atan2(uy, ux);
+  const start = angle((px - cxp) / rx, (py - cyp) / ry);
+  let delta = angle((-px - cxp) / rx, (-py - cyp) / ry) - start;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+  return {
+    cx: cos * cxp - sin * cyp + (x1 + x2) / 2,
+    cy: sin * cxp + cos * cyp + (y1 + y2) / 2,
+    rx,
+    ry,
+    phi,
+    start,
+    delta
+  };
+}
+
+// Point on an arc segment at parameter t, starting from (x1, y1)
+function arcPoint(x1, y1, values, t) {
+  const arc = arcCenter(x1, y1, values);
+  if (!arc) {
+    const [x2, y2] = values.slice(5);
+    return [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+  }
+
+  const { cx, cy, rx, ry, phi, start, delta } = arc;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const theta = start + delta * t;
+  return [
+    cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+    cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+  ];
+}
+
+// Points that bound each segment's shape: the control polygon of lines and
+// Béziers (with smooth control points reflected), samples along arcs.
+// Segments must be absolute.
+function segmentOutlines(segments) {
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let control = null, previous = null;
+
+  return segments.map(({ command, values }) => {
+    let points;
+
+    switch (command) {
+      case 'Z':
+        points = [[x, y], [startX, startY]];
+        break;
+      case 'H':
+        points = [[x, y], [values[0], y]];
+        break;
+      case 'V':
+        points = [[x, y], [x, values[0]]];
+        break;
+      case 'S':
+      case 'T': {
+        const smoothsFrom = command === 'S' ? 'CS' : 'QT';
+        const reflected = control && smoothsFrom.includes(previous) ?
+          [2 * x - control[0], 2 * y - control[1]] : [x, y];
+        const rest = [];
+        for (let i = 0; i < values.length; i += 2) rest.push([values[i], values[i + 1]]);
+        points = [[x, y], reflected, ...rest];
+        break;
+      }
+      case 'A':
+        points = [];
+        for (let i = 0; i <= ARC_SAMPLES; i++) points.push(arcPoint(x, y, values, i / ARC_SAMPLES));
+        break;
+      default: {
+        points = [[x, y]];
+        for (let i = 0; i < values.length; i += 2) points.push([values[i], values[i + 1]]);
+      }
+    }
+
+    // Track the pen, the subpath start and the last control point
+    const end = points[points.length - 1];
+    control = 'CSQT'.includes(command) ? points[points.length - 2] : null;
+    previous = command;
+    [x, y] = end;
+    if (command === 'M') {
+      startX = x;
+      startY = y;
+    }
+
+    return points;
+  });
+}
+
+// Largest distance between matching outline points of two versions of the
+// same absolute path. Béziers lie inside their control polygons, so this
+// bounds how far any point of the curve moved.
+function pathDeviation(original, candidate) {
+  const a = segmentOutlines(original);
+  const b = segmentOutlines(candidate);
+  let deviation = 0;
+
+  a.forEach((points, i) => {
+    points.forEach(([x, y], j) => {
+      deviation = Math.max(deviation, Math.hypot(x - b[i][j][0], y - b[i][j][1]));
+    });
+  });
+
+  return deviation;
+}
+
+// Absolute segments a decoder rebuilds from the path on a grid: the relative
+// grid deltas numericPathData writes, scaled back and summed from the start
+// as a renderer does
+function gridSegments(absolute, scale) {
+  return toAbsolute(toRelative(quantizeSegments(absolute, scale)).map(({ command, values }) => ({
+    command,
+    values: values.map((value, i) =>
+      command === 'a' && (i === LARGE_ARC_INDEX || i === SWEEP_INDEX) ? value : value / scale)
+  })));
+}
+
+// Distance from a point to the nearest edge of a polyline
+function polylineDistance([x, y], polyline) {
+  let distance = Infinity;
+  for (let i = 1; i < polyline.length; i++) {
+    const [x0, y0] = polyline[i - 1];
+    const [x1, y1] = polyline[i];
+    const dx = x1 - x0, dy = y1 - y0;
+    const t = dx || dy ? Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / (dx * dx + dy * dy))) : 0;
+    distance = Math.min(distance, Math.hypot(x - x0 - t * dx, y - y0 - t * dy));
+  }
+  return distance;
+}
+
+// Points every OUTLINE_STEPS-th of the way along each edge of a polyline
+function polylineSamples(polyline) {
+  const samples = [polyline[0]];
+  for (let i = 1; i < polyline.length; i++) {
+    const [x0, y0] = polyline[i - 1];
+    const [x1, y1] = polyline[i];
+    for (let step = 1; step <= OUTLINE_STEPS; step++) {
+      const t = step / OUTLINE_STEPS;
+      samples.push([x0 + t * (x1 - x0), y0 + t * (y1 - y0)]);
+    }
+  }
+  return samples;
+}
+
+// Largest distance between the outlines of two absolute paths of lines and
+// arcs that may be drawn with different segments (a shape record and the
+// path it replaces): each outline is sampled along its edges and measured
+// against the other, both ways
+function outlineDeviation(original, candidate) {
+  const outline = segments => [].concat(...segmentOutlines(segments));
+  const a = outline(original);
+  const b = outline(candidate);
+  let deviation = 0;
+
+  for (const [from, to] of [[a, b], [b, a]]) {
+    for (const point of polylineSamples(from)) {
+      deviation = Math.max(deviation, polylineDistance(point, to));
+    }
+  }
+
+  return deviation;
+}
+
+// Coarsest grid scale that keeps the path within maxDeviation user units
+// of its original geometry, measured on the points a decoder rebuilds
+function adaptiveScale(segments, maxDeviation) {
+  const absolute = toAbsolute(segments);
+
+  for (const scale of SEARCH_SCALES) {
+    if (pathDeviation(absolute, gridSegments(absolute, scale)) <= maxDeviation) return scale;
+  }
+
+  return SEARCH_SCALES[SEARCH_SCALES.length - 1];
+}
+
+// Grid scale for a path: adaptive when a maximum deviation (in pixels, with
+// unitsPerPixel user units per pixel) is given, else 10^precision
+function pathScale(segments, { precision, maxDeviation, unitsPerPixel = 1 }) {
+  if (maxDeviation !== undefined && maxDeviation !== null) {
+    if (!(maxDeviation > 0)) {
+      throw new Error(`Maximum path deviation must be a positive number of pixels, got ${maxDeviation}`);
+    }
+    return adaptiveScale(segments, maxDeviation * unitsPerPixel);
+  }
+
+  if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+    throw new Error(`Path precision must be a whole number of decimals from 0 to 6, got ${precision}`);
+  }
+  return 10 ** precision;
+}
+
+// Record code of a grid scale, as written in numeric path records
+function gridScaleCode(scale) {
+  const code = GRID_SCALES.indexOf(scale);
+  if (code === -1) {
+    throw new Error(`Unsupported path grid scale ${scale} (expected one of ${SEARCH_SCALES.join(', ')})`);
+  }
+  return code;
+}
+
+// Numeric path geometry: the grid scale code and the segments as relative
+// deltas on that grid. Positions are rounded as absolute coordinates before
+// the deltas are taken, so rounding never accumulates. Each prediction mode
+// is tried on the deltas, in the byte-aligned stream and the bit-packed one
+// (with PACKED_BIT in the code), and the shortest result is kept. Traits that
+// store the code elsewhere (see gridScaleCode) write the two apart.
+function numericPathData(segments, scale) {
+  const relative = toRelative(quantizeSegments(toAbsolute(segments), scale));
+  const code = gridScaleCode(scale);
+
+  let best = null;
+  for (const mode of PREDICTION_MODES) {
+    const residuals = predictSegments(relative, mode);
+    const candidates = [{ code, data: encodePath(residuals, 1, mode) }];
+
+    const packed = encodePackedPath(residuals, mode);
+    if (packed) candidates.push({ code: code | PACKED_BIT, data: packed });
+
+    for (const candidate of candidates) {
+      if (!best || candidate.data.length < best.data.length) best = candidate;
+    }
+  }
+  return best;
+}
+
+// Encode a numeric path record: the grid scale code followed by the segments
+function encodeNumericPath(segments, scale) {
+  const { code, data } = numericPathData(segments, scale);
+  return Buffer.concat([Buffer.from([code]), data]);
+}
+
+// Decode a numeric path record into relative segments. A code given by the
+// caller means the record was written without one.
+function decodeNumericPath(buffer, offset, code) {
+  const codeBytes = code === undefined ? 1 : 0;
+  if (codeBytes && offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading path grid scale at offset ${offset}`);
+  }
+
+  const scaleCode = codeBytes ? buffer[offset] : code;
+  const scale = GRID_SCALES[scaleCode & ~PACKED_BIT];
+  if (scale === undefined) {
+    throw new Error(`Invalid path grid scale code ${scaleCode} at offset ${offset}`);
+  }
+
+  // Residuals are restored on the grid before scaling
+  const decode = scaleCode & PACKED_BIT ? decodePackedPath : decodePath;
+  const { segments: residuals, modes, bytesRead } = decode(buffer, offset + codeBytes, 1);
+  const segments = restoreSegments(residuals, modes).map(({ command, values }) => ({
+    command,
+    values: values.map((value, i) =>
+      command.toUpperCase() === 'A' && (i === LARGE_ARC_INDEX || i === SWEEP_INDEX) ? value : value / scale)
+  }));
+
+  return {
+    segments,
+    scale,
+    decimals: scaleDecimals(scale),
+    bytesRead: codeBytes + bytesRead
+  };
+}
+
+module.exports = {
+  PARAM_COUNTS,
+  GRID_SCALES,
+  PACKED_BIT,
+  parsePath,
+  formatNumber,
+  serializePath,
+  encodePath,
+  decodePath,
+  toAbsolute,
+  toRelative,
+  quantizeSegments,
+  scaleDecimals,
+  arcCenter,
+  pathDeviation,
+  outlineDeviation,
+  adaptiveScale,
+  pathScale,
+  gridScaleCode,
+  numericPathData,
+  encodeNumericPath,
+  decodeNumericPath
+};
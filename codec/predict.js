@@ -0,0 +1,141 @@
+// Coordinate prediction for numeric path streams. Segments are relative and
+// on the grid (whole numbers), so the plain stream already predicts every
+// value as zero delta from the pen. Smooth outlines do better: a curve's
+// first control point usually mirrors the previous curve's last one, its
+// second control point sits near its end point, and consecutive segments
+// tend to move alike. The stream stores the residual from the prediction of
+// the mode in force; modes can switch at any segment.
+
+const PREDICT_DELTA = 0; // Every value predicted as zero delta from the pen
+const PREDICT_REFLECT = 1; // Control points reflected or tied to the end point
+const PREDICT_EXTRAPOLATE = 2; // As reflect, with end points repeating the last move
+
+const PREDICTION_MODES = [PREDICT_DELTA, PREDICT_REFLECT, PREDICT_EXTRAPOLATE];
+
+// Arc values that are flags, passed through unpredicted
+const ARC_FLAGS = [3, 4];
+
+// Prediction state after a segment: its move, its last control point relative
+// to the new pen (for smooth curves to reflect) and its arc radii and rotation
+function initialState() {
+  return { move: [0, 0], cubic: null, quadratic: null, arc: null };
+}
+
+// Predicted values of a segment under a mode, or null when every value is
+// predicted as zero. Cubic control points tied to the end point are
+// predicted from `end`, the segment's actual end point once it is known.
+function predictions(command, state, mode, end) {
+  const lower = command.toLowerCase();
+  const moved = mode === PREDICT_EXTRAPOLATE ? state.move : [0, 0];
+  const reflect = control => control ? [-control[0], -control[1]] : [0, 0];
+
+  if (mode === PREDICT_DELTA) return null;
+
+  switch (lower) {
+    case 'l':
+    case 't':
+      return moved;
+    case 'h':
+      return [moved[0]];
+    case 'v':
+      return [moved[1]];
+    case 'c':
+      return reflect(state.cubic).concat(end || [0, 0], moved);
+    case 's':
+      return (end || [0, 0]).concat(moved);
+    case 'q':
+      return reflect(state.quadratic).concat(moved);
+    case 'a':
+      return (state.arc || [0, 0, 0]).concat([0, 0], moved);
+    default:
+      return null;
+  }
+}
+
+// Update the prediction state with a segment's actual values
+function advance(state, { command, values }) {
+  const lower = command.toLowerCase();
+  const end = values.slice(-2);
+
+  switch (lower) {
+    case 'm':
+    case 'z':
+      return initialState();
+    case 'h':
+      return { ...initialState(), move: [values[0], 0] };
+    case 'v':
+      return { ...initialState(), move: [0, values[0]] };
+    case 'c':
+    case 's': {
+      const control = values.slice(-4, -2);
+      return { ...initialState(), move: end, cubic: [control[0] - end[0], control[1] - end[1]] };
+    }
+    case 'q':
+      return { ...initialState(), move: end, quadratic: [values[0] - end[0], values[1] - end[1]] };
+    case 't': {
+      const control = state.quadratic ? [-state.quadratic[0], -state.quadratic[1]] : [0, 0];
+      return { ...initialState(), move: end, quadratic: [control[0] - end[0], control[1] - end[1]] };
+    }
+    case 'a':
+      return { ...initialState(), move: end, arc: values.slice(0, 3) };
+    default:
+      return { ...initialState(), move: end };
+  }
+}
+
+// Whether a value is an arc flag, which is never predicted
+function isFlag(command, index) {
+  return command.toLowerCase() === 'a' && ARC_FLAGS.includes(index);
+}
+
+// Rewrite relative grid segments as residuals from the predictions of a mode
+function predictSegments(segments, mode) {
+  let state = initialState();
+  return segments.map(segment => {
+    const { command, values } = segment;
+    const predicted = predictions(command, state, mode, values.slice(-2));
+    state = advance(state, segment);
+    if (!predicted) return segment;
+
+    return {
+      command,
+      values: values.map((value, i) => isFlag(command, i) ? value : value - predicted[i])
+    };
+  });
+}
+
+// Rebuild relative grid segments from residuals, each decoded under the mode
+// given for it. End points come first, since cubic control points are
+// predicted from them.
+function restoreSegments(residuals, modes) {
+  let state = initialState();
+  return residuals.map(({ command, values }, index) => {
+    const mode = modes[index];
+    const lead = predictions(command, state, mode, null);
+    if (!lead) {
+      const segment = { command, values };
+      state = advance(state, segment);
+      return segment;
+    }
+
+    const last = values.length - 2;
+    const end = values.length >= 2 ? [values[last] + lead[last], values[last + 1] + lead[last + 1]] : null;
+    const predicted = predictions(command, state, mode, end);
+
+    const segment = {
+      command,
+      values: values.map((value, i) => isFlag(command, i) ? value : value + predicted[i])
+    };
+    state = advance(state, segment);
+    return segment;
+  });
+}
+
+module.exports = {
+  PREDICT_DELTA,
+  PREDICT_REFLECT,
+  PREDICT_EXTRAPOLATE,
+  PREDICTION_MODES,
+  predictSegments,
+  restoreSegments
+};
@@ -0,0 +1,902 @@
+const { parseSVG, makeAbsolute } = require('svg-path-parser');
+const { TARGET_SIZE } = require('./encoding');
+const {
+  ROOT_STYLE,
+  parseSVGDocument,
+  childElements,
+  tagName,
+  readDeclarations,
+  computeStyle,
+  parseColor,
+  parseLength,
+  parseOpacity
+} = require('./svg');
+const { multiply, invert, parseTransform, viewportMatrix } = require('./transform');
+
+// Small pure-JS SVG rasterizer used to measure what lossy settings cost
+// visually. It covers the geometry and paint our traits use (paths, basic
+// shapes, solid colors, gradients, opacity, transforms). Filters, text, masks
+// and clip paths are not rendered; they are reported as skipped instead.
+
+// Sub-scanlines per pixel row used for anti-aliasing
+const SUBSAMPLES = 4;
+
+// Target length in device pixels of one flattened curve segment
+const CURVE_STEP = 2;
+
+// Miter length / stroke width ratio above which joins fall back to bevel
+const MITER_LIMIT = 4;
+
+// Elements whose children never render directly
+const NON_RENDERED = new Set([
+  'defs', 'linearGradient', 'radialGradient', 'stop', 'filter', 'clipPath', 'mask',
+  'pattern', 'symbol', 'marker', 'title', 'desc', 'metadata', 'style', 'script'
+]);
+
+// Rendered elements this rasterizer doesn't draw
+const UNSUPPORTED = new Set(['text', 'image', 'use', 'foreignObject', 'switch']);
+
+// Average scale factor of a matrix, used for stroke widths and curve detail
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+// Number of segments for a curve whose control polygon has the given length
+function curveSegments(length, scale) {
+  return Math.min(256, Math.max(2, Math.ceil(length * scale / CURVE_STEP)));
+}
+
+function distance(x0, y0, x1, y1) {
+  return Math.hypot(x1 - x0, y1 - y0);
+}
+
+// Append a flattened cubic Bézier to a point list
+function flattenCubic(points, x0, y0, x1, y1, x2, y2, x3, y3, scale) {
+  const n = curveSegments(distance(x0, y0, x1, y1) + distance(x1, y1, x2, y2) + distance(x2, y2, x3, y3), scale);
+
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    points.push([a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3]);
+  }
+}
+
+// Append a flattened quadratic Bézier to a point list
+function flattenQuadratic(points, x0, y0, x1, y1, x2, y2, scale) {
+  const n = curveSegments(distance(x0, y0, x1, y1) + distance(x1, y1, x2, y2), scale);
+
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const mt = 1 - t;
+    points.push([
+      mt * mt * x0 + 2 * mt * t * x1 + t * t * x2,
+      mt * mt * y0 + 2 * mt * t * y1 + t * t * y2
+    ]);
+  }
+}
+
+// Append a flattened elliptical arc (SVG endpoint parameterization)
+function flattenArc(points, x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, scale) {
+  if (x1 === x2 && y1 === y2) return;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) {
+    points.push([x2, y2]);
+    return;
+  }
+
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+
+  // Step 1: compute (x1', y1')
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  // Step 2: compute (cx', cy')
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+  if (largeArc === sweep) coefficient = -coefficient;
+
+  const cxp = coefficient * rx * y1p / ry;
+  const cyp = -coefficient * ry * x1p / rx;
+
+  // Step 3: compute the center
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  // Step 4: compute start angle and sweep
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let deltaTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+  if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+  else if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+  const n = curveSegments(Math.abs(deltaTheta) * Math.max(rx, ry), scale);
+
+  for (let i = 1; i < n; i++) {
+    const t = theta + deltaTheta * i / n;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push([cx + cos * ex - sin * ey, cy + sin * ex + cos * ey]);
+  }
+
+  points.push([x2, y2]);
+}
+
+// Parse path data like a browser does: on a syntax error, keep the commands
+// before the one in error and drop the rest
+function parsePathCommands(d) {
+  try {
+    return { commands: makeAbsolute(parseSVG(d)), truncated: false };
+  } catch (error) {
+    if (!error.location) throw error;
+
+    const prefix = d.slice(0, error.location.start.offset);
+    const lastCommand = prefix.search(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*$/);
+    const valid = lastCommand > 0 ? parsePathCommands(d.slice(0, lastCommand)).commands : [];
+    return { commands: valid, truncated: true };
+  }
+}
+
+// Flatten path data into subpaths of user-space points
+function flattenPath(d, scale) {
+  const subpaths = [];
+  if (!d || !d.trim()) return subpaths;
+
+  const { commands, truncated } = parsePathCommands(d);
+  subpaths.truncated = truncated;
+
+  let current = null;
+  let lastControl = null;
+  let lastCode = null;
+
+  for (const command of commands) {
+    const { code, x0, y0 } = command;
+
+    // Drawing after a close (or without a move) starts a new subpath
+    if (code !== 'M' && (!current || current.closed)) {
+      current = [[x0, y0]];
+      subpaths.push(current);
+    }
+
+    switch (code) {
+      case 'M':
+        current = [[command.x, command.y]];
+        subpaths.push(current);
+        break;
+
+      case 'L':
+      case 'H':
+      case 'V':
+        current.push([command.x, command.y]);
+        break;
+
+      case 'C':
+        flattenCubic(current, x0, y0, command.x1, command.y1, command.x2, command.y2, command.x, command.y, scale);
+        lastControl = [command.x2, command.y2];
+        break;
+
+      case 'S': {
+        // First control point reflects the previous curve's second one
+        const reflect = (lastCode === 'C' || lastCode === 'S') && lastControl;
+        const x1 = reflect ? 2 * x0 - lastControl[0] : x0;
+        const y1 = reflect ? 2 * y0 - lastControl[1] : y0;
+        flattenCubic(current, x0, y0, x1, y1, command.x2, command.y2, command.x, command.y, scale);
+        lastControl = [command.x2, command.y2];
+        break;
+      }
+
+      case 'Q':
+        flattenQuadratic(current, x0, y0, command.x1, command.y1, command.x, command.y, scale);
+        lastControl = [command.x1, command.y1];
+        break;
+
+      case 'T': {
+        const reflect = (lastCode === 'Q' || lastCode === 'T') && lastControl;
+        const x1 = reflect ? 2 * x0 - lastControl[0] : x0;
+        const y1 = reflect ? 2 * y0 - lastControl[1] : y0;
+        flattenQuadratic(current, x0, y0, x1, y1, command.x, command.y, scale);
+        lastControl = [x1, y1];
+        break;
+      }
+
+      case 'A':
+        flattenArc(current, x0, y0, command.rx, command.ry, command.xAxisRotation,
+          command.largeArc, command.sweep, command.x, command.y, scale);
+        break;
+
+      case 'Z':
+        current.closed = true;
+        break;
+    }
+
+    lastCode = code;
+  }
+
+  return subpaths;
+}
+
+// Closed polygon approximating an ellipse
+function ellipsePoints(cx, cy, rx, ry, scale) {
+  const n = curveSegments(2 * Math.PI * Math.max(rx, ry), scale);
+  const points = [];
+
+  for (let i = 0; i < n; i++) {
+    const t = 2 * Math.PI * i / n;
+    points.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+  }
+
+  points.closed = true;
+  return points;
+}
+
+// Parse the points attribute of a polyline or polygon
+function parsePoints(value) {
+  const numbers = (value || '').match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const points = [];
+
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    points.push([parseFloat(numbers[i]), parseFloat(numbers[i + 1])]);
+  }
+
+  return points;
+}
+
+// User-space geometry of a shape element as subpaths
+function shapeGeometry(tag, el, ctx, scale) {
+  const attr = (name, reference) => parseLength(el.getAttribute(name), reference);
+  const { width: vw, height: vh } = ctx.viewport;
+  const diagonal = Math.sqrt((vw * vw + vh * vh) / 2);
+
+  switch (tag) {
+    case 'path':
+      return flattenPath(el.getAttribute('d'), scale);
+
+    case 'rect': {
+      const x = attr('x', vw);
+      const y = attr('y', vh);
+      const width = attr('width', vw);
+      const height = attr('height', vh);
+      if (width <= 0 || height <= 0) return [];
+
+      let rx = el.hasAttribute('rx') ? attr('rx', vw) : null;
+      let ry = el.hasAttribute('ry') ? attr('ry', vh) : null;
+      if (rx === null) rx = ry || 0;
+      if (ry === null) ry = rx;
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+
+      if (!rx || !ry) {
+        const points = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+        points.closed = true;
+        return [points];
+      }
+
+      const points = [[x + rx, y]];
+      points.push([x + width - rx, y]);
+      flattenArc(points, x + width - rx, y, rx, ry, 0, false, true, x + width, y + ry, scale);
+      points.push([x + width, y + height - ry]);
+      flattenArc(points, x + width, y + height - ry, rx, ry, 0, false, true, x + width - rx, y + height, scale);
+      points.push([x + rx, y + height]);
+      flattenArc(points, x + rx, y + height, rx, ry, 0, false, true, x, y + height - ry, scale);
+      points.push([x, y + ry]);
+      flattenArc(points, x, y + ry, rx, ry, 0, false, true, x + rx, y, scale);
+      points.closed = true;
+      return [points];
+    }
+
+    case 'circle': {
+      const r = attr('r', diagonal);
+      if (r <= 0) return [];
+      return [ellipsePoints(attr('cx', vw), attr('cy', vh), r, r, scale)];
+    }
+
+    case 'ellipse': {
+      const rx = attr('rx', vw);
+      const ry = attr('ry', vh);
+      if (rx <= 0 || ry <= 0) return [];
+      return [ellipsePoints(attr('cx', vw), attr('cy', vh), rx, ry, scale)];
+    }
+
+    case 'line':
+      return [[[attr('x1', vw), attr('y1', vh)], [attr('x2', vw), attr('y2', vh)]]];
+
+    case 'polyline':
+    case 'polygon': {
+      const points = parsePoints(el.getAttribute('points'));
+      if (points.length < 2) return [];
+      points.closed = tag === 'polygon';
+      return [points];
+    }
+
+    default:
+      return [];
+  }
+}
+
+// Bounding box of user-space subpaths
+function boundingBox(subpaths) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  for (const points of subpaths) {
+    for (const [x, y] of points) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Map subpaths through a matrix, keeping the closed flag
+function transformSubpaths(subpaths, m) {
+  return subpaths.map(points => {
+    const mapped = points.map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]);
+    mapped.closed = points.closed;
+    return mapped;
+  });
+}
+
+// Follow href links to collect the chain of gradients an element inherits from
+function gradientChain(ctx, el) {
+  const chain = [];
+
+  while (el && chain.length < 16 && !chain.includes(el)) {
+    chain.push(el);
+    const href = el.getAttribute('href') || el.getAttribute('xlink:href');
+    el = href && href.startsWith('#') ? ctx.ids[href.slice(1)] : null;
+  }
+
+  return chain;
+}
+
+// First value of an attribute found along a gradient chain
+function chainAttribute(chain, name) {
+  for (const el of chain) {
+    if (el.hasAttribute(name)) return el.getAttribute(name);
+  }
+  return null;
+}
+
+// Color stops of a gradient, taken from the first element in the chain with stops
+function gradientStops(chain) {
+  for (const el of chain) {
+    const stops = childElements(el).filter(child => tagName(child) === 'stop');
+    if (!stops.length) continue;
+
+    let lastOffset = 0;
+    return stops.map(stop => {
+      const declarations = readDeclarations(stop);
+      const offset = Math.max(lastOffset, Math.min(1, Math.max(0, parseLength(stop.getAttribute('offset'), 1))));
+      lastOffset = offset;
+
+      return {
+        offset,
+        color: parseColor(declarations['stop-color'] || 'black') || [0, 0, 0],
+        opacity: parseOpacity(declarations['stop-opacity'])
+      };
+    });
+  }
+
+  return [];
+}
+
+// Apply a gradient spread method to a raw gradient position
+function spread(t, method) {
+  if (method === 'repeat') return t - Math.floor(t);
+  if (method === 'reflect') {
+    const period = t - 2 * Math.floor(t / 2);
+    return period > 1 ? 2 - period : period;
+  }
+  return Math.min(1, Math.max(0, t));
+}
+
+// Interpolate gradient stops at position t
+function sampleStops(stops, t) {
+  if (t <= stops[0].offset) return stops[0];
+
+  for (let i = 1; i < stops.length; i++) {
+    const next = stops[i];
+    if (t <= next.offset) {
+      const prev = stops[i - 1];
+      const span = next.offset - prev.offset;
+      const f = span > 0 ? (t - prev.offset) / span : 1;
+
+      return {
+        color: [0, 1, 2].map(c => prev.color[c] + (next.color[c] - prev.color[c]) * f),
+        opacity: prev.opacity + (next.opacity - prev.opacity) * f
+      };
+    }
+  }
+
+  return stops[stops.length - 1];
+}
+
+// Build a gradient paint sampled in device space
+function gradientPaint(ctx, el, bbox, ctm) {
+  const chain = gradientChain(ctx, el);
+  const stops = gradientStops(chain);
+  if (!stops.length) return null;
+
+  // A single stop paints as a solid color
+  if (stops.length === 1) {
+    return { color: stops[0].color, alpha: stops[0].opacity };
+  }
+
+  const objectBoundingBox = chainAttribute(chain, 'gradientUnits') !== 'userSpaceOnUse';
+  if (objectBoundingBox && (!bbox.width || !bbox.height)) return null;
+
+  const { width: vw, height: vh } = ctx.viewport;
+  const refX = objectBoundingBox ? 1 : vw;
+  const refY = objectBoundingBox ? 1 : vh;
+  const refR = objectBoundingBox ? 1 : Math.sqrt((vw * vw + vh * vh) / 2);
+  const value = (name, reference, fallback) => parseLength(chainAttribute(chain, name), reference, fallback);
+
+  let matrix = ctm;
+  if (objectBoundingBox) matrix = multiply(matrix, [bbox.width, 0, 0, bbox.height, bbox.x, bbox.y]);
+  matrix = multiply(matrix, parseTransform(chainAttribute(chain, 'gradientTransform')));
+
+  const inverse = invert(matrix);
+  if (!inverse) return null;
+
+  const method = chainAttribute(chain, 'spreadMethod') || 'pad';
+  let position;
+
+  if (tagName(el) === 'linearGradient') {
+    const x1 = value('x1', refX, 0);
+    const y1 = value('y1', refY, 0);
+    const x2 = value('x2', refX, refX);
+    const y2 = value('y2', refY, 0);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+
+    position = (u, v) => lengthSquared ? ((u - x1) * dx + (v - y1) * dy) / lengthSquared : 1;
+  } else {
+    // Focal points are not modelled; the gradient is centred on cx, cy
+    const cx = value('cx', refX, refX / 2);
+    const cy = value('cy', refY, refY / 2);
+    const r = value('r', refR, refR / 2);
+
+    position = (u, v) => r > 0 ? Math.hypot(u - cx, v - cy) / r : 1;
+  }
+
+  return {
+    sample(x, y) {
+      const u = inverse[0] * x + inverse[2] * y + inverse[4];
+      const v = inverse[1] * x + inverse[3] * y + inverse[5];
+      return sampleStops(stops, spread(position(u, v), method));
+    }
+  };
+}
+
+// Resolve a fill or stroke value into a paint, or null when nothing is drawn
+function resolvePaint(ctx, value, style, bbox, ctm) {
+  if (!value || value === 'none') return null;
+
+  const urlMatch = value.match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)\s*(.*)$/);
+  if (urlMatch) {
+    const target = ctx.ids[urlMatch[1]];
+    const tag = target && tagName(target);
+
+    if (tag === 'linearGradient' || tag === 'radialGradient') {
+      return gradientPaint(ctx, target, bbox, ctm);
+    }
+
+    if (target) ctx.skipped.add(tag);
+
+    // Use the fallback color when the paint server can't be drawn
+    return resolvePaint(ctx, urlMatch[2] || 'none', style, bbox, ctm);
+  }
+
+  const color = parseColor(value, style.color);
+  return color ? { color, alpha: 1 } : null;
+}
+
+// Convert subpaths into edges for scan conversion
+function buildEdges(subpaths) {
+  const edges = [];
+
+  for (const points of subpaths) {
+    for (let i = 0; i < points.length; i++) {
+      const [x0, y0] = points[i];
+      const [x1, y1] = points[(i + 1) % points.length];
+      if (y0 === y1) continue;
+
+      if (y0 < y1) {
+        edges.push({ x0, y0, y1, dxdy: (x1 - x0) / (y1 - y0), dir: 1 });
+      } else {
+        edges.push({ x0: x1, y0: y1, y1: y0, dxdy: (x0 - x1) / (y0 - y1), dir: -1 });
+      }
+    }
+  }
+
+  return edges;
+}
+
+// Scan convert polygons, calling emit(x, y, coverage) for every covered pixel
+function scanConvert(subpaths, width, height, evenOdd, emit) {
+  const edges = buildEdges(subpaths);
+  if (!edges.length) return;
+
+  edges.sort((a, b) => a.y0 - b.y0);
+
+  let maxEdgeY = 0;
+  for (const edge of edges) maxEdgeY = Math.max(maxEdgeY, edge.y1);
+
+  const startY = Math.max(0, Math.floor(edges[0].y0));
+  const endY = Math.min(height, Math.ceil(maxEdgeY));
+
+  // Partial coverage per pixel plus a difference array for fully covered runs
+  const coverage = new Float32Array(width + 2);
+  const runs = new Float32Array(width + 2);
+  const weight = 1 / SUBSAMPLES;
+
+  let active = [];
+  let next = 0;
+
+  for (let y = startY; y < endY; y++) {
+    let rowMin = width;
+    let rowMax = -1;
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = y + (s + 0.5) / SUBSAMPLES;
+
+      while (next < edges.length && edges[next].y0 <= sy) active.push(edges[next++]);
+      active = active.filter(edge => edge.y1 > sy);
+      if (!active.length) continue;
+
+      const crossings = active
+        .map(edge => ({ x: edge.x0 + (sy - edge.y0) * edge.dxdy, dir: edge.dir }))
+        .sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += evenOdd ? 1 : crossings[i].dir;
+        const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+        if (!inside) continue;
+
+        const xa = Math.max(0, crossings[i].x);
+        const xb = Math.min(width, crossings[i + 1].x);
+        if (xb <= xa) continue;
+
+        const ia = Math.floor(xa);
+        const ib = Math.floor(xb);
+
+        if (ia === ib) {
+          coverage[ia] += (xb - xa) * weight;
+        } else {
+          coverage[ia] += (ia + 1 - xa) * weight;
+          runs[ia + 1] += weight;
+          runs[ib] -= weight;
+          coverage[ib] += (xb - ib) * weight;
+        }
+
+        if (ia < rowMin) rowMin = ia;
+        if (ib > rowMax) rowMax = ib;
+      }
+    }
+
+    let run = 0;
+    const last = Math.min(rowMax, width - 1);
+    for (let x = rowMin; x <= last; x++) {
+      run += runs[x];
+      const c = coverage[x] + run;
+      if (c > 1e-4) emit(x, y, Math.min(1, c));
+    }
+
+    if (rowMax >= rowMin) {
+      coverage.fill(0, rowMin, rowMax + 2);
+      runs.fill(0, rowMin, rowMax + 2);
+    }
+  }
+}
+
+// Make a polygon's winding positive so overlapping pieces add up under nonzero
+function orient(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area < 0 ? points.reverse() : points;
+}
+
+// Outline polygons of a stroke in device space
+function strokePolygons(subpaths, halfWidth, cap, join) {
+  const polygons = [];
+  const round = (x, y) => ellipsePoints(x, y, halfWidth, halfWidth, 1);
+
+  for (const raw of subpaths) {
+    // Drop repeated points so every segment has a direction
+    const points = raw.filter((p, i) => i === 0 || p[0] !== raw[i - 1][0] || p[1] !== raw[i - 1][1]);
+    const closed = raw.closed && points.length > 2;
+    if (closed) {
+      const [fx, fy] = points[0];
+      const [lx, ly] = points[points.length - 1];
+      if (fx === lx && fy === ly) points.pop();
+    }
+
+    if (points.length === 1) {
+      // Zero-length subpaths only show round or square caps
+      const [x, y] = points[0];
+      if (cap === 'round') polygons.push(round(x, y));
+      if (cap === 'square') {
+        polygons.push([[x - halfWidth, y - halfWidth], [x + halfWidth, y - halfWidth],
+          [x + halfWidth, y + halfWidth], [x - halfWidth, y + halfWidth]]);
+      }
+      continue;
+    }
+
+    const segmentCount = closed ? points.length : points.length - 1;
+    const normals = [];
+
+    for (let i = 0; i < segmentCount; i++) {
+      let [x0, y0] = points[i];
+      let [x1, y1] = points[(i + 1) % points.length];
+      const length = distance(x0, y0, x1, y1);
+      const ux = (x1 - x0) / length;
+      const uy = (y1 - y0) / length;
+      const nx = -uy * halfWidth;
+      const ny = ux * halfWidth;
+      normals.push([nx, ny]);
+
+      // Square caps extend the end segments by half the stroke width
+      if (!closed && cap === 'square') {
+        if (i === 0) { x0 -= ux * halfWidth; y0 -= uy * halfWidth; }
+        if (i === segmentCount - 1) { x1 += ux * halfWidth; y1 += uy * halfWidth; }
+      }
+
+      polygons.push(orient([[x0 + nx, y0 + ny], [x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x0 - nx, y0 - ny]]));
+    }
+
+    // Joins between consecutive segments
+    const firstJoin = closed ? 0 : 1;
+    for (let i = firstJoin; i < points.length; i++) {
+      const [x, y] = points[i];
+      const before = normals[(i - 1 + segmentCount) % segmentCount];
+      const after = normals[i % segmentCount];
+      if (!closed && i === points.length - 1) break;
+
+      if (join === 'round') {
+        polygons.push(round(x, y));
+        continue;
+      }
+
+      // Outer side of the turn is where the offset normals diverge
+      const cross = before[0] * after[1] - before[1] * after[0];
+      if (Math.abs(cross) < 1e-9) continue;
+      const side = cross > 0 ? -1 : 1;
+      const p1 = [x + side * before[0], y + side * before[1]];
+      const p2 = [x + side * after[0], y + side * after[1]];
+
+      const cosTheta = (before[0] * after[0] + before[1] * after[1]) / (halfWidth * halfWidth);
+      const miterRatio = 1 / Math.sqrt(Math.max(1e-9, (1 + cosTheta) / 2));
+
+      if (join !== 'bevel' && miterRatio <= MITER_LIMIT) {
+        const mx = (before[0] + after[0]) / 2;
+        const my = (before[1] + after[1]) / 2;
+        const scale = miterRatio * halfWidth / Math.hypot(mx, my);
+        polygons.push(orient([[x, y], p1, [x + side * mx * scale, y + side * my * scale], p2]));
+      } else {
+        polygons.push(orient([[x, y], p1, p2]));
+      }
+    }
+
+    if (!closed && cap === 'round') {
+      polygons.push(round(points[0][0], points[0][1]));
+      const [ex, ey] = points[points.length - 1];
+      polygons.push(round(ex, ey));
+    }
+  }
+
+  return polygons;
+}
+
+// Blend a paint into an image through a coverage mask (premultiplied RGBA)
+function paintPolygons(ctx, target, polygons, evenOdd, paint, opacity) {
+  const { width, height } = ctx;
+  const solid = !paint.sample;
+
+  scanConvert(polygons, width, height, evenOdd, (x, y, coverage) => {
+    let color = paint.color;
+    let alpha = paint.alpha;
+
+    if (!solid) {
+      const sample = paint.sample(x + 0.5, y + 0.5);
+      color = sample.color;
+      alpha = sample.opacity;
+    }
+
+    const a = alpha * opacity * coverage;
+    if (a <= 0) return;
+
+    const i = (y * width + x) * 4;
+    const inverse = 1 - a;
+    target[i] = color[0] / 255 * a + target[i] * inverse;
+    target[i + 1] = color[1] / 255 * a + target[i + 1] * inverse;
+    target[i + 2] = color[2] / 255 * a + target[i + 2] * inverse;
+    target[i + 3] = a + target[i + 3] * inverse;
+  });
+}
+
+// Composite an offscreen layer onto an image with group opacity
+function compositeLayer(target, layer, opacity) {
+  for (let i = 0; i < target.length; i += 4) {
+    const a = layer[i + 3] * opacity;
+    if (a <= 0) continue;
+
+    const inverse = 1 - a;
+    target[i] = layer[i] * opacity + target[i] * inverse;
+    target[i + 1] = layer[i + 1] * opacity + target[i + 1] * inverse;
+    target[i + 2] = layer[i + 2] * opacity + target[i + 2] * inverse;
+    target[i + 3] = a + target[i + 3] * inverse;
+  }
+}
+
+// Draw one shape element
+function renderShape(ctx, target, tag, el, style, ctm, opacity) {
+  const scale = matrixScale(ctm);
+  const geometry = shapeGeometry(tag, el, ctx, scale);
+  if (geometry.truncated) ctx.skipped.add('invalid path data');
+  if (!geometry.length) return;
+
+  const bbox = boundingBox(geometry);
+  const device = transformSubpaths(geometry, ctm);
+
+  // Lines have no interior to fill
+  if (tag !== 'line') {
+    const fill = resolvePaint(ctx, style.fill, style, bbox, ctm);
+    if (fill) {
+      paintPolygons(ctx, target, device, style['fill-rule'] === 'evenodd', fill,
+        opacity * parseOpacity(style['fill-opacity']));
+    }
+  }
+
+  const stroke = resolvePaint(ctx, style.stroke, style, bbox, ctm);
+  const strokeWidth = parseLength(style['stroke-width'], ctx.viewport.width, 1) * scale;
+  if (stroke && strokeWidth > 0) {
+    const polygons = strokePolygons(device, strokeWidth / 2, style['stroke-linecap'], style['stroke-linejoin']);
+    paintPolygons(ctx, target, polygons, false, stroke, opacity * parseOpacity(style['stroke-opacity']));
+  }
+}
+
+// Draw an element and its children
+function renderElement(ctx, target, el, parentStyle, parentCtm) {
+  const tag = tagName(el);
+
+  if (NON_RENDERED.has(tag)) return;
+  if (UNSUPPORTED.has(tag)) {
+    ctx.skipped.add(tag);
+    return;
+  }
+
+  const style = computeStyle(el, parentStyle);
+  if (style.display === 'none') return;
+
+  for (const effect of ['filter', 'mask', 'clip-path']) {
+    if (style[effect] && style[effect] !== 'none') ctx.skipped.add(effect);
+  }
+
+  const ctm = multiply(parentCtm, parseTransform(el.getAttribute('transform')));
+  const opacity = parseOpacity(style.opacity);
+
+  if (tag === 'g' || tag === 'svg' || tag === 'a') {
+    const children = childElements(el);
+
+    // Group opacity applies to the group as a whole, so draw it offscreen
+    if (opacity < 1) {
+      const layer = new Float32Array(target.length);
+      children.forEach(child => renderElement(ctx, layer, child, style, ctm));
+      compositeLayer(target, layer, opacity);
+    } else {
+      children.forEach(child => renderElement(ctx, target, child, style, ctm));
+    }
+    return;
+  }
+
+  if (style.visibility === 'hidden' || style.visibility === 'collapse') return;
+
+  renderShape(ctx, target, tag, el, style, ctm, opacity);
+}
+
+// Collect elements by id for url(#...) and href lookups
+function indexIds(el, ids) {
+  const id = el.getAttribute('id');
+  if (id && !ids[id]) ids[id] = el;
+  childElements(el).forEach(child => indexIds(child, ids));
+  return ids;
+}
+
+// Rasterize an SVG string to premultiplied RGBA bytes
+function rasterize(svgString, { width = TARGET_SIZE, height = TARGET_SIZE } = {}) {
+  const root = parseSVGDocument(svgString);
+
+  const { matrix, viewport } = viewportMatrix(root, width, height);
+  const ctx = {
+    width,
+    height,
+    viewport,
+    ids: indexIds(root, {}),
+    skipped: new Set()
+  };
+
+  const image = new Float32Array(width * height * 4);
+  const rootStyle = computeStyle(root, ROOT_STYLE);
+  const rootOpacity = parseOpacity(rootStyle.opacity);
+  const layer = rootOpacity < 1 ? new Float32Array(image.length) : image;
+
+  childElements(root).forEach(child => renderElement(ctx, layer, child, rootStyle, matrix));
+  if (layer !== image) compositeLayer(image, layer, rootOpacity);
+
+  const data = new Uint8ClampedArray(image.length);
+  for (let i = 0; i < image.length; i++) {
+    data[i] = Math.round(image[i] * 255);
+  }
+
+  return {
+    width,
+    height,
+    data,
+    skipped: [...ctx.skipped].sort()
+  };
+}
+
+// Pixel difference between two rasterized images of the same size.
+// A pixel's error is its largest channel difference (0-255); pixels whose
+// error exceeds `tolerance` count as differing.
+function compareImages(a, b, tolerance = 0) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Image sizes differ: ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+  }
+
+  const pixelCount = a.width * a.height;
+  let maxError = 0;
+  let totalError = 0;
+  let differing = 0;
+
+  for (let i = 0; i < a.data.length; i += 4) {
+    const error = Math.max(
+      Math.abs(a.data[i] - b.data[i]),
+      Math.abs(a.data[i + 1] - b.data[i + 1]),
+      Math.abs(a.data[i + 2] - b.data[i + 2]),
+      Math.abs(a.data[i + 3] - b.data[i + 3])
+    );
+
+    if (error > maxError) maxError = error;
+    totalError += error;
+    if (error > tolerance) differing++;
+  }
+
+  return {
+    maxError,
+    meanError: totalError / pixelCount,
+    diffPercent: differing / pixelCount * 100
+  };
+}
+
+module.exports = {
+  flattenPath,
+  rasterize,
+  compareImages
+};
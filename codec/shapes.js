@@ -0,0 +1,523 @@
+const { encodeVarInt, decodeVarInt, encodeSignedVarInt, decodeSignedVarInt } = require('./encoding');
+const { MAX_WIDTH, bitWidth, zigzag, createBitWriter, createBitReader } = require('./bits');
+const {
+  GRID_SCALES,
+  toAbsolute,
+  toRelative,
+  scaleDecimals,
+  arcCenter,
+  outlineDeviation,
+  pathScale,
+  gridScaleCode,
+  numericPathData,
+  decodeNumericPath
+} = require('./path');
+
+// Primitive shape records. A path that draws a circle, ellipse, rectangle,
+// rounded rectangle, polygon or polyline is stored as the shape's parameters
+// instead of its segments, whenever that is shorter. The record takes the
+// place of the segments in a numeric path record, flagged by SHAPE_BIT in
+// the grid scale code; decoding gives back an equivalent path.
+//
+// Record: shape byte (type, REVERSED_BIT when drawn counterclockwise, and
+// for closed shapes the point the path starts from), then the parameters on
+// the grid as signed varints:
+// - circle: cx, cy, r
+// - ellipse: cx, cy, rx, ry
+// - rect: x, y, width, height
+// - rounded rect: x, y, width, height, rx, ry
+// - polygon, polyline: varint point count, first point, then deltas; with
+//   PACKED_POINTS_BIT in the shape byte the points are a bit stream instead:
+//   5 bit width of the first point's values, 5 bit width of the deltas, then
+//   the values as zigzag integers, padded to a byte
+
+// Set in the grid scale code of numeric path records holding a shape
+const SHAPE_BIT = 0x40;
+
+const SHAPE_TYPES = ['circle', 'ellipse', 'rect', 'roundedRect', 'polygon', 'polyline'];
+const SHAPE_MASK = 0x07;
+const PACKED_POINTS_BIT = 0x40;
+const REVERSED_BIT = 0x80;
+
+// Start point of circles, ellipses and rects in the shape byte, clockwise
+// from the left end of an ellipse, the top left corner of a rect and the
+// left end of a rounded rect's top side
+const START_SHIFT = 3;
+const START_MASK = 0x18;
+
+// Bits of each width in packed points
+const POINT_WIDTH_BITS = 5;
+
+// Slack for float noise when comparing angles, in radians
+const ANGLE_EPSILON = 1e-6;
+
+// Distance a path may move when recognized as a shape: the maxDeviation
+// budget less the rounding of the shape to the grid, or without one, half
+// a grid step (the rounding every numeric path takes anyway)
+function shapeTolerance(scale, { maxDeviation, unitsPerPixel = 1 } = {}) {
+  if (maxDeviation === undefined || maxDeviation === null) return 0.5 / scale;
+  return Math.max(0.5 / scale, maxDeviation * unitsPerPixel - 1.25 / scale);
+}
+
+// Lines and arcs a single-subpath path draws, or null when it has curves or
+// several subpaths
+function pathEdges(segments) {
+  const absolute = toAbsolute(segments);
+  if (absolute.length < 2 || absolute[0].command !== 'M') return null;
+
+  const [startX, startY] = absolute[0].values;
+  let x = startX, y = startY;
+  let closed = false;
+  const edges = [];
+
+  for (const { command, values } of absolute.slice(1)) {
+    if (closed) return null; // Drawing continues after Z
+
+    let edge;
+    switch (command) {
+      case 'L':
+        edge = { x1: x, y1: y, x2: values[0], y2: values[1] };
+        break;
+      case 'H':
+        edge = { x1: x, y1: y, x2: values[0], y2: y };
+        break;
+      case 'V':
+        edge = { x1: x, y1: y, x2: x, y2: values[0] };
+        break;
+      case 'A':
+        edge = { x1: x, y1: y, x2: values[5], y2: values[6], arc: arcCenter(x, y, values) };
+        break;
+      case 'Z':
+        closed = true;
+        if (x !== startX || y !== startY) edge = { x1: x, y1: y, x2: startX, y2: startY };
+        break;
+      default:
+        return null;
+    }
+
+    if (edge) {
+      edges.push(edge);
+      x = edge.x2;
+      y = edge.y2;
+    }
+  }
+
+  return edges.length ? { startX, startY, edges, closed } : null;
+}
+
+// Axis radii of an arc's ellipse, or null when it's tilted
+function axisRadii({ rx, ry, phi }, tolerance) {
+  if (Math.abs(rx - ry) <= tolerance) return [rx, ry];
+  if (Math.abs(Math.sin(phi)) < ANGLE_EPSILON) return [rx, ry];
+  if (Math.abs(Math.cos(phi)) < ANGLE_EPSILON) return [ry, rx];
+  return null;
+}
+
+// Index of the point a path starts from among a shape's start points, or -1
+// when it starts elsewhere
+function startIndex(points, startX, startY, tolerance) {
+  return points.findIndex(([x, y]) => Math.hypot(x - startX, y - startY) <= tolerance);
+}
+
+// Quarter points of an axis-aligned ellipse clockwise from its left end
+function quarterPoints(cx, cy, rx, ry) {
+  return [[cx - rx, cy], [cx, cy - ry], [cx + rx, cy], [cx, cy + ry]];
+}
+
+// Corners of a box clockwise from the top left
+function boxCorners(x, y, width, height) {
+  return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+// Starts of a rounded rect's sides clockwise from the top side
+function sideStarts(x, y, width, height, rx, ry) {
+  return [[x + rx, y], [x + width, y + ry], [x + width - rx, y + height], [x, y + height - ry]];
+}
+
+// Full turn of same-direction arcs around one center with one pair of radii,
+// starting from one of the ellipse's quarter points
+function arcLoopShape(arcs, startX, startY, tolerance) {
+  if (arcs.some(arc => !arc)) return null;
+
+  const [first] = arcs;
+  const radii = arcs.map(arc => axisRadii(arc, tolerance));
+  if (radii.some(pair => !pair)) return null;
+
+  const [rx, ry] = radii[0];
+  const sameLoop = arcs.every((arc, i) =>
+    Math.hypot(arc.cx - first.cx, arc.cy - first.cy) <= tolerance &&
+    Math.abs(radii[i][0] - rx) <= tolerance &&
+    Math.abs(radii[i][1] - ry) <= tolerance &&
+    Math.sign(arc.delta) === Math.sign(first.delta));
+  const turn = arcs.reduce((sum, arc) => sum + arc.delta, 0);
+  if (!sameLoop || Math.abs(Math.abs(turn) - 2 * Math.PI) > ANGLE_EPSILON + tolerance / Math.max(rx, ry)) {
+    return null;
+  }
+
+  const start = startIndex(quarterPoints(first.cx, first.cy, rx, ry), startX, startY, tolerance);
+  if (start === -1) return null;
+
+  const reversed = first.delta < 0;
+  if (Math.abs(rx - ry) <= tolerance) {
+    return { type: 'circle', reversed, start, params: [first.cx, first.cy, (rx + ry) / 2] };
+  }
+  return { type: 'ellipse', reversed, start, params: [first.cx, first.cy, rx, ry] };
+}
+
+// Bounding box of edge endpoints
+function edgeBounds(edges) {
+  const xs = edges.flatMap(edge => [edge.x1, edge.x2]);
+  const ys = edges.flatMap(edge => [edge.y1, edge.y2]);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+// Side of a box a line runs along, or null
+function boxSide(edge, { x0, y0, x1, y1 }, tolerance) {
+  const near = (a, b) => Math.abs(a - b) <= tolerance;
+  if (near(edge.x1, edge.x2)) {
+    if (near(edge.x1, x0)) return 'left';
+    if (near(edge.x1, x1)) return 'right';
+  }
+  if (near(edge.y1, edge.y2)) {
+    if (near(edge.y1, y0)) return 'top';
+    if (near(edge.y1, y1)) return 'bottom';
+  }
+  return null;
+}
+
+// Whether lines run along the four different sides of a box
+function coversBox(lines, box, tolerance) {
+  const sides = new Set(lines.map(edge => boxSide(edge, box, tolerance)));
+  return lines.length === 4 && sides.size === 4 && !sides.has(null);
+}
+
+// Whether a closed loop of lines runs clockwise on screen (y down)
+function isClockwise(edges) {
+  return edges.reduce((area, edge) => area + edge.x1 * edge.y2 - edge.x2 * edge.y1, 0) > 0;
+}
+
+// Closed loop of four lines around a box, starting from a corner
+function rectShape(lines, startX, startY, tolerance) {
+  const box = edgeBounds(lines);
+  const width = box.x1 - box.x0;
+  const height = box.y1 - box.y0;
+  if (width <= tolerance || height <= tolerance || !coversBox(lines, box, tolerance)) return null;
+
+  const start = startIndex(boxCorners(box.x0, box.y0, width, height), startX, startY, tolerance);
+  if (start === -1) return null;
+
+  return { type: 'rect', reversed: !isClockwise(lines), start, params: [box.x0, box.y0, width, height] };
+}
+
+// Closed loop of four quarter arcs, one per corner, joined by the four sides,
+// starting from the start of a side
+function roundedRectShape(edges, startX, startY, tolerance) {
+  const isArc = edge => edge.arc !== undefined;
+  const arcs = edges.filter(isArc);
+  const lines = edges.filter(edge => !isArc(edge));
+  const alternates = edges.every((edge, i) => isArc(edge) !== isArc(edges[(i + 1) % edges.length]));
+  if (arcs.length !== 4 || !alternates || arcs.some(edge => !edge.arc)) return null;
+
+  const box = edgeBounds(edges);
+  if (!coversBox(lines, box, tolerance)) return null;
+
+  const first = arcs[0].arc;
+  const radii = axisRadii(first, tolerance);
+  if (!radii) return null;
+  const [rx, ry] = radii;
+
+  const corners = [
+    [box.x0 + rx, box.y0 + ry], [box.x1 - rx, box.y0 + ry],
+    [box.x1 - rx, box.y1 - ry], [box.x0 + rx, box.y1 - ry]
+  ];
+  const used = new Set();
+  for (const { arc } of arcs) {
+    const pair = axisRadii(arc, tolerance);
+    const corner = corners.findIndex(([cx, cy]) => Math.hypot(arc.cx - cx, arc.cy - cy) <= tolerance);
+    const quarter = Math.abs(Math.abs(arc.delta) - Math.PI / 2) <= ANGLE_EPSILON + tolerance / Math.max(rx, ry);
+    if (!pair || Math.abs(pair[0] - rx) > tolerance || Math.abs(pair[1] - ry) > tolerance ||
+        corner === -1 || used.has(corner) || Math.sign(arc.delta) !== Math.sign(first.delta) || !quarter) {
+      return null;
+    }
+    used.add(corner);
+  }
+
+  const params = [box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0, rx, ry];
+  const start = startIndex(sideStarts(...params), startX, startY, tolerance);
+  if (start === -1) return null;
+
+  const reversed = first.delta < 0;
+  return { type: 'roundedRect', reversed, start, params };
+}
+
+// Shape a path draws within tolerance, or null
+function detectShape(segments, tolerance) {
+  const path = pathEdges(segments);
+  if (!path) return null;
+
+  // Lines shorter than the tolerance don't change the outline
+  const { startX, startY, closed } = path;
+  const edges = path.edges.filter(edge =>
+    edge.arc !== undefined || Math.hypot(edge.x2 - edge.x1, edge.y2 - edge.y1) > tolerance);
+  if (!edges.length) return null;
+
+  // Only paths closed with Z are closed shapes: an open loop ends in caps
+  // and a gap where a closed one has a join
+  if (edges.every(edge => edge.arc !== undefined)) {
+    return closed ? arcLoopShape(edges.map(edge => edge.arc), startX, startY, tolerance) : null;
+  }
+
+  if (edges.every(edge => edge.arc === undefined)) {
+    // Polygons and polylines keep every point, so they never move the path
+    const points = [[startX, startY]].concat(path.edges.map(edge => [edge.x2, edge.y2]));
+    if (!closed) return { type: 'polyline', reversed: false, params: points };
+
+    const rect = rectShape(edges, startX, startY, tolerance);
+    if (rect) return rect;
+
+    // Z draws the line back to the start
+    points.pop();
+    return { type: 'polygon', reversed: false, params: points };
+  }
+
+  return closed ? roundedRectShape(edges, startX, startY, tolerance) : null;
+}
+
+// Round a value to whole grid units
+function gridUnits(value, scale) {
+  return Math.round(value * scale);
+}
+
+// Polygon points on the grid as the first point and deltas from each point
+function pointDeltas(points, scale) {
+  let x = 0, y = 0;
+  return points.map(([px, py]) => {
+    const gx = gridUnits(px, scale), gy = gridUnits(py, scale);
+    const delta = [gx - x, gy - y];
+    x = gx;
+    y = gy;
+    return delta;
+  });
+}
+
+// Bit-packed point deltas, or null when a value is too large for them
+function packPoints(deltas) {
+  const widths = [0, 0];
+  deltas.forEach((delta, i) => {
+    for (const value of delta) widths[i ? 1 : 0] = Math.max(widths[i ? 1 : 0], bitWidth(zigzag(value)));
+  });
+  if (widths.some(width => width > MAX_WIDTH)) return null;
+
+  const writer = createBitWriter();
+  widths.forEach(width => writer.write(width, POINT_WIDTH_BITS));
+  deltas.forEach((delta, i) => delta.forEach(value => writer.writeSigned(value, widths[i ? 1 : 0])));
+  return writer.finish();
+}
+
+// Encode a shape record on a grid scale
+function encodeShape({ type, reversed, start = 0, params }, scale) {
+  const shapeByte = SHAPE_TYPES.indexOf(type) | (start << START_SHIFT) | (reversed ? REVERSED_BIT : 0);
+
+  if (type === 'polygon' || type === 'polyline') {
+    const deltas = pointDeltas(params, scale);
+    const varints = Buffer.concat(deltas.map(([dx, dy]) => Buffer.concat([encodeSignedVarInt(dx), encodeSignedVarInt(dy)])));
+    const packed = packPoints(deltas);
+    const usePacked = packed && packed.length < varints.length;
+
+    return Buffer.concat([
+      Buffer.from([shapeByte | (usePacked ? PACKED_POINTS_BIT : 0)]),
+      encodeVarInt(params.length),
+      usePacked ? packed : varints
+    ]);
+  }
+
+  return Buffer.concat([Buffer.from([shapeByte])].concat(params.map(value => encodeSignedVarInt(gridUnits(value, scale)))));
+}
+
+// Absolute segments drawing a closed loop from a start point along edges
+// ({ x, y, arc: [rx, ry, largeArc] } with arcs sweeping clockwise), or along
+// the same edges backwards
+function loopSegments([startX, startY], edges, reversed) {
+  const points = [[startX, startY]].concat(edges.map(({ x, y }) => [x, y]));
+  const steps = reversed
+    ? edges.map((edge, i) => ({ from: points[i + 1], to: points[i], arc: edge.arc, sweep: 0 })).reverse()
+    : edges.map((edge, i) => ({ from: points[i], to: points[i + 1], arc: edge.arc, sweep: 1 }));
+
+  const segments = [{ command: 'M', values: steps[0].from }];
+  for (const { from, to, arc, sweep } of steps) {
+    if (arc) segments.push({ command: 'A', values: [arc[0], arc[1], 0, arc[2], sweep, to[0], to[1]] });
+    else if (to[1] === from[1]) segments.push({ command: 'H', values: [to[0]] });
+    else if (to[0] === from[0]) segments.push({ command: 'V', values: [to[1]] });
+    else segments.push({ command: 'L', values: to });
+  }
+  segments.push({ command: 'Z', values: [] });
+  return segments;
+}
+
+// Loop segments (see loopSegments) around a closed edge list that ends where
+// it starts, starting after `shift` of its edges instead
+function rotatedLoop(edges, shift, reversed) {
+  const rotated = edges.slice(shift).concat(edges.slice(0, shift));
+  const { x, y } = rotated[rotated.length - 1];
+  return loopSegments([x, y], rotated, reversed);
+}
+
+// Absolute segments of a decoded shape, drawn from its start point
+function shapeSegments(type, reversed, params, start = 0) {
+  switch (type) {
+    case 'circle':
+    case 'ellipse': {
+      const [cx, cy, rx, ry = rx] = params;
+      const quarters = quarterPoints(cx, cy, rx, ry);
+      const [from, half] = [quarters[start], quarters[(start + 2) % 4]];
+      return loopSegments(from, [
+        { x: half[0], y: half[1], arc: [rx, ry, 1] },
+        { x: from[0], y: from[1], arc: [rx, ry, 1] }
+      ], reversed);
+    }
+    case 'rect': {
+      const corners = boxCorners(...params).map(([x, y]) => ({ x, y }));
+      return rotatedLoop(corners.slice(1).concat(corners[0]), start, reversed);
+    }
+    case 'roundedRect': {
+      const [x, y, width, height, rx, ry] = params;
+      const corner = [rx, ry, 0];
+      return rotatedLoop([
+        { x: x + width - rx, y }, { x: x + width, y: y + ry, arc: corner },
+        { x: x + width, y: y + height - ry }, { x: x + width - rx, y: y + height, arc: corner },
+        { x: x + rx, y: y + height }, { x, y: y + height - ry, arc: corner },
+        { x, y: y + ry }, { x: x + rx, y, arc: corner }
+      ], 2 * start, reversed);
+    }
+    default: {
+      const segments = params.map((values, i) => ({ command: i === 0 ? 'M' : 'L', values }));
+      if (type === 'polygon') segments.push({ command: 'Z', values: [] });
+      return segments;
+    }
+  }
+}
+
+// Decode a shape record into absolute segments
+function decodeShape(buffer, offset, scale) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading shape type at offset ${offset}`);
+  }
+
+  const shapeByte = buffer[offset];
+  const type = SHAPE_TYPES[shapeByte & SHAPE_MASK];
+  if (!type) {
+    throw new Error(`Unknown shape type ${shapeByte & SHAPE_MASK} at offset ${offset}`);
+  }
+
+  let currentOffset = offset + 1;
+  const read = () => {
+    const { value, bytesRead } = decodeSignedVarInt(buffer, currentOffset);
+    currentOffset += bytesRead;
+    return value;
+  };
+
+  let params;
+  if (type === 'polygon' || type === 'polyline') {
+    const { value: count, bytesRead } = decodeVarInt(buffer, currentOffset);
+    currentOffset += bytesRead;
+
+    // Packed points come from a bit reader, the others from varints
+    let readDelta = read;
+    let reader = null;
+    if (shapeByte & PACKED_POINTS_BIT) {
+      reader = createBitReader(buffer, currentOffset);
+      const widths = [reader.read(POINT_WIDTH_BITS), reader.read(POINT_WIDTH_BITS)];
+      let index = 0;
+      readDelta = () => reader.readSigned(widths[index++ < 2 ? 0 : 1]);
+    }
+
+    params = [];
+    let x = 0, y = 0;
+    for (let i = 0; i < count; i++) {
+      x += readDelta();
+      y += readDelta();
+      params.push([x / scale, y / scale]);
+    }
+    if (reader) currentOffset += reader.bytesRead();
+  } else {
+    const counts = { circle: 3, ellipse: 4, rect: 4, roundedRect: 6 };
+    params = Array.from({ length: counts[type] }, () => read() / scale);
+  }
+
+  const start = (shapeByte & START_MASK) >> START_SHIFT;
+  return {
+    segments: shapeSegments(type, Boolean(shapeByte & REVERSED_BIT), params, start),
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Whether the path a shape record decodes to stays within the maxDeviation
+// budget of the original outline. Detection allows the tolerance on each
+// axis and the record is rounded to the grid on top, so a corner can move
+// further than either; paths without a budget only take grid rounding.
+function withinDeviation(segments, shapeData, scale, { maxDeviation, unitsPerPixel = 1 } = {}) {
+  if (maxDeviation === undefined || maxDeviation === null) return true;
+  const decoded = decodeShape(shapeData, 0, scale).segments;
+  return outlineDeviation(toAbsolute(segments), toAbsolute(decoded)) <= maxDeviation * unitsPerPixel;
+}
+
+// Encode the geometry of a numeric path record: a shape record when the path
+// is a shape and that is shorter, else the segments. Returns the grid scale
+// code (with SHAPE_BIT for shapes, PACKED_BIT for bit-packed segments) and
+// the data that follows it, so traits can write the code where their record
+// keeps it.
+function encodeGeometry(segments, scale, pathOptions) {
+  const numeric = numericPathData(segments, scale);
+
+  const shape = detectShape(segments, shapeTolerance(scale, pathOptions));
+  if (shape) {
+    const shapeData = encodeShape(shape, scale);
+    if (shapeData.length < numeric.data.length && withinDeviation(segments, shapeData, scale, pathOptions)) {
+      return { code: gridScaleCode(scale) | SHAPE_BIT, data: shapeData };
+    }
+  }
+
+  return numeric;
+}
+
+// Geometry with its grid scale code in front, for traits that write the
+// code in the record, on the grid pathScale picks for the path options
+function encodePathGeometry(segments, pathOptions) {
+  const { code, data } = encodeGeometry(segments, pathScale(segments, pathOptions), pathOptions);
+  return Buffer.concat([Buffer.from([code]), data]);
+}
+
+// Decode numeric path record geometry (see decodeNumericPath) into relative
+// segments, expanding shape records into their path
+function decodeGeometry(buffer, offset, code) {
+  const codeBytes = code === undefined ? 1 : 0;
+  if (codeBytes && offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading path grid scale at offset ${offset}`);
+  }
+
+  const scaleCode = codeBytes ? buffer[offset] : code;
+  if (!(scaleCode & SHAPE_BIT)) {
+    return decodeNumericPath(buffer, offset, code);
+  }
+
+  const scale = GRID_SCALES[scaleCode & ~SHAPE_BIT];
+  if (scale === undefined) {
+    throw new Error(`Invalid path grid scale code ${scaleCode} at offset ${offset}`);
+  }
+
+  const { segments, bytesRead } = decodeShape(buffer, offset + codeBytes, scale);
+  return {
+    segments: toRelative(segments),
+    scale,
+    decimals: scaleDecimals(scale),
+    bytesRead: codeBytes + bytesRead
+  };
+}
+
+module.exports = {
+  SHAPE_TYPES,
+  detectShape,
+  encodeGeometry,
+  encodePathGeometry,
+  decodeGeometry
+};
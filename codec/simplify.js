@@ -0,0 +1,386 @@
+const { toAbsolute } = require('./path');
+
+// Lossy path simplification: drops nodes that don't change the outline by
+// more than a tolerance. Straight runs (lines, and curves flat enough to be
+// lines) keep only the points Douglas-Peucker needs, and smooth runs of
+// cubics are refitted into fewer cubics (Schneider, "An Algorithm for
+// Automatically Fitting Digitized Curves", Graphics Gems). Corners, arcs and
+// subpath starts are kept as they are.
+//
+// Flattening a curve into its chord and Douglas-Peucker both move the
+// outline, and a chord can then be simplified away, so each gets a share of
+// the tolerance. A refitted run is checked against the run it replaces along
+// both outlines, not only at the points it was fitted to.
+
+// Joins turning more than this (radians) are corners and end a curve run
+const CORNER_ANGLE = Math.PI / 6;
+
+// Points sampled along each cubic when refitting a run
+const CURVE_SAMPLES = 8;
+
+// Newton steps trying to bring a near miss within tolerance before splitting
+const REPARAMETERIZE_STEPS = 8;
+
+// Share of the tolerance the control points of a curve flattened into its
+// chord may use (the curve itself then stays within 3/4 of it); Douglas-
+// Peucker gets the rest
+const FLAT_SHARE = 0.5;
+
+// Points sampled along each cubic when checking a refitted run
+const CHECK_SAMPLES = 32;
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const scale = (a, s) => [a[0] * s, a[1] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const length = a => Math.hypot(a[0], a[1]);
+const normalize = a => {
+  const l = length(a);
+  return l === 0 ? a : scale(a, 1 / l);
+};
+
+// Point and derivatives of a cubic at t
+function bezier([p0, p1, p2, p3], t) {
+  const mt = 1 - t;
+  return add(add(scale(p0, mt * mt * mt), scale(p1, 3 * mt * mt * t)),
+    add(scale(p2, 3 * mt * t * t), scale(p3, t * t * t)));
+}
+
+function bezierDerivative([p0, p1, p2, p3], t) {
+  const mt = 1 - t;
+  return add(add(scale(sub(p1, p0), 3 * mt * mt), scale(sub(p2, p1), 6 * mt * t)), scale(sub(p3, p2), 3 * t * t));
+}
+
+function bezierSecondDerivative([p0, p1, p2, p3], t) {
+  return add(scale(add(sub(p2, scale(p1, 2)), p0), 6 * (1 - t)), scale(add(sub(p3, scale(p2, 2)), p1), 6 * t));
+}
+
+// Distance from a point to the segment a-b
+function segmentDistance(p, a, b) {
+  const ab = sub(b, a);
+  const lengthSquared = dot(ab, ab);
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, dot(sub(p, a), ab) / lengthSquared));
+  return length(sub(p, add(a, scale(ab, t))));
+}
+
+// Douglas-Peucker: the points of a polyline needed to stay within tolerance
+function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  let worst = 0, index = 0;
+  const first = points[0], last = points[points.length - 1];
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = segmentDistance(points[i], first, last);
+    if (distance > worst) {
+      worst = distance;
+      index = i;
+    }
+  }
+
+  if (worst <= tolerance) return [first, last];
+  return simplifyPolyline(points.slice(0, index + 1), tolerance)
+    .concat(simplifyPolyline(points.slice(index), tolerance).slice(1));
+}
+
+// Unit tangents leaving the start and entering the end of a cubic (the
+// latter pointing back along the curve), skipping coincident control points
+function endTangents([p0, p1, p2, p3]) {
+  const start = [p1, p2, p3].map(p => sub(p, p0)).find(v => length(v) > 0) || [0, 0];
+  const end = [p2, p1, p0].map(p => sub(p, p3)).find(v => length(v) > 0) || [0, 0];
+  return [normalize(start), normalize(end)];
+}
+
+// Cubic through the points' ends, along the given end tangents, with the
+// control distances that fit the points best in the least squares sense
+function generateBezier(points, params, leftTangent, rightTangent) {
+  const first = points[0], last = points[points.length - 1];
+  const c = [[0, 0], [0, 0]];
+  const x = [0, 0];
+
+  params.forEach((u, i) => {
+    const mt = 1 - u;
+    const a0 = scale(leftTangent, 3 * mt * mt * u);
+    const a1 = scale(rightTangent, 3 * mt * u * u);
+    c[0][0] += dot(a0, a0);
+    c[0][1] += dot(a0, a1);
+    c[1][1] += dot(a1, a1);
+
+    const base = bezier([first, first, last, last], u);
+    const rest = sub(points[i], base);
+    x[0] += dot(a0, rest);
+    x[1] += dot(a1, rest);
+  });
+  c[1][0] = c[0][1];
+
+  const determinant = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+  let alphaLeft = determinant === 0 ? 0 : (x[0] * c[1][1] - x[1] * c[0][1]) / determinant;
+  let alphaRight = determinant === 0 ? 0 : (c[0][0] * x[1] - c[1][0] * x[0]) / determinant;
+
+  // Fall back to a third of the chord when the fit is degenerate
+  const chord = length(sub(last, first));
+  const epsilon = 1e-6 * chord;
+  if (alphaLeft < epsilon || alphaRight < epsilon) {
+    alphaLeft = alphaRight = chord / 3;
+  }
+
+  return [first, add(first, scale(leftTangent, alphaLeft)), add(last, scale(rightTangent, alphaRight)), last];
+}
+
+// Parameters proportional to the distance along the points
+function chordParameters(points) {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + length(sub(points[i], points[i - 1])));
+  }
+  const total = distances[distances.length - 1];
+  return distances.map(distance => total === 0 ? 0 : distance / total);
+}
+
+// Newton step moving each parameter to the point of the curve nearest its
+// sample
+function reparameterize(curve, points, params) {
+  return params.map((u, i) => {
+    const d = sub(bezier(curve, u), points[i]);
+    const d1 = bezierDerivative(curve, u);
+    const d2 = bezierSecondDerivative(curve, u);
+    const denominator = dot(d1, d1) + dot(d, d2);
+    return denominator === 0 ? u : Math.max(0, Math.min(1, u - dot(d, d1) / denominator));
+  });
+}
+
+// Largest distance from a sample to the curve at its parameter, and where
+function maxError(curve, points, params) {
+  let worst = 0, index = Math.floor(points.length / 2);
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = length(sub(bezier(curve, params[i]), points[i]));
+    if (distance > worst) {
+      worst = distance;
+      index = i;
+    }
+  }
+  return { worst, index };
+}
+
+// Cubics fitting the points within tolerance, splitting where they miss most
+function fitCubics(points, leftTangent, rightTangent, tolerance) {
+  const first = points[0], last = points[points.length - 1];
+  if (points.length === 2) {
+    const distance = length(sub(last, first)) / 3;
+    return [[first, add(first, scale(leftTangent, distance)), add(last, scale(rightTangent, distance)), last]];
+  }
+
+  let params = chordParameters(points);
+  let curve = generateBezier(points, params, leftTangent, rightTangent);
+  let { worst, index } = maxError(curve, points, params);
+  if (worst <= tolerance) return [curve];
+
+  if (worst <= tolerance * 4) {
+    for (let i = 0; i < REPARAMETERIZE_STEPS; i++) {
+      params = reparameterize(curve, points, params);
+      curve = generateBezier(points, params, leftTangent, rightTangent);
+      ({ worst, index } = maxError(curve, points, params));
+      if (worst <= tolerance) return [curve];
+    }
+  }
+
+  const centerTangent = normalize(sub(points[index - 1], points[index + 1]));
+  return fitCubics(points.slice(0, index + 1), leftTangent, centerTangent, tolerance)
+    .concat(fitCubics(points.slice(index), scale(centerTangent, -1), rightTangent, tolerance));
+}
+
+// Points of a run of cubics, sampled evenly in each curve's parameter
+function samplePoints(curves, samples) {
+  const points = [curves[0][0]];
+  for (const curve of curves) {
+    for (let i = 1; i <= samples; i++) points.push(bezier(curve, i / samples));
+  }
+  return points;
+}
+
+// Largest distance from the points of one polyline to the other polyline
+function polylineDistance(points, polyline) {
+  let worst = 0;
+  for (const point of points) {
+    let nearest = Infinity;
+    for (let i = 1; i < polyline.length && nearest > worst; i++) {
+      nearest = Math.min(nearest, segmentDistance(point, polyline[i - 1], polyline[i]));
+    }
+    worst = Math.max(worst, nearest);
+  }
+  return worst;
+}
+
+// Whether two runs of cubics stay within tolerance of each other
+function runsWithin(curves, fitted, tolerance) {
+  const original = samplePoints(curves, CHECK_SAMPLES);
+  const refitted = samplePoints(fitted, CHECK_SAMPLES);
+  return polylineDistance(original, refitted) <= tolerance && polylineDistance(refitted, original) <= tolerance;
+}
+
+// Refit a smooth run of cubics; keeps the run when refitting saves nothing or
+// the refitted outline strays beyond tolerance between the fitted points
+function refitCurves(curves, tolerance) {
+  if (curves.length < 2) return curves;
+
+  const points = samplePoints(curves, CURVE_SAMPLES);
+  const [leftTangent] = endTangents(curves[0]);
+  const [, rightTangent] = endTangents(curves[curves.length - 1]);
+
+  // A miss between the fitted points is retried with a tighter fit
+  for (const fitTolerance of [tolerance, tolerance / 2]) {
+    const fitted = fitCubics(points, leftTangent, rightTangent, fitTolerance);
+    if (fitted.length >= curves.length) break;
+    if (runsWithin(curves, fitted, tolerance)) return fitted;
+  }
+  return curves;
+}
+
+// Whether a cubic stays within tolerance of its chord
+function isFlat([p0, p1, p2, p3], tolerance) {
+  return segmentDistance(p1, p0, p3) <= tolerance && segmentDistance(p2, p0, p3) <= tolerance;
+}
+
+// Whether the join from one cubic into the next is smooth
+function isSmoothJoin(previous, next) {
+  const [, incoming] = endTangents(previous);
+  const [outgoing] = endTangents(next);
+  const cos = -dot(incoming, outgoing);
+  return length(incoming) > 0 && length(outgoing) > 0 && cos >= Math.cos(CORNER_ANGLE);
+}
+
+// Rewrite a path with lines (L), cubics (C), arcs, moves and closes only;
+// quadratic and smooth curves become the cubics they draw
+function toLinesAndCubics(segments) {
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let lastControl = null, lastQuadratic = null;
+
+  return toAbsolute(segments).map(({ command, values }) => {
+    const from = [x, y];
+    let segment;
+    let control = null, quadratic = null;
+
+    switch (command) {
+      case 'H':
+        segment = { command: 'L', values: [values[0], y] };
+        break;
+      case 'V':
+        segment = { command: 'L', values: [x, values[0]] };
+        break;
+      case 'S': {
+        const reflected = lastControl ? sub(scale(from, 2), lastControl) : from;
+        segment = { command: 'C', values: reflected.concat(values) };
+        control = values.slice(0, 2);
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const q = command === 'Q' ? values.slice(0, 2) : lastQuadratic ? sub(scale(from, 2), lastQuadratic) : from;
+        const end = values.slice(-2);
+        const c1 = add(from, scale(sub(q, from), 2 / 3));
+        const c2 = add(end, scale(sub(q, end), 2 / 3));
+        segment = { command: 'C', values: c1.concat(c2, end) };
+        quadratic = q;
+        break;
+      }
+      case 'C':
+        segment = { command, values };
+        control = values.slice(2, 4);
+        break;
+      default:
+        segment = { command, values };
+    }
+
+    lastControl = control;
+    lastQuadratic = quadratic;
+
+    if (command === 'Z') {
+      x = startX;
+      y = startY;
+    } else {
+      x = segment.values[segment.values.length - 2];
+      y = segment.values[segment.values.length - 1];
+      if (command === 'M') {
+        startX = x;
+        startY = y;
+      }
+    }
+    return segment;
+  });
+}
+
+// Simplify path segments within a tolerance in user units. Returns absolute
+// segments.
+function simplifySegments(segments, tolerance) {
+  const output = [];
+  let x = 0, y = 0;
+  let lineRun = null;   // Points of the current straight run
+  let curveRun = null;  // Cubics of the current smooth run
+
+  const flushLines = () => {
+    if (lineRun) {
+      simplifyPolyline(lineRun, tolerance * (1 - FLAT_SHARE)).slice(1).forEach(point => output.push({ command: 'L', values: point }));
+      lineRun = null;
+    }
+  };
+  const flushCurves = () => {
+    if (curveRun) {
+      refitCurves(curveRun, tolerance).forEach(([, c1, c2, end]) => output.push({ command: 'C', values: c1.concat(c2, end) }));
+      curveRun = null;
+    }
+  };
+
+  for (const segment of toLinesAndCubics(segments)) {
+    const from = [x, y];
+    let { command, values } = segment;
+
+    if (command === 'C') {
+      const curve = [from, values.slice(0, 2), values.slice(2, 4), values.slice(4, 6)];
+      if (isFlat(curve, tolerance * FLAT_SHARE)) {
+        command = 'L';
+        values = curve[3];
+      } else {
+        flushLines();
+        if (curveRun && !isSmoothJoin(curveRun[curveRun.length - 1], curve)) flushCurves();
+        curveRun = (curveRun || []).concat([curve]);
+      }
+    }
+
+    if (command === 'L') {
+      flushCurves();
+      lineRun = lineRun || [from];
+      lineRun.push(values);
+    } else if (command !== 'C') {
+      flushLines();
+      flushCurves();
+      output.push({ command, values });
+    }
+
+    if (command === 'Z') {
+      const start = output.slice().reverse().find(item => item.command === 'M');
+      [x, y] = start ? start.values : [0, 0];
+    } else {
+      [x, y] = values.slice(-2);
+    }
+  }
+
+  flushLines();
+  flushCurves();
+  return output;
+}
+
+// Simplify parsed path segments when the path options ask for it (simplify:
+// tolerance in pixels, with unitsPerPixel user units per pixel); otherwise
+// return them unchanged
+function simplifyPath(segments, { simplify, unitsPerPixel = 1 } = {}) {
+  if (simplify === undefined || simplify === null) return segments;
+  if (!(simplify > 0)) {
+    throw new Error(`Path simplification tolerance must be a positive number of pixels, got ${simplify}`);
+  }
+  return simplifySegments(segments, simplify * unitsPerPixel);
+}
+
+module.exports = {
+  simplifyPolyline,
+  simplifySegments,
+  simplifyPath
+};
@@ -0,0 +1,625 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSVG, makeAbsolute } = require('svg-path-parser');
+const { flattenPath } = require('./raster');
+const {
+  ROOT_STYLE,
+  parseSVGDocument,
+  childElements,
+  tagName,
+  readDeclarations,
+  computeStyle,
+  parseColor,
+  parseOpacity
+} = require('./svg');
+const { multiply, parseTransform, isIdentity } = require('./transform');
+
+// Structural round-trip differ: matches the elements of a source SVG and its
+// decoded copy and reports what the codec added, dropped or changed.
+
+// Elements whose computed style is compared, so values inherited from <g>
+// count the same as values set on the element
+const SHAPES = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text']);
+
+// Computed style properties compared on shapes and gradient stops
+const STYLE_PROPERTIES = {
+  shape: ['fill', 'stroke', 'stroke-width', 'opacity', 'fill-opacity', 'stroke-opacity', 'fill-rule', 'filter'],
+  stop: ['stop-color', 'stop-opacity']
+};
+
+// Attributes that never count as drift (path data is compared separately)
+const IGNORED_ATTRIBUTES = new Set(['id', 'd', 'style', 'xmlns', 'xmlns:xlink']);
+
+// Values of non-inherited properties when they are not set
+const PROPERTY_DEFAULTS = {
+  opacity: '1',
+  filter: 'none',
+  'stop-color': 'black',
+  'stop-opacity': '1'
+};
+
+// Properties whose values are colors
+const COLOR_PROPERTIES = new Set(['fill', 'stroke', 'stop-color', 'color', 'flood-color', 'lighting-color']);
+
+// Attributes holding transform lists
+const TRANSFORM_ATTRIBUTES = new Set(['transform', 'gradientTransform', 'patternTransform']);
+
+// Numeric differences up to this size are rounding noise
+const NUMERIC_TOLERANCE = 1e-6;
+
+const NUMBER = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?%?$/;
+
+// Normalize an attribute value so equivalent spellings compare equal
+function normalizeValue(name, value) {
+  if (value === undefined || value === null) return null;
+  value = String(value).trim().replace(/\s+/g, ' ');
+
+  if (COLOR_PROPERTIES.has(name) && !value.startsWith('url(')) {
+    const color = parseColor(value);
+    if (!color) return value === 'transparent' ? 'none' : value;
+    return '#' + color.map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+
+  // Transforms compare as the matrix they produce
+  if (TRANSFORM_ATTRIBUTES.has(name)) {
+    return parseTransform(value).join(' ');
+  }
+
+  // Stop offsets compare as fractions
+  if (name === 'offset' && value.endsWith('%') && NUMBER.test(value)) {
+    return String(parseFloat(value) / 100);
+  }
+
+  return value;
+}
+
+// Numbers in a value when it is a number or a list of numbers, otherwise null
+function numericTokens(value) {
+  const tokens = value.split(/[\s,]+/).filter(Boolean);
+  if (!tokens.length || !tokens.every(token => NUMBER.test(token))) return null;
+  return tokens.map(token => ({ value: parseFloat(token), percent: token.endsWith('%') }));
+}
+
+// Compare two normalized values; returns null when equal, else the change
+function compareValues(source, decoded) {
+  if (source === decoded) return null;
+
+  if (source !== null && decoded !== null) {
+    const a = numericTokens(source);
+    const b = numericTokens(decoded);
+
+    if (a && b && a.length === b.length && a.every((token, i) => token.percent === b[i].percent)) {
+      const delta = Math.max(...a.map((token, i) => Math.abs(token.value - b[i].value)));
+      return delta <= NUMERIC_TOLERANCE ? null : { delta };
+    }
+  }
+
+  return {};
+}
+
+// Attribute values of an element as compared by the differ. The transform
+// and opacity of a collapsed group above the element count as its own.
+function elementValues(el, style, carried) {
+  const values = {};
+
+  for (let i = 0; i < el.attributes.length; i++) {
+    const { name, value } = el.attributes[i];
+    if (!IGNORED_ATTRIBUTES.has(name)) values[name] = normalizeValue(name, value);
+  }
+
+  // Style declarations override presentation attributes
+  const declarations = readDeclarations(el);
+  for (const name in declarations) {
+    values[name] = normalizeValue(name, declarations[name]);
+  }
+
+  const tag = tagName(el);
+  const computed = SHAPES.has(tag) ? STYLE_PROPERTIES.shape : tag === 'stop' ? STYLE_PROPERTIES.stop : [];
+  for (const name of computed) {
+    const value = style[name] === undefined ? PROPERTY_DEFAULTS[name] : style[name];
+    values[name] = normalizeValue(name, value);
+  }
+
+  if (tag === 'text') {
+    values['#text'] = normalizeValue('#text', el.textContent);
+  }
+
+  if (carried) {
+    const matrix = multiply(carried.matrix, parseTransform(el.getAttribute('transform')));
+    if (isIdentity(matrix)) delete values.transform;
+    else values.transform = matrix.join(' ');
+
+    if (carried.opacity !== 1 || values.opacity !== undefined) {
+      values.opacity = normalizeValue('opacity', String(parseOpacity(style.opacity) * carried.opacity));
+    }
+  }
+
+  return values;
+}
+
+// Label an element by its position in the tree
+function elementLabel(parentLabel, el, index) {
+  const id = el.getAttribute('id');
+  const name = tagName(el) + (id ? `#${id}` : `[${index}]`);
+  return parentLabel ? `${parentLabel} > ${name}` : name;
+}
+
+// Children of an element as the differ walks them: the element, its label,
+// the computed style of its parent and what a collapsed group above it set
+// (a transform and an opacity its children carry instead)
+function childEntries(el, label, style, carried) {
+  const counts = {};
+  return childElements(el).map(child => {
+    const tag = tagName(child);
+    counts[tag] = counts[tag] || 0;
+    return { el: child, label: elementLabel(label, child, counts[tag]++), parentStyle: style, carried };
+  });
+}
+
+// Children of a group that has no counterpart, as if the group were
+// collapsed into its parent
+function expandGroup({ el, label, parentStyle, carried }) {
+  const own = { matrix: parseTransform(el.getAttribute('transform')), opacity: parseOpacity(readDeclarations(el).opacity) };
+  const folded = carried ? { matrix: multiply(carried.matrix, own.matrix), opacity: carried.opacity * own.opacity } : own;
+  return childEntries(el, label, computeStyle(el, parentStyle), folded);
+}
+
+// Longest run of same-tag pairs that keeps both lists in document order,
+// preferring the earliest elements when several runs are as long
+function alignByTag(source, decoded) {
+  const tags = entries => entries.map(entry => tagName(entry.el));
+  const a = tags(source);
+  const b = tags(decoded);
+
+  // Equal heads and tails need no table
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = a[head + i] === b[head + j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < head; i++) pairs.push([source[i], decoded[i]]);
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[head + i] === b[head + j] && lengths[i][j] === lengths[i + 1][j + 1] + 1) {
+      pairs.push([source[head + i], decoded[head + j]]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  for (let i = tail; i > 0; i--) pairs.push([source[a.length - i], decoded[b.length - i]]);
+
+  return pairs;
+}
+
+// Pair up the children of two matched elements: same tag and id first, then
+// same tag in document order. A group left without a counterpart is reported
+// once and its children are matched in its place, so a collapsed or added
+// group does not shift the elements after it.
+function matchChildren(sourceChildren, decodedChildren) {
+  let source = sourceChildren;
+  let decoded = decodedChildren;
+  const missing = [];
+  const extra = [];
+
+  for (;;) {
+    const pairs = [];
+    const paired = new Set();
+
+    for (const entry of source) {
+      const id = entry.el.getAttribute('id');
+      const match = id && decoded.find(other => !paired.has(other) &&
+        tagName(other.el) === tagName(entry.el) && other.el.getAttribute('id') === id);
+      if (match) {
+        pairs.push([entry, match]);
+        paired.add(entry).add(match);
+      }
+    }
+
+    for (const pair of alignByTag(source.filter(entry => !paired.has(entry)), decoded.filter(entry => !paired.has(entry)))) {
+      pairs.push(pair);
+      paired.add(pair[0]).add(pair[1]);
+    }
+
+    const isLoneGroup = entry => !paired.has(entry) && tagName(entry.el) === 'g';
+    if (!source.some(isLoneGroup) && !decoded.some(isLoneGroup)) {
+      return {
+        pairs,
+        missing: missing.concat(source.filter(entry => !paired.has(entry))),
+        extra: extra.concat(decoded.filter(entry => !paired.has(entry)))
+      };
+    }
+
+    const expand = (entries, lone) => entries.flatMap(entry => {
+      if (!isLoneGroup(entry)) return [entry];
+      lone.push(entry);
+      return expandGroup(entry);
+    });
+    source = expand(source, missing);
+    decoded = expand(decoded, extra);
+  }
+}
+
+// Absolute path segments with S/T expanded to C/Q and H/V to L
+function pathSegments(d) {
+  const segments = [];
+  let lastControl = null;
+  let lastType = null;
+
+  for (const command of makeAbsolute(parseSVG(d || ''))) {
+    const { code, x0, y0 } = command;
+    let type = code;
+    let points;
+
+    switch (code) {
+      case 'M':
+      case 'L':
+        points = [[command.x, command.y]];
+        break;
+      case 'H':
+      case 'V':
+        type = 'L';
+        points = [[command.x, command.y]];
+        break;
+      case 'C':
+        points = [[command.x1, command.y1], [command.x2, command.y2], [command.x, command.y]];
+        break;
+      case 'S': {
+        const reflect = lastType === 'C' && lastControl;
+        type = 'C';
+        points = [
+          reflect ? [2 * x0 - lastControl[0], 2 * y0 - lastControl[1]] : [x0, y0],
+          [command.x2, command.y2],
+          [command.x, command.y]
+        ];
+        break;
+      }
+      case 'Q':
+        points = [[command.x1, command.y1], [command.x, command.y]];
+        break;
+      case 'T': {
+        const reflect = lastType === 'Q' && lastControl;
+        type = 'Q';
+        points = [reflect ? [2 * x0 - lastControl[0], 2 * y0 - lastControl[1]] : [x0, y0], [command.x, command.y]];
+        break;
+      }
+      case 'A':
+        points = [[command.rx, command.ry], [command.x, command.y]];
+        break;
+      case 'Z':
+        points = [];
+        break;
+    }
+
+    lastControl = points.length > 1 ? points[points.length - 2] : null;
+    lastType = type;
+    segments.push({ type, points });
+  }
+
+  return segments;
+}
+
+// Distance from a point to a line segment
+function segmentDistance(px, py, [x0, y0], [x1, y1]) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / lengthSquared)) : 0;
+  return Math.hypot(px - x0 - t * dx, py - y0 - t * dy);
+}
+
+// Outline of flattened path data as points plus the edges between them
+function pathOutline(d) {
+  const points = [];
+  const edges = [];
+
+  for (const subpath of flattenPath(d, 1)) {
+    subpath.forEach((point, i) => {
+      points.push(point);
+      if (i > 0) edges.push([subpath[i - 1], point]);
+    });
+    if (subpath.closed && subpath.length > 1) edges.push([subpath[subpath.length - 1], subpath[0]]);
+  }
+
+  return { points, edges };
+}
+
+// Distances from every point of one outline to the nearest edge of another
+function outlineDistances(from, to) {
+  return from.points.map(([x, y]) => {
+    let nearest = Infinity;
+    for (const [a, b] of to.edges) {
+      const distance = segmentDistance(x, y, a, b);
+      if (distance < nearest) nearest = distance;
+    }
+    return nearest;
+  });
+}
+
+// Coordinate error between two path data strings in user units. Paths with
+// the same segment structure are compared point by point; anything else is
+// compared by the distance between their flattened outlines.
+function comparePathData(sourceD, decodedD) {
+  const result = {};
+  let sourceSegments = null;
+  let decodedSegments = null;
+
+  try {
+    sourceSegments = pathSegments(sourceD);
+  } catch (error) {
+    result.invalid = 'source';
+  }
+
+  try {
+    decodedSegments = pathSegments(decodedD);
+  } catch (error) {
+    result.invalid = result.invalid ? 'both' : 'decoded';
+  }
+
+  let distances;
+
+  if (sourceSegments && decodedSegments && sourceSegments.length === decodedSegments.length &&
+      sourceSegments.every((segment, i) => segment.type === decodedSegments[i].type)) {
+    result.method = 'coordinates';
+    result.segments = sourceSegments.length;
+    distances = [];
+    sourceSegments.forEach((segment, i) => {
+      segment.points.forEach(([x, y], j) => {
+        const [dx, dy] = decodedSegments[i].points[j];
+        distances.push(Math.hypot(x - dx, y - dy));
+      });
+    });
+  } else {
+    result.method = 'outline';
+    result.segments = [sourceSegments, decodedSegments].map(segments => segments ? segments.length : null);
+
+    const source = pathOutline(sourceD);
+    const decoded = pathOutline(decodedD);
+    if (!source.edges.length || !decoded.edges.length) {
+      distances = source.points.length === decoded.points.length ? [] : [Infinity];
+    } else {
+      distances = outlineDistances(source, decoded).concat(outlineDistances(decoded, source));
+    }
+  }
+
+  result.maxError = distances.length ? Math.max(...distances) : 0;
+  result.meanError = distances.length ? distances.reduce((sum, d) => sum + d, 0) / distances.length : 0;
+
+  return result;
+}
+
+// Structurally compare a source SVG with its decoded copy
+function diffSVGs(sourceSvg, decodedSvg) {
+  const report = {
+    elements: { source: 0, decoded: 0 },
+    missing: [],
+    extra: [],
+    attributes: [],
+    paths: []
+  };
+
+  const countElements = el => 1 + childElements(el).reduce((sum, child) => sum + countElements(child), 0);
+
+  const visit = (source, decoded) => {
+    const sourceComputed = computeStyle(source.el, source.parentStyle);
+    const decodedComputed = computeStyle(decoded.el, decoded.parentStyle);
+    const label = source.label;
+
+    // Attribute drift
+    const sourceValues = elementValues(source.el, sourceComputed, source.carried);
+    const decodedValues = elementValues(decoded.el, decodedComputed, decoded.carried);
+    const names = [...new Set(Object.keys(sourceValues).concat(Object.keys(decodedValues)))].sort();
+
+    for (const name of names) {
+      const from = sourceValues[name] === undefined ? null : sourceValues[name];
+      const to = decodedValues[name] === undefined ? null : decodedValues[name];
+      const change = compareValues(from, to);
+      if (change) {
+        report.attributes.push({ element: label, attribute: name, source: from, decoded: to, ...change });
+      }
+    }
+
+    // Path coordinate error
+    if (source.el.hasAttribute('d') || decoded.el.hasAttribute('d')) {
+      report.paths.push({ element: label, ...comparePathData(source.el.getAttribute('d'), decoded.el.getAttribute('d')) });
+    }
+
+    // Children
+    const { pairs, missing, extra } = matchChildren(
+      childEntries(source.el, label, sourceComputed, null),
+      childEntries(decoded.el, decoded.label, decodedComputed, null)
+    );
+
+    for (const entry of missing) {
+      report.missing.push({ element: entry.label, tag: tagName(entry.el) });
+    }
+    for (const entry of extra) {
+      report.extra.push({ element: entry.label, tag: tagName(entry.el) });
+    }
+    for (const [sourceChild, decodedChild] of pairs) {
+      visit(sourceChild, decodedChild);
+    }
+  };
+
+  const sourceRoot = parseSVGDocument(sourceSvg);
+  const decodedRoot = parseSVGDocument(decodedSvg);
+  report.elements.source = countElements(sourceRoot);
+  report.elements.decoded = countElements(decodedRoot);
+
+  visit(
+    { el: sourceRoot, label: 'svg', parentStyle: ROOT_STYLE, carried: null },
+    { el: decodedRoot, label: 'svg', parentStyle: ROOT_STYLE, carried: null }
+  );
+
+  report.maxPathError = report.paths.reduce((max, p) => Math.max(max, p.maxError), 0);
+
+  return report;
+}
+
+// One-line summary counts of a structural diff
+function summarizeDiff(report) {
+  return {
+    missing: report.missing.length,
+    extra: report.extra.length,
+    attributeChanges: report.attributes.length,
+    invalidPaths: report.paths.filter(p => p.invalid).length,
+    maxPathError: Number(report.maxPathError.toFixed(4))
+  };
+}
+
+// Log a structural diff on one line
+function logDiff(file, report) {
+  const summary = summarizeDiff(report);
+  console.log(`Structure ${file}: ${summary.missing} missing, ${summary.extra} extra, ` +
+    `${summary.attributeChanges} attribute changes, max path error ${summary.maxPathError}` +
+    (summary.invalidPaths ? `, ${summary.invalidPaths} invalid paths` : ''));
+}
+
+// Aggregate the structural diffs of one trait's files into a single report
+function traitReport(traitType, reports) {
+  const files = Object.keys(reports);
+  const countBy = (list, key, file, counts) => {
+    for (const item of list) {
+      const entry = counts[item[key]] = counts[item[key]] || { count: 0, files: new Set() };
+      entry.count++;
+      entry.files.add(file);
+    }
+  };
+
+  const missing = {};
+  const extra = {};
+  const attributes = {};
+  let maxPathError = 0;
+  let pathErrorTotal = 0;
+  let pathCount = 0;
+  let invalidPaths = 0;
+
+  for (const file of files) {
+    const report = reports[file];
+    countBy(report.missing, 'tag', file, missing);
+    countBy(report.extra, 'tag', file, extra);
+    countBy(report.attributes, 'attribute', file, attributes);
+
+    // Keep a few example changes per attribute
+    for (const change of report.attributes) {
+      const entry = attributes[change.attribute];
+      entry.examples = entry.examples || new Set();
+      if (entry.examples.size < 3) {
+        entry.examples.add(`${change.source === null ? '(unset)' : change.source} -> ${change.decoded === null ? '(unset)' : change.decoded}`);
+      }
+      if (change.delta !== undefined) entry.maxDelta = Math.max(entry.maxDelta || 0, change.delta);
+    }
+
+    for (const p of report.paths) {
+      if (p.invalid) invalidPaths++;
+      if (!isFinite(p.maxError)) continue;
+      maxPathError = Math.max(maxPathError, p.maxError);
+      pathErrorTotal += p.meanError;
+      pathCount++;
+    }
+  }
+
+  // Sets become file counts so the report serializes to JSON
+  const finish = counts => {
+    for (const key in counts) {
+      counts[key].files = counts[key].files.size;
+      if (counts[key].examples) counts[key].examples = [...counts[key].examples];
+    }
+    return counts;
+  };
+
+  return {
+    trait: traitType,
+    files: files.length,
+    missing: finish(missing),
+    extra: finish(extra),
+    attributes: finish(attributes),
+    paths: {
+      compared: pathCount,
+      invalid: invalidPaths,
+      maxError: Number(maxPathError.toFixed(4)),
+      meanError: pathCount ? Number((pathErrorTotal / pathCount).toFixed(4)) : 0
+    }
+  };
+}
+
+// Log a trait report
+function logTraitReport(report) {
+  console.log(`\n${report.trait} structure across ${report.files} files:`);
+
+  for (const [title, counts] of [['Missing', report.missing], ['Extra', report.extra]]) {
+    for (const tag in counts) {
+      console.log(`  ${title} <${tag}>: ${counts[tag].count} in ${counts[tag].files} files`);
+    }
+  }
+
+  for (const attribute in report.attributes) {
+    const entry = report.attributes[attribute];
+    const delta = entry.maxDelta !== undefined ? `, max delta ${Number(entry.maxDelta.toFixed(4))}` : '';
+    console.log(`  Changed ${attribute}: ${entry.count} times in ${entry.files} files${delta} (e.g. ${entry.examples.join('; ')})`);
+  }
+
+  console.log(`  Path error: max ${report.paths.maxError}, mean ${report.paths.meanError} over ${report.paths.compared} paths` +
+    (report.paths.invalid ? `, ${report.paths.invalid} with invalid path data` : ''));
+}
+
+// Diff every decoded SVG in decodedDir against the same-named original in originalDir
+function diffDirectory({ traitType, originalDir, decodedDir, reportFile = 'structure_report.json', filter = () => true }) {
+  for (const dir of [originalDir, decodedDir]) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`${dir} does not exist`);
+    }
+  }
+
+  const svgFiles = fs.readdirSync(decodedDir).filter(file => file.endsWith('.svg') && filter(file));
+  console.log(`Found ${svgFiles.length} SVG files in ${decodedDir}`);
+
+  const reports = {};
+  const errors = {};
+
+  for (const file of svgFiles) {
+    const originalFile = path.join(originalDir, file);
+    if (!fs.existsSync(originalFile)) {
+      console.log(`No original file found for ${file}`);
+      continue;
+    }
+
+    try {
+      reports[file] = diffSVGs(fs.readFileSync(originalFile, 'utf8'), fs.readFileSync(path.join(decodedDir, file), 'utf8'));
+      logDiff(file, reports[file]);
+    } catch (error) {
+      console.error(`Error diffing ${file}:`, error.message);
+      errors[file] = error.message;
+    }
+  }
+
+  const report = { ...traitReport(traitType, reports), errors, details: reports };
+  logTraitReport(report);
+
+  fs.writeFileSync(path.join(decodedDir, reportFile), JSON.stringify(report, null, 2));
+  console.log(`\nStructure report written to ${reportFile}`);
+
+  return report;
+}
+
+module.exports = {
+  comparePathData,
+  diffSVGs,
+  summarizeDiff,
+  logDiff,
+  traitReport,
+  logTraitReport,
+  diffDirectory
+};
@@ -0,0 +1,231 @@
+const { DOMParser } = require('xmldom');
+
+// DOM and style helpers shared by the tools that read whole SVG documents
+
+// Presentation properties inherited from the parent element
+const INHERITED = [
+  'color', 'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-opacity', 'stroke-width',
+  'stroke-linecap', 'stroke-linejoin', 'visibility',
+  'font-family', 'font-size', 'font-weight', 'text-anchor'
+];
+
+// Presentation properties that apply only to the element itself
+const NOT_INHERITED = ['opacity', 'display', 'filter', 'mask', 'clip-path', 'stop-color', 'stop-opacity'];
+
+const ROOT_STYLE = {
+  color: 'black',
+  fill: 'black',
+  'fill-opacity': '1',
+  'fill-rule': 'nonzero',
+  stroke: 'none',
+  'stroke-opacity': '1',
+  'stroke-width': '1',
+  'stroke-linecap': 'butt',
+  'stroke-linejoin': 'miter',
+  visibility: 'visible'
+};
+
+// Named colors beyond the hex forms our traits use
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  lime: [0, 255, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  cyan: [0, 255, 255],
+  aqua: [0, 255, 255],
+  magenta: [255, 0, 255],
+  fuchsia: [255, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  maroon: [128, 0, 0],
+  olive: [128, 128, 0],
+  navy: [0, 0, 128],
+  purple: [128, 0, 128],
+  teal: [0, 128, 128],
+  orange: [255, 165, 0]
+};
+
+// Parse an SVG string and return its root <svg> element
+function parseSVGDocument(svgString) {
+  const parseError = message => {
+    throw new Error(`Invalid SVG: ${message}`);
+  };
+
+  const doc = new DOMParser({
+    errorHandler: { warning: () => {}, error: parseError, fatalError: parseError }
+  }).parseFromString(svgString.trim(), 'image/svg+xml');
+
+  const root = doc.documentElement;
+  if (!root || tagName(root) !== 'svg') {
+    throw new Error('Invalid SVG: missing <svg> root element');
+  }
+
+  return root;
+}
+
+// Read presentation attributes, letting the style attribute override them
+function readDeclarations(el) {
+  const declarations = {};
+
+  for (const name of INHERITED.concat(NOT_INHERITED)) {
+    if (el.hasAttribute(name)) declarations[name] = el.getAttribute(name).trim();
+  }
+
+  const style = el.getAttribute('style');
+  if (style) {
+    for (const rule of style.split(';')) {
+      const colon = rule.indexOf(':');
+      if (colon === -1) continue;
+      declarations[rule.slice(0, colon).trim()] = rule.slice(colon + 1).trim();
+    }
+  }
+
+  return declarations;
+}
+
+// Compute the style of an element from its declarations and its parent
+function computeStyle(el, parentStyle) {
+  const declarations = readDeclarations(el);
+  const style = {};
+
+  for (const name of INHERITED) {
+    const value = declarations[name];
+    style[name] = value && value !== 'inherit' ? value : parentStyle[name];
+  }
+
+  for (const name of NOT_INHERITED) {
+    style[name] = declarations[name];
+  }
+
+  return style;
+}
+
+// Child elements of a node (skipping text and comments)
+function childElements(el) {
+  const children = [];
+  for (let node = el.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1) children.push(node);
+  }
+  return children;
+}
+
+// Local tag name without any namespace prefix
+function tagName(el) {
+  return el.localName || el.tagName.replace(/^.*:/, '');
+}
+
+// Parse a color value into [r, g, b] (0-255), or null for none
+function parseColor(value, currentColor) {
+  if (!value) return null;
+  value = value.trim();
+
+  if (value === 'none' || value === 'transparent') return null;
+  if (value === 'currentColor') return parseColor(currentColor);
+
+  if (value.startsWith('#')) {
+    let hex = value.slice(1);
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) return null;
+    return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)];
+  }
+
+  const rgbMatch = value.match(/^rgba?\(([^)]*)\)$/);
+  if (rgbMatch) {
+    return rgbMatch[1].split(',').slice(0, 3).map(part => {
+      part = part.trim();
+      const number = parseFloat(part);
+      return part.endsWith('%') ? Math.round(number * 2.55) : number;
+    });
+  }
+
+  return NAMED_COLORS[value.toLowerCase()] || null;
+}
+
+// Parse a number or percentage; percentages are taken of `reference`
+function parseLength(value, reference, fallback = 0) {
+  if (value === null || value === undefined || value === '') return fallback;
+
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+
+  return String(value).trim().endsWith('%') ? number / 100 * reference : number;
+}
+
+// Parse an opacity value clamped to 0-1
+function parseOpacity(value) {
+  const opacity = parseLength(value, 1, 1);
+  return Math.min(1, Math.max(0, opacity));
+}
+
+// Elements whose children are only drawn when referenced from elsewhere
+const DEFINITION_ELEMENTS = [
+  'defs', 'linearGradient', 'radialGradient', 'pattern', 'filter', 'clipPath', 'mask',
+  'marker', 'symbol', 'style', 'title', 'desc', 'metadata'
+];
+
+// Elements that group their children without drawing anything themselves
+const CONTAINER_ELEMENTS = ['g', 'a', 'switch'];
+
+// Drawable elements in document order, each with its computed (inherited)
+// style and the product of its own and its ancestors' opacity
+function renderedElements(root) {
+  const elements = [];
+
+  const visit = (parent, parentStyle, parentOpacity) => {
+    for (const el of childElements(parent)) {
+      const tag = tagName(el);
+      if (DEFINITION_ELEMENTS.includes(tag)) continue;
+
+      const style = computeStyle(el, parentStyle);
+      if (style.display === 'none') continue;
+
+      const opacity = parentOpacity * parseOpacity(style.opacity);
+      if (CONTAINER_ELEMENTS.includes(tag)) {
+        visit(el, style, opacity);
+      } else {
+        elements.push({ el, tag, style, opacity, parent });
+      }
+    }
+  };
+
+  const rootStyle = computeStyle(root, ROOT_STYLE);
+  visit(root, rootStyle, parseOpacity(rootStyle.opacity));
+  return elements;
+}
+
+// All descendants with the given tag name, in document order
+function findElements(root, tag) {
+  const found = [];
+  for (const el of childElements(root)) {
+    if (tagName(el) === tag) found.push(el);
+    found.push(...findElements(el, tag));
+  }
+  return found;
+}
+
+// Fragment ID referenced by a url(#id) paint or filter value, or null
+function urlReference(value) {
+  const match = value && value.trim().match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  INHERITED,
+  NOT_INHERITED,
+  ROOT_STYLE,
+  parseSVGDocument,
+  childElements,
+  tagName,
+  readDeclarations,
+  computeStyle,
+  parseColor,
+  parseLength,
+  parseOpacity,
+  renderedElements,
+  findElements,
+  urlReference
+};
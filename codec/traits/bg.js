@@ -0,0 +1,697 @@
+const { optimize } = require('svgo');
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  readString,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { CURRENT_PALETTE_ID, getPalette, encodePaletteId, readPayloadPalette } = require('../palette');
+const { findGradients, encodeGradients, decodeGradients, encodePaint, decodePaint } = require('../gradient');
+const {
+  parseSVGDocument,
+  parseLength,
+  parseOpacity
+} = require('../svg');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../groups');
+
+// SVGO configuration with galaxy-specific optimizations
+const svgoConfig = {
+  plugins: [
+    { name: 'removeDoctype', active: true },
+    { name: 'removeComments', active: true },
+    { name: 'cleanupAttrs', active: true },
+    { name: 'convertColors', active: false }, // Don't convert colors, preserve gradients
+    { name: 'removeUselessStrokeAndFill', active: true },
+    { name: 'cleanupNumericValues', params: { floatPrecision: 2 } }, // Keep 2 decimals
+    { name: 'convertPathData', active: true },
+    { name: 'removeEmptyAttrs', active: true },
+    { name: 'collapseGroups', active: true }
+  ],
+};
+
+// Format version written in the container header (shared palette ID since 4,
+// seeded star field records since 5, gradient table since 6, group tree
+// since 7)
+const FORMAT_VERSION = 0x07;
+
+// Compression parameters
+const QUANTIZATION_SCALE = 1; // Less aggressive quantization to preserve quality
+
+// Record markers for the star field, the gradient table and the group tree
+const STAR_FIELD_MARKER = 0x04;
+const GRADIENT_TABLE_MARKER = 0x05;
+const GROUP_TREE_MARKER = 0x06;
+
+// Star field parameters, also used to fill in stars when a blob from before
+// version 5 decodes to fewer than MIN_LEGACY_CIRCLES circles
+const DEFAULT_STAR_FIELD = {
+  count: 50,
+  minRadius: 0.5,
+  maxRadius: 2.0,
+  minOpacity: 0.2,
+  maxOpacity: 1.0,
+  color: '#FFFFFF'
+};
+const MIN_LEGACY_CIRCLES = 50;
+
+// Decode color, including gradient references: indexes into the gradient
+// table since version 6, unterminated ID text before (gradientIds null)
+function decodeBgColor(buffer, offset, palette, gradientIds) {
+  if (gradientIds) {
+    return decodePaint(buffer, offset, palette, gradientIds);
+  }
+
+  // Check if it's a gradient reference
+  if (buffer[offset] === 255) {
+    // Read until non-ASCII character or end of buffer
+    let i = offset + 1;
+
+    // Only read valid ASCII characters (32-126)
+    while (i < buffer.length && buffer[i] >= 32 && buffer[i] <= 126) {
+      i++;
+    }
+
+    // The legacy encoder took the ID text up to the end of the attribute,
+    // closing parenthesis included
+    const id = readString(buffer, offset + 1, i - offset - 1).replace(/\)$/, '');
+    return {
+      color: `url(#${id})`,
+      bytesRead: i - offset
+    };
+  }
+
+  return decodeColor(buffer, offset, palette.lookup);
+}
+
+// Encode float values with better precision
+function encodeFloat(value, isOpacity = false) {
+  if (isOpacity) {
+    // Store opacity with 3 decimal precision (0-1000 range)
+    return encodeVarInt(Math.round(value * 1000));
+  }
+
+  // For coordinates, quantize less aggressively to maintain quality
+  const quantized = Math.round(value * QUANTIZATION_SCALE * 10) / 10; // Keep 1 decimal
+  return encodeSignedVarInt(Math.round(quantized * 10)); // Store as integer (x10)
+}
+
+// Decode float with higher precision
+function decodeFloat(buffer, offset, isOpacity = false) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading float at offset ${offset}`);
+  }
+
+  if (isOpacity) {
+    // Opacity is stored as 0-1000 for 3 decimal places
+    const { value, bytesRead } = decodeVarInt(buffer, offset);
+    return {
+      value: value / 1000, // Convert back to 0-1 range with precision
+      bytesRead: bytesRead
+    };
+  }
+
+  // For coordinates and sizes, decode from integer (x10)
+  const { value, bytesRead } = decodeSignedVarInt(buffer, offset);
+  return {
+    // Divide by 10 for decimal precision, then by QUANTIZATION_SCALE
+    value: (value / 10) / QUANTIZATION_SCALE,
+    bytesRead: bytesRead
+  };
+}
+
+// Compress rectangle with minimal scaling
+function compressRect({ el, style }, palette, gradientIds) {
+  const fill = style.fill;
+
+  const x = parseLength(el.getAttribute('x'), TARGET_SIZE);
+  const y = parseLength(el.getAttribute('y'), TARGET_SIZE);
+
+  // Parse original dimensions, resolving percentages against the canvas
+  const origWidth = parseLength(el.getAttribute('width'), TARGET_SIZE);
+  const origHeight = parseLength(el.getAttribute('height'), TARGET_SIZE);
+
+  return Buffer.concat([
+    Buffer.from([0x01]), // Rectangle marker
+    encodePaint(fill, palette, gradientIds),
+    encodeFloat(x),
+    encodeFloat(y),
+    encodeFloat(origWidth),
+    encodeFloat(origHeight)
+  ]);
+}
+
+// Decompress rectangle
+function decompressRect(buffer, offset, palette, gradientIds) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeBgColor(buffer, currentOffset, palette, gradientIds);
+  currentOffset += fillBytes;
+
+  // Decode x and y position
+  const { value: x, bytesRead: xBytes } = decodeFloat(buffer, currentOffset);
+  currentOffset += xBytes;
+
+  const { value: y, bytesRead: yBytes } = decodeFloat(buffer, currentOffset);
+  currentOffset += yBytes;
+
+  // Decode width and height
+  const { value: width, bytesRead: widthBytes } = decodeFloat(buffer, currentOffset);
+  currentOffset += widthBytes;
+
+  const { value: height, bytesRead: heightBytes } = decodeFloat(buffer, currentOffset);
+  currentOffset += heightBytes;
+
+  // Create rect element with precision matching original
+  const element = `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${width.toFixed(2)}" height="${height.toFixed(2)}" fill="${fill}"/>`;
+
+  return {
+    element: element,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress circles with preserving quality. Circles are appended to `written`
+// in the order their records are written.
+function compressCircles(circles, palette, gradientIds, written) {
+  // Group by fill color
+  const fillGroups = {};
+
+  circles.forEach(circle => {
+    const fill = circle.style.fill;
+    if (!fillGroups[fill]) fillGroups[fill] = [];
+    fillGroups[fill].push(circle);
+  });
+
+  const result = [];
+
+  for (const fill in fillGroups) {
+    const group = fillGroups[fill];
+    const coords = [];
+
+    // Extract coordinates
+    group.forEach(item => {
+      const { el, style, opacity } = item;
+      if (!el.hasAttribute('r')) {
+        return; // Skip invalid circles
+      }
+
+      coords.push({
+        item,
+        cx: parseLength(el.getAttribute('cx'), TARGET_SIZE),
+        cy: parseLength(el.getAttribute('cy'), TARGET_SIZE),
+        r: parseLength(el.getAttribute('r'), TARGET_SIZE),
+        // The record keeps one opacity per circle, so fold fill-opacity into it
+        opacity: opacity * parseOpacity(style['fill-opacity'])
+      });
+    });
+
+    // Skip empty groups
+    if (coords.length === 0) continue;
+
+    // For galaxy-like structures, sort by angle around center
+    const centerX = TARGET_SIZE / 2;
+    const centerY = TARGET_SIZE / 2;
+
+    coords.sort((a, b) => {
+      const angleA = Math.atan2(a.cy - centerY, a.cx - centerX);
+      const angleB = Math.atan2(b.cy - centerY, b.cx - centerX);
+      return angleA - angleB;
+    });
+
+    // Create header for this group
+    result.push(Buffer.concat([
+      Buffer.from([0x02]), // Circle group marker
+      encodePaint(fill, palette, gradientIds),
+      encodeVarInt(coords.length)
+    ]));
+
+    // Add all circles with delta encoding
+    let prevCx = 0, prevCy = 0, prevR = 0;
+
+    coords.forEach((coord, index) => {
+      // Use delta encoding after first circle
+      const deltaCx = index === 0 ? coord.cx : coord.cx - prevCx;
+      const deltaCy = index === 0 ? coord.cy : coord.cy - prevCy;
+      const deltaR = index === 0 ? coord.r : coord.r - prevR;
+
+      // Encode circle data with higher precision for opacity
+      result.push(Buffer.concat([
+        encodeFloat(coord.opacity, true),
+        encodeFloat(deltaCx),
+        encodeFloat(deltaCy),
+        encodeFloat(deltaR)
+      ]));
+
+      prevCx = coord.cx;
+      prevCy = coord.cy;
+      prevR = coord.r;
+      written.push(coord.item);
+    });
+  }
+
+  return Buffer.concat(result);
+}
+
+// Decompress circles
+function decompressCircles(buffer, offset, palette, gradientIds) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeBgColor(buffer, currentOffset, palette, gradientIds);
+  currentOffset += fillBytes;
+
+  // Decode circle count
+  const { value: circleCount, bytesRead: countBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += countBytes;
+
+  // Decompress all circles
+  const circles = [];
+  let prevCx = 0, prevCy = 0, prevR = 0;
+
+  for (let i = 0; i < circleCount; i++) {
+    // Decode opacity
+    const { value: opacity, bytesRead: opacityBytes } = decodeFloat(buffer, currentOffset, true);
+    currentOffset += opacityBytes;
+
+    // Decode delta coordinates
+    const { value: deltaCx, bytesRead: cxBytes } = decodeFloat(buffer, currentOffset);
+    currentOffset += cxBytes;
+
+    const { value: deltaCy, bytesRead: cyBytes } = decodeFloat(buffer, currentOffset);
+    currentOffset += cyBytes;
+
+    const { value: deltaR, bytesRead: rBytes } = decodeFloat(buffer, currentOffset);
+    currentOffset += rBytes;
+
+    // First circle uses absolute coordinates, others use deltas
+    const cx = i === 0 ? deltaCx : prevCx + deltaCx;
+    const cy = i === 0 ? deltaCy : prevCy + deltaCy;
+    const r = i === 0 ? deltaR : prevR + deltaR;
+
+    prevCx = cx;
+    prevCy = cy;
+    prevR = r;
+
+    // Include opacity with high precision to preserve appearance
+    let circle = `<circle cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" r="${r.toFixed(2)}" fill="${fill}"`;
+    if (opacity < 0.99) { // Ensure we preserve all opacity values
+      circle += ` opacity="${opacity.toFixed(3)}"`;
+    }
+    circle += '/>';
+
+    circles.push(circle);
+  }
+
+  return {
+    elements: circles,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decompress a gradient record (versions before 6, which kept only the type
+// and stops of the core gradient)
+function decompressGradient(buffer, offset, palette) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode gradient ID length
+  const { value: idLength, bytesRead: idLengthBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += idLengthBytes;
+
+  // Decode gradient ID
+  const gradientId = readString(buffer, currentOffset, idLength);
+  currentOffset += idLength;
+
+  // Decode gradient type
+  const { value: gradientTypeCode, bytesRead: typeBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += typeBytes;
+  const gradientType = gradientTypeCode === 1 ? 'radialGradient' : 'linearGradient';
+
+  // Decode stop count
+  const { value: stopCount, bytesRead: stopCountBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += stopCountBytes;
+
+  // Decompress all stops
+  const stops = [];
+  for (let i = 0; i < stopCount && currentOffset < buffer.length; i++) {
+    // Decode offset
+    const { value: stopOffset, bytesRead: offsetBytes } = decodeFloat(buffer, currentOffset);
+    currentOffset += offsetBytes;
+
+    // Decode opacity
+    const { value: opacity, bytesRead: opacityBytes } = decodeFloat(buffer, currentOffset, true);
+    currentOffset += opacityBytes;
+
+    // Decode color
+    const { color, bytesRead: colorBytes } = decodeBgColor(buffer, currentOffset, palette, null);
+    currentOffset += colorBytes;
+
+    // Create stop element with high precision
+    let stop = `<stop offset="${(stopOffset * 100).toFixed(0)}%" stop-color="${color}"`;
+    if (opacity < 0.99) { // Ensure we capture all opacity values
+      stop += ` stop-opacity="${opacity.toFixed(3)}"`;
+    }
+    stop += '/>';
+
+    stops.push(stop);
+  }
+
+  // Build gradient structure
+  const gradient = `<defs>
+<${gradientType} id="${gradientId}">
+  ${stops.join('\n    ')}
+</${gradientType}>
+</defs>`;
+
+  return {
+    element: gradient,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Create a default galaxy gradient with more accurate colors
+function createDefaultGalaxyGradient() {
+  return `<defs>
+    <radialGradient id="coreGlow">
+      <stop offset="0%" stop-color="#FFA500" stop-opacity="1"/>
+      <stop offset="50%" stop-color="#E8A852" stop-opacity="0.8"/>
+      <stop offset="100%" stop-color="#E8A852" stop-opacity="0"/>
+    </radialGradient>
+  </defs>`;
+}
+
+// Blobs from before the gradient table (version 6) decode galaxies without
+// their core circle: add one at the viewBox center when the defs hold the
+// core glow and no decoded circle draws it
+function ensureCoreGlowCircle(circles, defs, viewBox) {
+  if (!defs.includes('id="coreGlow"') || circles.some(circle => circle.includes('url(#coreGlow)'))) {
+    return false;
+  }
+
+  const parts = viewBox.split(/\s+/).map(Number);
+  const centerX = (parts[0] + parts[2]) / 2;
+  const centerY = (parts[1] + parts[3]) / 2;
+  circles.push(`<circle cx="${centerX.toFixed(1)}" cy="${centerY.toFixed(1)}" r="30" fill="url(#coreGlow)" opacity="1.0"/>`);
+  return true;
+}
+
+// Blobs from before the gradient table kept one gradient record, so other
+// gradients their paints name are gone; SVG draws a paint naming a missing
+// gradient as none, and the core glow has its fallback gradient
+function dropMissingGradients(markup, defs) {
+  return markup.replace(/url\(#([^)]+)\)/g, (paint, id) =>
+    id === 'coreGlow' || defs.includes(`id="${id}"`) ? paint : 'none');
+}
+
+// Add the fallback gradient when a circle references #coreGlow and the
+// decoded table does not define it, keeping every decoded gradient
+function ensureCoreGradient(defs, circles) {
+  if (defs.includes('id="coreGlow"') || !circles.some(circle => circle.includes('url(#coreGlow)'))) {
+    return defs;
+  }
+
+  const fallback = createDefaultGalaxyGradient();
+  if (!defs) return fallback;
+  return defs.replace('</defs>', `${fallback.replace(/^<defs>|<\/defs>$/g, '')}</defs>`);
+}
+
+// Seeded 32-bit PRNG (mulberry32) returning floats in [0, 1). Integer math
+// only, so every machine draws the same sequence for a seed.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed derived from bytes (FNV-1a), kept below 2^31 to fit a varint
+function hashSeed(buffer) {
+  let hash = 0x811C9DC5;
+  for (const byte of buffer) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  return (hash >>> 0) & 0x7FFFFFFF;
+}
+
+// Fill in star field defaults and check the parameters can be encoded
+function resolveStarField(starField, seed) {
+  const field = { seed, ...DEFAULT_STAR_FIELD, ...(starField === true ? {} : starField) };
+
+  if (!Number.isInteger(field.seed) || field.seed < 0 || field.seed > 0x7FFFFFFF) {
+    throw new Error(`Star field seed must be an integer from 0 to ${0x7FFFFFFF}, got ${field.seed}`);
+  }
+  if (!Number.isInteger(field.count) || field.count < 0) {
+    throw new Error(`Star field count must be a non-negative integer, got ${field.count}`);
+  }
+  if (!(field.minRadius >= 0 && field.minRadius <= field.maxRadius)) {
+    throw new Error(`Invalid star radius range ${field.minRadius}-${field.maxRadius}`);
+  }
+  if (!(field.minOpacity >= 0 && field.minOpacity <= field.maxOpacity && field.maxOpacity <= 1)) {
+    throw new Error(`Invalid star opacity range ${field.minOpacity}-${field.maxOpacity}`);
+  }
+
+  return field;
+}
+
+// Compress star field parameters
+function compressStarField(field, palette, gradientIds) {
+  return Buffer.concat([
+    Buffer.from([STAR_FIELD_MARKER]),
+    encodeVarInt(field.seed),
+    encodeVarInt(field.count),
+    encodeFloat(field.minRadius),
+    encodeFloat(field.maxRadius),
+    encodeFloat(field.minOpacity, true),
+    encodeFloat(field.maxOpacity, true),
+    encodePaint(field.color, palette, gradientIds)
+  ]);
+}
+
+// Decompress star field parameters
+function decompressStarField(buffer, offset, palette, gradientIds) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  const readVarInt = () => {
+    const { value, bytesRead } = decodeVarInt(buffer, currentOffset);
+    currentOffset += bytesRead;
+    return value;
+  };
+  const readFloat = (isOpacity = false) => {
+    const { value, bytesRead } = decodeFloat(buffer, currentOffset, isOpacity);
+    currentOffset += bytesRead;
+    return value;
+  };
+
+  const seed = readVarInt();
+  const count = readVarInt();
+  const minRadius = readFloat();
+  const maxRadius = readFloat();
+  const minOpacity = readFloat(true);
+  const maxOpacity = readFloat(true);
+
+  const { color, bytesRead: colorBytes } = decodeBgColor(buffer, currentOffset, palette, gradientIds);
+  currentOffset += colorBytes;
+
+  return {
+    field: { seed, count, minRadius, maxRadius, minOpacity, maxOpacity, color },
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Generate the star circles of a star field across the viewBox
+function renderStarField(field, viewBox) {
+  const [minX, minY, width, height] = viewBox.split(/\s+/).map(Number);
+  const random = seededRandom(field.seed);
+  const stars = [];
+
+  for (let i = 0; i < field.count; i++) {
+    const x = (minX + random() * width).toFixed(1);
+    const y = (minY + random() * height).toFixed(1);
+    const size = (field.minRadius + random() * (field.maxRadius - field.minRadius)).toFixed(1);
+    const opacity = (field.minOpacity + random() * (field.maxOpacity - field.minOpacity)).toFixed(2);
+
+    stars.push(`<circle cx="${x}" cy="${y}" r="${size}" fill="${field.color}" opacity="${opacity}"/>`);
+  }
+
+  return stars;
+}
+
+// Compress SVG to binary format. `starField` (true for the defaults, or an
+// object overriding seed, count, minRadius, maxRadius, minOpacity, maxOpacity
+// or color) adds a star field the decoder generates from a seeded PRNG; without
+// a seed one is derived from the encoded elements.
+function compressSVG(svgString, { paletteId = CURRENT_PALETTE_ID, starField } = {}) {
+  const palette = getPalette(paletteId);
+
+  // Optimize with SVGO
+  const optimized = optimize(svgString, svgoConfig).data;
+
+  // Extract SVG metadata
+  const root = parseSVGDocument(optimized);
+  const metadata = extractSVGMetadata(root);
+
+  // Gradients go first so paints can refer to their table index
+  const gradients = findGradients(root);
+  const { buffer: gradientTable, ids: gradientIds } = encodeGradients(gradients, palette);
+
+  // Extract SVG elements
+  const elements = localElements(root);
+  const rect = elements.find(item => item.tag === 'rect');
+  const circles = elements.filter(item => item.tag === 'circle');
+
+  const parts = [encodePaletteId(palette.id), compressMetadata(metadata.viewBox)];
+
+  // Add each element type if present
+  if (gradients.length) parts.push(Buffer.from([GRADIENT_TABLE_MARKER]), gradientTable);
+  const written = [];
+  if (rect) {
+    parts.push(compressRect(rect, palette, gradientIds));
+    written.push(rect);
+  }
+  if (circles.length) parts.push(compressCircles(circles, palette, gradientIds, written));
+
+  // Add the groups and transforms the rect and circles sit in, if any
+  const groupTree = encodeGroups(root, written, { palette, gradientIds });
+  if (groupTree) {
+    parts.push(Buffer.from([GROUP_TREE_MARKER]), groupTree);
+  }
+
+  if (starField) {
+    const field = resolveStarField(starField, hashSeed(Buffer.concat(parts)));
+    parts.push(compressStarField(field, palette, gradientIds));
+  }
+
+  return writeContainer('bg', FORMAT_VERSION, Buffer.concat(parts));
+}
+
+// Decompress SVG from binary format
+function decompressSVG(buffer) {
+  const { version, payload } = unpackTrait(buffer, 'bg', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [0x03]
+  });
+
+  // Colors index the palette named at the start of the payload (version 4+),
+  // or the old bg dictionary
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'bg', version >= 4);
+
+  // Elements for reconstructing SVG
+  let viewBox = `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`; // Default viewBox
+  let rect = '';
+  let circles = [];
+  let defs = '';
+  let starFields = [];
+
+  // Gradient table entries paints refer to (version 6+)
+  let gradientIds = version >= 6 ? [] : null;
+  let groupTree = null;
+
+  // Parse all parts
+  let offset = paletteBytes;
+
+  while (offset < payload.length) {
+    const markerByte = payload[offset];
+
+    switch (markerByte) {
+      case 0x00: // Metadata
+        const metaResult = decompressMetadata(payload, offset);
+        viewBox = metaResult.viewBox;
+        offset += metaResult.bytesRead;
+        break;
+
+      case 0x01: // Rectangle
+        const rectResult = decompressRect(payload, offset, palette, gradientIds);
+        rect = rectResult.element;
+        offset += rectResult.bytesRead;
+        break;
+
+      case 0x02: // Circle group
+        const circleResult = decompressCircles(payload, offset, palette, gradientIds);
+        circles = circles.concat(circleResult.elements);
+        offset += circleResult.bytesRead;
+        break;
+
+      case 0x03: // Gradient
+        const gradientResult = decompressGradient(payload, offset, palette);
+        defs = gradientResult.element;
+        offset += gradientResult.bytesRead;
+        break;
+
+      case GRADIENT_TABLE_MARKER:
+        const tableResult = decodeGradients(payload, offset + 1, palette);
+        defs = `<defs>${tableResult.elements.join('')}</defs>`;
+        gradientIds = tableResult.ids;
+        offset += 1 + tableResult.bytesRead;
+        break;
+
+      case GROUP_TREE_MARKER:
+        groupTree = decodeGroups(payload, offset + 1, { palette, gradientIds });
+        offset += 1 + groupTree.bytesRead;
+        break;
+
+      case STAR_FIELD_MARKER:
+        const starResult = decompressStarField(payload, offset, palette, gradientIds);
+        starFields.push(starResult.field);
+        offset += starResult.bytesRead;
+        break;
+
+      default:
+        throw new Error(`Unknown element marker: 0x${markerByte.toString(16)} at offset ${offset}`);
+    }
+  }
+
+  // Elements the group tree places, before any are added below
+  const decodedRect = rect;
+  const decodedCircles = circles.length;
+
+  // Galaxy-specific: legacy blobs get their core circle back, and a circle
+  // drawing #coreGlow gets the fallback gradient if no gradient defines it
+  if (version < 6) {
+    rect = dropMissingGradients(rect, defs);
+    circles = circles.map(circle => dropMissingGradients(circle, defs));
+    ensureCoreGlowCircle(circles, defs, viewBox);
+  }
+  defs = ensureCoreGradient(defs, circles);
+
+  // Blobs from before star field records got stars filled in when few circles
+  // decoded; seed those from the payload so they render the same every time
+  if (version < 5 && circles.length < MIN_LEGACY_CIRCLES) {
+    starFields.push({ ...DEFAULT_STAR_FIELD, seed: hashSeed(payload) });
+  }
+
+  for (const field of starFields) {
+    circles = circles.concat(renderStarField(field, viewBox));
+  }
+
+  // If we don't have a background rect, add one
+  if (!rect) {
+    rect = `<rect x="0" y="0" width="${TARGET_SIZE}" height="${TARGET_SIZE}" fill="#000000"/>`;
+  }
+
+  // Nest the decoded elements in their groups; added ones stay at top level
+  let content = rect + circles.join('');
+  if (groupTree) {
+    const placed = (decodedRect ? [rect] : []).concat(circles.slice(0, decodedCircles));
+    content = (decodedRect ? '' : rect) + renderGroups(placed, groupTree) + circles.slice(decodedCircles).join('');
+  }
+
+  // Reconstruct SVG with proper viewBox, in order: defs, rect, circles
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">${defs}${content}</svg>`;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  decompressSVG
+};
@@ -0,0 +1,643 @@
+/**
+ * Color trait codec
+ *
+ * Color traits are procedural: a filter stack (fractal noise tinted by a hue
+ * rotation, optionally blended with displaced "cracks" noise) applied to a
+ * gradient-filled rectangle. Since version 2 the container payload starts
+ * with a record marker:
+ * - 0x01 recipe: only the filter and gradient parameters, in typed binary
+ *   fields; the decoder regenerates the full SVG from them
+ * - 0x02 raw: the UTF-8 SVG string, for SVGs that don't follow the recipe
+ *
+ * Version 1 payloads are the UTF-8 SVG string. Legacy blobs used their own
+ * header:
+ * - 2 bytes header: version (0x01) and format type (0x01)
+ * - 4 bytes size: uint32 length of the SVG string
+ * - Remaining bytes: UTF-8 encoded SVG string
+ */
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  encodeString,
+  decodeString
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { parseSVGDocument, childElements, tagName, parseColor } = require('../svg');
+
+// Format version written in the container header (parameter recipes since 2)
+const FORMAT_VERSION = 0x02;
+const LEGACY_VERSION = 0x01;
+const FORMAT_TYPE = 0x01;
+
+// Payload record markers
+const RECIPE_MARKER = 0x01;
+const RAW_MARKER = 0x02;
+
+// Enumerations stored as their index
+const TURBULENCE_TYPES = ['fractalNoise', 'turbulence'];
+const BLEND_MODES = [
+  'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+const CHANNELS = ['R', 'G', 'B', 'A'];
+
+// Decimals kept for each kind of parameter. The generator writes
+// frequencies with 3 decimals and gradient geometry and opacity with 2;
+// values that need more fall back to a raw record.
+const FREQUENCY_DECIMALS = 3;
+const UNIT_DECIMALS = 2;
+const ANGLE_DECIMALS = 1;
+const SCALE_DECIMALS = 1;
+const MATRIX_DECIMALS = 3;
+const OFFSET_DECIMALS = 1;
+
+// Cracks color matrix written by the generator (identity, 4 rows of 5)
+const IDENTITY_MATRIX = [
+  1, 0, 0, 0, 0,
+  0, 1, 0, 0, 0,
+  0, 0, 1, 0, 0,
+  0, 0, 0, 1, 0
+];
+
+// Filter IDs are `filter-<timestamp>-<n>`; gradients are named after them
+const FILTER_ID = /^filter-(\d+)-(\d+)$/;
+
+/**
+ * Check an element's tag and fixed attributes, throwing when the SVG
+ * doesn't follow the recipe
+ * @param {Element|undefined} el - The element to check
+ * @param {string} tag - Expected tag name
+ * @param {Object} attributes - Expected attribute values
+ * @returns {Element} - The element
+ */
+function expectElement(el, tag, attributes = {}) {
+  if (!el || tagName(el) !== tag) {
+    throw new Error(`expected <${tag}>, found ${el ? `<${tagName(el)}>` : 'nothing'}`);
+  }
+
+  for (const name in attributes) {
+    if (el.getAttribute(name) !== attributes[name]) {
+      throw new Error(`expected ${name}="${attributes[name]}" on <${tag}>, found "${el.getAttribute(name)}"`);
+    }
+  }
+
+  return el;
+}
+
+/**
+ * Check that an element and its descendants have exactly the tags, children
+ * and attributes of the regenerated recipe SVG, so nothing outside the
+ * recipe is dropped
+ * @param {Element} el - The element from the SVG being compressed
+ * @param {Element} expected - The matching element of the regenerated SVG
+ */
+function expectSameStructure(el, expected) {
+  if (tagName(el) !== tagName(expected)) {
+    throw new Error(`expected <${tagName(expected)}>, found <${tagName(el)}>`);
+  }
+
+  const names = element => Array.from(element.attributes, attribute => attribute.name).sort();
+  const found = names(el);
+  const wanted = names(expected);
+  if (found.join() !== wanted.join()) {
+    throw new Error(`expected attributes ${wanted.join(', ')} on <${tagName(el)}>, found ${found.join(', ')}`);
+  }
+
+  const children = childElements(el);
+  const expectedChildren = childElements(expected);
+  if (children.length !== expectedChildren.length) {
+    throw new Error(`expected ${expectedChildren.length} children in <${tagName(el)}>, found ${children.length}`);
+  }
+  children.forEach((child, i) => expectSameStructure(child, expectedChildren[i]));
+}
+
+/**
+ * Parse a number as an integer count of 10^-decimals steps, throwing when
+ * the value isn't a number or needs more decimals
+ * @param {string} text - The number text
+ * @param {number} decimals - Decimals to keep
+ * @param {string} label - What the number is, for errors
+ * @returns {number} - The scaled integer
+ */
+function parseFixed(text, decimals, label) {
+  const value = Number(text);
+  const scaled = Math.round(value * 10 ** decimals);
+
+  if (!text || isNaN(value) || Math.abs(scaled / 10 ** decimals - value) > 1e-9) {
+    throw new Error(`${label} "${text}" is not a number with at most ${decimals} decimals`);
+  }
+
+  return scaled;
+}
+
+/**
+ * Read a numeric attribute with parseFixed
+ * @param {Element} el - The element
+ * @param {string} name - Attribute name
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} - The scaled integer
+ */
+function readFixed(el, name, decimals) {
+  return parseFixed(el.getAttribute(name), decimals, `${name} on <${tagName(el)}>`);
+}
+
+/**
+ * Read an attribute holding one of a list of keywords, as its index
+ * @param {Element} el - The element
+ * @param {string} name - Attribute name
+ * @param {string[]} keywords - Allowed values
+ * @returns {number} - The keyword index
+ */
+function readKeyword(el, name, keywords) {
+  const index = keywords.indexOf(el.getAttribute(name));
+  if (index === -1) {
+    throw new Error(`unsupported ${name}="${el.getAttribute(name)}" on <${tagName(el)}>`);
+  }
+  return index;
+}
+
+/**
+ * Read an feTurbulence primitive
+ * @param {Element} el - The feTurbulence element
+ * @param {string} result - Its expected result name
+ * @returns {Object} - Turbulence parameters
+ */
+function readTurbulence(el, result) {
+  expectElement(el, 'feTurbulence', { result });
+
+  const seed = Number(el.getAttribute('seed'));
+  const numOctaves = Number(el.getAttribute('numOctaves'));
+  if (!Number.isInteger(seed) || seed < 0 || !Number.isInteger(numOctaves) || numOctaves < 0) {
+    throw new Error(`seed and numOctaves on <feTurbulence result="${result}"> must be whole numbers`);
+  }
+
+  return {
+    type: readKeyword(el, 'type', TURBULENCE_TYPES),
+    baseFrequency: readFixed(el, 'baseFrequency', FREQUENCY_DECIMALS),
+    numOctaves,
+    seed
+  };
+}
+
+/**
+ * Read the gradient stops
+ * @param {Element} gradient - The gradient element
+ * @returns {Object[]} - Stops with offset and [r, g, b] color
+ */
+function readStops(gradient) {
+  return childElements(gradient).map(stop => {
+    expectElement(stop, 'stop');
+
+    const offset = stop.getAttribute('offset');
+    if (!offset.endsWith('%')) {
+      throw new Error(`stop offset "${offset}" is not a percentage`);
+    }
+
+    const rgb = parseColor(stop.getAttribute('stop-color'));
+    if (!rgb || !rgb.every(Number.isInteger)) {
+      throw new Error(`stop-color "${stop.getAttribute('stop-color')}" is not a whole-number RGB color`);
+    }
+
+    return { offset: parseFixed(offset.slice(0, -1), OFFSET_DECIMALS, 'stop offset'), rgb };
+  });
+}
+
+/**
+ * Extract the recipe parameters from a color trait SVG
+ * @param {Element} root - The parsed <svg> root element
+ * @returns {Object} - The recipe
+ */
+function readRecipe(root) {
+  expectElement(root, 'svg', {
+    width: String(TARGET_SIZE),
+    height: String(TARGET_SIZE),
+    viewBox: `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`,
+    preserveAspectRatio: 'xMidYMid meet'
+  });
+
+  const [defs, background, shape, ...rest] = childElements(root);
+  if (rest.length) throw new Error('unexpected elements after the filtered rectangle');
+  expectElement(defs, 'defs');
+
+  // Filter stack
+  const [filter, linear, radial, ...extraDefs] = childElements(defs);
+  if (extraDefs.length) throw new Error('unexpected definitions after the gradients');
+  expectElement(filter, 'filter', {
+    x: '0', y: '0', width: '100%', height: '100%',
+    filterUnits: 'userSpaceOnUse', primitiveUnits: 'userSpaceOnUse'
+  });
+
+  const id = filter.getAttribute('id');
+  const idMatch = id.match(FILTER_ID);
+  const primitives = childElements(filter);
+
+  const turbulence = readTurbulence(primitives[0], 'turbulence');
+  const hue = expectElement(primitives[1], 'feColorMatrix', { type: 'hueRotate', result: 'hue' });
+  const baseBlend = expectElement(primitives[2], 'feBlend', { in: 'turbulence', in2: 'hue', result: 'basePattern' });
+
+  let cracks = null;
+  let merged = 'basePattern';
+  if (primitives.length === 8) {
+    const displacement = expectElement(primitives[4], 'feDisplacementMap', {
+      in: 'turbulenceCracks', in2: 'SourceGraphic', result: 'displacedCracks'
+    });
+    const matrix = expectElement(primitives[5], 'feColorMatrix', { type: 'matrix', result: 'cracksColor' });
+    const blend = expectElement(primitives[6], 'feBlend', { in: 'basePattern', in2: 'cracksColor', result: 'out' });
+
+    const values = matrix.getAttribute('values').trim().split(/[\s,]+/);
+    if (values.length !== IDENTITY_MATRIX.length) {
+      throw new Error(`cracks color matrix must have ${IDENTITY_MATRIX.length} values`);
+    }
+
+    cracks = {
+      turbulence: readTurbulence(primitives[3], 'turbulenceCracks'),
+      scale: readFixed(displacement, 'scale', SCALE_DECIMALS),
+      xChannel: readKeyword(displacement, 'xChannelSelector', CHANNELS),
+      yChannel: readKeyword(displacement, 'yChannelSelector', CHANNELS),
+      matrix: values.every((value, i) => Number(value) === IDENTITY_MATRIX[i])
+        ? null
+        : values.map(value => parseFixed(value, MATRIX_DECIMALS, 'cracks color matrix value')),
+      mode: readKeyword(blend, 'mode', BLEND_MODES)
+    };
+    merged = 'out';
+  } else if (primitives.length !== 4) {
+    throw new Error(`expected 4 or 8 filter primitives, found ${primitives.length}`);
+  }
+
+  const merge = expectElement(primitives[primitives.length - 1], 'feMerge');
+  const mergeNodes = childElements(merge);
+  if (mergeNodes.length !== 2) throw new Error('feMerge must have 2 nodes');
+  expectElement(mergeNodes[0], 'feMergeNode', { in: merged });
+  expectElement(mergeNodes[1], 'feMergeNode', { in: 'SourceGraphic' });
+
+  // Gradients, named after the filter, sharing one set of stops
+  expectElement(linear, 'linearGradient', { id: `grad-${id}-1` });
+  expectElement(radial, 'radialGradient', { id: `grad-${id}-2` });
+
+  const rotation = (linear.getAttribute('gradientTransform') || '').match(/^rotate\((\S+) 0\.5 0\.5\)$/);
+  if (!rotation) throw new Error('linear gradient must be rotated about its center');
+
+  const stops = readStops(linear);
+  if (JSON.stringify(readStops(radial)) !== JSON.stringify(stops)) {
+    throw new Error('linear and radial gradients have different stops');
+  }
+
+  // Invisible background and the filtered rectangle
+  expectElement(background, 'rect', { width: '100%', height: '100%', fill: 'white', opacity: '0' });
+  expectElement(shape, 'rect', {
+    width: '100%', height: '100%', fill: `url(#grad-${id}-1)`, filter: `url(#${id})`
+  });
+
+  return {
+    id: idMatch ? { timestamp: Number(idMatch[1]), index: Number(idMatch[2]) } : id,
+    turbulence,
+    hueRotate: readFixed(hue, 'values', ANGLE_DECIMALS),
+    mode: readKeyword(baseBlend, 'mode', BLEND_MODES),
+    cracks,
+    rotation: parseFixed(rotation[1], ANGLE_DECIMALS, 'gradient rotation'),
+    radial: ['cx', 'cy', 'r', 'fx', 'fy'].map(name => readFixed(radial, name, UNIT_DECIMALS)),
+    stops,
+    opacity: readFixed(shape, 'opacity', UNIT_DECIMALS)
+  };
+}
+
+/**
+ * Encode a non-negative integer too large for the 32-bit varint helpers
+ * (filter ID timestamps)
+ * @param {number} num - The integer
+ * @returns {Buffer} - Varint bytes
+ */
+function encodeLargeVarInt(num) {
+  const bytes = [];
+  while (num >= 128) {
+    bytes.push((num % 128) | 0x80);
+    num = Math.floor(num / 128);
+  }
+  bytes.push(num);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a varint written by encodeLargeVarInt
+ * @param {Buffer} buffer - Binary data
+ * @param {number} offset - Offset of the varint
+ * @returns {Object} - Value and bytes read
+ */
+function decodeLargeVarInt(buffer, offset) {
+  let value = 0;
+  let factor = 1;
+  let bytesRead = 0;
+  let currentByte;
+
+  do {
+    if (offset + bytesRead >= buffer.length) {
+      throw new Error(`Buffer overflow when reading varint at offset ${offset}`);
+    }
+    currentByte = buffer[offset + bytesRead++];
+    value += (currentByte & 0x7F) * factor;
+    factor *= 128;
+  } while (currentByte & 0x80);
+
+  return { value, bytesRead };
+}
+
+/**
+ * Encode turbulence parameters
+ * @param {Object} turbulence - Turbulence parameters
+ * @returns {Buffer} - Binary data
+ */
+function encodeTurbulence({ type, baseFrequency, numOctaves, seed }) {
+  return Buffer.concat([
+    Buffer.from([type]),
+    encodeVarInt(baseFrequency),
+    encodeVarInt(numOctaves),
+    encodeVarInt(seed)
+  ]);
+}
+
+/**
+ * Encode a recipe into typed binary fields
+ * @param {Object} recipe - Recipe from readRecipe
+ * @returns {Buffer} - Binary data
+ */
+function encodeRecipe(recipe) {
+  const { id, turbulence, cracks } = recipe;
+
+  // Flags: bit 0 numeric filter ID, bit 1 cracks, bit 2 custom cracks matrix
+  const flags = (typeof id === 'string' ? 0 : 0x01) |
+    (cracks ? 0x02 : 0) |
+    (cracks && cracks.matrix ? 0x04 : 0);
+
+  const parts = [
+    Buffer.from([RECIPE_MARKER, flags]),
+    typeof id === 'string' ? encodeString(id) : Buffer.concat([encodeLargeVarInt(id.timestamp), encodeVarInt(id.index)]),
+    encodeTurbulence(turbulence),
+    encodeSignedVarInt(recipe.hueRotate),
+    Buffer.from([recipe.mode])
+  ];
+
+  if (cracks) {
+    parts.push(
+      encodeTurbulence(cracks.turbulence),
+      encodeVarInt(cracks.scale),
+      Buffer.from([(cracks.xChannel << 2) | cracks.yChannel, cracks.mode])
+    );
+    if (cracks.matrix) {
+      parts.push(...cracks.matrix.map(encodeSignedVarInt));
+    }
+  }
+
+  parts.push(encodeSignedVarInt(recipe.rotation));
+  parts.push(...recipe.radial.map(encodeSignedVarInt));
+
+  parts.push(encodeVarInt(recipe.stops.length));
+  for (const stop of recipe.stops) {
+    parts.push(encodeVarInt(stop.offset), ...stop.rgb.map(encodeSignedVarInt)); // rgb() may go out of range
+  }
+
+  parts.push(encodeVarInt(recipe.opacity));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a recipe record
+ * @param {Buffer} buffer - Binary data
+ * @param {number} offset - Offset of the record marker
+ * @returns {Object} - The recipe
+ */
+function decodeRecipe(buffer, offset) {
+  let currentOffset = offset + 1; // Skip record marker
+
+  const readByte = () => {
+    if (currentOffset >= buffer.length) {
+      throw new Error(`Buffer overflow when reading color recipe at offset ${currentOffset}`);
+    }
+    return buffer[currentOffset++];
+  };
+  const read = decode => {
+    const { value, bytesRead } = decode(buffer, currentOffset);
+    currentOffset += bytesRead;
+    return value;
+  };
+  const readEnum = (list, name) => {
+    const index = readByte();
+    if (index >= list.length) {
+      throw new Error(`Invalid ${name} ${index} at offset ${currentOffset - 1}`);
+    }
+    return index;
+  };
+  const readTurbulenceFields = () => ({
+    type: readEnum(TURBULENCE_TYPES, 'turbulence type'),
+    baseFrequency: read(decodeVarInt),
+    numOctaves: read(decodeVarInt),
+    seed: read(decodeVarInt)
+  });
+
+  const flags = readByte();
+  const recipe = {};
+
+  recipe.id = flags & 0x01
+    ? { timestamp: read(decodeLargeVarInt), index: read(decodeVarInt) }
+    : read(decodeString);
+  recipe.turbulence = readTurbulenceFields();
+  recipe.hueRotate = read(decodeSignedVarInt);
+  recipe.mode = readEnum(BLEND_MODES, 'blend mode');
+
+  recipe.cracks = null;
+  if (flags & 0x02) {
+    const turbulence = readTurbulenceFields();
+    const scale = read(decodeVarInt);
+    const channels = readByte();
+    const mode = readEnum(BLEND_MODES, 'blend mode');
+    const matrix = flags & 0x04 ? IDENTITY_MATRIX.map(() => read(decodeSignedVarInt)) : null;
+
+    recipe.cracks = {
+      turbulence,
+      scale,
+      xChannel: (channels >> 2) & 0x03,
+      yChannel: channels & 0x03,
+      matrix,
+      mode
+    };
+  }
+
+  recipe.rotation = read(decodeSignedVarInt);
+  recipe.radial = [0, 0, 0, 0, 0].map(() => read(decodeSignedVarInt));
+
+  const stopCount = read(decodeVarInt);
+  recipe.stops = [];
+  for (let i = 0; i < stopCount; i++) {
+    recipe.stops.push({
+      offset: read(decodeVarInt),
+      rgb: [read(decodeSignedVarInt), read(decodeSignedVarInt), read(decodeSignedVarInt)]
+    });
+  }
+
+  recipe.opacity = read(decodeVarInt);
+
+  return {
+    recipe,
+    bytesRead: currentOffset - offset
+  };
+}
+
+/**
+ * Write a fixed-point value with the shortest decimals that represent it
+ * @param {number} scaled - The scaled integer
+ * @param {number} decimals - Its decimals
+ * @returns {string} - The number text
+ */
+function formatFixed(scaled, decimals) {
+  return String(Number((scaled / 10 ** decimals).toFixed(decimals)));
+}
+
+/**
+ * Regenerate the feTurbulence element of a recipe
+ * @param {Object} turbulence - Turbulence parameters
+ * @param {string} result - Result name
+ * @returns {string} - SVG markup
+ */
+function turbulenceElement({ type, baseFrequency, numOctaves, seed }, result) {
+  return `<feTurbulence type="${TURBULENCE_TYPES[type]}" ` +
+    `baseFrequency="${(baseFrequency / 10 ** FREQUENCY_DECIMALS).toFixed(FREQUENCY_DECIMALS)}" ` +
+    `numOctaves="${numOctaves}" seed="${seed}" result="${result}"/>`;
+}
+
+/**
+ * Regenerate the full SVG of a recipe
+ * @param {Object} recipe - The recipe
+ * @returns {string} - The SVG content
+ */
+function renderRecipe(recipe) {
+  const { turbulence, cracks } = recipe;
+  const id = typeof recipe.id === 'string' ? recipe.id : `filter-${recipe.id.timestamp}-${recipe.id.index}`;
+  const unit = value => (value / 10 ** UNIT_DECIMALS).toFixed(UNIT_DECIMALS);
+
+  const primitives = [
+    turbulenceElement(turbulence, 'turbulence'),
+    `<feColorMatrix type="hueRotate" values="${formatFixed(recipe.hueRotate, ANGLE_DECIMALS)}" result="hue"/>`,
+    `<feBlend in="turbulence" in2="hue" mode="${BLEND_MODES[recipe.mode]}" result="basePattern"/>`
+  ];
+
+  if (cracks) {
+    const matrix = cracks.matrix ? cracks.matrix.map(value => formatFixed(value, MATRIX_DECIMALS)) : IDENTITY_MATRIX;
+    const rows = [0, 5, 10, 15].map(start => matrix.slice(start, start + 5).join(' '));
+
+    primitives.push(
+      turbulenceElement(cracks.turbulence, 'turbulenceCracks'),
+      `<feDisplacementMap in="turbulenceCracks" in2="SourceGraphic" scale="${formatFixed(cracks.scale, SCALE_DECIMALS)}" ` +
+        `xChannelSelector="${CHANNELS[cracks.xChannel]}" yChannelSelector="${CHANNELS[cracks.yChannel]}" result="displacedCracks"/>`,
+      `<feColorMatrix type="matrix" values="${rows.join('\n          ')}" result="cracksColor"/>`,
+      `<feBlend in="basePattern" in2="cracksColor" mode="${BLEND_MODES[cracks.mode]}" result="out"/>`
+    );
+  }
+
+  primitives.push(
+    '<feMerge>\n' +
+    `        <feMergeNode in="${cracks ? 'out' : 'basePattern'}"/>\n` +
+    '        <feMergeNode in="SourceGraphic"/>\n' +
+    '      </feMerge>'
+  );
+
+  const stops = recipe.stops.map(({ offset, rgb }) =>
+    `<stop offset="${formatFixed(offset, OFFSET_DECIMALS)}%" stop-color="rgb(${rgb.join(',')})"/>`
+  ).join('\n      ');
+  const [cx, cy, r, fx, fy] = recipe.radial.map(unit);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${TARGET_SIZE}" height="${TARGET_SIZE}" ` +
+    `viewBox="0 0 ${TARGET_SIZE} ${TARGET_SIZE}" preserveAspectRatio="xMidYMid meet">
+  <defs>
+    <filter id="${id}" x="0" y="0" width="100%" height="100%" filterUnits="userSpaceOnUse" primitiveUnits="userSpaceOnUse">
+      ${primitives.join('\n      ')}
+    </filter>
+    <linearGradient id="grad-${id}-1" gradientTransform="rotate(${formatFixed(recipe.rotation, ANGLE_DECIMALS)} 0.5 0.5)">
+      ${stops}
+    </linearGradient>
+    <radialGradient id="grad-${id}-2" cx="${cx}" cy="${cy}" r="${r}" fx="${fx}" fy="${fy}">
+      ${stops}
+    </radialGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="white" opacity="0"/>
+  <rect width="100%" height="100%" fill="url(#grad-${id}-1)" filter="url(#${id})" opacity="${unit(recipe.opacity)}"/>
+</svg>`;
+}
+
+/**
+ * Encode a color trait SVG: its recipe parameters, or the raw SVG text when
+ * it doesn't follow the recipe
+ * @param {string} svgContent - The SVG content
+ * @param {Object} [options]
+ * @param {string[]} [options.warnings] - Collects the reason the SVG text is stored
+ * @returns {Buffer} - Binary data
+ */
+function compressSVG(svgContent, { warnings = [] } = {}) {
+  let record;
+  try {
+    const root = parseSVGDocument(svgContent);
+    const recipe = readRecipe(root);
+    expectSameStructure(root, parseSVGDocument(renderRecipe(recipe)));
+    record = encodeRecipe(recipe);
+  } catch (error) {
+    warnings.push(`Not a color filter recipe, storing the SVG text: ${error.message}`);
+    record = Buffer.concat([Buffer.from([RAW_MARKER]), Buffer.from(svgContent, 'utf8')]);
+  }
+
+  return writeContainer('color', FORMAT_VERSION, record);
+}
+
+/**
+ * Decode a binary format back to SVG string
+ * @param {Buffer} buffer - Binary data
+ * @returns {string} - The SVG content
+ */
+function decompressSVG(buffer) {
+  const isLegacy = buffer.length > 0 && buffer[0] === LEGACY_VERSION;
+  const { version, payload } = unpackTrait(buffer, 'color', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [LEGACY_VERSION]
+  });
+
+  if (!isLegacy) {
+    if (version < 2) {
+      return payload.toString('utf8');
+    }
+
+    switch (payload[0]) {
+      case RECIPE_MARKER:
+        return renderRecipe(decodeRecipe(payload, 0).recipe);
+      case RAW_MARKER:
+        return payload.slice(1).toString('utf8');
+      default:
+        throw new Error(`Unknown color record marker: ${payload[0]}`);
+    }
+  }
+
+  // Legacy header: format type, then uint32 SVG length
+  if (buffer.length < 6) {
+    throw new Error("Invalid binary data: too short");
+  }
+
+  if (buffer[1] !== FORMAT_TYPE) {
+    throw new Error(`Invalid format: Expected version 1, type 1, got version ${buffer[0]}, type ${buffer[1]}`);
+  }
+
+  // Get SVG length
+  const svgLength = payload.readUInt32BE(0);
+
+  // Extract SVG content
+  if (payload.length < 4 + svgLength) {
+    throw new Error(`Invalid binary data: expected ${svgLength} bytes of SVG content, but only ${payload.length - 4} available`);
+  }
+
+  return payload.slice(4, 4 + svgLength).toString('utf8');
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  decompressSVG
+};
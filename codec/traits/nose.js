@@ -0,0 +1,514 @@
+const { optimize } = require('svgo');
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  encodeColor,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { CURRENT_PALETTE_ID, getPalette, encodePaletteId, readPayloadPalette } = require('../palette');
+const {
+  parsePath,
+  serializePath,
+  decodePath
+} = require('../path');
+const { encodePathGeometry, decodeGeometry } = require('../shapes');
+const { simplifyPath } = require('../simplify');
+const {
+  parseSVGDocument,
+  parseColor,
+  parseOpacity,
+  findElements,
+  urlReference
+} = require('../svg');
+const { encodeFilter, decodeFilter } = require('../filter');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../groups');
+
+// SVGO configuration for Nose SVGs
+const svgoConfig = {
+  plugins: [
+    { name: 'removeDoctype', active: true },
+    { name: 'removeComments', active: true },
+    { name: 'cleanupAttrs', active: true },
+    { name: 'convertColors', active: false }, // Don't convert colors to preserve format
+    { name: 'removeUselessStrokeAndFill', active: true },
+    { name: 'cleanupNumericValues', params: { floatPrecision: 2 } }, // Keep 2 decimals
+    { name: 'convertPathData', active: false }, // Don't modify path data to preserve details
+    { name: 'removeEmptyAttrs', active: true },
+    { name: 'collapseGroups', active: false }  // Don't collapse groups to preserve structure
+  ],
+};
+
+// Format version written in the container header (fill rule and filter
+// reference flags since 6, separate fill opacity since 7, typed path segments
+// since 8, numeric path records coded against the pen position since 9,
+// shared palette ID since 10, filter graph records since 11, group tree since
+// 12, primitive shape records since 13, bit-packed path streams since 14,
+// predicted coordinates since 15)
+const FORMAT_VERSION = 0x0F;
+
+// Compression parameters
+const QUANTIZATION_SCALE = 20; // Grid of version 8 path records and older
+const PATH_DECIMALS = 2; // Enough to write 1/20 steps exactly
+const PATH_PRECISION = 1; // Decimals kept in numeric path records by default
+
+// Element markers for filters: the glow filter record (only its default
+// flag is written now) and any other filter graph
+const GLOW_FILTER_MARKER = 0x02;
+const FILTER_GRAPH_MARKER = 0x03;
+
+// Group tree record marker
+const GROUP_TREE_MARKER = 0x04;
+
+// Encode float values with precision control
+function encodeFloat(value, isOpacity = false) {
+  if (isOpacity) {
+    // Store opacity with 2 decimal precision (0-100 range)
+    return encodeVarInt(Math.round(value * 100));
+  }
+
+  // For coordinates and path data, quantize more aggressively
+  const quantized = Math.round(value * QUANTIZATION_SCALE);
+  return encodeSignedVarInt(quantized);
+}
+
+// Decode float with precision control
+function decodeFloat(buffer, offset, isOpacity = false) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading float at offset ${offset}`);
+  }
+
+  if (isOpacity) {
+    // Opacity is stored as 0-100 for 2 decimal places
+    const { value, bytesRead } = decodeVarInt(buffer, offset);
+    return {
+      value: value / 100, // Convert back to 0-1 range with precision
+      bytesRead: bytesRead
+    };
+  }
+
+  // For coordinates and path data
+  const { value, bytesRead } = decodeSignedVarInt(buffer, offset);
+  return {
+    value: value / QUANTIZATION_SCALE, // Divide by quantization scale
+    bytesRead: bytesRead
+  };
+}
+
+// Decode path records written before format version 8, which stored each
+// command letter with a parameter count
+function decodeLegacyPath(buffer, offset) {
+  let currentOffset = offset;
+
+  // Read command count
+  const { value: cmdCount, bytesRead: cmdCountBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += cmdCountBytes;
+
+  let pathData = '';
+
+  for (let i = 0; i < cmdCount && currentOffset < buffer.length; i++) {
+    // Read command character
+    const cmdChar = String.fromCharCode(buffer[currentOffset]);
+    currentOffset++;
+
+    // Read parameter count
+    const { value: paramCount, bytesRead: paramCountBytes } = decodeVarInt(buffer, currentOffset);
+    currentOffset += paramCountBytes;
+
+    pathData += cmdChar;
+
+    // Read and decode parameters
+    for (let j = 0; j < paramCount && currentOffset < buffer.length; j++) {
+      const { value: param, bytesRead: paramBytes } = decodeFloat(buffer, currentOffset);
+      currentOffset += paramBytes;
+
+      // Add space before parameter except for first
+      if (j > 0 || cmdChar.toLowerCase() !== 'm') {
+        pathData += ' ';
+      }
+
+      // Format with precision
+      pathData += param.toFixed(2);
+    }
+  }
+
+  return {
+    pathData: pathData,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress the filter graph, or just the default flag for the standard glow
+function compressFilter(filter) {
+  const graph = encodeFilter(filter);
+
+  if (graph.equals(defaultGlowGraph())) {
+    return Buffer.from([GLOW_FILTER_MARKER, 0x01]); // Filter marker + default flag
+  }
+
+  return Buffer.concat([Buffer.from([FILTER_GRAPH_MARKER]), graph]);
+}
+
+// Decompress a filter graph record
+function decompressFilter(buffer, offset) {
+  const { element, id, bytesRead } = decodeFilter(buffer, offset + 1);
+
+  return {
+    element: `<defs>${element}</defs>`,
+    id: id || 'glow',
+    bytesRead: 1 + bytesRead
+  };
+}
+
+// Decompress glow filter with default handling (versions before 11 could
+// also store a custom stdDeviation)
+function decompressGlowFilter(buffer, offset) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Read default flag
+  const isDefault = buffer[currentOffset] === 0x01;
+  currentOffset++;
+
+  let stdDeviation = 4.0; // Default value
+
+  // If not default, read the custom value
+  if (!isDefault) {
+    const { value: stdDeviationInt, bytesRead: stdDevBytes } = decodeVarInt(buffer, currentOffset);
+    stdDeviation = stdDeviationInt / 10; // Convert back to float with 1 decimal place
+    currentOffset += stdDevBytes;
+  }
+
+  return {
+    element: createGlowFilter(stdDeviation),
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Encoded graph of the default glow filter, which compresses to a flag
+let defaultGlow = null;
+function defaultGlowGraph() {
+  if (!defaultGlow) {
+    const filter = findElements(parseSVGDocument(`<svg xmlns="http://www.w3.org/2000/svg">${createGlowFilter(4.0)}</svg>`), 'filter')[0];
+    defaultGlow = encodeFilter(filter);
+  }
+  return defaultGlow;
+}
+
+// Build the glow filter definition
+function createGlowFilter(stdDeviation) {
+  return `<defs>
+    <filter id="glow">
+      <feGaussianBlur in="SourceGraphic" stdDeviation="${stdDeviation.toFixed(1)}" result="blur" />
+      <feColorMatrix type="matrix" values="1 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 1 0" result="brightBlur" />
+      <feMerge>
+        <feMergeNode in="brightBlur" />
+        <feMergeNode in="SourceGraphic" />
+      </feMerge>
+    </filter>
+  </defs>`;
+}
+
+// Compress path with optimized encoding for common cases
+function compressPath({ el, style, opacity, fillOpacity, filtered }, type, pathOptions, palette) {
+  const d = el.getAttribute('d');
+  if (!d) return null; // Skip invalid paths
+
+  const fill = style.fill;
+  const parsed = parsePath(d);
+  if (parsed.error) {
+    pathOptions.warnings.push(`Invalid path data, keeping the segments before the error: ${parsed.error}`);
+  }
+
+  // Drop nodes within the simplification tolerance, if one is set
+  const segments = simplifyPath(parsed, pathOptions);
+
+  // Determine path type and compression flags
+  const typeValue = type === 'shadow' ? 1 : 0;
+  const hasFullOpacity = Math.abs(opacity - 1.0) < 0.01;
+  const hasFillOpacity = Math.abs(fillOpacity - 1.0) >= 0.01;
+  const isEvenOdd = style['fill-rule'] === 'evenodd';
+
+  // Combined flag byte:
+  // - bit 0: path type (0=base, 1=shadow)
+  // - bit 1: opacity flag (0=has opacity, 1=full opacity/skip)
+  // - bit 2: fill opacity flag (1=fill-opacity follows the opacity)
+  // - bit 3: fill rule flag (1=evenodd)
+  // - bit 4: filter flag (1=the path references the filter)
+  const flagByte = (typeValue & 0x01) | ((hasFullOpacity ? 1 : 0) << 1) | ((hasFillOpacity ? 1 : 0) << 2) |
+    ((isEvenOdd ? 1 : 0) << 3) | ((filtered ? 1 : 0) << 4);
+
+  // Build the parts to concat
+  const parts = [
+    Buffer.from([0x01]), // Path marker
+    Buffer.from([flagByte]), // Combined flags
+    encodeColor(fill, palette.codes)
+  ];
+
+  // Only include opacity if not 1.0
+  if (!hasFullOpacity) {
+    parts.push(encodeFloat(opacity, true));
+  }
+  if (hasFillOpacity) {
+    parts.push(encodeFloat(fillOpacity, true));
+  }
+
+  // Add path data, as a primitive shape when it draws one
+  parts.push(encodePathGeometry(segments, pathOptions));
+
+  return Buffer.concat(parts);
+}
+
+// Decompress path element with optimized encoding
+function decompressPath(buffer, offset, version, palette, filterId) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode combined flags
+  const flagByte = buffer[currentOffset];
+  currentOffset++;
+
+  // Extract flags
+  const typeValue = flagByte & 0x01;
+  const hasFullOpacity = ((flagByte >> 1) & 0x01) === 1;
+  const hasFillOpacity = ((flagByte >> 2) & 0x01) === 1;
+
+  // Paths before version 6 were all evenodd and filtered
+  const isEvenOdd = version < 6 || ((flagByte >> 3) & 0x01) === 1;
+  const filtered = version < 6 || ((flagByte >> 4) & 0x01) === 1;
+
+  const type = typeValue === 1 ? 'shadow' : 'base';
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeColor(buffer, currentOffset, palette.lookup);
+  currentOffset += fillBytes;
+
+  // Decode opacity if present
+  let opacity = 1.0; // Default full opacity
+  if (!hasFullOpacity) {
+    const { value: opacityValue, bytesRead: opacityBytes } = decodeFloat(buffer, currentOffset, true);
+    opacity = opacityValue;
+    currentOffset += opacityBytes;
+  }
+
+  // Decode fill opacity if present (version 7+)
+  let fillOpacity = 1.0;
+  if (hasFillOpacity) {
+    const { value: fillOpacityValue, bytesRead: fillOpacityBytes } = decodeFloat(buffer, currentOffset, true);
+    fillOpacity = fillOpacityValue;
+    currentOffset += fillOpacityBytes;
+  }
+
+  // Decode path data
+  let pathData;
+  if (version >= 9) {
+    const { segments, decimals, bytesRead: pathBytes } = decodeGeometry(buffer, currentOffset);
+    pathData = serializePath(segments, decimals);
+    currentOffset += pathBytes;
+  } else if (version === 8) {
+    const { segments, bytesRead: pathBytes } = decodePath(buffer, currentOffset, QUANTIZATION_SCALE);
+    pathData = serializePath(segments, PATH_DECIMALS);
+    currentOffset += pathBytes;
+  } else {
+    const { pathData: legacyPathData, bytesRead: pathBytes } = decodeLegacyPath(buffer, currentOffset);
+    pathData = legacyPathData;
+    currentOffset += pathBytes;
+  }
+
+  // Create path element
+  let element = `<path d="${pathData}" fill="${fill}"`;
+  if (isEvenOdd) {
+    element += ' fill-rule="evenodd"';
+  }
+
+  // Add opacity if not 1.0
+  if (opacity < 0.99) {
+    element += ` opacity="${opacity.toFixed(2)}"`;
+  }
+  if (fillOpacity < 0.99) {
+    element += ` fill-opacity="${fillOpacity.toFixed(2)}"`;
+  }
+
+  // Add filter reference
+  if (filtered) {
+    element += ` filter="url(#${filterId})"`;
+  }
+  element += '/>';
+
+  return {
+    element: element,
+    type: type,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress SVG to binary format
+function compressSVG(svgString, { pathPrecision = PATH_PRECISION, maxDeviation, simplify, paletteId = CURRENT_PALETTE_ID, warnings = [] } = {}) {
+  const palette = getPalette(paletteId);
+
+  // Optimize with SVGO
+  const optimized = optimize(svgString, svgoConfig).data;
+
+  // Extract SVG metadata
+  const root = parseSVGDocument(optimized);
+  const metadata = extractSVGMetadata(root);
+
+  // Path grid: fixed decimals, or the coarsest grid within maxDeviation pixels
+  const pathOptions = {
+    precision: pathPrecision,
+    maxDeviation,
+    simplify,
+    unitsPerPixel: metadata.width / TARGET_SIZE,
+    warnings
+  };
+
+  // Extract all drawn paths and the filter definition
+  const paths = localElements(root).filter(item => item.tag === 'path');
+  const filter = findElements(root, 'filter')[0];
+  const filterId = filter ? filter.getAttribute('id') : null;
+
+  const parts = [encodePaletteId(palette.id), compressMetadata(metadata.viewBox)];
+
+  // Compress filter if present
+  if (filter) {
+    parts.push(compressFilter(filter));
+  }
+
+  // Compress paths with type information
+  const written = [];
+  for (const path of paths) {
+    // Fill-opacity folds into the element opacity when nothing else is
+    // painted; with a stroke it only applies to the fill, so it's kept apart
+    const fillOpacity = parseOpacity(path.style['fill-opacity']);
+    const folded = path.style.stroke === 'none';
+    const opacity = folded ? path.opacity * fillOpacity : path.opacity;
+
+    // Only a reference to the encoded filter can be kept
+    const reference = urlReference(path.style.filter);
+    if (reference && reference !== filterId) {
+      warnings.push(`Path references filter ${reference}, which is not the nose filter, leaving the reference out`);
+    }
+    const item = { ...path, opacity, fillOpacity: folded ? 1 : fillOpacity, filtered: reference !== null && reference === filterId };
+
+    // Determine path type (base or shadow): translucent white highlights
+    const rgb = parseColor(path.style.fill);
+    const isWhite = rgb !== null && rgb.every(c => c === 255);
+    const type = isWhite && Math.abs(path.opacity * fillOpacity - 0.7) < 0.05 ? 'shadow' : 'base';
+
+    const compressedPath = compressPath(item, type, pathOptions, palette);
+    if (compressedPath) {
+      parts.push(compressedPath);
+      written.push(path);
+    }
+  }
+
+  // Add the groups and transforms the paths sit in, if any
+  const filterIds = filter ? [filterId] : [];
+  const groupTree = encodeGroups(root, written, { palette, filterIds });
+  if (groupTree) {
+    parts.push(Buffer.from([GROUP_TREE_MARKER]), groupTree);
+  }
+
+  return writeContainer('nose', FORMAT_VERSION, Buffer.concat(parts));
+}
+
+// Decompress SVG from binary format
+function decompressSVG(buffer) {
+  const { version, payload } = unpackTrait(buffer, 'nose', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [0x05]
+  });
+
+  // Colors index the palette named at the start of the payload (version 10+),
+  // or the old nose dictionary
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'nose', version >= 10);
+
+  // Elements for reconstructing SVG
+  let viewBox = `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`; // Default viewBox
+  let filter = '';
+  let filterId = 'glow';
+  let paths = [];
+  let groupTree = null;
+
+  // Parse all parts
+  let offset = paletteBytes;
+
+  while (offset < payload.length) {
+    const markerByte = payload[offset];
+
+    switch (markerByte) {
+      case 0x00: // Metadata
+        const metaResult = decompressMetadata(payload, offset);
+        viewBox = metaResult.viewBox;
+        offset += metaResult.bytesRead;
+        break;
+
+      case 0x01: // Path
+        const pathResult = decompressPath(payload, offset, version, palette, filterId);
+        paths.push(pathResult);
+        offset += pathResult.bytesRead;
+        break;
+
+      case GLOW_FILTER_MARKER:
+        const glowResult = decompressGlowFilter(payload, offset);
+        filter = glowResult.element;
+        filterId = 'glow';
+        offset += glowResult.bytesRead;
+        break;
+
+      case FILTER_GRAPH_MARKER:
+        const filterResult = decompressFilter(payload, offset);
+        filter = filterResult.element;
+        filterId = filterResult.id;
+        offset += filterResult.bytesRead;
+        break;
+
+      case GROUP_TREE_MARKER:
+        groupTree = decodeGroups(payload, offset + 1, { palette, filterIds: [filterId] });
+        offset += 1 + groupTree.bytesRead;
+        break;
+
+      default:
+        throw new Error(`Unknown element marker: 0x${markerByte.toString(16)} at offset ${offset}`);
+    }
+  }
+
+  if (paths.length === 0) {
+    throw new Error('Invalid nose data: no paths found');
+  }
+
+  // Sort paths by type - shadows first, then base paths. A group tree keeps
+  // the paths in document order instead.
+  if (!groupTree) {
+    paths.sort((a, b) => {
+      if (a.type === 'shadow' && b.type !== 'shadow') return -1;
+      if (a.type !== 'shadow' && b.type === 'shadow') return 1;
+      return 0;
+    });
+  }
+
+  // Reconstruct SVG with proper viewBox
+  let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="${TARGET_SIZE}" height="${TARGET_SIZE}" viewBox="${viewBox}">`;
+
+  // Add filter if present; blobs before version 6 referenced the default
+  // glow filter without one
+  svgContent += filter || (version < 6 ? createGlowFilter(4.0) : '');
+
+  // Add all path elements
+  const elements = paths.map(path => path.element);
+  svgContent += groupTree ? renderGroups(elements, groupTree) : elements.join('');
+
+  svgContent += '</svg>';
+
+  return svgContent;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  decompressSVG
+};
@@ -0,0 +1,692 @@
+const crypto = require('crypto');
+const { optimize } = require('svgo');
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  encodeSignedVarInt,
+  decodeVarInt,
+  decodeSignedVarInt,
+  encodeColor,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { CURRENT_PALETTE_ID, getPalette, encodePaletteId, readPayloadPalette } = require('../palette');
+const {
+  parsePath,
+  serializePath,
+  decodePath,
+  toAbsolute,
+  toRelative,
+  pathScale
+} = require('../path');
+const { encodeGeometry, encodePathGeometry, decodeGeometry } = require('../shapes');
+const { simplifyPath } = require('../simplify');
+const { parseSVGDocument, parseLength, parseOpacity } = require('../svg');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../groups');
+
+// SVGO configuration for Phil SVGs
+const svgoConfig = {
+  plugins: [
+    { name: 'removeDoctype', active: true },
+    { name: 'removeComments', active: true },
+    { name: 'cleanupAttrs', active: true },
+    { name: 'convertColors', active: false }, // Don't convert colors to preserve RGB format
+    { name: 'removeUselessStrokeAndFill', active: true },
+    { name: 'cleanupNumericValues', params: { floatPrecision: 2 } }, // Keep 2 decimals
+    { name: 'convertPathData', active: true },
+    { name: 'removeEmptyAttrs', active: true },
+    { name: 'collapseGroups', active: true }
+  ],
+};
+
+// Format version written in the container header (path opacity records
+// since 2, typed path segments since 3, numeric path records coded against
+// the pen position since 4, shared palette ID since 5, group tree since 6,
+// primitive shape records since 7, template records since 8, bit-packed path
+// streams since 9, predicted coordinates since 10)
+const FORMAT_VERSION = 0x0A;
+
+// Compression parameters
+const QUANTIZATION_SCALE = 10; // Stroke widths, and the grid of version 3 path records
+const PATH_DECIMALS = 1; // Enough to write 1/10 steps exactly
+const PATH_PRECISION = 1; // Decimals kept in numeric path records by default
+
+// Path element marker. Since version 4 the bits above it carry the grid scale
+// code of the path record, which saves a byte on each of the many short paths.
+const PATH_MARKER = 0x01;
+
+// Group tree record marker (even, so it never reads as a path marker)
+const GROUP_TREE_MARKER = 0x02;
+
+// Template records (version 8). A variant compressed against a collection
+// template names the template right after its viewBox record, and template
+// path records build a path from template sub-paths.
+const TEMPLATE_ID_MARKER = 0x04;
+const TEMPLATE_PATH_MARKER = 0x06;
+const TEMPLATE_ID_LENGTH = 4;
+
+// Path opacity record (version 2): written before a path or template path
+// record whose fill-opacity or stroke-opacity isn't 1, as a flags byte naming
+// them and each value x 1000. The path record keeps the element opacity.
+const PATH_OPACITY_MARKER = 0x08;
+const OPACITY_ATTRIBUTES = [
+  ['fill-opacity', 0x01],
+  ['stroke-opacity', 0x02]
+];
+
+// Attributes a template path record sets instead of taking them from the
+// template entry of its first template part
+const OVERRIDE_FILL = 0x01;
+const OVERRIDE_STROKE = 0x02;
+const OVERRIDE_STROKE_WIDTH = 0x04;
+const OVERRIDE_OPACITY = 0x08;
+
+// Rough bytes a template part reference costs in place of the sub-path
+const TEMPLATE_REFERENCE_COST = 4;
+
+// Encode float values with precision control
+function encodeFloat(value, isOpacity = false) {
+  if (isOpacity) {
+    // Store opacity with 2 decimal precision (0-100 range)
+    return encodeVarInt(Math.round(value * 100));
+  }
+
+  // For coordinates and path data, quantize more aggressively
+  const quantized = Math.round(value * QUANTIZATION_SCALE);
+  return encodeSignedVarInt(quantized);
+}
+
+// Decode float with precision control
+function decodeFloat(buffer, offset, isOpacity = false) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading float at offset ${offset}`);
+  }
+
+  if (isOpacity) {
+    // Opacity is stored as 0-100 for 2 decimal places
+    const { value, bytesRead } = decodeVarInt(buffer, offset);
+    return {
+      value: value / 100, // Convert back to 0-1 range with precision
+      bytesRead: bytesRead
+    };
+  }
+
+  // For coordinates and path data
+  const { value, bytesRead } = decodeSignedVarInt(buffer, offset);
+  return {
+    value: value / QUANTIZATION_SCALE, // Divide by quantization scale
+    bytesRead: bytesRead
+  };
+}
+
+// Decode path records written before format version 3, which stored each
+// command letter with a parameter count
+function decodeLegacyPath(buffer, offset) {
+  let currentOffset = offset;
+
+  // Read command count
+  const { value: cmdCount, bytesRead: cmdCountBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += cmdCountBytes;
+
+  let pathData = '';
+
+  for (let i = 0; i < cmdCount && currentOffset < buffer.length; i++) {
+    // Read command character
+    const cmdChar = String.fromCharCode(buffer[currentOffset]);
+    currentOffset++;
+
+    // Read parameter count
+    const { value: paramCount, bytesRead: paramCountBytes } = decodeVarInt(buffer, currentOffset);
+    currentOffset += paramCountBytes;
+
+    pathData += cmdChar;
+
+    // Read and decode parameters
+    for (let j = 0; j < paramCount && currentOffset < buffer.length; j++) {
+      const { value: param, bytesRead: paramBytes } = decodeFloat(buffer, currentOffset);
+      currentOffset += paramBytes;
+
+      // Add space before parameter except for first
+      if (j > 0 || cmdChar.toLowerCase() !== 'm') {
+        pathData += ' ';
+      }
+
+      // Format with precision
+      pathData += param.toFixed(1);
+    }
+  }
+
+  return {
+    pathData: pathData,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Opacity record of a path, or null when its fill and stroke opacity are 1.
+// Fill and stroke opacity only count for a painted fill or stroke.
+function compressOpacity({ style }) {
+  const values = {
+    'fill-opacity': style.fill === 'none' ? 1 : parseOpacity(style['fill-opacity']),
+    'stroke-opacity': style.stroke === 'none' ? 1 : parseOpacity(style['stroke-opacity'])
+  };
+
+  let flags = 0;
+  const parts = [];
+  for (const [name, bit] of OPACITY_ATTRIBUTES) {
+    const value = Math.round(values[name] * 1000);
+    if (value === 1000) continue;
+    flags |= bit;
+    parts.push(encodeVarInt(value));
+  }
+
+  return flags ? Buffer.concat([Buffer.from([PATH_OPACITY_MARKER, flags]), ...parts]) : null;
+}
+
+// Decompress a path opacity record into the attributes it sets
+function decompressOpacity(buffer, offset) {
+  if (offset + 1 >= buffer.length) {
+    throw new Error(`Buffer overflow when reading path opacity at offset ${offset}`);
+  }
+  const flags = buffer[offset + 1];
+  let currentOffset = offset + 2;
+  let attributes = '';
+
+  for (const [name, bit] of OPACITY_ATTRIBUTES) {
+    if (!(flags & bit)) continue;
+    const { value, bytesRead } = decodeVarInt(buffer, currentOffset);
+    attributes += ` ${name}="${value / 1000}"`;
+    currentOffset += bytesRead;
+  }
+
+  return {
+    attributes,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Path record attribute fields in record order, with their override bits
+const ATTRIBUTE_FIELDS = [
+  ['fill', OVERRIDE_FILL],
+  ['stroke', OVERRIDE_STROKE],
+  ['strokeWidth', OVERRIDE_STROKE_WIDTH],
+  ['opacity', OVERRIDE_OPACITY]
+];
+const ALL_ATTRIBUTES = OVERRIDE_FILL | OVERRIDE_STROKE | OVERRIDE_STROKE_WIDTH | OVERRIDE_OPACITY;
+
+// Attribute fields of a path element, encoded as they are written
+function pathAttributes(path, palette) {
+  const { style } = path;
+  const stroke = style.stroke;
+  const strokeWidth = stroke === 'none' ? 0 : parseLength(style['stroke-width'], 1, 1);
+
+  return {
+    fill: encodeColor(style.fill, palette.codes),
+    stroke: encodeColor(stroke, palette.codes),
+    strokeWidth: encodeFloat(strokeWidth),
+    opacity: encodeFloat(path.opacity, true)
+  };
+}
+
+// Segments of a path element, or null when it has no path data
+function pathSegments({ el }, pathOptions) {
+  const d = el.getAttribute('d');
+  if (!d) return null;
+
+  // Parse path data
+  const parsed = parsePath(d);
+  if (parsed.error) {
+    pathOptions.warnings.push(`Invalid path data, keeping the segments before the error: ${parsed.error}`);
+  }
+
+  // Drop nodes within the simplification tolerance, if one is set
+  return simplifyPath(parsed, pathOptions);
+}
+
+// Split segments into absolute sub-paths, each starting at its moveto
+function splitSubpaths(segments) {
+  const subpaths = [];
+  for (const segment of toAbsolute(segments)) {
+    if (segment.command === 'M' || subpaths.length === 0) subpaths.push([]);
+    subpaths[subpaths.length - 1].push(segment);
+  }
+  return subpaths;
+}
+
+// Write a path record from its attributes and encoded geometry
+function pathRecord(attributes, { code, data }) {
+  return Buffer.concat([
+    Buffer.from([PATH_MARKER | code << 1]),
+    attributes.fill,
+    attributes.stroke,
+    attributes.strokeWidth,
+    attributes.opacity,
+    data
+  ]);
+}
+
+// Compress path element
+function compressPath({ attributes, segments }, pathOptions) {
+  // Path data, as a primitive shape when it draws one
+  return pathRecord(attributes, encodeGeometry(segments, pathScale(segments, pathOptions), pathOptions));
+}
+
+// Compress a path against a collection template: its sub-paths found in the
+// template are written as entry indexes (even part values), the rest inline
+// after an odd part value. Attributes that differ from the entry of the first
+// template part are overridden. Paths without template parts are written as
+// plain path records.
+function compressTemplatePath(path, pathOptions, template) {
+  const refs = path.parts.map(part => template.index.get(part.key));
+  const first = refs.find(ref => ref !== undefined);
+  if (first === undefined) {
+    return compressPath(path, pathOptions);
+  }
+
+  const base = template.entries[first].attributes;
+  let flags = 0;
+  const overrides = [];
+  for (const [name, bit] of ATTRIBUTE_FIELDS) {
+    if (!path.attributes[name].equals(base[name])) {
+      flags |= bit;
+      overrides.push(path.attributes[name]);
+    }
+  }
+
+  const record = [Buffer.from([TEMPLATE_PATH_MARKER, flags]), ...overrides, encodeVarInt(path.parts.length)];
+  path.parts.forEach((part, i) => {
+    if (refs[i] !== undefined) {
+      record.push(encodeVarInt(refs[i] << 1));
+    } else {
+      record.push(encodeVarInt(1), part.geometry);
+    }
+  });
+  return Buffer.concat(record);
+}
+
+// Decode the attribute fields of a path record, or the overridden ones of a
+// template path record
+function decodeAttributes(buffer, offset, palette, flags = ALL_ATTRIBUTES) {
+  const attributes = {};
+  let currentOffset = offset;
+
+  // Decode fill color
+  if (flags & OVERRIDE_FILL) {
+    const { color, bytesRead } = decodeColor(buffer, currentOffset, palette.lookup);
+    attributes.fill = color;
+    currentOffset += bytesRead;
+  }
+
+  // Decode stroke color
+  if (flags & OVERRIDE_STROKE) {
+    const { color, bytesRead } = decodeColor(buffer, currentOffset, palette.lookup);
+    attributes.stroke = color;
+    currentOffset += bytesRead;
+  }
+
+  // Decode stroke width
+  if (flags & OVERRIDE_STROKE_WIDTH) {
+    const { value, bytesRead } = decodeFloat(buffer, currentOffset);
+    attributes.strokeWidth = value;
+    currentOffset += bytesRead;
+  }
+
+  // Decode opacity
+  if (flags & OVERRIDE_OPACITY) {
+    const { value, bytesRead } = decodeFloat(buffer, currentOffset, true);
+    attributes.opacity = value;
+    currentOffset += bytesRead;
+  }
+
+  return {
+    attributes,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decompress path element
+function decompressPath(buffer, offset, version, palette) {
+  const gridCode = buffer[offset] >> 1;
+  let currentOffset = offset + 1; // Skip type marker
+
+  const { attributes, bytesRead: attributeBytes } = decodeAttributes(buffer, currentOffset, palette);
+  currentOffset += attributeBytes;
+
+  // Decode path data
+  let pathData;
+  let segments = null;
+  let decimals = PATH_DECIMALS;
+  if (version >= 4) {
+    const geometry = decodeGeometry(buffer, currentOffset, gridCode);
+    ({ segments, decimals } = geometry);
+    pathData = serializePath(segments, decimals);
+    currentOffset += geometry.bytesRead;
+  } else if (version === 3) {
+    const decoded = decodePath(buffer, currentOffset, QUANTIZATION_SCALE);
+    segments = decoded.segments;
+    pathData = serializePath(segments, PATH_DECIMALS);
+    currentOffset += decoded.bytesRead;
+  } else {
+    const { pathData: legacyPathData, bytesRead: pathBytes } = decodeLegacyPath(buffer, currentOffset);
+    pathData = legacyPathData;
+    currentOffset += pathBytes;
+  }
+
+  return {
+    ...attributes,
+    segments,
+    decimals,
+    pathData,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decompress a template path record, joining its template and inline
+// sub-paths back into one path
+function decompressTemplatePath(buffer, offset, palette, template) {
+  if (offset + 1 >= buffer.length) {
+    throw new Error(`Buffer overflow when reading template path at offset ${offset}`);
+  }
+  const flags = buffer[offset + 1];
+  let currentOffset = offset + 2;
+
+  const { attributes: overrides, bytesRead: overrideBytes } = decodeAttributes(buffer, currentOffset, palette, flags);
+  currentOffset += overrideBytes;
+
+  const { value: partCount, bytesRead: countBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += countBytes;
+
+  let base = null;
+  let decimals = 0;
+  const absolute = [];
+  for (let i = 0; i < partCount; i++) {
+    const { value: part, bytesRead: partBytes } = decodeVarInt(buffer, currentOffset);
+    currentOffset += partBytes;
+
+    if (part & 1) {
+      const geometry = decodeGeometry(buffer, currentOffset);
+      absolute.push(...toAbsolute(geometry.segments));
+      decimals = Math.max(decimals, geometry.decimals);
+      currentOffset += geometry.bytesRead;
+    } else {
+      const entry = template.entries[part >> 1];
+      if (!entry) {
+        throw new Error(`Template path at offset ${offset} references entry ${part >> 1} of ${template.entries.length}`);
+      }
+      base = base || entry;
+      absolute.push(...entry.segments);
+      decimals = Math.max(decimals, entry.decimals);
+    }
+  }
+
+  if (!base) {
+    throw new Error(`Template path at offset ${offset} has no template part`);
+  }
+
+  const segments = toRelative(absolute);
+  return {
+    ...base.attributes,
+    ...overrides,
+    segments,
+    decimals,
+    pathData: serializePath(segments, decimals),
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Path element markup of a decoded path
+function renderPath({ pathData, fill, stroke, strokeWidth, opacity, opacityAttributes = '' }) {
+  let element = `<path d="${pathData}" fill="${fill}"`;
+
+  // Add optional attributes
+  if (opacity < 0.99) {
+    element += ` opacity="${opacity.toFixed(2)}"`;
+  }
+  element += opacityAttributes;
+
+  if (stroke !== 'none' && strokeWidth > 0) {
+    element += ` stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}"`;
+  }
+
+  element += '/>';
+  return element;
+}
+
+// Template ID a variant names its template by: the first bytes of the
+// SHA-256 of the template payload
+function templateId(payload) {
+  return crypto.createHash('sha256').update(payload).digest().slice(0, TEMPLATE_ID_LENGTH);
+}
+
+// Optimize an SVG and read its drawn paths with their encoded attributes
+function readPhil(svgString, { pathPrecision = PATH_PRECISION, maxDeviation, simplify, warnings = [] }, palette) {
+  // Optimize with SVGO
+  const optimized = optimize(svgString, svgoConfig).data;
+
+  // Extract SVG metadata
+  const root = parseSVGDocument(optimized);
+  const metadata = extractSVGMetadata(root);
+
+  // Path grid: fixed decimals, or the coarsest grid within maxDeviation pixels
+  const pathOptions = {
+    precision: pathPrecision,
+    maxDeviation,
+    simplify,
+    unitsPerPixel: metadata.width / TARGET_SIZE,
+    warnings
+  };
+
+  // Extract all drawn paths, skipping those without path data
+  const paths = [];
+  for (const path of localElements(root).filter(item => item.tag === 'path')) {
+    const segments = pathSegments(path, pathOptions);
+    if (segments) {
+      paths.push({ path, segments, attributes: pathAttributes(path, palette), opacity: compressOpacity(path) });
+    }
+  }
+
+  return { root, metadata, pathOptions, paths };
+}
+
+// Write a read Phil SVG as a blob, against a collection template if given
+function writePhil({ root, metadata, pathOptions, paths }, palette, template) {
+  const parts = [encodePaletteId(palette.id), compressMetadata(metadata.viewBox)];
+  if (template) {
+    parts.push(Buffer.from([TEMPLATE_ID_MARKER]), template.id);
+  }
+
+  // Compress paths
+  for (const path of paths) {
+    if (path.opacity) parts.push(path.opacity);
+    parts.push(template ? compressTemplatePath(path, pathOptions, template) : compressPath(path, pathOptions));
+  }
+
+  // Add the groups and transforms the paths sit in, if any
+  const groupTree = encodeGroups(root, paths.map(item => item.path), { palette });
+  if (groupTree) {
+    parts.push(Buffer.from([GROUP_TREE_MARKER]), groupTree);
+  }
+
+  return writeContainer('phil', FORMAT_VERSION, Buffer.concat(parts));
+}
+
+// Compress SVG to binary format
+function compressSVG(svgString, { pathPrecision, maxDeviation, simplify, paletteId = CURRENT_PALETTE_ID, warnings } = {}) {
+  const palette = getPalette(paletteId);
+  return writePhil(readPhil(svgString, { pathPrecision, maxDeviation, simplify, warnings }, palette), palette, null);
+}
+
+// Compress a collection of variants of one character against a shared
+// template. Sub-paths that recur often enough to pay for a template entry
+// (across variants, or within one) go into the template, which is itself a
+// Phil blob drawing them; each variant blob names the template and refers to
+// its entries, with its own sub-paths inline and any attributes that differ
+// from the entry overridden. Returns the template and variant blobs.
+function compressCollection(svgStrings, { pathPrecision, maxDeviation, simplify, paletteId = CURRENT_PALETTE_ID, warnings } = {}) {
+  if (svgStrings.length === 0) {
+    throw new Error('A Phil collection needs at least one SVG');
+  }
+
+  const palette = getPalette(paletteId);
+  const variants = svgStrings.map(svgString => readPhil(svgString, { pathPrecision, maxDeviation, simplify, warnings }, palette));
+
+  // Key every sub-path by its encoded geometry and count its uses, with the
+  // attributes it is drawn with
+  const uses = new Map();
+  for (const { pathOptions, paths } of variants) {
+    for (const path of paths) {
+      path.parts = splitSubpaths(path.segments).map(subpath => {
+        const geometry = encodePathGeometry(subpath, pathOptions);
+        return { geometry, key: geometry.toString('hex') };
+      });
+
+      for (const part of path.parts) {
+        if (!uses.has(part.key)) uses.set(part.key, { geometry: part.geometry, attributes: new Map() });
+        const drawn = uses.get(part.key).attributes;
+        const attributeKey = Buffer.concat(ATTRIBUTE_FIELDS.map(([name]) => path.attributes[name])).toString('hex');
+        const seen = drawn.get(attributeKey) || { attributes: path.attributes, count: 0 };
+        seen.count++;
+        drawn.set(attributeKey, seen);
+      }
+    }
+  }
+
+  // Template entries, drawn with their most common attributes
+  const template = { entries: [], index: new Map() };
+  uses.forEach(({ geometry, attributes }, key) => {
+    const counts = [...attributes.values()];
+    const count = counts.reduce((sum, seen) => sum + seen.count, 0);
+    if (count * (geometry.length - TEMPLATE_REFERENCE_COST) <= geometry.length) return;
+
+    const common = counts.reduce((best, seen) => seen.count > best.count ? seen : best);
+    template.index.set(key, template.entries.length);
+    template.entries.push({ geometry, attributes: common.attributes });
+  });
+
+  // The template draws its entries in the first variant's viewBox
+  const templateParts = [encodePaletteId(palette.id), compressMetadata(variants[0].metadata.viewBox)];
+  for (const { geometry, attributes } of template.entries) {
+    templateParts.push(pathRecord(attributes, { code: geometry[0], data: geometry.slice(1) }));
+  }
+  const templatePayload = Buffer.concat(templateParts);
+  template.id = templateId(templatePayload);
+
+  return {
+    template: writeContainer('phil', FORMAT_VERSION, templatePayload),
+    variants: variants.map(variant => writePhil(variant, palette, template))
+  };
+}
+
+// Read the records of a Phil payload after its palette ID. Template path
+// records are resolved against the given template.
+function readRecords(payload, offset, version, palette, template) {
+  let viewBox = `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`; // Default viewBox
+  const paths = [];
+  let groupTree = null;
+  let templateNamed = false;
+
+  // Fill and stroke opacity for the next path record (version 2+)
+  let opacityAttributes = '';
+
+  while (offset < payload.length) {
+    const markerByte = payload[offset];
+
+    // Version 4 path markers carry a grid code, earlier ones are always 0x01
+    const isPath = version >= 4 ? (markerByte & PATH_MARKER) !== 0 : markerByte === PATH_MARKER;
+
+    if (markerByte === 0x00) { // Metadata
+      const metaResult = decompressMetadata(payload, offset);
+      viewBox = metaResult.viewBox;
+      offset += metaResult.bytesRead;
+    } else if (isPath) {
+      const pathResult = decompressPath(payload, offset, version, palette);
+      paths.push({ ...pathResult, opacityAttributes });
+      offset += pathResult.bytesRead;
+      opacityAttributes = '';
+    } else if (markerByte === GROUP_TREE_MARKER && version >= 6) {
+      groupTree = decodeGroups(payload, offset + 1, { palette });
+      offset += 1 + groupTree.bytesRead;
+    } else if (markerByte === TEMPLATE_ID_MARKER && version >= 8) {
+      const id = payload.slice(offset + 1, offset + 1 + TEMPLATE_ID_LENGTH);
+      if (!template) {
+        throw new Error(`Phil variant was compressed against template ${id.toString('hex')}, pass it as the template option`);
+      }
+      if (!template.id.equals(id)) {
+        throw new Error(`Phil variant needs template ${id.toString('hex')}, got ${template.id.toString('hex')}`);
+      }
+      templateNamed = true;
+      offset += 1 + TEMPLATE_ID_LENGTH;
+    } else if (markerByte === TEMPLATE_PATH_MARKER && templateNamed) {
+      const pathResult = decompressTemplatePath(payload, offset, palette, template);
+      paths.push({ ...pathResult, opacityAttributes });
+      offset += pathResult.bytesRead;
+      opacityAttributes = '';
+    } else if (markerByte === PATH_OPACITY_MARKER && version >= 2) {
+      const opacityResult = decompressOpacity(payload, offset);
+      opacityAttributes = opacityResult.attributes;
+      offset += opacityResult.bytesRead;
+    } else {
+      throw new Error(`Unknown element marker: 0x${markerByte.toString(16)} at offset ${offset}`);
+    }
+  }
+
+  return { viewBox, paths, groupTree };
+}
+
+// Read a collection template (Buffer or base64) into its sub-path entries
+function readTemplate(template) {
+  const buffer = Buffer.isBuffer(template) ? template : Buffer.from(template, 'base64');
+  const { version, payload } = unpackTrait(buffer, 'phil', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: []
+  });
+  if (version < 8) {
+    throw new Error(`Phil templates need format version 8 or later, got ${version}`);
+  }
+
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'phil', true);
+  const { paths } = readRecords(payload, paletteBytes, version, palette, null);
+
+  return {
+    id: templateId(payload),
+    entries: paths.map(({ fill, stroke, strokeWidth, opacity, segments, decimals }) => ({
+      attributes: { fill, stroke, strokeWidth, opacity },
+      segments: toAbsolute(segments),
+      decimals
+    }))
+  };
+}
+
+// Decompress SVG from binary format. Variants of a collection need the
+// template blob (Buffer or base64) they were compressed against.
+function decompressSVG(buffer, { template } = {}) {
+  const { version, payload } = unpackTrait(buffer, 'phil', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [0x01]
+  });
+
+  // Colors index the palette named at the start of the payload (version 5+),
+  // or the old phil dictionary
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'phil', version >= 5);
+
+  // Parse all parts
+  const { viewBox, paths, groupTree } = readRecords(payload, paletteBytes, version, palette, template ? readTemplate(template) : null);
+
+  if (paths.length === 0) {
+    throw new Error('Invalid Phil data: no paths found');
+  }
+
+  // Reconstruct SVG with proper viewBox
+  const elements = paths.map(renderPath);
+  const content = groupTree ? renderGroups(elements, groupTree) : elements.join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">${content}</svg>`;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  compressCollection,
+  decompressSVG
+};
@@ -0,0 +1,399 @@
+const { optimize } = require('svgo');
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  decodeVarInt,
+  encodeString,
+  decodeString,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { CURRENT_PALETTE_ID, getPalette, encodePaletteId, readPayloadPalette } = require('../palette');
+const { parsePath, serializePath } = require('../path');
+const { encodePathGeometry, decodeGeometry } = require('../shapes');
+const { simplifyPath } = require('../simplify');
+const { findGradients, encodeGradients, decodeGradients, encodePaint, decodePaint } = require('../gradient');
+const { parseSVGDocument, parseLength, parseOpacity } = require('../svg');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../groups');
+
+// SVGO configuration with minimal optimization to preserve path data
+const svgoConfig = {
+  plugins: [
+    { name: 'removeDoctype', active: true },
+    { name: 'removeComments', active: true },
+    { name: 'cleanupAttrs', active: true },
+    { name: 'convertColors', active: false }, // Don't convert colors
+    { name: 'removeUselessStrokeAndFill', active: true },
+    { name: 'cleanupNumericValues', params: { floatPrecision: 2 } }, // Keep more decimals
+    { name: 'convertPathData', active: false }, // Don't modify path data
+    { name: 'removeEmptyAttrs', active: true },
+    { name: 'collapseGroups', active: true }
+  ],
+};
+
+// Format version written in the container header (path opacity records
+// since 4, numeric path records since 5, shared palette ID since 6, gradient
+// table since 7, group tree since 8, primitive shape records since 9,
+// bit-packed path streams since 10, predicted coordinates since 11)
+const FORMAT_VERSION = 0x0B;
+
+// Decimals kept in numeric path records unless the caller asks for others
+const PATH_PRECISION = 2;
+
+// Path record markers: raw path text, kept for path data that doesn't parse
+// cleanly, and the numeric segment encoding
+const RAW_PATH_MARKER = 0x01;
+const NUMERIC_PATH_MARKER = 0x03;
+
+// Path opacity record: written before a path record whose opacity,
+// fill-opacity or stroke-opacity isn't 1, as a flags byte naming them and
+// each value x 1000
+const PATH_OPACITY_MARKER = 0x06;
+const OPACITY_ATTRIBUTES = [
+  ['opacity', 0x01],
+  ['fill-opacity', 0x02],
+  ['stroke-opacity', 0x04]
+];
+
+// Gradient table and group tree record markers
+const GRADIENT_TABLE_MARKER = 0x04;
+const GROUP_TREE_MARKER = 0x05;
+
+// Decode color, including gradient references: indexes into the gradient
+// table since version 7, length-prefixed ID text before (gradientIds null)
+function decodeSpikesColor(buffer, offset, palette, gradientIds) {
+  if (gradientIds) {
+    return decodePaint(buffer, offset, palette, gradientIds);
+  }
+
+  if (buffer[offset] === 255) {
+    const { value: gradientId, bytesRead } = decodeString(buffer, offset + 1);
+    return {
+      color: `url(#${gradientId})`,
+      bytesRead: 1 + bytesRead
+    };
+  }
+
+  return decodeColor(buffer, offset, palette.lookup);
+}
+
+// Opacity record of a path, or null when every opacity is 1. Fill and stroke
+// opacity only count for a painted fill or stroke.
+function compressOpacity({ style, opacity }) {
+  const values = {
+    opacity,
+    'fill-opacity': style.fill === 'none' ? 1 : parseOpacity(style['fill-opacity']),
+    'stroke-opacity': style.stroke === 'none' ? 1 : parseOpacity(style['stroke-opacity'])
+  };
+
+  let flags = 0;
+  const parts = [];
+  for (const [name, bit] of OPACITY_ATTRIBUTES) {
+    const value = Math.round(values[name] * 1000);
+    if (value === 1000) continue;
+    flags |= bit;
+    parts.push(encodeVarInt(value));
+  }
+
+  return flags ? Buffer.concat([Buffer.from([PATH_OPACITY_MARKER, flags]), ...parts]) : null;
+}
+
+// Decompress a path opacity record into the attributes it sets
+function decompressOpacity(buffer, offset) {
+  const flags = buffer[offset + 1];
+  let currentOffset = offset + 2;
+  let attributes = '';
+
+  for (const [name, bit] of OPACITY_ATTRIBUTES) {
+    if (!(flags & bit)) continue;
+    const { value, bytesRead } = decodeVarInt(buffer, currentOffset);
+    attributes += ` ${name}="${value / 1000}"`;
+    currentOffset += bytesRead;
+  }
+
+  return {
+    attributes,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress path, falling back to the raw path text when the path data has
+// errors (a browser would drop everything after them, the text keeps it)
+function compressPath({ el, style }, pathOptions, palette, gradientIds) {
+  const d = el.getAttribute('d');
+  if (!d) return null;
+
+  const fill = style.fill;
+  const stroke = style.stroke;
+  const strokeWidth = stroke === 'none' ? 0 : parseLength(style['stroke-width'], 1, 1);
+
+  const segments = parsePath(d);
+  const isNumeric = !segments.error;
+
+  return Buffer.concat([
+    Buffer.from([isNumeric ? NUMERIC_PATH_MARKER : RAW_PATH_MARKER]),
+    encodePaint(fill, palette, gradientIds),
+    encodePaint(stroke, palette, gradientIds),
+    encodeVarInt(Math.round(strokeWidth * 10)), // Store stroke width * 10 for precision
+    isNumeric ? encodePathGeometry(simplifyPath(segments, pathOptions), pathOptions) : encodeString(d)
+  ]);
+}
+
+// Decompress path, with the attributes of the opacity record before it
+function decompressPath(buffer, offset, opacityAttributes, palette, gradientIds) {
+  let currentOffset = offset + 1; // Skip marker
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeSpikesColor(buffer, currentOffset, palette, gradientIds);
+  currentOffset += fillBytes;
+
+  // Decode stroke color
+  const { color: stroke, bytesRead: strokeBytes } = decodeSpikesColor(buffer, currentOffset, palette, gradientIds);
+  currentOffset += strokeBytes;
+
+  // Decode stroke width
+  const { value: strokeWidthRaw, bytesRead: strokeWidthBytes } = decodeVarInt(buffer, currentOffset);
+  const strokeWidth = strokeWidthRaw / 10; // Convert back from integer
+  currentOffset += strokeWidthBytes;
+
+  // Decode path data
+  let pathData;
+  if (buffer[offset] === NUMERIC_PATH_MARKER) {
+    const { segments, decimals, bytesRead: pathDataBytes } = decodeGeometry(buffer, currentOffset);
+    pathData = serializePath(segments, decimals);
+    currentOffset += pathDataBytes;
+  } else {
+    const { value, bytesRead: pathDataBytes } = decodeString(buffer, currentOffset);
+    pathData = value;
+    currentOffset += pathDataBytes;
+  }
+
+  // Create path element
+  let element = `<path d="${pathData}" fill="${fill}"`;
+
+  if (stroke !== 'none' && strokeWidth > 0) {
+    element += ` stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}"`;
+  }
+
+  element += `${opacityAttributes}/>`;
+
+  return {
+    element: element,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decompress a gradient record (versions before 7, which kept linear
+// gradients as whole percentages)
+function decompressGradient(buffer, offset, palette) {
+  let currentOffset = offset + 1; // Skip marker
+
+  // Decode gradient ID
+  const { value: gradientId, bytesRead: idBytes } = decodeString(buffer, currentOffset);
+  currentOffset += idBytes;
+
+  // Decode positions
+  const { value: x1, bytesRead: x1Bytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += x1Bytes;
+
+  const { value: y1, bytesRead: y1Bytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += y1Bytes;
+
+  const { value: x2, bytesRead: x2Bytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += x2Bytes;
+
+  const { value: y2, bytesRead: y2Bytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += y2Bytes;
+
+  // Decode stop count
+  const { value: stopCount, bytesRead: stopCountBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += stopCountBytes;
+
+  // Decode stops
+  const stops = [];
+  for (let i = 0; i < stopCount && currentOffset < buffer.length; i++) {
+    // Decode offset
+    const { value: stopOffset, bytesRead: offsetBytes } = decodeVarInt(buffer, currentOffset);
+    currentOffset += offsetBytes;
+
+    // Decode color
+    const { color, bytesRead: colorBytes } = decodeSpikesColor(buffer, currentOffset, palette, null);
+    currentOffset += colorBytes;
+
+    stops.push(`<stop offset="${stopOffset}%" stop-color="${color}"/>`);
+  }
+
+  // Create gradient element
+  const gradientElement = `<linearGradient id="${gradientId}" x1="${x1}%" y1="${y1}%" x2="${x2}%" y2="${y2}%">
+    ${stops.join('\n    ')}
+  </linearGradient>`;
+
+  return {
+    element: gradientElement,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress SVG to binary format
+function compressSVG(svgString, { pathPrecision = PATH_PRECISION, maxDeviation, simplify, paletteId = CURRENT_PALETTE_ID } = {}) {
+  const palette = getPalette(paletteId);
+
+  // Optimize with SVGO
+  const optimized = optimize(svgString, svgoConfig).data;
+
+  // Extract viewBox
+  const root = parseSVGDocument(optimized);
+  const metadata = extractSVGMetadata(root);
+
+  // Path grid: fixed decimals, or the coarsest grid within maxDeviation pixels
+  const pathOptions = {
+    precision: pathPrecision,
+    maxDeviation,
+    simplify,
+    unitsPerPixel: metadata.width / TARGET_SIZE
+  };
+
+  // Extract elements
+  const paths = localElements(root).filter(item => item.tag === 'path');
+  const gradients = findGradients(root);
+
+  const elements = [encodePaletteId(palette.id), compressMetadata(metadata.viewBox)];
+
+  // Add gradients first so paths can refer to their table index
+  const { buffer: gradientTable, ids: gradientIds } = encodeGradients(gradients, palette);
+  if (gradients.length) {
+    elements.push(Buffer.from([GRADIENT_TABLE_MARKER]), gradientTable);
+  }
+
+  // Add paths
+  const written = [];
+  for (const path of paths) {
+    const compressedPath = compressPath(path, pathOptions, palette, gradientIds);
+    if (compressedPath) {
+      const opacity = compressOpacity(path);
+      if (opacity) elements.push(opacity);
+      elements.push(compressedPath);
+      written.push(path);
+    }
+  }
+
+  // Add the groups and transforms the paths sit in, if any
+  const groupTree = encodeGroups(root, written, { palette, gradientIds });
+  if (groupTree) {
+    elements.push(Buffer.from([GROUP_TREE_MARKER]), groupTree);
+  }
+
+  return writeContainer('spikes', FORMAT_VERSION, Buffer.concat(elements));
+}
+
+// Decompress SVG from binary format
+function decompressSVG(buffer) {
+  const { version, payload } = unpackTrait(buffer, 'spikes', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [0x03]
+  });
+
+  // Colors index the palette named at the start of the payload (version 6+),
+  // or the old spikes dictionary
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'spikes', version >= 6);
+
+  // Elements for reconstructing SVG
+  let viewBox = '0 0 420 420'; // Default viewBox
+  const elements = {
+    gradients: [],
+    paths: []
+  };
+
+  // Opacity attributes for the next path record (version 4+)
+  let opacityAttributes = '';
+
+  // Gradient table entries paints refer to (version 7+)
+  let gradientIds = version >= 7 ? [] : null;
+  let groupTree = null;
+
+  // Parse all parts
+  let offset = paletteBytes;
+
+  while (offset < payload.length) {
+    const markerByte = payload[offset];
+
+    switch (markerByte) {
+      case 0x00: // ViewBox
+        const viewBoxResult = decompressMetadata(payload, offset);
+        viewBox = viewBoxResult.viewBox;
+        offset += viewBoxResult.bytesRead;
+        break;
+
+      case RAW_PATH_MARKER:
+      case NUMERIC_PATH_MARKER:
+        const pathResult = decompressPath(payload, offset, opacityAttributes, palette, gradientIds);
+        elements.paths.push(pathResult.element);
+        offset += pathResult.bytesRead;
+        opacityAttributes = '';
+        break;
+
+      case PATH_OPACITY_MARKER:
+        const opacityResult = decompressOpacity(payload, offset);
+        opacityAttributes = opacityResult.attributes;
+        offset += opacityResult.bytesRead;
+        break;
+
+      case 0x02: // Gradient
+        const gradientResult = decompressGradient(payload, offset, palette);
+        elements.gradients.push(gradientResult.element);
+        offset += gradientResult.bytesRead;
+        break;
+
+      case GRADIENT_TABLE_MARKER:
+        const tableResult = decodeGradients(payload, offset + 1, palette);
+        elements.gradients.push(...tableResult.elements);
+        gradientIds = tableResult.ids;
+        offset += 1 + tableResult.bytesRead;
+        break;
+
+      case GROUP_TREE_MARKER:
+        groupTree = decodeGroups(payload, offset + 1, { palette, gradientIds });
+        offset += 1 + groupTree.bytesRead;
+        break;
+
+      default:
+        throw new Error(`Unknown element marker: 0x${markerByte.toString(16)} at offset ${offset}`);
+    }
+  }
+
+  if (elements.paths.length === 0) {
+    throw new Error('Invalid spikes data: no paths found');
+  }
+
+  // Reconstruct SVG
+  let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">`;
+
+  // Add defs section if we have gradients
+  if (elements.gradients.length > 0) {
+    svgContent += '\n  <defs>\n    ';
+    svgContent += elements.gradients.join('\n    ');
+    svgContent += '\n  </defs>\n';
+  }
+
+  // Add paths, nested in their groups when the blob has a group tree
+  if (groupTree) {
+    svgContent += '\n  ' + renderGroups(elements.paths, groupTree);
+  } else {
+    elements.paths.forEach(path => {
+      svgContent += '\n  ' + path;
+    });
+  }
+
+  svgContent += '\n</svg>';
+
+  return svgContent;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  decompressSVG
+};
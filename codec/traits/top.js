@@ -0,0 +1,532 @@
+const { optimize } = require('svgo');
+const {
+  TARGET_SIZE,
+  encodeVarInt,
+  decodeVarInt,
+  encodeString,
+  decodeString,
+  encodeColor,
+  decodeColor,
+  extractSVGMetadata,
+  compressMetadata,
+  decompressMetadata
+} = require('../encoding');
+const { writeContainer, unpackTrait } = require('../container');
+const { CURRENT_PALETTE_ID, getPalette, encodePaletteId, readPayloadPalette } = require('../palette');
+const { parsePath, serializePath } = require('../path');
+const { encodePathGeometry, decodeGeometry } = require('../shapes');
+const { simplifyPath } = require('../simplify');
+const { encodeFilter, decodeFilter } = require('../filter');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../groups');
+const { parseSVGDocument, parseLength, findElements } = require('../svg');
+
+// SVGO configuration with minimal path modifications and preserve filters
+const svgoConfig = {
+  plugins: [
+    { name: 'removeDoctype', active: true },
+    { name: 'removeComments', active: true },
+    { name: 'cleanupAttrs', active: true },
+    { name: 'convertColors', active: false }, // Don't convert colors to preserve RGB format
+    { name: 'removeUselessStrokeAndFill', active: true },
+    // Don't modify path data at all
+    { name: 'convertPathData', active: false },
+    { name: 'cleanupNumericValues', active: false },
+    { name: 'removeEmptyAttrs', active: true },
+    { name: 'collapseGroups', active: false },   // Don't collapse groups to preserve filter structure
+    { name: 'removeUnknownsAndDefaults', active: false } // Keep filter definitions
+  ],
+};
+
+// Format version written in the container header (numeric main path since 5,
+// every path and text in document order since 6, shared palette ID since 7,
+// filter graph records since 8, group tree since 9, primitive shape records
+// since 10, bit-packed path streams since 11, predicted coordinates since 12)
+const FORMAT_VERSION = 0x0C;
+
+// Decimals kept in numeric path records unless the caller asks for others
+const PATH_PRECISION = 2;
+
+// Path record markers: raw path text, kept for path data that doesn't parse
+// cleanly, and the numeric segment encoding
+const RAW_PATH_MARKER = 0x01;
+const NUMERIC_PATH_MARKER = 0x06;
+
+// Filter records: the glitch filter parameters written before version 8, and
+// the generic filter graph
+const GLITCH_FILTER_MARKER = 0x04;
+const FILTER_GRAPH_MARKER = 0x07;
+
+// Group tree record marker; it replaced the filter group reference record
+// (0x05) of earlier versions
+const GROUP_TREE_MARKER = 0x08;
+
+// Text options dictionary for text content
+const TEXT_DICT = {
+  'muse': 1,
+  'space': 2,
+  'astro': 3
+};
+const TEXT_LOOKUP = {
+  1: 'muse',
+  2: 'space',
+  3: 'astro'
+};
+
+// Encode floating-point coordinate
+function encodeCoordinate(value) {
+  // Store as integer value * 10 to maintain one decimal place
+  const intValue = Math.round(parseFloat(value) * 10);
+  return encodeVarInt(intValue);
+}
+
+// Decode coordinate value
+function decodeCoordinate(buffer, offset) {
+  const { value, bytesRead } = decodeVarInt(buffer, offset);
+  return {
+    value: value / 10, // Convert back from integer to float with 1 decimal place
+    bytesRead: bytesRead
+  };
+}
+
+// Compress a path, falling back to the raw path text when the path data has
+// errors (a browser would drop everything after them, the text keeps it)
+function compressPath({ el, style }, pathOptions, palette) {
+  const d = el.getAttribute('d');
+  if (!d) return null; // Skip invalid paths
+
+  const fill = style.fill;
+  const stroke = style.stroke;
+  const strokeWidth = stroke === 'none' ? 0 : parseLength(style['stroke-width'], 1, 1);
+
+  const segments = parsePath(d);
+  const isNumeric = !segments.error;
+
+  return Buffer.concat([
+    Buffer.from([isNumeric ? NUMERIC_PATH_MARKER : RAW_PATH_MARKER]),
+    encodeColor(fill, palette.codes),
+    encodeColor(stroke, palette.codes),
+    encodeVarInt(Math.round(strokeWidth * 10)), // Store stroke width with 1 decimal place
+    isNumeric ? encodePathGeometry(simplifyPath(segments, pathOptions), pathOptions) : encodeString(d)
+  ]);
+}
+
+// Decompress a path from either path record
+function decompressPath(buffer, offset, version, palette) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeColor(buffer, currentOffset, palette.lookup);
+  currentOffset += fillBytes;
+
+  // Decode stroke color
+  const { color: stroke, bytesRead: strokeBytes } = decodeColor(buffer, currentOffset, palette.lookup);
+  currentOffset += strokeBytes;
+
+  // Decode stroke width
+  const { value: strokeWidthInt, bytesRead: strokeWidthBytes } = decodeVarInt(buffer, currentOffset);
+  const strokeWidth = strokeWidthInt / 10; // Convert to float with 1 decimal
+  currentOffset += strokeWidthBytes;
+
+  // Versions before 3 stored lossy path commands that can't be recovered
+  if (version < 3) {
+    throw new Error(`Unsupported top path data version ${version}`);
+  }
+
+  let pathData;
+  if (buffer[offset] === NUMERIC_PATH_MARKER) {
+    const { segments, decimals, bytesRead: pathBytes } = decodeGeometry(buffer, currentOffset);
+    pathData = serializePath(segments, decimals);
+    currentOffset += pathBytes;
+  } else {
+    // Version 3+: Raw path data
+    const { value, bytesRead: pathBytes } = decodeString(buffer, currentOffset);
+    pathData = value;
+    currentOffset += pathBytes;
+  }
+
+  // Always add stroke attributes - even if stroke is 'none', as this maintains consistency
+  const element = `<path d="${pathData}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}"/>`;
+
+  return {
+    element: element,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress line element (horizontal lines)
+function compressLine({ el, style }, palette) {
+  // Missing coordinates are 0, as SVG has them (SVGO drops them as defaults)
+  const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(name => parseLength(el.getAttribute(name), TARGET_SIZE));
+  const stroke = style.stroke;
+  const strokeWidth = parseLength(style['stroke-width'], 1, 1);
+
+  return Buffer.concat([
+    Buffer.from([0x02]), // Line marker
+    encodeCoordinate(x1),
+    encodeCoordinate(y1),
+    encodeCoordinate(x2),
+    encodeCoordinate(y2),
+    encodeColor(stroke, palette.codes),
+    encodeVarInt(Math.round(strokeWidth * 10)) // Store stroke width with 1 decimal place
+  ]);
+}
+
+// Decompress line element
+function decompressLine(buffer, offset, palette) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode coordinates
+  const { value: x1, bytesRead: x1Bytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += x1Bytes;
+
+  const { value: y1, bytesRead: y1Bytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += y1Bytes;
+
+  const { value: x2, bytesRead: x2Bytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += x2Bytes;
+
+  const { value: y2, bytesRead: y2Bytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += y2Bytes;
+
+  // Decode stroke color
+  const { color: stroke, bytesRead: strokeBytes } = decodeColor(buffer, currentOffset, palette.lookup);
+  currentOffset += strokeBytes;
+
+  // Decode stroke width
+  const { value: strokeWidthInt, bytesRead: strokeWidthBytes } = decodeVarInt(buffer, currentOffset);
+  const strokeWidth = strokeWidthInt / 10; // Convert to float with 1 decimal
+  currentOffset += strokeWidthBytes;
+
+  // Create line element
+  const element = `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" stroke="${stroke}" stroke-width="${strokeWidth.toFixed(2)}"/>`;
+
+  return {
+    element: element,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress text element
+function compressText({ el, style }, palette) {
+  const text = el.textContent.trim();
+  if (!el.hasAttribute('x') || !el.hasAttribute('y') || !text) return null;
+
+  const x = parseLength(el.getAttribute('x'), TARGET_SIZE);
+  const y = parseLength(el.getAttribute('y'), TARGET_SIZE);
+  const fill = style.fill;
+  const fontSize = parseLength(style['font-size'], 1, 12);
+
+  // Encode text content (using dictionary if available)
+  const textBuffer = TEXT_DICT[text] ? Buffer.from([TEXT_DICT[text]]) : encodeString(text);
+
+  return Buffer.concat([
+    Buffer.from([0x03]), // Text marker
+    encodeCoordinate(x),
+    encodeCoordinate(y),
+    encodeColor(fill, palette.codes),
+    encodeVarInt(Math.round(fontSize)),
+    Buffer.from([TEXT_DICT[text] ? 1 : 0]), // 1 for dictionary, 0 for raw
+    textBuffer
+  ]);
+}
+
+// Escape text for use as element content
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Decompress text element
+function decompressText(buffer, offset, palette) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Decode position
+  const { value: x, bytesRead: xBytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += xBytes;
+
+  const { value: y, bytesRead: yBytes } = decodeCoordinate(buffer, currentOffset);
+  currentOffset += yBytes;
+
+  // Decode fill color
+  const { color: fill, bytesRead: fillBytes } = decodeColor(buffer, currentOffset, palette.lookup);
+  currentOffset += fillBytes;
+
+  // Decode font size
+  const { value: fontSize, bytesRead: fontSizeBytes } = decodeVarInt(buffer, currentOffset);
+  currentOffset += fontSizeBytes;
+
+  // Decode dictionary/raw flag
+  const isDictionary = buffer[currentOffset] === 1;
+  currentOffset++;
+
+  // Decode text content
+  let text = '';
+  if (isDictionary) {
+    text = TEXT_LOOKUP[buffer[currentOffset]] || 'text';
+    currentOffset++;
+  } else {
+    const { value, bytesRead } = decodeString(buffer, currentOffset);
+    text = value;
+    currentOffset += bytesRead;
+  }
+
+  // Create text element
+  const element = `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" fill="${fill}" font-size="${fontSize.toFixed(0)}" font-family="monospace" font-weight="bold" text-anchor="middle">${escapeText(text)}</text>`;
+
+  return {
+    element: element,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Compress a filter definition as a filter graph record
+function compressFilter(filter) {
+  return Buffer.concat([
+    Buffer.from([FILTER_GRAPH_MARKER]),
+    encodeFilter(filter)
+  ]);
+}
+
+// Decompress a filter graph record
+function decompressFilterGraph(buffer, offset) {
+  const { element, id, bytesRead } = decodeFilter(buffer, offset + 1);
+
+  return {
+    element,
+    id,
+    bytesRead: 1 + bytesRead
+  };
+}
+
+// Decompress a glitch filter record (versions before 8)
+function decompressGlitchFilter(buffer, offset) {
+  let currentOffset = offset + 1; // Skip type marker
+
+  // Read the string parameters in order
+  const readParam = () => {
+    const { value, bytesRead } = decodeString(buffer, currentOffset);
+    currentOffset += bytesRead;
+    return value;
+  };
+
+  const filterId = readParam();
+  const baseFrequency = readParam();
+  const numOctaves = readParam();
+  const seed = readParam();
+  const scale = readParam();
+  const duration = readParam();
+
+  // Read animation flag and values
+  const hasCustomAnimation = buffer[currentOffset] === 1;
+  currentOffset++;
+
+  // The encoder always writes the values string, even when empty
+  const customValues = readParam();
+  const animationValues = hasCustomAnimation && customValues.length > 0 ?
+    customValues : '0.02; 0.05; 0.08; 0.04; 0.02'; // Default values
+
+  // Construct filter element
+  const element = `<defs>
+  <filter id="${filterId}" x="0%" y="0%" width="100%" height="100%">
+    <feTurbulence type="turbulence" baseFrequency="${baseFrequency}" numOctaves="${numOctaves}" seed="${seed}" result="turb">
+      <animate attributeName="baseFrequency" values="${animationValues}" keyTimes="0; 0.2; 0.5; 0.8; 1" dur="${duration}" repeatCount="indefinite"/>
+    </feTurbulence>
+    <feDisplacementMap in="SourceGraphic" in2="turb" scale="${scale}" xChannelSelector="R" yChannelSelector="G"/>
+  </filter>
+</defs>`;
+
+  return {
+    element: element,
+    id: filterId,
+    bytesRead: currentOffset - offset
+  };
+}
+
+// Decompress filter group reference (versions before 8)
+function decompressFilterGroup(buffer, offset) {
+  const { value: filterId, bytesRead } = decodeString(buffer, offset + 1);
+
+  return {
+    id: filterId,
+    bytesRead: 1 + bytesRead
+  };
+}
+
+// Record writers of the drawn elements a top trait is made of
+const ELEMENT_WRITERS = {
+  path: (item, pathOptions, palette) => compressPath(item, pathOptions, palette),
+  line: (item, pathOptions, palette) => compressLine(item, palette),
+  text: (item, pathOptions, palette) => compressText(item, palette)
+};
+
+// Compress SVG to binary format. Drawn elements other than paths, lines and
+// text are left out, with a warning for each.
+function compressSVG(svgString, { pathPrecision = PATH_PRECISION, maxDeviation, simplify, paletteId = CURRENT_PALETTE_ID, warnings = [] } = {}) {
+  const palette = getPalette(paletteId);
+
+  // Optimize with SVGO (minimal changes to preserve filters)
+  const optimized = optimize(svgString, svgoConfig).data;
+
+  // Extract SVG metadata
+  const root = parseSVGDocument(optimized);
+  const metadata = extractSVGMetadata(root);
+
+  // Path grid: fixed decimals, or the coarsest grid within maxDeviation pixels
+  const pathOptions = {
+    precision: pathPrecision,
+    maxDeviation,
+    simplify,
+    unitsPerPixel: metadata.width / TARGET_SIZE
+  };
+
+  const filters = findElements(root, 'filter');
+
+  const parts = [encodePaletteId(palette.id), compressMetadata(metadata.viewBox)];
+
+  // Add filter definitions first, where token packs look for records they
+  // can share
+  for (const filter of filters) {
+    parts.push(compressFilter(filter));
+  }
+
+  // Paths, lines and text in document order, in the order their records
+  // are written
+  const written = [];
+  for (const item of localElements(root)) {
+    const write = ELEMENT_WRITERS[item.tag];
+    if (!write) {
+      warnings.push(`Top traits have no record for <${item.tag}>, leaving it out`);
+      continue;
+    }
+
+    const record = write(item, pathOptions, palette);
+    if (record) {
+      parts.push(record);
+      written.push(item);
+    }
+  }
+
+  // Add the groups (such as the glitch filter group) and transforms the
+  // elements sit in, if any
+  const filterIds = filters.map(filter => filter.getAttribute('id'));
+  const groupTree = encodeGroups(root, written, { palette, filterIds });
+  if (groupTree) {
+    parts.push(Buffer.from([GROUP_TREE_MARKER]), groupTree);
+  }
+
+  return writeContainer('top', FORMAT_VERSION, Buffer.concat(parts));
+}
+
+// Decompress SVG from binary format
+function decompressSVG(buffer) {
+  const { version, payload } = unpackTrait(buffer, 'top', {
+    formatVersion: FORMAT_VERSION,
+    legacyVersions: [0x03, 0x04]
+  });
+
+  // Colors index the palette named at the start of the payload (version 7+),
+  // or the old top dictionary
+  const { palette, bytesRead: paletteBytes } = readPayloadPalette(payload, 'top', version >= 7);
+
+  // Elements for reconstructing SVG
+  let viewBox = `0 0 ${TARGET_SIZE} ${TARGET_SIZE}`; // Default viewBox
+  // Drawn elements in record order
+  const drawn = [];
+  let filters = [];
+  let filterIds = [];
+  let filterId = null;
+  let groupTree = null;
+
+  // Parse all parts
+  let offset = paletteBytes;
+
+  while (offset < payload.length) {
+    const markerByte = payload[offset];
+
+    switch (markerByte) {
+      case 0x00: // Metadata
+        const metaResult = decompressMetadata(payload, offset);
+        viewBox = metaResult.viewBox;
+        offset += metaResult.bytesRead;
+        break;
+
+      case RAW_PATH_MARKER:
+      case NUMERIC_PATH_MARKER:
+        const pathResult = decompressPath(payload, offset, version, palette);
+        drawn.push({ element: pathResult.element, isPath: true });
+        offset += pathResult.bytesRead;
+        break;
+
+      case 0x02: // Line
+        const lineResult = decompressLine(payload, offset, palette);
+        drawn.push({ element: lineResult.element, isPath: false });
+        offset += lineResult.bytesRead;
+        break;
+
+      case 0x03: // Text
+        const textResult = decompressText(payload, offset, palette);
+        drawn.push({ element: textResult.element, isPath: false });
+        offset += textResult.bytesRead;
+        break;
+
+      case GLITCH_FILTER_MARKER:
+        const glitchResult = decompressGlitchFilter(payload, offset);
+        filters.push(glitchResult.element);
+        filterId = glitchResult.id;
+        offset += glitchResult.bytesRead;
+        break;
+
+      case FILTER_GRAPH_MARKER:
+        const filterResult = decompressFilterGraph(payload, offset);
+        filters.push(`<defs>${filterResult.element}</defs>`);
+        filterIds.push(filterResult.id);
+        offset += filterResult.bytesRead;
+        break;
+
+      case 0x05: // Filter group reference
+        const groupResult = decompressFilterGroup(payload, offset);
+        filterId = groupResult.id; // Store filter ID for group
+        offset += groupResult.bytesRead;
+        break;
+
+      case GROUP_TREE_MARKER:
+        groupTree = decodeGroups(payload, offset + 1, { palette, filterIds });
+        offset += 1 + groupTree.bytesRead;
+        break;
+
+      default:
+        throw new Error(`Unknown element marker: 0x${markerByte.toString(16)} at offset ${offset}`);
+    }
+  }
+
+  if (!drawn.some(item => item.isPath)) {
+    throw new Error('Invalid top data: no main path found');
+  }
+
+  // Reconstruct SVG with proper viewBox
+  let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="${TARGET_SIZE}" height="${TARGET_SIZE}" viewBox="${viewBox}">`;
+
+  // Add filters if present
+  svgContent += filters.join('');
+
+  if (groupTree) {
+    // Elements nested in their groups, in record order
+    svgContent += renderGroups(drawn.map(item => item.element), groupTree);
+  } else if (filterId) {
+    // Blobs from before the group tree put the lines and text inside the
+    // filter group, after the main path
+    svgContent += drawn.filter(item => item.isPath).map(item => item.element).join('');
+    svgContent += `<g filter="url(#${filterId})">${drawn.filter(item => !item.isPath).map(item => item.element).join('')}</g>`;
+  } else {
+    svgContent += drawn.map(item => item.element).join('');
+  }
+
+  svgContent += '</svg>';
+
+  return svgContent;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  compressSVG,
+  decompressSVG
+};
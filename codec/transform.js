@@ -0,0 +1,177 @@
+const { encodeSignedVarInt, decodeSignedVarInt } = require('./encoding');
+const { parseLength } = require('./svg');
+
+// Affine matrices [a, b, c, d, e, f] as in SVG matrix(a b c d e f)
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Multiply two affine matrices [a, b, c, d, e, f]
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+// Invert an affine matrix, or return null when it is singular
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+// Parse a transform attribute into a single matrix
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  if (!value) return matrix;
+
+  const regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = regex.exec(value)) !== null) {
+    const args = (match[2].match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+    let m;
+
+    switch (match[1]) {
+      case 'matrix':
+        m = args.length === 6 ? args : IDENTITY;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        m = [cos, sin, -sin, cos, 0, 0];
+        if (args.length === 3) {
+          m = multiply(multiply([1, 0, 0, 1, args[1], args[2]], m), [1, 0, 0, 1, -args[1], -args[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = multiply(matrix, m);
+  }
+
+  return matrix;
+}
+
+// Map the root viewBox onto the output size (xMidYMid meet)
+function viewportMatrix(root, width, height) {
+  const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+
+  if (viewBox.length !== 4 || viewBox.some(isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+    const svgWidth = parseLength(root.getAttribute('width'), width, width);
+    const svgHeight = parseLength(root.getAttribute('height'), height, height);
+    return {
+      matrix: [width / svgWidth, 0, 0, height / svgHeight, 0, 0],
+      viewport: { width: svgWidth, height: svgHeight }
+    };
+  }
+
+  const [minX, minY, vbWidth, vbHeight] = viewBox;
+  const scale = Math.min(width / vbWidth, height / vbHeight);
+
+  return {
+    matrix: [
+      scale, 0, 0, scale,
+      (width - vbWidth * scale) / 2 - minX * scale,
+      (height - vbHeight * scale) / 2 - minY * scale
+    ],
+    viewport: { width: vbWidth, height: vbHeight }
+  };
+}
+
+// Most decimals kept for matrix entries
+const MATRIX_DECIMALS = 6;
+
+// Largest scaled entry the signed varint helpers carry
+const MAX_SCALED = 2 ** 30;
+
+// Whether a matrix is the identity
+function isIdentity(m) {
+  return m.every((value, i) => value === IDENTITY[i]);
+}
+
+// Fewest decimals that keep every entry exact, else the most that still fit
+// a varint (rotations and skews have no exact decimal form)
+function matrixDecimals(m) {
+  let fitting = 0;
+  for (let decimals = 0; decimals <= MATRIX_DECIMALS; decimals++) {
+    const factor = 10 ** decimals;
+    if (!m.every(value => Math.abs(value * factor) < MAX_SCALED)) break;
+    fitting = decimals;
+    if (m.every(value => Math.abs(Math.round(value * factor) / factor - value) < 1e-9)) break;
+  }
+  return fitting;
+}
+
+// Encode a matrix as a decimals byte and six scaled entries
+function encodeMatrix(m) {
+  const decimals = matrixDecimals(m);
+  return Buffer.concat([
+    Buffer.from([decimals]),
+    ...m.map(value => encodeSignedVarInt(Math.round(value * 10 ** decimals)))
+  ]);
+}
+
+// Decode a matrix written by encodeMatrix
+function decodeMatrix(buffer, offset) {
+  if (offset >= buffer.length) {
+    throw new Error(`Buffer overflow when reading matrix at offset ${offset}`);
+  }
+
+  const decimals = buffer[offset];
+  if (decimals > MATRIX_DECIMALS) {
+    throw new Error(`Invalid matrix precision ${decimals} at offset ${offset}`);
+  }
+
+  let currentOffset = offset + 1;
+  const matrix = [];
+  for (let i = 0; i < 6; i++) {
+    const { value, bytesRead } = decodeSignedVarInt(buffer, currentOffset);
+    matrix.push(Number((value / 10 ** decimals).toFixed(decimals)));
+    currentOffset += bytesRead;
+  }
+
+  return { matrix, bytesRead: currentOffset - offset };
+}
+
+// Format a matrix as a transform attribute value
+function formatMatrix(m) {
+  return `matrix(${m.map(value => String(value)).join(' ')})`;
+}
+
+module.exports = {
+  IDENTITY,
+  multiply,
+  invert,
+  parseTransform,
+  viewportMatrix,
+  isIdentity,
+  encodeMatrix,
+  decodeMatrix,
+  formatMatrix
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { TARGET_SIZE } = require('./encoding');
+const { rasterize, compareImages } = require('./raster');
+
+// Largest per-channel difference (0-255) still treated as an identical pixel,
+// so anti-aliasing noise doesn't count towards the differing-pixel percentage
+const DEFAULT_PIXEL_TOLERANCE = 8;
+
+// Failure thresholds for a decoded SVG against its original
+const DEFAULT_THRESHOLDS = {
+  maxError: 255,   // largest per-pixel error (0-255)
+  meanError: 1.0,  // average per-pixel error (0-255)
+  diffPercent: 1.0 // percentage of pixels differing by more than the tolerance
+};
+
+// Rasterize an original and a decoded SVG and measure the pixel difference
+function compareSVGs(originalSvg, decodedSvg, { size = TARGET_SIZE, pixelTolerance = DEFAULT_PIXEL_TOLERANCE } = {}) {
+  const original = rasterize(originalSvg, { width: size, height: size });
+  const decoded = rasterize(decodedSvg, { width: size, height: size });
+
+  return {
+    ...compareImages(original, decoded, pixelTolerance),
+    skipped: [...new Set(original.skipped.concat(decoded.skipped))].sort()
+  };
+}
+
+// List the thresholds a comparison exceeds
+function checkThresholds(metrics, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const failures = [];
+
+  if (metrics.maxError > limits.maxError) {
+    failures.push(`max error ${metrics.maxError} > ${limits.maxError}`);
+  }
+  if (metrics.meanError > limits.meanError) {
+    failures.push(`mean error ${metrics.meanError.toFixed(3)} > ${limits.meanError}`);
+  }
+  if (metrics.diffPercent > limits.diffPercent) {
+    failures.push(`${metrics.diffPercent.toFixed(2)}% differing pixels > ${limits.diffPercent}%`);
+  }
+
+  return failures;
+}
+
+// Compare one decoded SVG against its original and check the thresholds
+function verifySVG(originalSvg, decodedSvg, { thresholds, ...options } = {}) {
+  const metrics = compareSVGs(originalSvg, decodedSvg, options);
+  const failures = checkThresholds(metrics, thresholds);
+
+  return {
+    maxError: metrics.maxError,
+    meanError: Number(metrics.meanError.toFixed(4)),
+    diffPercent: Number(metrics.diffPercent.toFixed(4)),
+    skipped: metrics.skipped,
+    passed: failures.length === 0,
+    failures
+  };
+}
+
+// Log a verification result on one line
+function logVerification(file, result) {
+  const status = result.passed ? 'OK' : `FAIL (${result.failures.join(', ')})`;
+  const skipped = result.skipped.length ? ` [not rendered: ${result.skipped.join(', ')}]` : '';
+  console.log(`Verified ${file}: max ${result.maxError}, mean ${result.meanError.toFixed(3)}, ` +
+    `${result.diffPercent.toFixed(2)}% differing - ${status}${skipped}`);
+}
+
+// Verify every decoded SVG in decodedDir against the same-named original in originalDir
+function verifyDirectory({ originalDir, decodedDir, summaryFile = 'verification_summary.json', filter = () => true, ...options }) {
+  for (const dir of [originalDir, decodedDir]) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`${dir} does not exist`);
+    }
+  }
+
+  const svgFiles = fs.readdirSync(decodedDir).filter(file => file.endsWith('.svg') && filter(file));
+  console.log(`Found ${svgFiles.length} SVG files in ${decodedDir}`);
+
+  const results = {};
+  let failed = 0;
+
+  for (const file of svgFiles) {
+    const originalFile = path.join(originalDir, file);
+    if (!fs.existsSync(originalFile)) {
+      console.log(`No original file found for ${file}`);
+      continue;
+    }
+
+    try {
+      const result = verifySVG(
+        fs.readFileSync(originalFile, 'utf8'),
+        fs.readFileSync(path.join(decodedDir, file), 'utf8'),
+        options
+      );
+      logVerification(file, result);
+      results[file] = result;
+      if (!result.passed) failed++;
+    } catch (error) {
+      console.error(`Error verifying ${file}:`, error.message);
+      results[file] = { passed: false, error: error.message };
+      failed++;
+    }
+  }
+
+  fs.writeFileSync(path.join(decodedDir, summaryFile), JSON.stringify(results, null, 2));
+  console.log(`\nVerified ${Object.keys(results).length} files, ${failed} failed`);
+  console.log(`Verification summary written to ${summaryFile}`);
+
+  return { results, failed };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  DEFAULT_PIXEL_TOLERANCE,
+  compareSVGs,
+  checkThresholds,
+  verifySVG,
+  logVerification,
+  verifyDirectory
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { LAYER_ORDER, loadTraitBlob, composeCharacter } = require('./codec/compose');
+const { unpackLayers } = require('./codec/pack');
+
+// Parse `--<trait> <id>... [--pack file] [--transform <trait> <transform>]
+// [--order a,b,...] [--out file]`
+function parseArgs(args, currentDir) {
+  const ids = {};
+  const transforms = {};
+  let packFile = null;
+  let order = LAYER_ORDER;
+  let outFile = 'character.svg';
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} expects a value`);
+      return args[++i];
+    };
+
+    if (arg === '--transform') {
+      const traitType = value();
+      transforms[traitType] = value();
+    } else if (arg === '--order') {
+      order = value().split(',').map(name => name.trim());
+    } else if (arg === '--pack') {
+      packFile = path.resolve(currentDir, value());
+    } else if (arg === '--out') {
+      outFile = value();
+    } else if (arg.startsWith('--') && LAYER_ORDER.includes(arg.slice(2))) {
+      ids[arg.slice(2)] = value();
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (Object.keys(ids).length === 0 && !packFile) {
+    throw new Error(`Pass a --pack file or at least one layer as --<trait> <id> (traits: ${LAYER_ORDER.join(', ')})`);
+  }
+
+  return {
+    compressedDir: path.join(currentDir, 'compressed'),
+    ids,
+    packFile,
+    transforms,
+    order,
+    outFile: path.resolve(currentDir, outFile)
+  };
+}
+
+// Decode the chosen trait blobs in compressed/ and stack them into one
+// character SVG
+if (require.main === module) {
+  try {
+    const { compressedDir, ids, packFile, transforms, order, outFile } = parseArgs(process.argv.slice(2), process.cwd());
+
+    // Layers of a token pack, with --<trait> blobs added or replacing them
+    const blobs = packFile ? unpackLayers(Buffer.from(fs.readFileSync(packFile, 'utf8'), 'base64')) : {};
+    for (const traitType in ids) {
+      blobs[traitType] = loadTraitBlob(compressedDir, traitType, ids[traitType]);
+    }
+
+    const layers = {};
+    for (const traitType in blobs) {
+      layers[traitType] = { data: blobs[traitType], transform: transforms[traitType] };
+    }
+    for (const traitType in transforms) {
+      if (!layers[traitType]) throw new Error(`--transform names ${traitType}, which has no layer`);
+    }
+
+    const svg = composeCharacter(layers, { order });
+    fs.writeFileSync(outFile, svg);
+    console.log(`Composed ${Object.keys(layers).length} layers into ${outFile} (${svg.length} bytes)`);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,36 @@
+const path = require('path');
+const { diffDirectory } = require('./codec/structure');
+
+// Parse `[originalDir] [decodedDir] [--trait name]`
+function parseArgs(args, currentDir) {
+  const dirs = [];
+  let traitType = 'nose';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--trait') {
+      traitType = args[++i];
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option ${args[i]}`);
+    } else {
+      dirs.push(args[i]);
+    }
+  }
+
+  return {
+    traitType,
+    originalDir: path.resolve(currentDir, dirs[0] || 'SVGs'),
+    decodedDir: path.resolve(currentDir, dirs[1] || 'decompressed'),
+    reportFile: `${traitType}_structure_report.json`
+  };
+}
+
+// Compare the SVGs in decompressed/ element by element against the originals
+// in SVGs/ and write a per-trait report of what the round trip changed
+if (require.main === module) {
+  try {
+    diffDirectory(parseArgs(process.argv.slice(2), process.cwd()));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { LAYER_ORDER, loadTraitBlob } = require('./codec/compose');
+const { packLayers, readPackIndex } = require('./codec/pack');
+
+// Parse `--<trait> <id>... [--out file]`
+function parseArgs(args, currentDir) {
+  const ids = {};
+  let outFile = 'token.bin';
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (i + 1 >= args.length) throw new Error(`${arg} expects a value`);
+    const value = args[++i];
+
+    if (arg === '--out') outFile = value;
+    else if (arg.startsWith('--') && LAYER_ORDER.includes(arg.slice(2))) ids[arg.slice(2)] = value;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (Object.keys(ids).length === 0) {
+    throw new Error(`Pass at least one layer as --<trait> <id> (traits: ${LAYER_ORDER.join(', ')})`);
+  }
+
+  return {
+    compressedDir: path.join(currentDir, 'compressed'),
+    ids,
+    outFile: path.resolve(currentDir, outFile)
+  };
+}
+
+// Pack the chosen trait blobs in compressed/ into one base64 token pack and
+// compare its size with the separate blobs
+if (require.main === module) {
+  try {
+    const { compressedDir, ids, outFile } = parseArgs(process.argv.slice(2), process.cwd());
+
+    // Layers bottom to top, as the composer stacks them
+    const layers = {};
+    let separateBytes = 0;
+    for (const traitType of LAYER_ORDER) {
+      if (!ids[traitType]) continue;
+      layers[traitType] = loadTraitBlob(compressedDir, traitType, ids[traitType]);
+      separateBytes += Buffer.from(layers[traitType], 'base64').length;
+    }
+
+    const pack = packLayers(layers);
+    fs.writeFileSync(outFile, pack.toString('base64'));
+
+    const { definitions, layers: index } = readPackIndex(pack);
+    console.log(`Packed ${index.length} layers into ${outFile}: ${pack.length} bytes (separate blobs: ${separateBytes} bytes, ${definitions.length} shared definitions)`);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, decompress } = require('../codec/index');
+const { parseSVGDocument, findElements } = require('../codec/svg');
+const { corpusBlobs } = require('./corpus');
+
+const galaxy = (defs, circles) => '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420">' +
+  `${defs}<rect width="420" height="420" fill="#000000"/>${circles}</svg>`;
+
+const NEBULA = galaxy(
+  '<defs><radialGradient id="nebula"><stop offset="0%" stop-color="#FF00FF"/><stop offset="100%" stop-color="#000000"/></radialGradient></defs>',
+  '<circle cx="100" cy="100" r="40" fill="url(#nebula)"/><circle cx="10" cy="10" r="1" fill="#FFFFFF"/>'
+);
+
+const circles = document => findElements(parseSVGDocument(document), 'circle');
+
+test('legacy blobs decode to the same document every time', t => {
+  const random = t.mock.method(Math, 'random');
+  for (const { file, data } of corpusBlobs('bg')) {
+    assert.strictEqual(decompress(data, 'bg'), decompress(data, 'bg'), file);
+  }
+  assert.strictEqual(random.mock.callCount(), 0);
+});
+
+test('star fields are generated from their seed', () => {
+  const unseeded = circles(decompress(compress(NEBULA, 'bg'), 'bg')).length;
+  const seeded = seed => decompress(compress(NEBULA, 'bg', { starField: { seed, count: 5 } }), 'bg');
+
+  assert.strictEqual(seeded(7), seeded(7));
+  assert.notStrictEqual(seeded(7), seeded(8));
+  assert.strictEqual(circles(seeded(7)).length, unseeded + 5);
+
+  // Without a seed, one is derived from the document
+  const derived = compress(NEBULA, 'bg', { starField: true });
+  assert.strictEqual(derived, compress(NEBULA, 'bg', { starField: true }));
+  assert.strictEqual(circles(decompress(derived, 'bg')).length, unseeded + 50);
+
+  assert.throws(() => compress(NEBULA, 'bg', { starField: { seed: -1 } }), /Star field seed must be an integer/);
+  assert.throws(() => compress(NEBULA, 'bg', { starField: { minOpacity: 0.5, maxOpacity: 0.2 } }), /Invalid star opacity range/);
+});
+
+test('star parameters are kept in the blob', () => {
+  const field = { seed: 42, count: 3, minRadius: 1, maxRadius: 1, minOpacity: 0.5, maxOpacity: 0.5, color: '#FFDB99' };
+  const stars = circles(decompress(compress(NEBULA, 'bg', { starField: field }), 'bg')).slice(-3);
+
+  for (const star of stars) {
+    assert.deepStrictEqual(['r', 'opacity', 'fill'].map(name => star.getAttribute(name)), ['1.0', '0.50', '#FFDB99']);
+  }
+});
+
+test('the core glow fallback is only added where it is referenced', () => {
+  const decoded = parseSVGDocument(decompress(compress(NEBULA, 'bg'), 'bg'));
+  assert.deepStrictEqual(findElements(decoded, 'radialGradient').map(el => el.getAttribute('id')), ['nebula']);
+  assert.strictEqual(findElements(decoded, 'circle').length, 2);
+});
+
+test('a decoded core glow gradient is kept instead of the fallback', () => {
+  const document = galaxy(
+    '<defs><radialGradient id="coreGlow"><stop offset="0%" stop-color="#00FF00"/><stop offset="100%" stop-color="#0000FF"/></radialGradient></defs>',
+    '<circle cx="210" cy="210" r="30" fill="url(#coreGlow)"/>'
+  );
+  const decoded = parseSVGDocument(decompress(compress(document, 'bg'), 'bg'));
+  const [gradient, ...others] = findElements(decoded, 'radialGradient');
+
+  assert.deepStrictEqual(others, []);
+  assert.deepStrictEqual(findElements(gradient, 'stop').map(stop => stop.getAttribute('stop-color')), ['#00FF00', '#0000FF']);
+});
+
+test('core glow circles keep their decoded geometry', () => {
+  const document = galaxy(
+    '<defs><radialGradient id="coreGlow"><stop offset="0%" stop-color="#FFA500"/></radialGradient></defs>',
+    '<circle cx="100" cy="120" r="80" opacity="0.6" fill="url(#coreGlow)"/>'
+  );
+  const [circle, ...others] = circles(decompress(compress(document, 'bg'), 'bg'));
+
+  assert.deepStrictEqual(others, []);
+  assert.deepStrictEqual(['cx', 'cy', 'r', 'opacity'].map(name => Number(circle.getAttribute(name))), [100, 120, 80, 0.6]);
+});
+
+test('legacy gradient paints only name gradients the document defines', () => {
+  for (const { file, data } of corpusBlobs('bg')) {
+    const decoded = decompress(data, 'bg');
+    const ids = Array.from(decoded.matchAll(/\sid="([^"]+)"/g), match => match[1]);
+    const paints = Array.from(decoded.matchAll(/url\(#([^)]*)\)/g), match => match[1]);
+    assert.deepStrictEqual(paints.filter(id => !ids.includes(id)), [], file);
+  }
+});
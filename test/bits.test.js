@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_WIDTH, bitWidth, zigzag, createBitWriter, createBitReader } = require('../codec/bits');
+
+test('values of every width round-trip through a bit stream', () => {
+  const values = [];
+  for (let width = 0; width <= MAX_WIDTH; width++) {
+    values.push([width, 0], [width, 2 ** width - 1], [width, Math.floor((2 ** width - 1) / 3)]);
+  }
+
+  const writer = createBitWriter();
+  values.forEach(([width, value]) => writer.write(value, width));
+  const buffer = writer.finish();
+
+  const reader = createBitReader(buffer, 0);
+  values.forEach(([width, value]) => assert.strictEqual(reader.read(width), value));
+  assert.strictEqual(reader.bytesRead(), buffer.length);
+});
+
+test('signed values are zigzagged without overflow', () => {
+  const values = [0, -1, 1, -2, 2 ** 30 - 1, -(2 ** 30)];
+  const writer = createBitWriter();
+  values.forEach(value => writer.writeSigned(value, MAX_WIDTH));
+
+  const reader = createBitReader(writer.finish(), 0);
+  values.forEach(value => assert.strictEqual(reader.readSigned(MAX_WIDTH), value));
+  assert.deepStrictEqual([0, -1, 1, -2].map(zigzag), [0, 1, 2, 3]);
+});
+
+test('streams are padded to a byte and read from an offset', () => {
+  const writer = createBitWriter();
+  writer.write(5, 3);
+  const buffer = Buffer.concat([Buffer.from([0xAA]), writer.finish()]);
+  assert.deepStrictEqual(buffer, Buffer.from([0xAA, 0xA0]));
+
+  const reader = createBitReader(buffer, 1);
+  assert.strictEqual(reader.read(3), 5);
+  assert.strictEqual(reader.bytesRead(), 1);
+});
+
+test('bit widths fit their values', () => {
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 255, 256].map(bitWidth), [0, 1, 2, 2, 3, 8, 9]);
+});
+
+test('values that do not fit and reads past the end are rejected', () => {
+  assert.throws(() => createBitWriter().write(8, 3), /Value 8 does not fit in 3 bits/);
+  assert.throws(() => createBitWriter().write(0, MAX_WIDTH + 1), /Bit width must be a whole number/);
+  assert.throws(() => createBitReader(Buffer.from([0xFF]), 0).read(9), /Buffer overflow when reading 9 bits/);
+});
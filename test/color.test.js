@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, decompress } = require('../codec/index');
+const { readContainer } = require('../codec/container');
+const { diffSVGs } = require('../codec/structure');
+const { corpusBlobs, corpusSVGs } = require('./corpus');
+
+// Payload record markers
+const RECIPE_MARKER = 0x01;
+const RAW_MARKER = 0x02;
+
+test('every corpus color is stored as a recipe and regenerated exactly', () => {
+  for (const { file, svg } of corpusSVGs('color')) {
+    const warnings = [];
+    const blob = compress(svg, 'color', { warnings });
+    const decoded = decompress(blob, 'color');
+    const report = diffSVGs(svg, decoded);
+
+    assert.deepStrictEqual(warnings, [], file);
+    assert.strictEqual(readContainer(Buffer.from(blob, 'base64')).payload[0], RECIPE_MARKER, file);
+    assert.deepStrictEqual([report.missing, report.extra, report.attributes], [[], [], []], file);
+
+    // A regenerated document compresses back to the same recipe
+    assert.strictEqual(compress(decoded, 'color'), blob, file);
+  }
+});
+
+test('recipes are a fraction of the legacy blobs', () => {
+  const blobs = corpusBlobs('color', 10);
+  const legacy = blobs.reduce((sum, { data }) => sum + Buffer.from(data, 'base64').length, 0);
+  const recipes = blobs.reduce((sum, { data }) => sum + Buffer.from(compress(decompress(data, 'color'), 'color'), 'base64').length, 0);
+  assert.ok(recipes * 10 < legacy, `${recipes} bytes of recipes for ${legacy} legacy bytes`);
+});
+
+test('colors that do not follow the recipe keep their SVG text', () => {
+  const [{ svg }] = corpusSVGs('color', 1);
+  const edited = svg.replace('numOctaves="3"', 'numOctaves="3" stitchTiles="stitch"');
+  const warnings = [];
+  const blob = compress(edited, 'color', { warnings });
+
+  assert.strictEqual(readContainer(Buffer.from(blob, 'base64')).payload[0], RAW_MARKER);
+  assert.strictEqual(decompress(blob, 'color'), edited);
+  assert.strictEqual(warnings.length, 1);
+});
+
+test('extra child elements keep the SVG text', () => {
+  const [{ svg }] = corpusSVGs('color', 1);
+  const stop = svg.match(/<stop [^>]*><\/stop>/)[0];
+  const rect = svg.match(/<rect [^>]*><\/rect>/)[0];
+
+  for (const edited of [
+    svg.replace(stop, stop.replace('</stop>', '<title>base</title></stop>')),
+    svg.replace(rect, rect.replace('</rect>', '<title>texture</title></rect>'))
+  ]) {
+    const warnings = [];
+    const blob = compress(edited, 'color', { warnings });
+
+    assert.strictEqual(decompress(blob, 'color'), edited);
+    assert.match(warnings[0], /expected 0 children in <(stop|rect)>, found 1/);
+  }
+});
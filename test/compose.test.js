@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LAYER_ORDER, loadTraitBlob, composeCharacter } = require('../codec/compose');
+const { parseSVGDocument, childElements } = require('../codec/svg');
+const { COMPRESSED_DIR, corpusBlobs } = require('./corpus');
+
+// The first corpus blob of every trait
+const LAYERS = Object.fromEntries(LAYER_ORDER.map(traitType => [traitType, corpusBlobs(traitType, 1)[0].data]));
+
+test('layers stack bottom to top in groups of their own', () => {
+  const root = parseSVGDocument(composeCharacter(LAYERS));
+  const [defs, ...groups] = childElements(root);
+
+  assert.strictEqual(root.getAttribute('viewBox'), '0 0 420 420');
+  assert.strictEqual(defs.tagName, 'defs');
+  assert.deepStrictEqual(groups.map(group => group.getAttribute('id')), LAYER_ORDER.map(traitType => `layer-${traitType}`));
+});
+
+test('layer IDs are prefixed and every reference resolves', () => {
+  const composed = composeCharacter(LAYERS);
+  const ids = Array.from(composed.matchAll(/\sid="([^"]+)"/g), match => match[1]);
+  const references = Array.from(composed.matchAll(/url\(#([^)]+)\)|href="#([^"]+)"/g), match => match[1] || match[2]);
+
+  assert.strictEqual(new Set(ids).size, ids.length);
+  assert.ok(ids.filter(id => !id.startsWith('layer-')).every(id => LAYER_ORDER.some(traitType => id.startsWith(`${traitType}-`))));
+  assert.ok(references.length > 0);
+  assert.deepStrictEqual(references.filter(id => !ids.includes(id)), []);
+});
+
+test('layers take a transform and an order, and missing traits are skipped', () => {
+  const root = parseSVGDocument(composeCharacter(
+    { top: { data: LAYERS.top, transform: 'translate(0 -20)' }, nose: LAYERS.nose },
+    { order: ['top', 'nose'] }
+  ));
+  const groups = childElements(root).filter(el => el.tagName === 'g');
+
+  assert.deepStrictEqual(groups.map(group => group.getAttribute('id')), ['layer-top', 'layer-nose']);
+  assert.strictEqual(groups[0].getAttribute('transform'), 'matrix(1 0 0 1 0 -20)');
+  assert.ok(!groups[1].hasAttribute('transform'));
+});
+
+test('trait blobs load by ID and bad layers are rejected', () => {
+  const [{ file, data }] = corpusBlobs('nose', 1);
+  const id = file.match(/^nose-(\d+)\.bin$/)[1];
+
+  assert.strictEqual(loadTraitBlob(COMPRESSED_DIR, 'nose', id), data);
+  assert.throws(() => loadTraitBlob(COMPRESSED_DIR, 'nose', '0'), /No nose trait 0/);
+  assert.throws(() => loadTraitBlob(COMPRESSED_DIR, 'hat', id), /Unknown trait type: hat/);
+  assert.throws(() => composeCharacter({ hat: LAYERS.nose }), /Layer hat is not in the layer order/);
+  assert.throws(() => composeCharacter({ nose: { transform: 'scale(2)' } }), /Layer nose needs a base64 blob/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAGIC, isContainer, writeContainer, readContainer, unpackTrait } = require('../codec/container');
+const { TRAIT_TYPES, compress, decompress, detectTraitType } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+const PAYLOAD = Buffer.from([0x01, 0x02, 0x03, 0xFF, 0x00, 0x80]);
+
+test('a container gives back its trait type, version and payload', () => {
+  const blob = writeContainer('spikes', 7, PAYLOAD);
+  assert.strictEqual(blob[0], MAGIC);
+  assert.ok(isContainer(blob));
+  assert.deepStrictEqual(readContainer(blob), { traitType: 'spikes', version: 7, coding: null, payload: PAYLOAD });
+});
+
+test('truncated and padded containers are rejected', () => {
+  const blob = writeContainer('top', 3, PAYLOAD);
+  assert.throws(() => readContainer(blob.slice(0, -1)), /header declares 6 payload bytes, found 5/);
+  assert.throws(() => readContainer(Buffer.concat([blob, Buffer.from([0])])), /found 7/);
+  assert.throws(() => readContainer(Buffer.from([0x00, 0x01, 0x01, 0x00])), /bad magic byte/);
+  assert.throws(() => readContainer(Buffer.from([MAGIC, 0x3F, 0x01, 0x00])), /unknown trait kind/);
+});
+
+test('trait decoders only accept their own blobs and versions', () => {
+  const versions = { formatVersion: 4, legacyVersions: [2] };
+  const blob = writeContainer('nose', 4, PAYLOAD);
+
+  assert.deepStrictEqual(unpackTrait(blob, 'nose', versions), { version: 4, payload: PAYLOAD });
+  assert.throws(() => unpackTrait(blob, 'phil', versions), /Expected a phil blob, got a nose blob/);
+  assert.throws(() => unpackTrait(writeContainer('nose', 5, PAYLOAD), 'nose', versions), /Unsupported nose format version 5/);
+});
+
+test('legacy blobs are read by their version byte', () => {
+  const versions = { formatVersion: 4, legacyVersions: [2] };
+  const legacy = Buffer.concat([Buffer.from([2, 1]), PAYLOAD]);
+
+  assert.deepStrictEqual(unpackTrait(legacy, 'nose', versions), { version: 2, payload: PAYLOAD });
+  assert.throws(() => unpackTrait(Buffer.from([3, 1]), 'nose', versions), /unknown legacy version 3/);
+});
+
+test('new blobs name their trait type and decode without one', () => {
+  for (const traitType of TRAIT_TYPES) {
+    const [{ svg }] = corpusSVGs(traitType, 1);
+    const blob = compress(svg, traitType);
+    assert.strictEqual(detectTraitType(Buffer.from(blob, 'base64')), traitType);
+    assert.strictEqual(decompress(blob), decompress(blob, traitType));
+  }
+});
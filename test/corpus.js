@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { compress, decompress } = require('../codec/index');
+const { readContainer } = require('../codec/container');
+const { TRAIT_DIRS } = require('../codec/compose');
+
+// The committed trait blobs under compressed/ are the corpus the tests run
+// against: each blob decodes to the SVG it stands for, and those SVGs are
+// compressed again to check the current codecs.
+const COMPRESSED_DIR = path.join(__dirname, '..', 'compressed');
+
+// Blobs of a trait as { file, data } (base64 text), the first `limit` in
+// name order
+function corpusBlobs(traitType, limit = Infinity) {
+  const dir = path.join(COMPRESSED_DIR, TRAIT_DIRS[traitType]);
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.bin'))
+    .sort()
+    .slice(0, limit)
+    .map(file => ({ file, data: fs.readFileSync(path.join(dir, file), 'utf8') }));
+}
+
+// Corpus blobs of a trait decoded to { file, svg }
+function corpusSVGs(traitType, limit) {
+  return corpusBlobs(traitType, limit).map(({ file, data }) => ({ file, svg: decompress(data, traitType) }));
+}
+
+// Payloads the current codec writes for the corpus documents of a trait
+// (the blobs in compressed/ predate the container)
+function corpusPayloads(traitType, limit) {
+  return corpusSVGs(traitType, limit).map(({ svg }) => readContainer(Buffer.from(compress(svg, traitType), 'base64')).payload);
+}
+
+module.exports = {
+  COMPRESSED_DIR,
+  corpusBlobs,
+  corpusSVGs,
+  corpusPayloads
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  CURRENT_DICTIONARY_SET,
+  TEXT_TRAITS,
+  MIN_SAVING,
+  isHeldOut,
+  trainDictionary,
+  hasDictionary,
+  deflatePayload,
+  inflatePayload
+} = require('../codec/deflate');
+const { readContainer } = require('../codec/container');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs, corpusPayloads } = require('./corpus');
+
+test('dictionaries are built from text that recurs across payloads', () => {
+  const shared = 'stroke-linejoin="round"';
+  const payloads = ['a', 'b', 'c'].map(unique => Buffer.from(`<path ${shared} id="${unique.repeat(20)}"/>`));
+  const dictionary = trainDictionary(payloads, 64).toString('latin1');
+
+  assert.ok(dictionary.includes(shared));
+  assert.ok(!dictionary.includes('aaaaaaaaaaaa'));
+  assert.ok(dictionary.length <= 64);
+});
+
+test('every corpus payload inflates to its exact bytes', () => {
+  for (const traitType of TEXT_TRAITS.filter(name => hasDictionary(name))) {
+    for (const payload of corpusPayloads(traitType)) {
+      const deflated = deflatePayload(payload, traitType);
+      assert.deepStrictEqual(inflatePayload(deflated, traitType, CURRENT_DICTIONARY_SET), payload);
+    }
+  }
+});
+
+test('dictionaries save bytes on the corpus files they were not trained on', () => {
+  // Color payloads are recipes unless the document is stored as text
+  const heldOut = {
+    top: corpusSVGs('top').filter(({ file }) => isHeldOut(file))
+      .map(({ svg }) => readContainer(Buffer.from(compress(svg, 'top'), 'base64')).payload),
+    color: corpusSVGs('color').filter(({ file }) => isHeldOut(file)).map(({ svg }) => Buffer.from(svg))
+  };
+
+  for (const traitType of TEXT_TRAITS.filter(name => hasDictionary(name))) {
+    const plain = heldOut[traitType].reduce((sum, payload) => sum + payload.length, 0);
+    const deflated = heldOut[traitType].reduce((sum, payload) => sum + deflatePayload(payload, traitType).length, 0);
+    assert.ok(heldOut[traitType].length > 0, traitType);
+    assert.ok(deflated <= plain * (1 - MIN_SAVING), `${traitType}: ${plain} → ${deflated} bytes`);
+  }
+});
+
+test('held-out files are picked by name, whatever the extension', () => {
+  assert.strictEqual(isHeldOut('top-1.svg'), isHeldOut('top-1.bin'));
+  assert.strictEqual(isHeldOut('dir/top-1.svg'), isHeldOut('top-1'));
+});
+
+test('deflated blobs record their dictionary set and decode as before', () => {
+  for (const traitType of TEXT_TRAITS) {
+    for (const { file, svg } of corpusSVGs(traitType, 4)) {
+      const plain = compress(svg, traitType);
+      const deflated = compress(svg, traitType, { deflate: true });
+      const { coding } = readContainer(Buffer.from(deflated, 'base64'));
+
+      assert.ok(Buffer.from(deflated, 'base64').length <= Buffer.from(plain, 'base64').length, file);
+      if (coding) assert.deepStrictEqual(coding, { method: 'deflate', set: CURRENT_DICTIONARY_SET });
+      assert.strictEqual(decompress(deflated, traitType), decompress(plain, traitType), file);
+    }
+  }
+});
+
+test('traits without a dictionary are never deflated', () => {
+  const [{ svg }] = corpusSVGs('spikes', 1);
+  const { coding } = readContainer(Buffer.from(compress(svg, 'spikes', { deflate: true }), 'base64'));
+  assert.strictEqual(coding, null);
+});
+
+test('unknown dictionary sets and corrupt streams are rejected', () => {
+  const deflated = deflatePayload(Buffer.from('<svg><path d="M0 0"/></svg>'), 'top');
+  assert.throws(() => inflatePayload(deflated, 'top', CURRENT_DICTIONARY_SET + 1), /Unknown deflate dictionary set/);
+  assert.throws(() => inflatePayload(Buffer.from([0xFF, 0xFF]), 'top', CURRENT_DICTIONARY_SET), /Invalid deflated payload/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { prefixIds, mergeDefs } = require('../codec/defs');
+const { parseSVGDocument, childElements, findElements } = require('../codec/svg');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+test('IDs and their references are prefixed', () => {
+  const markup = '<svg><defs><filter id="glow"/><linearGradient id=\'g\' href="#base"/></defs>' +
+    '<path filter="url(#glow)" fill="url(\'#g\')" stroke="url(#elsewhere)"/></svg>';
+
+  assert.strictEqual(
+    prefixIds(markup, 'nose-'),
+    '<svg><defs><filter id="nose-glow"/><linearGradient id=\'nose-g\' href="#base"/></defs>' +
+    '<path filter="url(#nose-glow)" fill="url(\'#nose-g\')" stroke="url(#elsewhere)"/></svg>'
+  );
+  assert.strictEqual(prefixIds(markup, ''), markup);
+});
+
+test('decoders prefix IDs on request and leave them alone otherwise', () => {
+  const [{ svg }] = corpusSVGs('nose', 1);
+  const blob = compress(svg, 'nose');
+
+  const prefixed = decompress(blob, 'nose', { idPrefix: 'nose-' });
+  assert.strictEqual(prefixed, prefixIds(decompress(blob, 'nose'), 'nose-'));
+  assert.ok(prefixed.includes('filter="url(#nose-glow)"'));
+});
+
+test('identical definitions are merged and references follow', () => {
+  const root = parseSVGDocument(`<svg xmlns="http://www.w3.org/2000/svg"><defs>
+    <linearGradient id="a-base"><stop offset="0" stop-color="#FF0000"/></linearGradient>
+    <linearGradient id="b-base" ><stop stop-color="#FF0000"  offset="0"/></linearGradient>
+    <linearGradient id="a-use" href="#a-base" x2="1"/>
+    <linearGradient id="b-use" x2="1" href="#b-base"/>
+    <filter id="a-glow"><feGaussianBlur stdDeviation="2"/></filter>
+    <filter id="b-glow"><feGaussianBlur stdDeviation="3"/></filter>
+  </defs><rect fill="url(#b-use)" filter="url(#b-glow)"/></svg>`);
+  const [defs] = findElements(root, 'defs');
+
+  const merged = mergeDefs(defs);
+
+  assert.deepStrictEqual(Object.fromEntries(merged), { 'b-base': 'a-base', 'b-use': 'a-use' });
+  assert.deepStrictEqual(childElements(defs).map(el => el.getAttribute('id')), ['a-base', 'a-use', 'a-glow', 'b-glow']);
+
+  const [rect] = findElements(root, 'rect');
+  assert.strictEqual(rect.getAttribute('fill'), 'url(#a-use)');
+  assert.strictEqual(rect.getAttribute('filter'), 'url(#b-glow)');
+});
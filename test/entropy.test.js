@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CURRENT_TABLE_SET, TABLE_SETS, trainTable, encodeEntropy, decodeEntropy } = require('../codec/entropy');
+const { readContainer } = require('../codec/container');
+const { TRAIT_TYPES, compress } = require('../codec/index');
+const { corpusSVGs, corpusPayloads } = require('./corpus');
+
+// Documents of each trait re-encoded per test run
+const SAMPLE = 6;
+
+test('trained tables add up to the probability scale', () => {
+  const table = trainTable([Buffer.from('abracadabra')]);
+  assert.strictEqual(table.length, 256);
+  assert.strictEqual(table.reduce((sum, freq) => sum + freq, 0), 4096);
+  assert.ok(table.every(freq => freq >= 1));
+});
+
+test('every corpus payload decodes to its exact bytes', () => {
+  for (const traitType of Object.keys(TABLE_SETS[CURRENT_TABLE_SET])) {
+    for (const payload of corpusPayloads(traitType, SAMPLE)) {
+      const coded = encodeEntropy(payload, traitType);
+      assert.deepStrictEqual(decodeEntropy(coded, traitType), payload);
+    }
+  }
+});
+
+test('empty payloads and every byte value round-trip', () => {
+  const bytes = Buffer.from(Array.from({ length: 512 }, (_, i) => (i * 37) % 256));
+  for (const payload of [Buffer.alloc(0), bytes]) {
+    assert.deepStrictEqual(decodeEntropy(encodeEntropy(payload, 'phil'), 'phil'), payload);
+  }
+});
+
+test('entropy coded blobs are never longer and decode to the same payload', () => {
+  for (const traitType of TRAIT_TYPES) {
+    const [{ svg }] = corpusSVGs(traitType, 1);
+    const plain = Buffer.from(compress(svg, traitType), 'base64');
+    const coded = Buffer.from(compress(svg, traitType, { entropy: true }), 'base64');
+
+    assert.ok(coded.length <= plain.length, traitType);
+    assert.deepStrictEqual(readContainer(coded).payload, readContainer(plain).payload);
+    const { coding } = readContainer(coded);
+    if (coding) assert.deepStrictEqual(coding, { method: 'entropy', set: CURRENT_TABLE_SET });
+  }
+});
+
+test('truncated streams and unknown table sets are rejected', () => {
+  const coded = encodeEntropy(Buffer.from('a longer payload to code'), 'top');
+  assert.throws(() => decodeEntropy(coded.slice(0, 4), 'top'), /Invalid entropy coded payload/);
+  assert.throws(() => decodeEntropy(Buffer.from([CURRENT_TABLE_SET + 1, 0]), 'top'), /Unknown entropy table set/);
+});
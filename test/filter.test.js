@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeFilter, decodeFilter } = require('../codec/filter');
+const { parseSVGDocument, findElements, childElements, tagName } = require('../codec/svg');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg">${body}</svg>`;
+
+// Numbers and number lists compare by value ("4.0" and ".02" are written
+// back as "4" and "0.02")
+function attributeValue(value) {
+  const parts = value.trim().split(/[\s,]+/);
+  return parts.every(part => part !== '' && !isNaN(part)) ? parts.map(Number) : value;
+}
+
+// An element and its subtree as plain data
+function elementTree(el) {
+  return {
+    tag: tagName(el),
+    attributes: Object.fromEntries(Array.from(el.attributes, ({ name, value }) => [name, attributeValue(value)])),
+    children: childElements(el).map(elementTree)
+  };
+}
+
+// Encode a filter element and parse the decoded markup back
+function roundTrip(filter) {
+  const buffer = encodeFilter(filter);
+  const { element, id, bytesRead } = decodeFilter(buffer, 0);
+  assert.strictEqual(bytesRead, buffer.length);
+  return { filter: findElements(parseSVGDocument(svg(element)), 'filter')[0], id };
+}
+
+test('corpus filters decode to the same primitive graph', () => {
+  for (const traitType of ['nose', 'top']) {
+    for (const { file, svg: document } of corpusSVGs(traitType)) {
+      const filters = findElements(parseSVGDocument(document), 'filter');
+      assert.ok(filters.length > 0, file);
+
+      for (const filter of filters) {
+        const { filter: decoded, id } = roundTrip(filter);
+        assert.strictEqual(id, filter.getAttribute('id'), file);
+        assert.deepStrictEqual(elementTree(decoded), elementTree(filter), file);
+      }
+    }
+  }
+});
+
+test('tags, attributes and values outside the tables are kept as text', () => {
+  const [filter] = findElements(parseSVGDocument(svg(`
+    <filter id="edge">
+      <feFlood flood-color="#123456" result="a&amp;b"/>
+      <feFutureThing data-amount="2 3" in="a&amp;b" mode="sideways"/>
+      <feMerge><feMergeNode in="a&amp;b"/></feMerge>
+    </filter>`)), 'filter');
+
+  assert.deepStrictEqual(elementTree(roundTrip(filter).filter), elementTree(filter));
+});
+
+test('IDs and links that look like numbers are kept as written', () => {
+  const [filter] = findElements(parseSVGDocument(svg(`
+    <filter id="007">
+      <feImage href="1e3" result="1.50"/>
+      <feImage xlink:href="010" in="1.50"/>
+    </filter>`)), 'filter');
+  const { filter: decoded, id } = roundTrip(filter);
+
+  assert.strictEqual(id, '007');
+  assert.deepStrictEqual(elementTree(decoded), elementTree(filter));
+});
+
+test('nose and top keep filters other than their usual effect', () => {
+  const [filter] = findElements(parseSVGDocument(svg(`
+    <filter id="shade" x="-10%" y="-10%" width="120%" height="120%" filterUnits="userSpaceOnUse">
+      <feOffset in="SourceAlpha" dx="2" dy="3" result="offset"/>
+      <feBlend in="SourceGraphic" in2="offset" mode="multiply"/>
+    </filter>`)), 'filter');
+  const body = `<defs>${filter.toString()}</defs>`;
+
+  for (const [traitType, drawn] of [
+    ['nose', '<path d="M10 10H50V50Z" fill="#FF0000" filter="url(#shade)"/>'],
+    ['top', '<path d="M10 10H50V50Z" fill="#FF0000"/><g filter="url(#shade)"><line x1="0" y1="5" x2="420" y2="5" stroke="#000000"/></g>']
+  ]) {
+    const document = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420">${body}${drawn}</svg>`;
+    const [decoded] = findElements(parseSVGDocument(decompress(compress(document, traitType), traitType)), 'filter');
+    assert.deepStrictEqual(elementTree(decoded), elementTree(filter), traitType);
+  }
+});
+
+test('only filter elements are encoded and corrupt graphs are rejected', () => {
+  const [rect] = findElements(parseSVGDocument(svg('<rect width="1" height="1"/>')), 'rect');
+  assert.throws(() => encodeFilter(rect), /Expected a <filter> element, got <rect>/);
+
+  const [filter] = findElements(parseSVGDocument(svg('<filter id="f"><feOffset dx="1"/></filter>')), 'filter');
+  const buffer = encodeFilter(filter);
+  assert.throws(() => decodeFilter(buffer.subarray(0, buffer.length - 2), 0), /Buffer overflow/);
+  assert.throws(() => decodeFilter(Buffer.from([0xF0]), 0), /Invalid filter tag code 240/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  findGradients,
+  encodeGradients,
+  decodeGradients,
+  encodePaint,
+  decodePaint
+} = require('../codec/gradient');
+const { parseSVGDocument, childElements, tagName, readDeclarations, parseColor, parseOpacity } = require('../codec/svg');
+const { parseTransform } = require('../codec/transform');
+const { getPalette, CURRENT_PALETTE_ID } = require('../codec/palette');
+const { corpusSVGs } = require('./corpus');
+
+const palette = getPalette(CURRENT_PALETTE_ID);
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><defs>${body}</defs></svg>`;
+
+// A gradient as plain data: numbers by value, colors as RGB, the transform
+// as a matrix
+function gradientData(gradient) {
+  const attributes = Array.from(gradient.attributes)
+    .filter(({ name }) => name !== 'gradientTransform' && !name.startsWith('xmlns'))
+    .map(({ name, value }) => [name, isNaN(parseFloat(value)) ? value.trim() : parseFloat(value)]);
+
+  return {
+    tag: tagName(gradient),
+    attributes: Object.fromEntries(attributes),
+    matrix: parseTransform(gradient.getAttribute('gradientTransform')).map(value => Number(value.toFixed(6))),
+    stops: childElements(gradient).map(stop => {
+      const declarations = readDeclarations(stop);
+      const offset = stop.getAttribute('offset');
+      return {
+        offset: offset.endsWith('%') ? parseFloat(offset) / 100 : parseFloat(offset),
+        color: parseColor(declarations['stop-color']),
+        opacity: parseOpacity(declarations['stop-opacity'])
+      };
+    })
+  };
+}
+
+// Encode the gradients of a document and parse the decoded table back
+function roundTrip(document) {
+  const gradients = findGradients(parseSVGDocument(document));
+  const { buffer, ids } = encodeGradients(gradients, palette);
+  const decoded = decodeGradients(buffer, 0, palette);
+
+  assert.strictEqual(decoded.bytesRead, buffer.length);
+  assert.deepStrictEqual(decoded.ids, ids);
+  return { gradients, decoded: findGradients(parseSVGDocument(svg(decoded.elements.join('')))) };
+}
+
+test('corpus gradients decode to the same geometry and stops', () => {
+  let count = 0;
+  for (const traitType of ['bg', 'spikes']) {
+    for (const { file, svg: document } of corpusSVGs(traitType)) {
+      const { gradients, decoded } = roundTrip(document);
+      gradients.forEach((gradient, i) => assert.deepStrictEqual(gradientData(decoded[i]), gradientData(gradient), file));
+      count += gradients.length;
+    }
+  }
+  assert.ok(count > 0);
+});
+
+test('links, units, spread methods and transforms are kept', () => {
+  const { gradients, decoded } = roundTrip(svg(`
+    <linearGradient id="base" x1="0%" x2="100%" spreadMethod="reflect">
+      <stop offset="0" stop-color="#FF0000"/>
+      <stop offset="0.25" style="stop-color: rgb(1, 2, 3); stop-opacity: 0.5"/>
+    </linearGradient>
+    <radialGradient id="linked" href="#base" cx="12.5" r="40" gradientUnits="userSpaceOnUse"
+      gradientTransform="rotate(30) translate(5 0)"/>
+    <linearGradient id="old" xlink:href="#linked"/>`));
+
+  assert.strictEqual(decoded.length, 3);
+  gradients.forEach((gradient, i) => assert.deepStrictEqual(gradientData(decoded[i]), gradientData(gradient)));
+});
+
+test('paints refer to gradients by table index', () => {
+  const ids = ['a', 'b'];
+  const buffer = Buffer.concat([encodePaint('url(#b)', palette, ids), encodePaint('#123456', palette, ids)]);
+
+  const gradient = decodePaint(buffer, 0, palette, ids);
+  assert.strictEqual(gradient.color, 'url(#b)');
+  assert.strictEqual(decodePaint(buffer, gradient.bytesRead, palette, ids).color, '#123456');
+
+  assert.throws(() => encodePaint('url(#c)', palette, ids), /Paint references unknown gradient #c/);
+  assert.throws(() => decodePaint(buffer, 0, palette, ['a']), /Gradient reference 1 at offset 0 is outside the 1 entry table/);
+});
+
+test('links outside the document and unknown keywords are rejected', () => {
+  const encode = body => encodeGradients(findGradients(parseSVGDocument(svg(body))), palette);
+  assert.throws(() => encode('<linearGradient id="a" href="other.svg#b"/>'), /Gradient a links to other\.svg#b/);
+  assert.throws(() => encode('<linearGradient id="a" spreadMethod="mirror"/>'), /invalid gradientUnits or spreadMethod/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { localElements, encodeGroups, decodeGroups, renderGroups } = require('../codec/groups');
+const { parseSVGDocument, findElements } = require('../codec/svg');
+const { getPalette, CURRENT_PALETTE_ID } = require('../codec/palette');
+const { compress, decompress } = require('../codec/index');
+const { verifySVG } = require('../codec/verify');
+const { corpusSVGs } = require('./corpus');
+
+const palette = getPalette(CURRENT_PALETTE_ID);
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg">${body}</svg>`;
+
+test('group trees keep nesting, group attributes and element transforms', () => {
+  const root = parseSVGDocument(svg(
+    '<g transform="translate(5 5)" fill="#FF0000"><rect width="1" height="1"/>' +
+    '<g opacity="0.5" filter="url(#blur)"><circle r="2" transform="scale(2)"/></g></g>' +
+    '<rect width="3" height="3"/><g fill="url(#grad)"><circle r="1"/></g>'
+  ));
+  const tables = { palette, gradientIds: ['grad'], filterIds: ['glow'] };
+  const buffer = encodeGroups(root, localElements(root), tables);
+  const tree = decodeGroups(buffer, 0, tables);
+
+  assert.strictEqual(tree.bytesRead, buffer.length);
+  assert.strictEqual(
+    renderGroups(['<rect id="a"/>', '<circle id="b"/>', '<rect id="c"/>', '<circle id="d"/>'], tree),
+    '<g transform="matrix(1 0 0 1 5 5)" fill="#FF0000"><rect id="a"/>' +
+    '<g opacity="0.5" filter="url(#blur)"><circle transform="matrix(2 0 0 2 0 0)" id="b"/></g></g>' +
+    '<rect id="c"/><g fill="url(#grad)"><circle id="d"/></g>'
+  );
+});
+
+test('flat documents need no group tree', () => {
+  const root = parseSVGDocument(svg('<rect width="1" height="1"/><circle r="1"/>'));
+  assert.strictEqual(encodeGroups(root, localElements(root), { palette }), null);
+});
+
+test('groups split when their elements are not contiguous', () => {
+  const tree = {
+    groups: [{ parent: -1, attributes: ' opacity="0.5"' }],
+    placements: [{ group: 0, matrix: null }, { group: -1, matrix: null }, { group: 0, matrix: null }]
+  };
+  assert.strictEqual(renderGroups(['<a/>', '<b/>', '<c/>'], tree), '<g opacity="0.5"><a/></g><b/><g opacity="0.5"><c/></g>');
+  assert.throws(() => renderGroups(['<a/>'], tree), /Group tree places 3 elements, but 1 decoded/);
+});
+
+test('corrupt group trees are rejected', () => {
+  // One group naming itself as its parent
+  assert.throws(() => decodeGroups(Buffer.from([1, 1, 0, 0]), 0, { palette }), /Group 0 names parent 0/);
+  // No groups, one element placed in group 0
+  assert.throws(() => decodeGroups(Buffer.from([0, 1, 2]), 0, { palette }), /Element 0 is placed in group 0 of 0/);
+});
+
+test('traits keep the groups and transforms their elements sit in', () => {
+  for (const traitType of ['phil', 'bg', 'nose', 'spikes', 'top']) {
+    const [{ svg: document }] = corpusSVGs(traitType, 1);
+    const open = document.match(/<svg[^>]*>/)[0];
+    const grouped = document
+      .replace(open, `${open}<g transform="translate(20 10) rotate(5)" opacity="0.8">`)
+      .replace(/<\/svg>\s*$/, '</g></svg>');
+
+    const decoded = decompress(compress(grouped, traitType), traitType);
+    const [group] = findElements(parseSVGDocument(decoded), 'g');
+    assert.strictEqual(group.getAttribute('transform'), 'matrix(0.996195 0.087156 -0.087156 0.996195 20 10)', traitType);
+    assert.strictEqual(group.getAttribute('opacity'), '0.8', traitType);
+
+    const result = verifySVG(grouped, decoded);
+    assert.ok(result.passed, `${traitType}: ${result.failures.join(', ')}`);
+  }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TRAIT_TYPES, compress, decompress, detectTraitType } = require('../codec/index');
+const { corpusBlobs, corpusSVGs } = require('./corpus');
+
+test('every corpus blob decodes to an SVG document', () => {
+  for (const traitType of TRAIT_TYPES) {
+    for (const { file, data } of corpusBlobs(traitType)) {
+      assert.match(decompress(data, traitType), /^\s*<svg[\s>]/, file);
+    }
+  }
+});
+
+test('each trait type is handled by its own codec', () => {
+  for (const traitType of TRAIT_TYPES) {
+    const codec = require(`../codec/traits/${traitType}`);
+    const [{ svg }] = corpusSVGs(traitType, 1);
+    const blob = compress(svg, traitType);
+
+    assert.strictEqual(blob, codec.compressSVG(svg).toString('base64'));
+    assert.strictEqual(decompress(blob, traitType), codec.decompressSVG(Buffer.from(blob, 'base64')));
+  }
+});
+
+test('the trait type is detected from the blobs whose version byte names it', () => {
+  for (const traitType of ['phil', 'nose', 'top', 'color']) {
+    for (const { file, data } of corpusBlobs(traitType)) {
+      assert.strictEqual(detectTraitType(Buffer.from(data, 'base64')), traitType, file);
+      assert.strictEqual(decompress(data), decompress(data, traitType), file);
+    }
+  }
+
+  // Version 3 is shared by bg and spikes
+  const [{ data }] = corpusBlobs('spikes', 1);
+  assert.throws(() => decompress(data), /pass the trait type explicitly/);
+});
+
+test('codecs do not print', t => {
+  const log = t.mock.method(console, 'log');
+  for (const traitType of TRAIT_TYPES) {
+    const [{ svg }] = corpusSVGs(traitType, 1);
+    decompress(compress(svg, traitType), traitType);
+  }
+  assert.strictEqual(log.mock.callCount(), 0);
+});
+
+test('unknown trait types are rejected', () => {
+  assert.throws(() => compress('<svg/>', 'hat'), /Unknown trait type: hat/);
+  assert.throws(() => decompress('AQE=', 'hat'), /Unknown trait type: hat/);
+});
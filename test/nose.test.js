@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, decompress } = require('../codec/index');
+const { parseSVGDocument } = require('../codec/svg');
+const { comparePathData } = require('../codec/structure');
+const { corpusBlobs } = require('./corpus');
+
+const GLOW = '<defs><filter id="glow"><feGaussianBlur stdDeviation="2"/></filter></defs>';
+
+const elements = (svg, tag) => Array.from(parseSVGDocument(svg).getElementsByTagName(tag));
+const roundTrip = body => decompress(compress(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420">${body}</svg>`, 'nose'), 'nose');
+
+test('fill rule and filter references are kept only where they are set', () => {
+  const decoded = roundTrip(`${GLOW}<path d="M10 10H50V50Z" fill="#FF0000" fill-rule="evenodd" filter="url(#glow)"/>` +
+    '<path d="M60 60H90V90Z" fill="#00FF00"/>');
+  const [filtered, plain] = elements(decoded, 'path');
+
+  assert.strictEqual(filtered.getAttribute('fill-rule'), 'evenodd');
+  assert.strictEqual(filtered.getAttribute('filter'), 'url(#glow)');
+  assert.ok(!plain.hasAttribute('fill-rule'));
+  assert.ok(!plain.hasAttribute('filter'));
+});
+
+test('documents without a filter decode without one', () => {
+  assert.deepStrictEqual(elements(roundTrip('<path d="M10 10H50V50Z" fill="#FF0000"/>'), 'filter'), []);
+});
+
+test('references to filters the blob does not carry are left out', () => {
+  const [path] = elements(roundTrip(`${GLOW}<path d="M10 10H50V50Z" fill="#FF0000" filter="url(#other)"/>`), 'path');
+  assert.ok(!path.hasAttribute('filter'));
+});
+
+test('fill-opacity folds into the opacity of unstroked paths only', () => {
+  const [unstroked, stroked] = elements(roundTrip('<path d="M10 10H50V50Z" fill="#FF0000" opacity="0.5" fill-opacity="0.5"/>' +
+    '<path d="M60 60H90V90Z" fill="#FF0000" fill-opacity="0.4" stroke="#000000"/>'), 'path');
+
+  assert.strictEqual(Number(unstroked.getAttribute('opacity')), 0.25);
+  assert.ok(!unstroked.hasAttribute('fill-opacity'));
+  assert.ok(!stroked.hasAttribute('opacity'));
+  assert.strictEqual(Number(stroked.getAttribute('fill-opacity')), 0.4);
+});
+
+test('relative paths keep their position across subpaths', () => {
+  const d = 'M10.04 10.04h20.5v20.5zm5.55 5.55h10.1l-3.33 3.33z';
+  const [path] = elements(roundTrip(`<path d="${d}" fill="#FF0000"/>`), 'path');
+  assert.ok(comparePathData(d, path.getAttribute('d')).maxError <= 0.05 * Math.SQRT2);
+});
+
+test('legacy paths stay evenodd and filtered', () => {
+  for (const { file, data } of corpusBlobs('nose', 2)) {
+    for (const path of elements(decompress(data, 'nose'), 'path')) {
+      assert.strictEqual(path.getAttribute('fill-rule'), 'evenodd', file);
+      assert.strictEqual(path.getAttribute('filter'), 'url(#glow)', file);
+    }
+  }
+});
+
+test('references to filters the blob does not carry come with a warning', () => {
+  const warnings = [];
+  compress(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420">${GLOW}<path d="M10 10H50V50Z" filter="url(#other)"/></svg>`, 'nose', { warnings });
+  assert.deepStrictEqual(warnings, ['Path references filter other, which is not the nose filter, leaving the reference out']);
+});
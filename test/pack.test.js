@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PACK_MAGIC, isPack, packLayers, readPackIndex, extractLayer, unpackLayers } = require('../codec/pack');
+const { compress, decompress } = require('../codec/index');
+const { LAYER_ORDER } = require('../codec/compose');
+const { corpusBlobs, corpusSVGs } = require('./corpus');
+
+// Tokens packed per test run: the nth document of every trait
+const TOKENS = 2;
+
+// Layers of a token compressed with the given options
+function tokenLayers(index, options = {}) {
+  const layers = {};
+  for (const traitType of LAYER_ORDER) {
+    const { svg } = corpusSVGs(traitType, index + 1)[index];
+    layers[traitType] = compress(svg, traitType, options);
+  }
+  return layers;
+}
+
+test('unpacking gives back every blob byte for byte', () => {
+  for (const options of [{}, { entropy: true }, { deflate: true }, { entropy: true, deflate: true }]) {
+    for (let token = 0; token < TOKENS; token++) {
+      const layers = tokenLayers(token, options);
+      const pack = packLayers(layers);
+
+      assert.ok(isPack(pack));
+      assert.strictEqual(pack[0], PACK_MAGIC);
+      assert.deepStrictEqual(unpackLayers(pack), layers, JSON.stringify(options));
+    }
+  }
+});
+
+test('a pack is smaller than its separate blobs', () => {
+  const layers = tokenLayers(0);
+  const separate = Object.values(layers).reduce((sum, blob) => sum + Buffer.from(blob, 'base64').length, 0);
+  const pack = packLayers(layers);
+
+  assert.ok(pack.length < separate, `${pack.length} >= ${separate}`);
+  assert.ok(readPackIndex(pack).layers.every(layer => layer.traitType));
+});
+
+test('layers decode straight from the pack', () => {
+  const layers = tokenLayers(1);
+  const pack = packLayers(layers).toString('base64');
+
+  for (const traitType of LAYER_ORDER) {
+    assert.strictEqual(decompress(pack, traitType), decompress(layers[traitType], traitType), traitType);
+  }
+  assert.throws(() => decompress(pack), /Pass the trait type/);
+});
+
+test('legacy blobs are packed whole', () => {
+  const layers = {};
+  for (const traitType of LAYER_ORDER) layers[traitType] = corpusBlobs(traitType, 1)[0].data;
+
+  const pack = packLayers(layers);
+  for (const traitType of LAYER_ORDER) {
+    assert.strictEqual(extractLayer(pack, traitType).toString('base64'), layers[traitType]);
+  }
+});
+
+test('missing layers and mislabelled blobs are rejected', () => {
+  const { spikes } = tokenLayers(0);
+  assert.throws(() => extractLayer(packLayers({ spikes }), 'top'), /Pack has no top layer \(layers: spikes\)/);
+  assert.throws(() => packLayers({ top: spikes }), /Layer top holds a spikes blob/);
+  assert.throws(() => readPackIndex(Buffer.from([PACK_MAGIC, 0xFF])), /Unsupported pack version/);
+});
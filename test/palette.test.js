@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  PALETTES,
+  CURRENT_PALETTE_ID,
+  getPalette,
+  traitPalette,
+  encodePaletteId,
+  decodePalette,
+  readPayloadPalette
+} = require('../codec/palette');
+const { readContainer } = require('../codec/container');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+const PALETTE_TRAITS = ['phil', 'bg', 'nose', 'spikes', 'top'];
+
+test('a color has the same code in every trait', () => {
+  const palette = getPalette(CURRENT_PALETTE_ID);
+  PALETTES[CURRENT_PALETTE_ID].forEach((hex, code) => {
+    assert.strictEqual(palette.codes[hex], code);
+    assert.strictEqual(palette.lookup[code], hex);
+  });
+  assert.strictEqual(palette.lookup[0], 'none');
+
+  // Red had a different code in each of the old trait dictionaries
+  assert.deepStrictEqual(
+    ['nose', 'phil', 'spikes'].map(traitType => traitPalette(traitType).codes.FF0000),
+    [4, 8, 3]
+  );
+});
+
+test('palette IDs round-trip and unknown ones are rejected', () => {
+  const { palette, bytesRead } = decodePalette(encodePaletteId(), 0);
+  assert.strictEqual(palette.id, CURRENT_PALETTE_ID);
+  assert.strictEqual(bytesRead, 1);
+  assert.throws(() => encodePaletteId(CURRENT_PALETTE_ID + 1), /Unknown palette ID/);
+  assert.throws(() => decodePalette(Buffer.from([0x7F]), 0), /Unknown palette ID 127/);
+  assert.throws(() => compress('<svg/>', 'nose', { paletteId: 0 }), /Unknown palette ID 0/);
+});
+
+test('blobs lead with the ID of the palette they were encoded with', () => {
+  for (const traitType of PALETTE_TRAITS) {
+    const [{ svg }] = corpusSVGs(traitType, 1);
+    const blob = compress(svg, traitType, { paletteId: CURRENT_PALETTE_ID });
+    const { payload } = readContainer(Buffer.from(blob, 'base64'));
+
+    assert.strictEqual(decodePalette(payload, 0).palette.id, CURRENT_PALETTE_ID, traitType);
+    assert.strictEqual(decompress(blob, traitType), decompress(compress(svg, traitType), traitType), traitType);
+  }
+});
+
+test('blobs written before palette IDs decode with their trait dictionary', () => {
+  const { palette, bytesRead } = readPayloadPalette(Buffer.alloc(0), 'nose', false);
+  assert.strictEqual(palette, traitPalette('nose'));
+  assert.strictEqual(bytesRead, 0);
+  assert.throws(() => traitPalette('hat'), /No legacy palette for trait type: hat/);
+
+  // The corpus predates the registry; its colors survive re-encoding
+  for (const traitType of PALETTE_TRAITS) {
+    const [{ file, svg }] = corpusSVGs(traitType, 1);
+    const colors = svg => (svg.match(/#[0-9A-Fa-f]{6}\b/g) || []).map(c => c.toUpperCase()).sort();
+    assert.deepStrictEqual(colors(decompress(compress(svg, traitType), traitType)), colors(svg), file);
+  }
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  PACKED_BIT,
+  parsePath,
+  serializePath,
+  encodePath,
+  decodePath,
+  toAbsolute,
+  toRelative,
+  quantizeSegments,
+  pathDeviation,
+  adaptiveScale,
+  pathScale,
+  encodeNumericPath,
+  decodeNumericPath
+} = require('../codec/path');
+const { corpusSVGs } = require('./corpus');
+
+// Path data of the first corpus documents of the path traits
+function corpusPaths(limit = 2) {
+  const paths = [];
+  for (const traitType of ['phil', 'nose', 'spikes', 'top']) {
+    for (const { svg } of corpusSVGs(traitType, limit)) {
+      for (const [, d] of svg.matchAll(/\sd="([^"]+)"/g)) paths.push(d);
+    }
+  }
+  return paths;
+}
+
+test('parsePath reads the whole path grammar', () => {
+  assert.deepStrictEqual(parsePath('M10,20 30 40l5-5.5.5.5zm1 1'), [
+    { command: 'M', values: [10, 20] },
+    { command: 'L', values: [30, 40] },
+    { command: 'l', values: [5, -5.5] },
+    { command: 'l', values: [0.5, 0.5] },
+    { command: 'Z', values: [] },
+    { command: 'm', values: [1, 1] }
+  ]);
+
+  // Arc flags may be packed against the next value
+  assert.deepStrictEqual(parsePath('M0 0a25 25 -30 0110 10A1e1 1E1 0 1 0 5 5'), [
+    { command: 'M', values: [0, 0] },
+    { command: 'a', values: [25, 25, -30, 0, 1, 10, 10] },
+    { command: 'A', values: [10, 10, 0, 1, 0, 5, 5] }
+  ]);
+
+  assert.deepStrictEqual(parsePath('M0 0H10V10h-5v-5C1 2 3 4 5 6S7 8 9 10Q1 1 2 2T3 3').map(s => s.command).join(''), 'MHVhvCSQT');
+});
+
+test('parsePath keeps the segments before an error', () => {
+  const segments = parsePath('M0 0L10 10L20');
+  assert.deepStrictEqual(segments.slice(), [{ command: 'M', values: [0, 0] }, { command: 'L', values: [10, 10] }]);
+  assert.match(segments.error, /Expected a number/);
+  assert.match(parsePath('L0 0').error, /must start with a moveto/);
+});
+
+test('segment records give back every corpus path on their grid', () => {
+  for (const d of corpusPaths()) {
+    const segments = parsePath(d);
+    const buffer = encodePath(segments, 100);
+    const { segments: decoded, bytesRead } = decodePath(buffer, 0, 100);
+
+    assert.strictEqual(bytesRead, buffer.length);
+    assert.strictEqual(serializePath(decoded, 2), serializePath(segments, 2), d);
+  }
+});
+
+test('relative and absolute forms track the pen across every command', () => {
+  const d = 'M10 10h5v5l-5 5c1 1 2 2 3 3s4 4 5 5q1 1 2 2t3 3a5 5 0 0 1 10 0zm3 3l1 1z';
+  const absolute = toAbsolute(parsePath(d));
+  assert.deepStrictEqual(toAbsolute(toRelative(absolute)), absolute);
+  // Z returns the pen to the subpath start before the relative moveto
+  assert.deepStrictEqual(absolute[absolute.length - 3].values, [13, 13]);
+});
+
+test('numeric path records give back every corpus path on their grid', () => {
+  for (const d of corpusPaths()) {
+    const segments = parsePath(d);
+    const buffer = encodeNumericPath(segments, 100);
+    const { segments: decoded, scale, bytesRead } = decodeNumericPath(buffer, 0);
+
+    assert.strictEqual(scale, 100);
+    assert.strictEqual(bytesRead, buffer.length);
+    assert.deepStrictEqual(quantizeSegments(toAbsolute(decoded), 100), quantizeSegments(toAbsolute(segments), 100), d);
+  }
+});
+
+test('bit-packed streams decode like byte-aligned ones', () => {
+  let packed = 0;
+  for (const d of corpusPaths()) {
+    const buffer = encodeNumericPath(parsePath(d), 10);
+    if (!(buffer[0] & PACKED_BIT)) continue;
+
+    packed++;
+    assert.deepStrictEqual(
+      quantizeSegments(toAbsolute(decodeNumericPath(buffer, 0).segments), 10),
+      quantizeSegments(toAbsolute(parsePath(d)), 10)
+    );
+  }
+  assert.ok(packed > 0);
+});
+
+test('adaptive grids keep decoded points within the maximum deviation', () => {
+  for (const d of corpusPaths(1)) {
+    const segments = parsePath(d);
+    for (const maxDeviation of [0.05, 0.5, 2]) {
+      const scale = adaptiveScale(segments, maxDeviation);
+      const { segments: decoded } = decodeNumericPath(encodeNumericPath(segments, scale), 0);
+      const deviation = pathDeviation(toAbsolute(segments), toAbsolute(decoded));
+      assert.ok(deviation <= maxDeviation + 1e-9, `${deviation} > ${maxDeviation} at scale ${scale}`);
+    }
+  }
+});
+
+test('path options pick a grid or reject bad values', () => {
+  const segments = parsePath('M0 0L10 10');
+  assert.strictEqual(pathScale(segments, { precision: 2 }), 100);
+  assert.strictEqual(pathScale(segments, { maxDeviation: 1 }), 1);
+  assert.throws(() => pathScale(segments, { maxDeviation: 0 }), /positive number of pixels/);
+  assert.throws(() => pathScale(segments, { precision: 7 }), /whole number of decimals from 0 to 6/);
+});
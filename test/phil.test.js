@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, compressCollection, decompress } = require('../codec/index');
+const { diffSVGs } = require('../codec/structure');
+const { parseSVGDocument, findElements } = require('../codec/svg');
+const { corpusSVGs } = require('./corpus');
+
+// Phil documents take about a second each to compress and compare
+const SAMPLE = 4;
+const DOCUMENTS = corpusSVGs('phil', SAMPLE).map(({ svg }) => svg);
+
+const size = blob => Buffer.from(blob, 'base64').length;
+
+test('collection variants decode like their standalone blobs', () => {
+  const { template, variants } = compressCollection(DOCUMENTS, 'phil');
+  const standalone = DOCUMENTS.map(svg => compress(svg, 'phil'));
+
+  variants.forEach((variant, i) => {
+    assert.strictEqual(decompress(variant, 'phil', { template }), decompress(standalone[i], 'phil'));
+  });
+
+  const collection = size(template) + variants.reduce((sum, variant) => sum + size(variant), 0);
+  const separate = standalone.reduce((sum, blob) => sum + size(blob), 0);
+  assert.ok(collection < separate, `${collection} bytes as a collection, ${separate} separately`);
+});
+
+test('variants need the template they were compressed against', () => {
+  const { template, variants } = compressCollection(DOCUMENTS.slice(0, 2), 'phil');
+  // A template built from other documents has another ID
+  const { template: other } = compressCollection(DOCUMENTS.slice(3), 'phil');
+
+  assert.throws(() => decompress(variants[0], 'phil'), /pass it as the template option/);
+  assert.throws(() => decompress(variants[0], 'phil', { template: other }), /Phil variant needs template/);
+  assert.ok(decompress(variants[1], 'phil', { template }).startsWith('<svg'));
+});
+
+test('collections need documents of a trait with a collection mode', () => {
+  assert.throws(() => compressCollection([], 'phil'), /A Phil collection needs at least one SVG/);
+  assert.throws(() => compressCollection(DOCUMENTS.slice(0, 1), 'nose'), /nose has no collection mode/);
+});
+
+test('maxDeviation trades precision for size within its bound', () => {
+  for (const svg of DOCUMENTS) {
+    const coarse = compress(svg, 'phil', { maxDeviation: 0.5 });
+    const report = diffSVGs(svg, decompress(coarse, 'phil'));
+
+    assert.deepStrictEqual([report.missing, report.extra], [[], []]);
+    assert.ok(report.maxPathError <= 0.5 + 1e-9, `max path error ${report.maxPathError}`);
+    assert.ok(size(coarse) < size(compress(svg, 'phil')));
+  }
+});
+
+test('fill and stroke opacity stay apart from the path opacity', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420"><g opacity="0.5">' +
+    '<path d="M10 10H100V100Z" fill="#FF0000" fill-opacity="0.4" stroke="#000000" stroke-width="2"/></g></svg>';
+  const [path] = findElements(parseSVGDocument(decompress(compress(svg, 'phil'), 'phil')), 'path');
+
+  assert.strictEqual(Number(path.getAttribute('opacity')), 0.5);
+  assert.strictEqual(Number(path.getAttribute('fill-opacity')), 0.4);
+  assert.ok(!path.hasAttribute('stroke-opacity'));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PREDICT_DELTA, PREDICT_REFLECT, PREDICTION_MODES, predictSegments, restoreSegments } = require('../codec/predict');
+const { parsePath, toAbsolute, toRelative, quantizeSegments, encodePath } = require('../codec/path');
+const { corpusSVGs } = require('./corpus');
+
+// Corpus paths as relative segments on a 1/100 grid, as numeric records
+// predict them
+function corpusGridPaths() {
+  const paths = [];
+  for (const traitType of ['phil', 'nose', 'spikes']) {
+    for (const { svg } of corpusSVGs(traitType, 2)) {
+      for (const [, d] of svg.matchAll(/\sd="([^"]+)"/g)) {
+        paths.push(toRelative(quantizeSegments(toAbsolute(parsePath(d)), 100)));
+      }
+    }
+  }
+  return paths;
+}
+
+test('every prediction mode restores corpus paths exactly', () => {
+  for (const segments of corpusGridPaths()) {
+    for (const mode of PREDICTION_MODES) {
+      const residuals = predictSegments(segments, mode);
+      assert.deepStrictEqual(restoreSegments(residuals, residuals.map(() => mode)), segments);
+    }
+  }
+});
+
+test('delta mode leaves segments as they are', () => {
+  const [segments] = corpusGridPaths();
+  assert.deepStrictEqual(predictSegments(segments, PREDICT_DELTA), segments);
+});
+
+test('smooth joins predict to zero residuals', () => {
+  // The second curve's first control point mirrors the first curve's last one
+  const segments = parsePath('m0 0c10 0 20 10 20 20c0 10 10 20 20 20');
+  const residuals = predictSegments(segments, PREDICT_REFLECT);
+  assert.deepStrictEqual(residuals[2].values.slice(0, 2), [0, 0]);
+});
+
+test('prediction makes smooth corpus outlines shorter', () => {
+  let delta = 0;
+  let best = 0;
+  for (const segments of corpusGridPaths()) {
+    const sizes = PREDICTION_MODES.map(mode => encodePath(predictSegments(segments, mode), 1, mode).length);
+    delta += sizes[PREDICT_DELTA];
+    best += Math.min(...sizes);
+  }
+  assert.ok(best < delta, `${best} >= ${delta}`);
+});
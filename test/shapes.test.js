@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePath, toAbsolute, outlineDeviation } = require('../codec/path');
+const { detectShape, encodePathGeometry, decodeGeometry } = require('../codec/shapes');
+const { corpusSVGs } = require('./corpus');
+
+// Absolute segments a path decodes to after encoding on a grid
+function roundTrip(d, pathOptions = { precision: 2 }) {
+  const buffer = encodePathGeometry(parsePath(d), pathOptions);
+  const { segments, bytesRead } = decodeGeometry(buffer, 0);
+  assert.strictEqual(bytesRead, buffer.length);
+  return { shape: (buffer[0] & 0x40) !== 0, segments: toAbsolute(segments) };
+}
+
+test('closed shapes are stored as shape records and keep their start and direction', () => {
+  const paths = [
+    'M250 200 a50 50 0 1 0 -100 0 a50 50 0 1 0 100 0z',
+    'M200 170 a50 30 0 1 1 0 60 a50 30 0 1 1 0 -60z',
+    'M60 30h-50v-20h50z',
+    'M60 10v20h-50v-20z',
+    'M60 15v10a5 5 0 0 1 -5 5h-40a5 5 0 0 1 -5 -5v-10a5 5 0 0 1 5 -5h40a5 5 0 0 1 5 5z',
+    'M15 10a5 5 0 0 0 -5 5v10a5 5 0 0 0 5 5h40a5 5 0 0 0 5 -5v-10a5 5 0 0 0 -5 -5z'
+  ];
+
+  for (const d of paths) {
+    const source = toAbsolute(parsePath(d));
+    const { shape, segments } = roundTrip(d);
+
+    assert.ok(shape, d);
+    assert.deepStrictEqual(segments[0], source[0], d);
+    assert.strictEqual(segments[segments.length - 1].command, 'Z', d);
+    assert.ok(outlineDeviation(source, segments) < 1e-9, d);
+
+    // Same direction: the first segment heads for the same point
+    const end = segment => segment.values.slice(-2);
+    assert.deepStrictEqual(end(segments[1]), end(source[1]), d);
+  }
+});
+
+test('open loops stay open paths', () => {
+  const d = 'M150 200 a50 30 0 1 0 100 0 a50 30 0 1 0 -100 0';
+  assert.strictEqual(detectShape(parsePath(d), 0.005), null);
+
+  const { shape, segments } = roundTrip(d);
+  assert.ok(!shape);
+  assert.notStrictEqual(segments[segments.length - 1].command, 'Z');
+});
+
+test('loops starting between the points a record can start from keep their start', () => {
+  // A rect drawn from the middle of a side keeps every point as a polygon
+  const rect = detectShape(parsePath('M30 10h30v20h-50v-20z'), 0.005);
+  assert.strictEqual(rect.type, 'polygon');
+  assert.deepStrictEqual(rect.params[0], [30, 10]);
+  assert.strictEqual(detectShape(parsePath('M235.36 164.64a50 50 0 1 1 -70.72 70.72a50 50 0 1 1 70.72 -70.72z'), 0.005), null);
+});
+
+test('shape records stay within the maximum deviation', () => {
+  // Near-rectangle whose corner would move 0.63 px as a rect
+  const d = 'M141.1 418.4l-0.2 1.4h-7.3l-0.5 -1.5z';
+  const source = toAbsolute(parsePath(d));
+  const { segments } = roundTrip(d, { maxDeviation: 0.5 });
+  assert.ok(outlineDeviation(source, segments) <= 0.5);
+});
+
+test('corpus paths decode to the outline they were encoded from', () => {
+  for (const traitType of ['phil', 'spikes']) {
+    for (const { svg } of corpusSVGs(traitType, 3)) {
+      for (const [, d] of svg.matchAll(/\sd="([^"]+)"/g)) {
+        const source = toAbsolute(parsePath(d));
+        const { shape, segments } = roundTrip(d, { precision: 3 });
+        if (shape) assert.ok(outlineDeviation(source, segments) < 0.01, d);
+      }
+    }
+  }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePath, serializePath } = require('../codec/path');
+const { simplifyPolyline, simplifySegments, simplifyPath } = require('../codec/simplify');
+const { comparePathData, diffSVGs } = require('../codec/structure');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+// Largest distance between a path and its simplified outline
+function simplifiedError(d, tolerance) {
+  return comparePathData(d, serializePath(simplifySegments(parsePath(d), tolerance), 6)).maxError;
+}
+
+test('collinear points are dropped from polylines', () => {
+  const points = [[0, 0], [1, 0.01], [2, 0], [3, 0], [3, 5]];
+  assert.deepStrictEqual(simplifyPolyline(points, 0.1), [[0, 0], [3, 0], [3, 5]]);
+  assert.deepStrictEqual(simplifyPolyline(points, 0.001), points);
+});
+
+test('smooth curve runs are refitted with fewer segments', () => {
+  // One smooth arc drawn as four cubics
+  const d = 'M100 0C100 21 92 40 78 55C64 69 45 78 25 80C9 81 -6 78 -20 72C-35 66 -48 57 -59 46';
+  const simplified = simplifySegments(parsePath(d), 1);
+  assert.ok(simplified.length < parsePath(d).length);
+  assert.ok(simplifiedError(d, 1) <= 1);
+});
+
+test('corpus paths stay within the tolerance along the whole outline', () => {
+  for (const traitType of ['nose', 'spikes']) {
+    for (const tolerance of [0.5, 2]) {
+      for (const { file, svg } of corpusSVGs(traitType, 1)) {
+        for (const [, d] of svg.matchAll(/\sd="([^"]+)"/g)) {
+          const error = simplifiedError(d, tolerance);
+          assert.ok(error <= tolerance, `${file} at ${tolerance}: ${error} for ${d.slice(0, 40)}`);
+        }
+      }
+    }
+  }
+});
+
+test('the simplify option keeps trait blobs within the tolerance', () => {
+  const [{ file, svg }] = corpusSVGs('spikes', 1);
+  const decoded = decompress(compress(svg, 'spikes', { simplify: 0.5 }), 'spikes');
+  assert.ok(diffSVGs(svg, decoded).maxPathError <= 0.5, file);
+  assert.ok(compress(svg, 'spikes', { simplify: 0.5 }).length <= compress(svg, 'spikes').length);
+});
+
+test('paths are left alone without a tolerance and bad tolerances are rejected', () => {
+  const segments = parsePath('M0 0L1 0.01L2 0');
+  assert.strictEqual(simplifyPath(segments), segments);
+  assert.throws(() => simplifyPath(segments, { simplify: -1 }), /positive number of pixels, got -1/);
+});
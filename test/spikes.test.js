@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, decompress } = require('../codec/index');
+const { parseSVGDocument, findElements } = require('../codec/svg');
+
+test('path opacities are kept, fill and stroke ones only where painted', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 420">' +
+    '<path d="M10 10H100V100Z" fill="#FF0000" opacity="0.5" fill-opacity="0.4" stroke="#000000" stroke-opacity="0.8"/>' +
+    '<path d="M200 200H300V300Z" fill="#0000FF" stroke-opacity="0.3"/></svg>';
+  const [translucent, opaque] = findElements(parseSVGDocument(decompress(compress(svg, 'spikes'), 'spikes')), 'path');
+
+  assert.strictEqual(Number(translucent.getAttribute('opacity')), 0.5);
+  assert.strictEqual(Number(translucent.getAttribute('fill-opacity')), 0.4);
+  assert.strictEqual(Number(translucent.getAttribute('stroke-opacity')), 0.8);
+  assert.ok(!opaque.hasAttribute('stroke-opacity'));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { comparePathData, diffSVGs, summarizeDiff } = require('../codec/structure');
+const { corpusSVGs } = require('./corpus');
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`;
+
+test('a document does not differ from itself', () => {
+  for (const { svg: document } of corpusSVGs('phil', 1).concat(corpusSVGs('bg', 1))) {
+    const report = diffSVGs(document, document);
+    assert.strictEqual(summarizeDiff(report).missing, 0);
+    assert.deepStrictEqual(report.attributes, []);
+    assert.strictEqual(report.maxPathError, 0);
+  }
+});
+
+test('moved points are measured point by point', () => {
+  const result = comparePathData('M0 0L10 0L10 10', 'M0 0L13 4L10 10');
+  assert.strictEqual(result.method, 'coordinates');
+  assert.strictEqual(result.maxError, 5);
+});
+
+test('paths drawn with other segments are compared by outline', () => {
+  // The same square with relative commands and an extra point on an edge
+  const result = comparePathData('M0 0H10V10H0Z', 'm0 0l5 0l5 0l0 10l-10 0z');
+  assert.strictEqual(result.method, 'outline');
+  assert.ok(result.maxError < 1e-9);
+});
+
+test('paths with the same segments that start elsewhere are reported', () => {
+  const result = comparePathData('M0 0H10V10H0Z', 'M10 10H0V0H10Z');
+  assert.strictEqual(result.method, 'coordinates');
+  assert.strictEqual(result.maxError, Math.hypot(10, 10));
+});
+
+test('missing elements and changed attributes are reported', () => {
+  const report = diffSVGs(
+    svg('<rect width="10" height="10" fill="#FF0000"/><circle r="5"/>'),
+    svg('<rect width="10" height="12" fill="#FF0000"/>')
+  );
+
+  assert.deepStrictEqual(report.missing.map(entry => entry.tag), ['circle']);
+  assert.deepStrictEqual(report.attributes.map(entry => entry.attribute), ['height']);
+});
+
+test('inherited style changes count on the elements they reach', () => {
+  const report = diffSVGs(
+    svg('<g fill="#FF0000"><path d="M0 0H10V10Z"/></g>'),
+    svg('<g fill="#0000FF"><path d="M0 0H10V10Z"/></g>')
+  );
+  assert.ok(report.attributes.some(entry => entry.element.endsWith('path[0]') && entry.attribute === 'fill'));
+});
+
+test('a collapsed group is reported once and its children are still matched', () => {
+  const grouped = svg('<path d="M0 0H5V5Z"/><g transform="translate(10 0)" opacity="0.5">' +
+    '<path d="M0 0H1V1Z"/><path d="M2 2H3V3Z" fill="#FF0000"/></g><path d="M50 50H60V60Z" fill="#0000FF"/>');
+  const collapsed = svg('<path d="M0 0H5V5Z"/><path d="M0 0H1V1Z" transform="translate(10 0)" opacity="0.5"/>' +
+    '<path d="M2 2H3V3Z" fill="#FF0000" transform="translate(10 0)" opacity="0.5"/><path d="M50 50H60V60Z" fill="#0000FF"/>');
+
+  const report = diffSVGs(grouped, collapsed);
+  assert.deepStrictEqual(report.missing, [{ element: 'svg > g[0]', tag: 'g' }]);
+  assert.deepStrictEqual([report.extra, report.attributes], [[], []]);
+  assert.strictEqual(report.maxPathError, 0);
+
+  // The other way round the group is the one extra element
+  const added = diffSVGs(collapsed, grouped);
+  assert.deepStrictEqual(added.extra, [{ element: 'svg > g[0]', tag: 'g' }]);
+  assert.deepStrictEqual([added.missing, added.attributes], [[], []]);
+});
+
+test('elements with IDs are matched wherever they moved', () => {
+  const report = diffSVGs(
+    svg('<g id="a"><circle r="1"/></g><rect width="2" height="2"/><g id="b"><circle r="2"/></g>'),
+    svg('<g id="b"><circle r="2"/></g><rect width="2" height="2"/><g id="a"><circle r="1"/></g>')
+  );
+  assert.deepStrictEqual([report.missing, report.extra, report.attributes], [[], [], []]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ROOT_STYLE,
+  parseSVGDocument,
+  computeStyle,
+  parseColor,
+  parseOpacity,
+  renderedElements,
+  findElements,
+  urlReference
+} = require('../codec/svg');
+const { compress, decompress } = require('../codec/index');
+const { diffSVGs } = require('../codec/structure');
+const { corpusSVGs } = require('./corpus');
+
+test('documents are parsed as a DOM, whatever the attribute order and quoting', () => {
+  const root = parseSVGDocument(`
+    <svg viewBox='0 0 10 10' xmlns="http://www.w3.org/2000/svg">
+      <path fill = "#FF0000" d='M0 0H5' style="stroke: #000000; stroke-width: 2"/>
+    </svg>`);
+  const [path] = findElements(root, 'path');
+  const style = computeStyle(path, ROOT_STYLE);
+
+  assert.strictEqual(path.getAttribute('d'), 'M0 0H5');
+  assert.strictEqual(style.fill, '#FF0000');
+  assert.strictEqual(style.stroke, '#000000');
+  assert.strictEqual(style['stroke-width'], '2');
+});
+
+test('malformed documents are rejected', () => {
+  assert.throws(() => parseSVGDocument('<svg><path d="M0 0" d="M1 1"/></svg>'), /Invalid SVG/);
+  assert.throws(() => parseSVGDocument('<html/>'), /missing <svg> root element/);
+});
+
+test('styles inherit through groups and opacity multiplies', () => {
+  const root = parseSVGDocument(`<svg xmlns="http://www.w3.org/2000/svg">
+    <g fill="#00FF00" opacity="0.5"><g opacity="0.5"><rect width="1" height="1"/></g></g>
+    <defs><rect id="unused" width="1" height="1"/></defs>
+    <rect width="1" height="1" style="display: none"/>
+  </svg>`);
+  const rendered = renderedElements(root);
+
+  assert.strictEqual(rendered.length, 1);
+  assert.strictEqual(rendered[0].style.fill, '#00FF00');
+  assert.strictEqual(rendered[0].opacity, 0.25);
+});
+
+test('colors, opacities and references parse', () => {
+  assert.deepStrictEqual(parseColor('#f80'), [255, 136, 0]);
+  assert.deepStrictEqual(parseColor('rgb(1, 2, 3)'), [1, 2, 3]);
+  assert.strictEqual(parseColor('none'), null);
+  assert.deepStrictEqual([parseOpacity('50%'), parseOpacity('2'), parseOpacity(undefined)], [0.5, 1, 1]);
+  assert.strictEqual(urlReference(" url('#glow') "), 'glow');
+  assert.strictEqual(urlReference('#glow'), null);
+});
+
+test('codecs read styles however the document writes them', () => {
+  for (const traitType of ['spikes', 'nose']) {
+    const [{ svg }] = corpusSVGs(traitType, 1);
+
+    // Move every fill into a style attribute
+    const restyled = svg.replace(/ fill="([^"]+)"/g, ' style="fill: $1"');
+    const decoded = decompress(compress(restyled, traitType), traitType);
+    const report = diffSVGs(restyled, decoded);
+    assert.deepStrictEqual(report.attributes.filter(entry => entry.attribute === 'fill'), [], traitType);
+  }
+});
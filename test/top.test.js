@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compress, decompress } = require('../codec/index');
+const { parseSVGDocument, childElements } = require('../codec/svg');
+
+const document = drawn => `<svg xmlns="http://www.w3.org/2000/svg" width="420" height="420" viewBox="0 0 420 420">${drawn}</svg>`;
+
+const decodedElements = (svg, options) => childElements(parseSVGDocument(decompress(compress(svg, 'top', options), 'top')));
+
+test('every path, line and text is kept in document order', () => {
+  const elements = decodedElements(document(
+    '<path d="M0 0H10V10Z" fill="#FF0000"/><text x="10" y="20">muse</text>' +
+    '<path d="M20 20H30V30Z" fill="#00FF00"/><line x2="5" y2="5" stroke="#000000"/><text x="30" y="40">space</text>'
+  ));
+
+  assert.deepStrictEqual(elements.map(el => el.tagName), ['path', 'text', 'path', 'line', 'text']);
+  assert.deepStrictEqual(elements.filter(el => el.tagName === 'path').map(el => el.getAttribute('fill')), ['#FF0000', '#00FF00']);
+  assert.deepStrictEqual(elements.filter(el => el.tagName === 'text').map(el => el.textContent), ['muse', 'space']);
+  // Missing line coordinates are 0
+  assert.deepStrictEqual(['x1', 'y1', 'x2', 'y2'].map(name => Number(elements[3].getAttribute(name))), [0, 0, 5, 5]);
+});
+
+test('decoded text is escaped', () => {
+  const [, text] = decodedElements(document('<path d="M0 0H10V10Z"/><text x="10" y="20">a &amp; &lt;b&gt;</text>'));
+  assert.strictEqual(text.textContent, 'a & <b>');
+});
+
+test('elements without a top record are left out with a warning', () => {
+  const warnings = [];
+  const elements = decodedElements(document('<path d="M0 0H10V10Z"/><rect width="3" height="3"/><circle r="2"/>'), { warnings });
+
+  assert.deepStrictEqual(elements.map(el => el.tagName), ['path']);
+  assert.deepStrictEqual(warnings, [
+    'Top traits have no record for <rect>, leaving it out',
+    'Top traits have no record for <circle>, leaving it out'
+  ]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  IDENTITY,
+  multiply,
+  invert,
+  parseTransform,
+  viewportMatrix,
+  isIdentity,
+  encodeMatrix,
+  decodeMatrix,
+  formatMatrix
+} = require('../codec/transform');
+const { parseSVGDocument } = require('../codec/svg');
+
+const close = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} vs ${expected}`));
+
+test('transform lists compose left to right', () => {
+  assert.deepStrictEqual(parseTransform('translate(10 20) scale(2)'), [2, 0, 0, 2, 10, 20]);
+  assert.deepStrictEqual(parseTransform('scale(2, 3)translate(1,1)'), [2, 0, 0, 3, 2, 3]);
+  assert.deepStrictEqual(parseTransform('matrix(1 2 3 4 5 6)'), [1, 2, 3, 4, 5, 6]);
+  close(parseTransform('rotate(90 10 10)'), [0, 1, -1, 0, 20, 0]);
+  close(parseTransform('skewX(45)'), [1, 0, 1, 1, 0, 0]);
+  assert.strictEqual(parseTransform(''), IDENTITY);
+  assert.ok(isIdentity(parseTransform(null)));
+});
+
+test('matrices invert unless they are singular', () => {
+  const m = parseTransform('translate(3 4) rotate(30) scale(2 0.5)');
+  close(multiply(m, invert(m)), IDENTITY);
+  assert.strictEqual(invert([1, 2, 2, 4, 0, 0]), null);
+});
+
+test('matrices encode exactly, or to six decimals', () => {
+  for (const m of [IDENTITY, [2, 0, 0, 2, 10.5, -20.25], parseTransform('rotate(30)'), [1, 0, 0, 1, 1e6, -1e6]]) {
+    const buffer = encodeMatrix(m);
+    const { matrix, bytesRead } = decodeMatrix(buffer, 0);
+    assert.strictEqual(bytesRead, buffer.length);
+    matrix.forEach((value, i) => assert.ok(Math.abs(value - m[i]) <= 5e-7, `${matrix} vs ${m}`));
+  }
+
+  assert.deepStrictEqual(decodeMatrix(encodeMatrix([2, 0, 0, 2, 10.5, -20.25]), 0).matrix, [2, 0, 0, 2, 10.5, -20.25]);
+  assert.strictEqual(formatMatrix([2, 0, 0, 2, 10.5, -20.25]), 'matrix(2 0 0 2 10.5 -20.25)');
+  assert.throws(() => decodeMatrix(Buffer.from([7]), 0), /Invalid matrix precision 7/);
+  assert.throws(() => decodeMatrix(Buffer.alloc(0), 0), /Buffer overflow when reading matrix/);
+});
+
+test('the viewBox is fitted to the output size', () => {
+  const fitted = viewportMatrix(parseSVGDocument('<svg xmlns="http://www.w3.org/2000/svg" viewBox="10 0 200 100"/>'), 100, 100);
+  assert.deepStrictEqual(fitted.matrix, [0.5, 0, 0, 0.5, -5, 25]);
+  assert.deepStrictEqual(fitted.viewport, { width: 200, height: 100 });
+
+  const sized = viewportMatrix(parseSVGDocument('<svg xmlns="http://www.w3.org/2000/svg" width="50" height="200"/>'), 100, 100);
+  assert.deepStrictEqual(sized.matrix, [2, 0, 0, 0.5, 0, 0]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareSVGs, checkThresholds, verifySVG } = require('../codec/verify');
+const { rasterize, compareImages } = require('../codec/raster');
+const { compress, decompress } = require('../codec/index');
+const { corpusSVGs } = require('./corpus');
+
+const square = fill => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect x="0" y="0" width="5" height="10" fill="${fill}"/></svg>`;
+
+test('rasterized shapes cover the pixels they draw', () => {
+  const image = rasterize(square('#FF0000'), { width: 10, height: 10 });
+  assert.deepStrictEqual([...image.data.slice(0, 4)], [255, 0, 0, 255]);
+  assert.strictEqual(image.data[(5 * 10 + 9) * 4 + 3], 0);
+});
+
+test('identical documents do not differ and recolored ones do', () => {
+  assert.deepStrictEqual(compareSVGs(square('#FF0000'), square('#FF0000'), { size: 10 }),
+    { maxError: 0, meanError: 0, diffPercent: 0, skipped: [] });
+
+  const changed = verifySVG(square('#FF0000'), square('#0000FF'), { size: 10 });
+  assert.strictEqual(changed.diffPercent, 50);
+  assert.ok(!changed.passed);
+  assert.deepStrictEqual(changed.failures, ['mean error 127.500 > 1', '50.00% differing pixels > 1%']);
+});
+
+test('thresholds can be loosened per check', () => {
+  const metrics = { maxError: 40, meanError: 2, diffPercent: 0.5 };
+  assert.deepStrictEqual(checkThresholds(metrics), ['mean error 2.000 > 1']);
+  assert.deepStrictEqual(checkThresholds(metrics, { meanError: 3, maxError: 10 }), ['max error 40 > 10']);
+});
+
+test('images of different sizes are rejected', () => {
+  const a = rasterize(square('#FF0000'), { width: 10, height: 10 });
+  const b = rasterize(square('#FF0000'), { width: 12, height: 10 });
+  assert.throws(() => compareImages(a, b), /Image sizes differ: 10x10 vs 12x10/);
+});
+
+test('decoded corpus documents render like the originals', () => {
+  for (const traitType of ['phil', 'spikes', 'top']) {
+    for (const { file, svg } of corpusSVGs(traitType, 1)) {
+      const result = verifySVG(svg, decompress(compress(svg, traitType), traitType));
+      assert.ok(result.passed, `${file}: ${result.failures.join(', ')}`);
+    }
+  }
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { collectPayloads } = require('./codec/batch');
+const { decompress } = require('./codec/index');
+const { TRAIT_DIRS } = require('./codec/compose');
+const { DICTIONARY_SETS, TEXT_TRAITS, MIN_SAVING, isHeldOut, trainDictionary, deflatePayload } = require('./codec/deflate');
+
+const DICTIONARIES_FILE = path.join(__dirname, 'codec', 'deflateDictionaries.json');
+
+// Traits trained on their decoded documents rather than their payloads:
+// color payloads are filter recipes unless the generator's filter is not
+// recognised, and then the whole document is stored as text
+const DOCUMENT_TRAITS = ['color'];
+
+// Decode every blob of a trait under compressedDir (or those whose file name
+// passes the filter) to its SVG text
+function collectDocuments(compressedDir, traitType, filter) {
+  const dir = path.join(compressedDir, TRAIT_DIRS[traitType]);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.bin') && filter(name))
+    .map(file => Buffer.from(decompress(fs.readFileSync(path.join(dir, file), 'utf8'), traitType), 'utf8'));
+}
+
+// Training payloads of the text traits, or the held-out ones
+function collectTextPayloads(compressedDir, filter) {
+  const payloads = collectPayloads(compressedDir, filter);
+  for (const traitType of DOCUMENT_TRAITS) {
+    if (payloads[traitType]) payloads[traitType] = collectDocuments(compressedDir, traitType, filter);
+  }
+  return payloads;
+}
+
+// Bytes of a list of payloads
+const totalSize = payloads => payloads.reduce((sum, payload) => sum + payload.length, 0);
+
+// Dictionary sets as JSON, one dictionary per line
+function formatDictionarySets(dictionarySets) {
+  const sets = Object.keys(dictionarySets).map(id => {
+    const dictionaries = Object.keys(dictionarySets[id]).map(traitType => `    "${traitType}": ${JSON.stringify(dictionarySets[id][traitType])}`);
+    return `  "${id}": {\n${dictionaries.join(',\n')}\n  }`;
+  });
+  return `{\n${sets.join(',\n')}\n}\n`;
+}
+
+// Train a new deflate dictionary set for the text traits on the blobs in
+// compressed/ (or the directory given) and add it to
+// codec/deflateDictionaries.json, where it becomes the set new blobs use.
+// The held-out blobs are not trained on; the savings are measured on them,
+// and traits whose held-out payloads shrink by less than MIN_SAVING get no
+// dictionary.
+if (require.main === module) {
+  try {
+    const compressedDir = path.resolve(process.cwd(), process.argv[2] || 'compressed');
+    const training = collectTextPayloads(compressedDir, file => !isHeldOut(file));
+    const heldOut = collectTextPayloads(compressedDir, isHeldOut);
+
+    const id = Math.max(0, ...Object.keys(DICTIONARY_SETS).map(Number)) + 1;
+    const dictionaries = {};
+    DICTIONARY_SETS[id] = dictionaries;
+
+    for (const traitType of TEXT_TRAITS.filter(name => training[name] && training[name].length > 0)) {
+      const dictionary = trainDictionary(training[traitType]);
+      if (dictionary.length === 0) {
+        console.log(`${traitType}: no text recurs across ${training[traitType].length} payloads, no dictionary trained`);
+        continue;
+      }
+      if (!heldOut[traitType] || heldOut[traitType].length === 0) {
+        console.log(`${traitType}: no held-out payloads to measure a dictionary on, none kept`);
+        continue;
+      }
+
+      // Size of the held-out payloads, plain and deflated with the new
+      // dictionary (payloads that grow are stored plain)
+      dictionaries[traitType] = dictionary.toString('base64');
+      const plain = totalSize(heldOut[traitType]);
+      const deflated = heldOut[traitType].reduce((sum, payload) => sum + Math.min(payload.length, deflatePayload(payload, traitType, id).length), 0);
+      const saving = 1 - deflated / plain;
+      const kept = saving >= MIN_SAVING;
+      console.log(`${traitType}: trained on ${training[traitType].length} payloads, ` +
+        `${heldOut[traitType].length} held-out payloads ${plain} → ${deflated} bytes deflated ` +
+        `(${(saving * 100).toFixed(1)}% saved${kept ? '' : ', dictionary dropped'})`);
+      if (!kept) delete dictionaries[traitType];
+    }
+
+    if (Object.keys(dictionaries).length === 0) {
+      throw new Error(`No ${TEXT_TRAITS.join(' or ')} dictionary saves ${MIN_SAVING * 100}% on the held-out blobs in ${compressedDir}`);
+    }
+
+    fs.writeFileSync(DICTIONARIES_FILE, formatDictionarySets(DICTIONARY_SETS));
+    console.log(`Deflate dictionary set ${id} written to ${DICTIONARIES_FILE}`);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
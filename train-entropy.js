@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { collectPayloads } = require('./codec/batch');
+const { TABLE_SETS, trainTable, encodeEntropy } = require('./codec/entropy');
+
+const TABLES_FILE = path.join(__dirname, 'codec', 'entropyTables.json');
+
+// Table sets as JSON, one table per line
+function formatTableSets(tableSets) {
+  const sets = Object.keys(tableSets).map(id => {
+    const tables = Object.keys(tableSets[id]).map(traitType => `    "${traitType}": ${JSON.stringify(tableSets[id][traitType])}`);
+    return `  "${id}": {\n${tables.join(',\n')}\n  }`;
+  });
+  return `{\n${sets.join(',\n')}\n}\n`;
+}
+
+// Train a new entropy table set on the blobs in compressed/ (or the directory
+// given) and add it to codec/entropyTables.json, where it becomes the set new
+// blobs are coded with
+if (require.main === module) {
+  try {
+    const compressedDir = path.resolve(process.cwd(), process.argv[2] || 'compressed');
+    const payloads = collectPayloads(compressedDir);
+    if (Object.keys(payloads).length === 0) {
+      throw new Error(`No trait directories found in ${compressedDir}`);
+    }
+
+    const id = Math.max(0, ...Object.keys(TABLE_SETS).map(Number)) + 1;
+    TABLE_SETS[id] = {};
+    for (const traitType in payloads) {
+      TABLE_SETS[id][traitType] = trainTable(payloads[traitType]);
+    }
+
+    // Size of the training payloads, plain and coded with the new tables
+    for (const traitType in payloads) {
+      const plain = payloads[traitType].reduce((sum, payload) => sum + payload.length, 0);
+      const coded = payloads[traitType].reduce((sum, payload) => sum + encodeEntropy(payload, traitType, id).length, 0);
+      console.log(`${traitType}: ${payloads[traitType].length} payloads, ${plain} → ${coded} bytes entropy coded`);
+    }
+
+    fs.writeFileSync(TABLES_FILE, formatTableSets(TABLE_SETS));
+    console.log(`Entropy table set ${id} written to ${TABLES_FILE}`);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
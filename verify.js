@@ -0,0 +1,55 @@
+const path = require('path');
+const { verifyDirectory } = require('./codec/verify');
+
+// Command line options and the verifyDirectory settings they control
+const NUMERIC_OPTIONS = {
+  '--max-error': 'maxError',
+  '--mean-error': 'meanError',
+  '--diff-percent': 'diffPercent'
+};
+
+// Parse `[originalDir] [decodedDir] [--max-error N] [--mean-error N]
+// [--diff-percent N] [--tolerance N] [--size N]`
+function parseArgs(args, currentDir) {
+  const dirs = [];
+  const thresholds = {};
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('--')) {
+      dirs.push(arg);
+      continue;
+    }
+
+    const value = Number(args[++i]);
+    if (isNaN(value)) {
+      throw new Error(`${arg} expects a number`);
+    }
+
+    if (NUMERIC_OPTIONS[arg]) thresholds[NUMERIC_OPTIONS[arg]] = value;
+    else if (arg === '--tolerance') options.pixelTolerance = value;
+    else if (arg === '--size') options.size = value;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return {
+    originalDir: path.resolve(currentDir, dirs[0] || 'SVGs'),
+    decodedDir: path.resolve(currentDir, dirs[1] || 'decompressed'),
+    thresholds,
+    ...options
+  };
+}
+
+// Render the SVGs in decompressed/ against the originals in SVGs/ and fail
+// when any file exceeds the pixel difference thresholds
+if (require.main === module) {
+  try {
+    const { failed } = verifyDirectory(parseArgs(process.argv.slice(2), process.cwd()));
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -1,4 +1,4 @@
 const converter = require('./svg_converter');
 console.log('Starting SVG to Binary conversion...');
-converter.convertSVGsToBinary();
+converter.convertSVGsToBinary(process.argv.slice(2));
 console.log('Conversion complete!');
\ No newline at end of file
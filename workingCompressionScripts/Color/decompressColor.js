@@ -1,4 +1,7 @@
 const converter = require('./svg_converter');
 console.log('Starting Binary to SVG conversion...');
-converter.convertBinariesToSVGs();
+converter.convertBinariesToSVGs({
+  verify: process.argv.includes('--verify'),
+  diff: process.argv.includes('--diff')
+});
 console.log('Conversion complete!');
\ No newline at end of file